@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Course Geohash Index Backfill
+ *
+ * COURSE_DATA_TABLE의 모든 코스 아이템에 geohash 인덱스 속성을 채워 넣는 스크립트이다.
+ * 가까운 코스 조회(`GET /courses/home`, `GET /courses/course`)는 `course_geohash_index` GSI를
+ * 사용하므로, 코스 데이터를 새로 적재하거나 시작 좌표가 바뀐 뒤에는 이 스크립트를 실행해야 한다.
+ *
+ * --------------------------------------------------------------------------------
+ * [Data Processing Strategy]
+ * 1. Scan: COURSE_DATA_TABLE 전체를 페이지 단위로 순회 (코스 아이템만 대상).
+ * 2. Compute: `start_lat`, `start_lon`으로부터 geohash 속성 계산.
+ *    - `geohash`: 정밀도 9 (약 4.8m), GSI Sort Key
+ *    - `geohash_cell`: 정밀도 4 (약 39km x 19.5km), GSI Partition Key
+ * 3. Update: 값이 바뀐 아이템만 UpdateItem으로 갱신 (재실행해도 안전).
+ * 4. Count: 코스 목록 전체/난이도별 개수를 USER_COURSE_TABLE의 집계 항목에 저장.
+ *    - 코스 목록 조회(`GET /courses/course`)가 모든 페이지에서 `total`로 반환
+ * --------------------------------------------------------------------------------
+ *
+ * [Required Environment Variables]
+ * - AWS 자격 증명 (`AWS_ACCESS_KEY_ID`, `AWS_SECRET_ACCESS_KEY`)
+ * - `LOG_LEVEL`: (Optional) 로그 레벨 (default: info)
+ * --------------------------------------------------------------------------------
+ *
+ * @requires dotenv
+ * @requires @aws-sdk/lib-dynamodb
+ * @requires pino
+ */
+
+require('dotenv').config();
+const { ScanCommand, UpdateCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const pino = require('pino');
+const { docClient, TABLES } = require('../src/config/dynamodb');
+const { getGeohashAttributes } = require('../src/utils/course/course-geohash');
+const { COURSE_CATALOG_COUNT_KEY, countCourseCatalog } = require('../src/utils/course/course-helpers');
+
+// ============================================================================
+// Logger Configuration
+// ============================================================================
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: (label) => ({ level: label.toUpperCase() }),
+  },
+  base: {
+    service: 'course-geohash-backfill',
+    env: process.env.NODE_ENV || 'development',
+  },
+});
+
+// ============================================================================
+// Main Execution Logic
+// ============================================================================
+
+/**
+ * 코스 아이템을 순회하며 geohash 속성을 갱신하는 메인 함수.
+ */
+const backfillGeohash = async () => {
+  logger.info({ table: TABLES.COURSE_DATA }, 'Starting course geohash backfill');
+
+  let lastEvaluatedKey;
+  let scanned = 0;
+  let updated = 0;
+  let skipped = 0;
+  const courses = [];
+
+  try {
+    do {
+      const response = await docClient.send(
+        new ScanCommand({
+          TableName: TABLES.COURSE_DATA,
+          FilterExpression: 'attribute_exists(course_id) AND attribute_not_exists(PK)',
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      for (const course of response.Items || []) {
+        scanned++;
+        courses.push({ course_difficulty: course.course_difficulty });
+        const attributes = getGeohashAttributes(course.start_lat, course.start_lon);
+
+        if (!attributes) {
+          skipped++;
+          logger.warn({ courseId: course.course_id }, 'Missing start coordinates, skipped');
+          continue;
+        }
+
+        if (course.geohash === attributes.geohash && course.geohash_cell === attributes.geohash_cell) {
+          continue;
+        }
+
+        await docClient.send(
+          new UpdateCommand({
+            TableName: TABLES.COURSE_DATA,
+            Key: { course_id: course.course_id },
+            UpdateExpression: 'set geohash = :geohash, geohash_cell = :cell',
+            ExpressionAttributeValues: {
+              ':geohash': attributes.geohash,
+              ':cell': attributes.geohash_cell,
+            },
+          })
+        );
+        updated++;
+        logger.debug({ courseId: course.course_id, ...attributes }, 'Geohash updated');
+      }
+
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    const catalogCount = countCourseCatalog(courses);
+    await docClient.send(
+      new PutCommand({
+        TableName: TABLES.USER_COURSE,
+        Item: { ...COURSE_CATALOG_COUNT_KEY, ...catalogCount, updated_at: new Date().toISOString() },
+      })
+    );
+    logger.info(catalogCount, 'Course catalog count saved');
+
+    logger.info({ scanned, updated, skipped }, 'Course geohash backfill complete');
+  } catch (error) {
+    logger.fatal({ err: error }, 'A critical error occurred during the backfill process');
+    process.exit(1);
+  }
+};
+
+// --- Execute the script ---
+backfillGeohash();
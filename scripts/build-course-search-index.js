@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Course Search Index Builder
+ *
+ * 시딩 스크립트(`seed-seoultrail-courses.js`, `seed-durunubi-course-information.js`)가 저장한
+ * 코스 메타데이터로 코스 검색 인덱스를 생성하고, S3에 업로드하는 스크립트이다.
+ * `GET /courses/search`는 요청마다 DynamoDB를 Scan하지 않고 이 인덱스만 사용하므로,
+ * 코스 메타데이터를 새로 시딩한 뒤에는 반드시 이 스크립트를 실행해야 한다.
+ *
+ * --------------------------------------------------------------------------------
+ * [Data Processing Strategy]
+ * 1. Load: `data/raw/trails/source={seoultrail,durunubi}/` 에서 가장 최근 `dt=` 파티션의
+ *    `meta/page=*.json.gz` 파일을 모두 읽음.
+ * 2. Build: `course_name`, `location`, `course_description`을 한국어 검색용으로 색인.
+ *    - 단어 및 2-gram term (필드별 가중치: 코스명 3, 위치 2, 설명 1)
+ *    - 구/시/군 등 행정구역 접미사를 뗀 형태 ("강남구" -> "강남")
+ *    - 코스명/위치의 자모 분해 문자열 및 초성 문자열 (입력 중 검색, 초성 검색)
+ * 3. Storage: `data/index/course-search-index.json.gz` 로 저장 후
+ *    S3 `search/course-search-index.json.gz` 경로에 업로드.
+ * --------------------------------------------------------------------------------
+ *
+ * [Required Environment Variables]
+ * - AWS 자격 증명 (`AWS_ACCESS_KEY_ID`, `AWS_SECRET_ACCESS_KEY`)
+ * - `LOG_LEVEL`: (Optional) 로그 레벨 (default: info)
+ * --------------------------------------------------------------------------------
+ *
+ * @requires dotenv
+ * @requires @aws-sdk/client-s3
+ * @requires fs/promises
+ * @requires pino
+ * @requires zlib
+ */
+
+require('dotenv').config();
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+const fs = require('fs/promises');
+const path = require('path');
+const pino = require('pino');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { s3Client, BUCKET_NAME } = require('../src/utils/course/course-gpx');
+const { SEARCH_INDEX_KEY, buildSearchIndex } = require('../src/utils/course/course-search');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// ============================================================================
+// Logger Configuration
+// ============================================================================
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: (label) => ({ level: label.toUpperCase() }),
+  },
+  base: {
+    service: 'course-search-indexer',
+    env: process.env.NODE_ENV || 'development',
+  },
+});
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+const TRAILS_DIR = path.join(process.cwd(), 'data', 'raw', 'trails');
+const SOURCES = ['seoultrail', 'durunubi'];
+const OUTPUT_PATH = path.join(process.cwd(), 'data', 'index', 'course-search-index.json.gz');
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * 소스별로 가장 최근 `dt=` 파티션의 메타데이터를 모두 읽어옵니다.
+ *
+ * @param {string} source - 'seoultrail' | 'durunubi'
+ * @returns {Promise<Object[]>} 코스 메타데이터 배열
+ */
+async function loadLatestMeta(source) {
+  const sourceDir = path.join(TRAILS_DIR, `source=${source}`);
+
+  let partitions;
+  try {
+    partitions = (await fs.readdir(sourceDir)).filter((name) => name.startsWith('dt=')).sort();
+  } catch (error) {
+    logger.warn({ source, sourceDir }, 'Source directory not found, skipped');
+    return [];
+  }
+
+  if (partitions.length === 0) {
+    logger.warn({ source }, 'No dt partition found, skipped');
+    return [];
+  }
+
+  const metaDir = path.join(sourceDir, partitions[partitions.length - 1], 'meta');
+  const files = (await fs.readdir(metaDir)).filter((name) => name.endsWith('.json.gz')).sort();
+
+  const courses = [];
+  for (const file of files) {
+    const content = await gunzip(await fs.readFile(path.join(metaDir, file)));
+    courses.push(...JSON.parse(content.toString('utf8')));
+  }
+
+  logger.info({ source, partition: partitions[partitions.length - 1], count: courses.length }, 'Loaded course metadata');
+  return courses;
+}
+
+// ============================================================================
+// Main Execution Logic
+// ============================================================================
+
+const buildIndex = async () => {
+  try {
+    const courses = [];
+    for (const source of SOURCES) {
+      courses.push(...(await loadLatestMeta(source)));
+    }
+
+    if (courses.length === 0) {
+      logger.fatal('No course metadata found. Run the seed scripts first.');
+      process.exit(1);
+    }
+
+    const index = buildSearchIndex(courses);
+    const compressed = await gzip(JSON.stringify(index));
+
+    await fs.mkdir(path.dirname(OUTPUT_PATH), { recursive: true });
+    await fs.writeFile(OUTPUT_PATH, compressed);
+    logger.info(
+      { file: OUTPUT_PATH, documents: index.documents.length, terms: Object.keys(index.postings).length },
+      'Search index saved'
+    );
+
+    await s3Client.send(
+      new PutObjectCommand({
+        Bucket: BUCKET_NAME,
+        Key: SEARCH_INDEX_KEY,
+        Body: compressed,
+        ContentType: 'application/gzip',
+      })
+    );
+    logger.info({ bucket: BUCKET_NAME, key: SEARCH_INDEX_KEY }, 'Search index uploaded');
+  } catch (error) {
+    logger.fatal({ err: error }, 'A critical error occurred while building the search index');
+    process.exit(1);
+  }
+};
+
+// --- Execute the script ---
+buildIndex();
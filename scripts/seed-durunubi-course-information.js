@@ -22,6 +22,8 @@
  *    - `crsLevel` -> `course_difficulty`: 난이도 (1:하, 2:중, 3:상)
  *    - `crsContents` -> `course_description`: 코스 설명
  *    - `sigun` -> `location`: 소재지 (시군구)
+ *    - 같은 날짜의 `gpx/{crsIdx}.gpx` -> `start_lat`, `start_lon`, `geohash`, `geohash_cell`
+ *      (가까운 코스 조회용 `course_geohash_index` 키. fetch-durunubi-gpx.js를 먼저 실행)
  * 3. Storage: `data/raw/trails/source=durunubi/dt={YYYY-MM-DD}/meta/` 폴더에
  *    `page={XXXX}.json.gz` 형식으로 압축 저장.
  * --------------------------------------------------------------------------------
@@ -61,6 +63,8 @@ const path = require('path');
 const pino = require('pino');
 const zlib = require('zlib');
 const { promisify } = require('util');
+const { toGeoJson, getLineSegments } = require('../src/utils/course/course-export');
+const { getGeohashAttributes } = require('../src/utils/course/course-geohash');
 
 const gzip = promisify(zlib.gzip);
 
@@ -125,6 +129,32 @@ const mapDifficulty = (level) => {
   }
 };
 
+/**
+ * 같은 날짜 파티션의 `gpx/` 폴더에서 코스 GPX를 읽어 시작 좌표와 geohash 인덱스 속성을 만듭니다.
+ * 가까운 코스 조회(`course_geohash_index`)에 필요하므로, GPX가 없으면 경고를 남기고
+ * 적재 후 `scripts/backfill-course-geohash.js`로 채워야 한다.
+ * @param {string} gpxDir - GPX 폴더
+ * @param {string} courseId - 코스 ID (GPX 파일명: `{course_id}.gpx`)
+ * @returns {Promise<{start_lat: number, start_lon: number, geohash: string, geohash_cell: string}|null>}
+ */
+const readStartLocation = async (gpxDir, courseId) => {
+  let gpxContent;
+  try {
+    gpxContent = await fs.readFile(path.join(gpxDir, `${courseId}.gpx`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  // 웨이포인트는 트랙 뒤에 올 수 있으므로 선형 geometry의 첫 점을 시작점으로 사용
+  const [firstSegment] = getLineSegments(toGeoJson(gpxContent));
+  if (!firstSegment || firstSegment.length === 0) return null;
+
+  const [lon, lat] = firstSegment[0];
+  const geohashAttributes = getGeohashAttributes(lat, lon);
+  return geohashAttributes ? { start_lat: lat, start_lon: lon, ...geohashAttributes } : null;
+};
+
 // ============================================================================
 // Main Execution Logic
 // ============================================================================
@@ -144,8 +174,10 @@ const seedDatabase = async () => {
   const baseDir = path.join(process.cwd(), 'data', 'raw', 'trails', 'source=durunubi', `dt=${dateStr}`);
   // Metadata will be saved in the 'meta' subdir
   const metaDir = path.join(baseDir, 'meta');
+  // 시작 좌표는 fetch-durunubi-gpx.js가 저장한 GPX에서 읽음
+  const gpxDir = path.join(baseDir, 'gpx');
 
-  logger.info({ metaDir }, 'Starting Durunubi course meta data collection');
+  logger.info({ metaDir, gpxDir }, 'Starting Durunubi course meta data collection');
   
   try {
     // 메타데이터 저장 디렉토리 생성
@@ -177,7 +209,12 @@ const seedDatabase = async () => {
       const items = Array.isArray(body.items.item) ? body.items.item : [body.items.item];
       logger.info({ count: items.length, pageNo }, 'Processing items...');
 
-      const processedItems = items.map((/** @type {CourseItem} */ item) => {
+      const processedItems = await Promise.all(items.map(async (/** @type {CourseItem} */ item) => {
+        const startLocation = await readStartLocation(gpxDir, item.crsIdx);
+        if (!startLocation) {
+          logger.warn({ courseId: item.crsIdx }, 'GPX start point not found, geohash must be backfilled');
+        }
+
         // 새로운 스키마에 맞게 데이터 객체 구성
         return {
           course_id: item.crsIdx,
@@ -188,8 +225,9 @@ const seedDatabase = async () => {
           course_difficulty: mapDifficulty(item.crsLevel),
           course_description: item.crsContents,
           location: item.sigun,
+          ...startLocation,
         };
-      });
+      }));
 
       // 파일 저장 (JSON.gz)
       if (processedItems.length > 0) {
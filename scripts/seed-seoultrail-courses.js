@@ -21,6 +21,8 @@
  *    - `LV_CD` -> `course_difficulty`: 난이도 매핑 (초급->하, 중급->중, 상급->상)
  *    - `GIL_EXPLN` -> `course_description`: 설명 (개행 문자 제거)
  *    - `STRT_PSTN` -> `location`: 시작 지점 주소
+ *    - 같은 날짜의 `gpx/{course_id}.gpx` -> `start_lat`, `start_lon`, `geohash`, `geohash_cell`
+ *      (가까운 코스 조회용 `course_geohash_index` 키. fetch-seoultrail-gpx.js를 먼저 실행)
  * 3. Storage: `data/raw/trails/source=seoultrail/dt={YYYY-MM-DD}/meta/` 폴더에
  *    `page=0001.json.gz` 형식으로 압축 저장.
  * --------------------------------------------------------------------------------
@@ -58,6 +60,8 @@ const path = require('path');
 const pino = require('pino');
 const zlib = require('zlib');
 const { promisify } = require('util');
+const { toGeoJson, getLineSegments } = require('../src/utils/course/course-export');
+const { getGeohashAttributes } = require('../src/utils/course/course-geohash');
 
 const gzip = promisify(zlib.gzip);
 
@@ -137,6 +141,32 @@ const parseDuration = (timeString) => {
   return totalMinutes > 0 ? totalMinutes : null;
 };
 
+/**
+ * 같은 날짜 파티션의 `gpx/` 폴더에서 코스 GPX를 읽어 시작 좌표와 geohash 인덱스 속성을 만듭니다.
+ * 가까운 코스 조회(`course_geohash_index`)에 필요하므로, GPX가 없으면 경고를 남기고
+ * 적재 후 `scripts/backfill-course-geohash.js`로 채워야 한다.
+ * @param {string} gpxDir - GPX 폴더
+ * @param {string} courseId - 코스 ID (GPX 파일명: `{course_id}.gpx`)
+ * @returns {Promise<{start_lat: number, start_lon: number, geohash: string, geohash_cell: string}|null>}
+ */
+const readStartLocation = async (gpxDir, courseId) => {
+  let gpxContent;
+  try {
+    gpxContent = await fs.readFile(path.join(gpxDir, `${courseId}.gpx`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  // 웨이포인트는 트랙 뒤에 올 수 있으므로 선형 geometry의 첫 점을 시작점으로 사용
+  const [firstSegment] = getLineSegments(toGeoJson(gpxContent));
+  if (!firstSegment || firstSegment.length === 0) return null;
+
+  const [lon, lat] = firstSegment[0];
+  const geohashAttributes = getGeohashAttributes(lat, lon);
+  return geohashAttributes ? { start_lat: lat, start_lon: lon, ...geohashAttributes } : null;
+};
+
 // ============================================================================ 
 // Main Execution Logic
 // ============================================================================ 
@@ -146,8 +176,10 @@ const seedDatabase = async () => {
   const baseDir = path.join(process.cwd(), 'data', 'raw', 'trails', 'source=seoultrail', `dt=${dateStr}`);
   // Metadata will be saved in the 'meta' subdir
   const metaDir = path.join(baseDir, 'meta');
+  // 시작 좌표는 fetch-seoultrail-gpx.js가 저장한 GPX에서 읽음
+  const gpxDir = path.join(baseDir, 'gpx');
 
-  logger.info({ metaDir, apiUrl: API_URL }, 'Starting Seoul Trail course meta data collection');
+  logger.info({ metaDir, gpxDir, apiUrl: API_URL }, 'Starting Seoul Trail course meta data collection');
   
   let totalSaved = 0;
 
@@ -167,9 +199,13 @@ const seedDatabase = async () => {
 
     logger.info({ count: rows.length }, 'Processing items...');
 
-    const processedItems = rows.map((/** @type {SeoulTrailItem} */ item) => {
+    const processedItems = await Promise.all(rows.map(async (/** @type {SeoulTrailItem} */ item) => {
       // 서울둘레길 ID 규칙: seoultrail_{ROAD_NO}
       const courseId = `seoultrail_${item.ROAD_NO}`;
+      const startLocation = await readStartLocation(gpxDir, courseId);
+      if (!startLocation) {
+        logger.warn({ courseId }, 'GPX start point not found, geohash must be backfilled');
+      }
 
       return {
         course_id: courseId,
@@ -180,8 +216,9 @@ const seedDatabase = async () => {
         course_difficulty: mapDifficulty(item.LV_KORN),
         course_description: item.ROAD_EXPLN ? item.ROAD_EXPLN.replace(/\r\n/g, ' ') : null,
         location: item.BGNG_PSTN,
+        ...startLocation,
       };
-    });
+    }));
 
     // 파일 저장 (JSON.gz)
     if (processedItems.length > 0) {
@@ -23,6 +23,8 @@ const TABLES = {
 const GSI = {
   SAVED_COURSE: 'usercourse_saved_at_index',
   RECENT_COURSE: 'usercourse_updated_at_index',
+  // COURSE_DATA_TABLE: geohash_cell(PK) + geohash(SK), projection ALL
+  COURSE_GEOHASH: 'course_geohash_index',
 };
 
 // For backward compatibility with courseService
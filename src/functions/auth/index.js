@@ -2,7 +2,10 @@ const { logger } = require('../../utils/logger');
 const { success, error } = require('../../utils/response');
 const { ServerError, ERROR_CODES } = require('../../utils/error');
 const authService = require('../../services/authService');
-const { getAccessToken, getUserId } = require('../../utils/auth');
+const socialAuthService = require('../../services/socialAuthService');
+const sessionService = require('../../services/sessionService');
+const mfaService = require('../../services/mfaService');
+const { getUserId, requireUserId, requireAccessToken, getClientInfo } = require('../../utils/auth');
 
 exports.handler = async (event) => {
   // API Gateway V2의 routeKey (예: "POST /auth/login")
@@ -23,8 +26,38 @@ exports.handler = async (event) => {
         statusCode = 201;
         break;
 
+      case 'POST /auth/register/verify':
+        result = await authService.verifyRegistration(body);
+        break;
+
+      case 'POST /auth/register/resend-code':
+        result = await authService.resendRegistrationCode(body);
+        break;
+
       case 'POST /auth/login':
-        result = await authService.login(body);
+        result = await authService.login(body, getClientInfo(event));
+        break;
+
+      case 'POST /auth/login/challenge':
+        result = await authService.respondToLoginChallenge(body, getClientInfo(event));
+        break;
+
+      case 'POST /auth/mfa/totp/setup': {
+        const mfaUserId = requireUserId(event);
+        const mfaToken = requireAccessToken(event);
+        result = await mfaService.setupTotp(mfaUserId, mfaToken);
+        break;
+      }
+
+      case 'POST /auth/mfa/totp/verify': {
+        const mfaUserId = requireUserId(event);
+        const mfaToken = requireAccessToken(event);
+        result = await mfaService.verifyTotp(mfaUserId, mfaToken, body);
+        break;
+      }
+
+      case 'POST /auth/social/{provider}':
+        result = await socialAuthService.socialLogin(event.pathParameters?.provider, body, getClientInfo(event));
         break;
 
       case 'POST /auth/refresh-token':
@@ -32,13 +65,24 @@ exports.handler = async (event) => {
         break;
 
       case 'POST /auth/logout':
-        const accessToken = getAccessToken(event);
-        if (!accessToken) {
-             throw new ServerError(ERROR_CODES.UNAUTHORIZED, 401, { message: '토큰이 필요합니다.' });
-        }
+        const accessToken = requireAccessToken(event);
         result = await authService.logout(accessToken);
         break;
 
+      case 'GET /auth/sessions': {
+        const sessionUserId = requireUserId(event);
+        const sessionToken = requireAccessToken(event);
+        result = await sessionService.listSessions(sessionUserId, sessionToken, getClientInfo(event).deviceKey);
+        break;
+      }
+
+      case 'DELETE /auth/sessions/{deviceKey}': {
+        const sessionUserId = requireUserId(event);
+        const sessionToken = requireAccessToken(event);
+        result = await sessionService.revokeSession(sessionUserId, sessionToken, event.pathParameters?.deviceKey);
+        break;
+      }
+
       case 'POST /auth/forgot-password/send':
         result = await authService.forgotPasswordSend(body);
         break;
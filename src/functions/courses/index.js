@@ -1,8 +1,9 @@
 const { logger } = require('../../utils/logger');
-const { success, error } = require('../../utils/response');
+const { success, raw, error } = require('../../utils/response');
 const { ServerError, ERROR_CODES } = require('../../utils/error');
 const coursesService = require('../../services/coursesService');
 const { getUserId } = require('../../utils/auth');
+const { validateBody, courseProgressSchema } = require('../../utils/validation');
 
 exports.handler = async (event) => {
   const routeKey = event.routeKey;
@@ -19,11 +20,23 @@ exports.handler = async (event) => {
 
     switch (routeKey) {
       case 'GET /courses/home':
-        result = await coursesService.getHomeCourses(query);
+        result = await coursesService.getHomeCourses(query, userId);
         break;
 
       case 'GET /courses/course':
-        result = await coursesService.getCourseList(query);
+        result = await coursesService.getCourseList(query, userId);
+        break;
+
+      case 'GET /courses/recommendations':
+        result = await coursesService.getRecommendations(query, userId);
+        break;
+
+      case 'GET /courses/trending':
+        result = await coursesService.getTrending(query, userId);
+        break;
+
+      case 'GET /courses/search':
+        result = await coursesService.searchCourses(query, userId);
         break;
 
       case 'GET /courses/{courseId}':
@@ -31,10 +44,37 @@ exports.handler = async (event) => {
         result = await coursesService.getCourse(courseId, userId);
         break;
 
+      case 'GET /courses/{courseId}/elevation':
+        if (!courseId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        result = await coursesService.getElevation(courseId);
+        break;
+
       case 'GET /courses/{courseId}/coordinates':
         if (!courseId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
-        result = await coursesService.getCoordinates(courseId, userId);
+        if (query.format && query.format !== 'json') {
+          const exported = await coursesService.exportCoordinates(courseId, userId, query);
+          return raw(exported.body, exported.contentType);
+        }
+        result = await coursesService.getCoordinates(courseId, userId, query);
+        break;
+
+      case 'POST /courses/{courseId}/progress': {
+        if (!courseId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        let body;
+        try {
+          body = event.body ? JSON.parse(event.body) : {};
+        } catch (err) {
+          throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
+            errors: [{ field: 'body', message: '요청 본문이 올바른 JSON이 아닙니다.' }],
+          });
+        }
+        const validation = validateBody(courseProgressSchema, body);
+        if (!validation.success) {
+          throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, { errors: validation.errors });
+        }
+        result = await coursesService.getProgress(courseId, userId, validation.data);
         break;
+      }
 
       default:
         logger.warn('Route not found in Courses handler', { routeKey });
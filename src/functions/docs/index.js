@@ -17,6 +17,9 @@ const openApiSpec = {
     { name: 'Weather', description: '날씨 정보 조회' },
     { name: 'Medical', description: '병원 및 약국 정보 조회' },
     { name: 'User Courses', description: '사용자 저장 코스 및 히스토리 관리 (User 도메인 하위)' },
+    { name: 'User Walks', description: '걷기 세션 기록 (User 도메인 하위)' },
+    { name: 'User Goals', description: '걷기 목표 관리 (User 도메인 하위)' },
+    { name: 'User Achievements', description: '업적 및 배지 (User 도메인 하위)' },
   ],
   components: {
     securitySchemes: {
@@ -83,12 +86,182 @@ const openApiSpec = {
           updated_at: { type: 'string', format: 'date-time' },
         },
       },
+      Walk: {
+        type: 'object',
+        description: '걷기 세션. 거리와 시간은 서버가 GPS 좌표로 계산합니다.',
+        properties: {
+          walk_id: { type: 'string', description: '걷기 세션 ID (UUID v7)' },
+          course_id: { type: 'string', nullable: true, description: '걷는 코스 ID (자유 걷기는 null)', example: 'seoultrail_1' },
+          status: { type: 'string', enum: ['active', 'paused', 'finished'] },
+          started_at: { type: 'string', format: 'date-time' },
+          ended_at: { type: 'string', format: 'date-time', nullable: true },
+          point_count: { type: 'integer', description: '반영된 GPS 좌표 수' },
+          distance_km: { type: 'number', description: '걸은 거리 (km)', example: 3.214 },
+          duration_s: { type: 'integer', description: '일시정지를 제외한 경과 시간 (초)' },
+          moving_time_s: { type: 'integer', description: '실제로 이동한 시간 (초)' },
+          avg_pace_sec_per_km: { type: 'integer', nullable: true, description: '평균 페이스 (초/km, 이동 시간 기준)' },
+          avg_speed_kmh: { type: 'number', nullable: true, description: '평균 속도 (km/h, 이동 시간 기준)' },
+          elevation_gain_m: { type: 'number', description: '누적 상승 고도 (m)' },
+          course_match: { allOf: [{ $ref: '#/components/schemas/CourseMatch' }], nullable: true, description: '코스 경로와의 비교 결과 (코스를 지정해 종료한 걷기에만 포함)' },
+        },
+      },
+      CourseMatch: {
+        type: 'object',
+        description: '걸은 경로와 코스 경로의 비교 결과. 커버리지 90% 이상, 정방향, 시작점과 끝점 도달을 모두 만족하면 완주로 기록됩니다.',
+        properties: {
+          coverage_pct: { type: 'number', description: '걸은 경로에서 50m 이내에 있는 코스 구간의 비율 (%)', example: 96.4 },
+          direction: { type: 'string', enum: ['forward', 'reverse', 'unknown'], description: '코스 진행 방향' },
+          start_reached: { type: 'boolean', description: '코스 시작점 100m 이내 도달 여부' },
+          end_reached: { type: 'boolean', description: '코스 끝점 100m 이내 도달 여부' },
+          completed: { type: 'boolean', description: '완주 여부' },
+          completion: { $ref: '#/components/schemas/CourseCompletion' },
+        },
+      },
+      CourseCompletion: {
+        type: 'object',
+        description: '사용자의 코스 완주 기록',
+        properties: {
+          completed: { type: 'boolean', example: true },
+          first_completed_at: { type: 'string', format: 'date-time', nullable: true },
+          last_completed_at: { type: 'string', format: 'date-time', nullable: true },
+          completion_count: { type: 'integer', example: 2 },
+        },
+      },
+      WalkPage: {
+        type: 'object',
+        properties: {
+          walks: { type: 'array', items: { $ref: '#/components/schemas/Walk' } },
+          nextCursor: { type: 'string', nullable: true, description: '다음 페이지 커서 (마지막 페이지면 null)' },
+        },
+      },
+      WalkDetail: {
+        allOf: [
+          { $ref: '#/components/schemas/Walk' },
+          {
+            type: 'object',
+            properties: {
+              pauses: { type: 'array', items: { type: 'object', properties: { paused_at: { type: 'string', format: 'date-time' }, resumed_at: { type: 'string', format: 'date-time', nullable: true } } } },
+              course: { type: 'object', nullable: true, description: '걸은 코스 (자유 걷기는 null)', properties: { course_id: { type: 'string' }, course_name: { type: 'string' }, course_type: { type: 'string' }, course_length: { type: 'string' }, course_difficulty: { type: 'string' } } },
+              track: { type: 'object', nullable: true, description: 'GeoJSON Feature (LineString, 일시정지로 나뉘면 MultiLineString). 좌표별 시각은 properties.coordinateProperties.times' },
+              splits: {
+                type: 'array',
+                description: '1km 구간 기록 (마지막 구간은 1km 미만일 수 있음)',
+                items: {
+                  type: 'object',
+                  properties: {
+                    km: { type: 'integer', example: 1 },
+                    distance_km: { type: 'number', example: 1 },
+                    duration_s: { type: 'integer', example: 702 },
+                    pace_sec_per_km: { type: 'integer', nullable: true, example: 702 },
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+      PeriodStats: {
+        type: 'object',
+        description: '기간별 걷기 통계 (KST 기준, 걷기 기록 시 누적된 값)',
+        properties: {
+          period: { type: 'string', enum: ['day', 'week', 'month'] },
+          from: { type: 'string', format: 'date', description: '첫 구간 시작일' },
+          to: { type: 'string', format: 'date', description: '마지막 구간 종료일' },
+          buckets: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                period_start: { type: 'string', format: 'date', description: '구간 시작일 (주는 월요일)', example: '2026-10-12' },
+                period_end: { type: 'string', format: 'date', example: '2026-10-18' },
+                distance_km: { type: 'number', example: 12.4 },
+                duration_minutes: { type: 'number', example: 185 },
+                walk_count: { type: 'integer', example: 3 },
+                courses_completed: { type: 'integer', example: 1 },
+                elevation_gain_m: { type: 'number', example: 230 },
+              },
+            },
+          },
+        },
+      },
+      Goal: {
+        type: 'object',
+        properties: {
+          goal_id: { type: 'string' },
+          metric: { type: 'string', enum: ['distance', 'walk_count', 'course_count'], description: '거리(km), 걷기 횟수, 완주한 코스 수' },
+          period: { type: 'string', enum: ['day', 'week', 'month'], description: '목표 기간 (KST, 주는 월요일 시작)' },
+          target: { type: 'number', example: 20 },
+          created_at: { type: 'string', format: 'date-time' },
+          updated_at: { type: 'string', format: 'date-time' },
+          progress: {
+            type: 'object',
+            description: '현재 기간의 진행 상황',
+            properties: {
+              period_start: { type: 'string', format: 'date', example: '2026-10-12' },
+              period_end: { type: 'string', format: 'date', example: '2026-10-18' },
+              current: { type: 'number', example: 12.4 },
+              target: { type: 'number', example: 20 },
+              percent: { type: 'number', description: '달성률 (최대 100)', example: 62 },
+              achieved: { type: 'boolean' },
+            },
+          },
+        },
+      },
+      Streak: {
+        type: 'object',
+        description: '연속 걷기 일수 (KST 날짜 기준, 오늘 아직 걷지 않았어도 어제까지 이어졌으면 유지)',
+        properties: {
+          current: { type: 'integer', example: 4 },
+          longest: { type: 'integer', example: 12 },
+          last_walk_date: { type: 'string', format: 'date', nullable: true },
+        },
+      },
+      Achievement: {
+        type: 'object',
+        properties: {
+          achievement_id: { type: 'string', example: 'distance_100km' },
+          name: { type: 'string', example: '100km 달성' },
+          description: { type: 'string', example: '누적 100km를 걸었어요.' },
+          earned: { type: 'boolean' },
+          earned_at: { type: 'string', format: 'date-time', nullable: true },
+          progress: {
+            type: 'object',
+            nullable: true,
+            description: '진행률. 달성한 업적은 null',
+            properties: {
+              current: { type: 'number', example: 42.5 },
+              target: { type: 'number', example: 100 },
+              percent: { type: 'number', example: 42.5 },
+            },
+          },
+        },
+      },
+      ExportJob: {
+        type: 'object',
+        description: '개인 데이터 내보내기 작업',
+        properties: {
+          job_id: { type: 'string', description: '작업 ID (UUID v7)' },
+          status: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed', 'expired'] },
+          created_at: { type: 'string', format: 'date-time' },
+          completed_at: { type: 'string', format: 'date-time', nullable: true },
+          expires_at: { type: 'string', format: 'date-time', nullable: true, description: '파일 보관 기한 (완료 후 7일)' },
+          file_size_bytes: { type: 'integer', nullable: true },
+          file_count: { type: 'integer', nullable: true, description: 'ZIP에 담긴 파일 수' },
+          error: { type: 'string', nullable: true },
+          download_url: { type: 'string', nullable: true, description: 'ZIP 다운로드 링크 (완료된 작업만, 조회할 때마다 새로 발급)' },
+          download_url_expires_at: { type: 'string', format: 'date-time', nullable: true, description: '다운로드 링크 만료 시각 (발급 후 1시간)' },
+        },
+      },
       UserStat: {
         type: 'object',
         properties: {
           user_id: { type: 'string', format: 'uuid' },
           total_walk_distance_km: { type: 'number', format: 'decimal' },
+          pace_factor: { type: 'number', nullable: true, description: '표준 보행자 대비 사용자 보행 속도 (시간이 기록된 걷기 기록이 없으면 null)', example: 0.92 },
           updated_at: { type: 'string', format: 'date-time' },
+          streak: { $ref: '#/components/schemas/Streak' },
+          goals: { type: 'array', items: { $ref: '#/components/schemas/Goal' } },
+          period_stats: { allOf: [{ $ref: '#/components/schemas/PeriodStats' }], description: 'period 파라미터를 지정한 경우에만 포함' },
         },
       },
       Course: {
@@ -100,6 +273,7 @@ const openApiSpec = {
           course_length: { type: 'number', format: 'decimal', description: '코스 길이 (km)', example: 18.6 },
           course_duration: { type: 'integer', description: '예상 소요 시간 (분)', example: 360 },
           course_difficulty: { type: 'string', enum: ['하', '중', '상'], description: '난이도', example: '중' },
+          estimated_duration_minutes: { type: 'integer', nullable: true, description: '요청한 사용자의 걷기 기록과 코스 경사를 반영한 예상 소요 시간 (분)', example: 384 },
           course_description: { type: 'string', description: '코스 설명', example: '개화산과 방화동을 거쳐 길동자연생태공원까지' },
           location: { type: 'string', description: '위치 정보', example: '서울시 강서구' },
           start_lat: { type: 'number', format: 'decimal', description: '시작 위도', example: 37.5665 },
@@ -140,6 +314,57 @@ const openApiSpec = {
               distance_from_course_km: { type: 'number', format: 'float', description: '코스로부터의 거리 (km)', example: 2.5 },
             },
           },
+          course_metrics: {
+            type: 'object',
+            nullable: true,
+            description: 'GPX 트랙으로 계산한 실제 코스 지표 (GPX가 없으면 null)',
+            properties: {
+              track_length_km: { type: 'number', description: '트랙 실측 길이 (km, Haversine)', example: 18.412 },
+              bbox: {
+                type: 'object',
+                properties: {
+                  min_lat: { type: 'number', example: 37.5502 },
+                  min_lon: { type: 'number', example: 126.8011 },
+                  max_lat: { type: 'number', example: 37.5871 },
+                  max_lon: { type: 'number', example: 126.8652 },
+                },
+              },
+              centroid: { $ref: '#/components/schemas/CoordinatePoint' },
+              start_point: { $ref: '#/components/schemas/CoordinatePoint' },
+              end_point: { $ref: '#/components/schemas/CoordinatePoint' },
+              start_end_distance_m: { type: 'number', description: '시작점과 끝점 사이 직선 거리 (m)', example: 3421.5 },
+              route_type: { type: 'string', enum: ['loop', 'point_to_point'], description: '순환 코스 여부', example: 'point_to_point' },
+              segment_count: { type: 'integer', description: '트랙 구간(trkseg) 수', example: 1 },
+              point_count: { type: 'integer', description: '트랙 좌표 수', example: 2841 },
+            },
+          },
+          popularity: {
+            type: 'object',
+            description: '최근 7일/30일 인기도 (1시간마다 집계, 활동이 없던 코스에는 없음). 순 조회자 수는 하루 단위로 센 조회자 수의 합',
+            properties: {
+              views_7d: { type: 'integer', example: 132 },
+              unique_viewers_7d: { type: 'integer', example: 87 },
+              saves_7d: { type: 'integer', example: 12 },
+              score_7d: { type: 'integer', description: '조회수 + 순 조회자 수 x 2 + 저장 수 x 5', example: 366 },
+              views_30d: { type: 'integer', example: 540 },
+              unique_viewers_30d: { type: 'integer', example: 301 },
+              saves_30d: { type: 'integer', example: 41 },
+              score_30d: { type: 'integer', example: 1347 },
+              updated_at: { type: 'string', format: 'date-time' },
+            },
+          },
+          elevation_summary: {
+            type: 'object',
+            description: '고도 요약 (고도 프로필이 계산된 코스에만 포함)',
+            properties: {
+              total_ascent_m: { type: 'number', description: '총 상승 고도 (m)', example: 512.4 },
+              total_descent_m: { type: 'number', description: '총 하강 고도 (m)', example: 498.1 },
+              min_elevation_m: { type: 'number', description: '최저 고도 (m)', example: 21.3 },
+              max_elevation_m: { type: 'number', description: '최고 고도 (m)', example: 287.9 },
+              max_grade_pct: { type: 'number', description: '최대 오르막 경사도 (%)', example: 18.2 },
+            },
+          },
+          completion: { allOf: [{ $ref: '#/components/schemas/CourseCompletion' }], nullable: true, description: '요청한 사용자의 완주 기록 (비로그인 요청은 null)' },
         },
       },
       AuthResponse: {
@@ -155,6 +380,8 @@ const openApiSpec = {
               nickname: { type: 'string', description: '닉네임', example: '홍길동' },
             },
           },
+          deviceKey: { type: 'string', nullable: true, description: '이 기기의 키. 다음 로그인과 토큰 갱신 때 함께 전달', example: 'ap-northeast-2_0f1e2d3c-4b5a-6978-8a9b-0c1d2e3f4a5b' },
+          deviceRemembered: { type: 'boolean', nullable: true, description: '이 기기를 기억하는지. 기존 기기로 로그인하며 rememberDevice를 보내지 않으면 null', example: false },
         },
       },
       UserProfile: {
@@ -168,6 +395,7 @@ const openApiSpec = {
           allow_location_storage: { type: 'boolean', description: '위치 정보 저장 허용 여부', example: true },
           saved_courses_count: { type: 'integer', description: '저장한 코스 개수', example: 5 },
           recent_courses_count: { type: 'integer', description: '최근 본 코스 개수', example: 10 },
+          completed_courses_count: { type: 'integer', description: '완주한 코스 개수', example: 3 },
         },
       },
       MedicalFacility: {
@@ -215,6 +443,54 @@ const openApiSpec = {
           lon: { type: 'number', format: 'float', description: '경도', example: 127.045876 },
         },
       },
+      ElevationProfile: {
+        type: 'object',
+        properties: {
+          course_id: { type: 'string', example: 'seoultrail_1' },
+          has_elevation: { type: 'boolean', description: 'GPX에 고도(ele) 정보가 있는지 여부. false이면 고도 관련 값은 null입니다.', example: true },
+          total_distance_km: { type: 'number', description: 'GPX 트랙 기준 총 거리 (km)', example: 18.412 },
+          total_ascent_m: { type: 'number', nullable: true, description: '총 상승 고도 (m, 3m 미만의 변화는 노이즈로 간주)', example: 512.4 },
+          total_descent_m: { type: 'number', nullable: true, description: '총 하강 고도 (m)', example: 498.1 },
+          min_elevation_m: { type: 'number', nullable: true, example: 21.3 },
+          max_elevation_m: { type: 'number', nullable: true, example: 287.9 },
+          max_grade_pct: { type: 'number', nullable: true, description: '100m 구간 기준 최대 오르막 경사도 (%)', example: 18.2 },
+          min_grade_pct: { type: 'number', nullable: true, description: '100m 구간 기준 최대 내리막 경사도 (%, 음수)', example: -15.7 },
+          steepest_segments: {
+            type: 'array',
+            description: '경사도 절댓값이 가장 큰 100m 구간 (최대 5개)',
+            items: {
+              type: 'object',
+              properties: {
+                start_km: { type: 'number', example: 3.2 },
+                end_km: { type: 'number', example: 3.3 },
+                start_elevation_m: { type: 'number', example: 120.5 },
+                end_elevation_m: { type: 'number', example: 138.7 },
+                grade_pct: { type: 'number', example: 18.2 },
+              },
+            },
+          },
+          profile: {
+            type: 'array',
+            description: '거리-고도 프로필 (최대 약 300개 지점)',
+            items: {
+              type: 'object',
+              properties: {
+                distance_km: { type: 'number', example: 0.061 },
+                elevation_m: { type: 'number', example: 35.2 },
+              },
+            },
+          },
+          computed_at: { type: 'string', format: 'date-time', description: '계산 시각' },
+        },
+      },
+      CoursePage: {
+        type: 'object',
+        properties: {
+          courses: { type: 'array', items: { $ref: '#/components/schemas/Course' } },
+          nextCursor: { type: 'string', nullable: true, description: '다음 페이지 커서 (마지막 페이지면 null)', example: 'eyJzb3J0QnkiOiJkaXN0YW5jZSIs...' },
+          total: { type: 'integer', description: '조건(난이도)에 맞는 전체 코스 수. 모든 페이지에서 같은 값', example: 42 },
+        },
+      },
       UserRecentCourse: {
         type: 'object',
         properties: {
@@ -289,7 +565,7 @@ const openApiSpec = {
     '/auth/login': {
       post: {
         summary: '사용자 로그인',
-        description: '이메일과 비밀번호로 로그인하고 액세스 토큰을 발급받습니다.',
+        description: '이메일과 비밀번호로 로그인하고 액세스 토큰을 발급받습니다. TOTP MFA를 켠 사용자는 토큰 대신 challengeName(SOFTWARE_TOKEN_MFA)과 session을 받으며, /auth/login/challenge로 로그인을 마칩니다. 로그인한 기기는 /auth/sessions 목록에 표시되며, 응답의 deviceKey를 저장해 두었다가 다음 로그인과 토큰 갱신 때 함께 보내야 같은 기기로 인식됩니다. 모든 기기는 기억하지 않는 상태로 등록되고, 사용자가 "이 기기 기억하기"를 선택해 rememberDevice: true를 보낸 경우에만 기억된 기기가 됩니다(응답의 deviceRemembered, 기기 목록의 remembered). 기억을 해제하려면 같은 deviceKey로 로그인하며 rememberDevice: false를 보냅니다.',
         tags: ['Auth'],
         requestBody: {
           required: true,
@@ -301,15 +577,88 @@ const openApiSpec = {
                 properties: {
                   email: { type: 'string', format: 'email', example: 'user@example.com' },
                   password: { type: 'string', format: 'password', example: 'password123' },
+                  deviceKey: { type: 'string', description: '이전 로그인에서 받은 기기 키. 없으면 새 기기로 등록' },
+                  deviceName: { type: 'string', maxLength: 100, description: '기기 목록에 표시할 이름', example: 'iPhone 15' },
+                  rememberDevice: { type: 'boolean', description: '이 기기 기억하기. true이면 기억된 기기(remembered)로 표시되고, 기존 기기에 false를 보내면 기억을 해제', example: true },
                 },
               },
             },
           },
         },
         responses: {
-          200: { description: '로그인 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthResponse' } } } },
+          200: {
+            description: '로그인 성공 또는 MFA 챌린지',
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    { $ref: '#/components/schemas/AuthResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        challengeName: { type: 'string', enum: ['SOFTWARE_TOKEN_MFA'] },
+                        session: { type: 'string', description: '챌린지 세션 (3분간 유효)' },
+                        email: { type: 'string', format: 'email' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
           400: { description: '입력값이 유효하지 않음' },
           401: { description: '이메일 또는 비밀번호가 일치하지 않음' },
+          403: { description: '이메일 인증이 완료되지 않음 (EMAIL_NOT_VERIFIED). /auth/register/verify로 인증 필요' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/auth/login/challenge': {
+      post: {
+        summary: '로그인 MFA 챌린지 응답',
+        description: '/auth/login 또는 /auth/social/{provider}에서 받은 session과 인증 앱의 6자리 코드로 로그인을 마칩니다. 인증 앱을 잃어버렸으면 code 대신 recoveryCode를 보냅니다. 복구 코드는 한 번씩만 쓸 수 있으며, 사용해도 TOTP MFA는 켜진 채로 유지됩니다. 응답의 recoveryCodesRemaining으로 남은 복구 코드 수를 알려주며, 모두 쓰기 전에 /auth/mfa/totp/setup으로 인증 앱을 다시 설정하면 새 복구 코드를 받습니다.',
+        tags: ['Auth'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email', 'session'],
+                properties: {
+                  email: { type: 'string', format: 'email', example: 'user@example.com' },
+                  session: { type: 'string', description: '/auth/login 응답의 session' },
+                  code: { type: 'string', description: '인증 앱의 6자리 코드', example: '123456' },
+                  recoveryCode: { type: 'string', description: '복구 코드 (code 대신)', example: 'ABCDE-FGHJK' },
+                  deviceKey: { type: 'string', description: '로그인 요청에 보낸 기기 키' },
+                  deviceName: { type: 'string', maxLength: 100, description: '기기 목록에 표시할 이름' },
+                  rememberDevice: { type: 'boolean', description: '이 기기 기억하기' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: '로그인 성공',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/AuthResponse' },
+                    {
+                      type: 'object',
+                      properties: {
+                        recoveryCodesRemaining: { type: 'integer', description: '복구 코드로 로그인한 경우 남은 복구 코드 수', example: 9 },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: { description: '입력값이 유효하지 않거나 인증 코드가 일치하지 않음 (INVALID_VERIFICATION_CODE)' },
+          401: { description: '세션 만료 (MFA_SESSION_EXPIRED) 또는 잘못된 복구 코드 (INVALID_RECOVERY_CODE). 다시 로그인 필요' },
           500: { description: '서버 오류' },
         },
       },
@@ -328,10 +677,78 @@ const openApiSpec = {
         },
       },
     },
+    '/auth/mfa/totp/setup': {
+      post: {
+        summary: 'TOTP MFA 설정 시작',
+        description: '인증 앱(Google Authenticator 등)에 등록할 비밀 키와 otpauth URI를 발급합니다. URI를 QR 코드로 보여주고, 인증 앱의 코드를 /auth/mfa/totp/verify로 확인해야 MFA가 켜집니다.',
+        tags: ['Auth'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: '발급 성공',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    secret: { type: 'string', description: 'Base32 비밀 키', example: 'JBSWY3DPEHPK3PXP' },
+                    otpauthUri: { type: 'string', example: 'otpauth://totp/KU%20%EB%91%98%EB%A0%88%EA%B8%B8%3Auser%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=KU%20%EB%91%98%EB%A0%88%EA%B8%B8' },
+                  },
+                },
+              },
+            },
+          },
+          401: { description: '인증되지 않음' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/auth/mfa/totp/verify': {
+      post: {
+        summary: 'TOTP MFA 설정 완료',
+        description: '인증 앱의 코드를 확인하고 TOTP MFA를 켭니다. 복구 코드 10개를 새로 발급하며 이 응답에서만 확인할 수 있습니다. 이전 복구 코드는 더 이상 쓸 수 없습니다.',
+        tags: ['Auth'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['code'],
+                properties: {
+                  code: { type: 'string', description: '인증 앱의 6자리 코드', example: '123456' },
+                  deviceName: { type: 'string', maxLength: 100, description: '인증 앱 이름', example: 'Google Authenticator' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'MFA 설정 완료',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    mfaEnabled: { type: 'boolean', example: true },
+                    recoveryCodes: { type: 'array', items: { type: 'string' }, example: ['ABCDE-FGHJK', 'LMNPQ-RSTUV'] },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: '입력값이 유효하지 않거나 인증 코드가 일치하지 않음 (INVALID_VERIFICATION_CODE)' },
+          401: { description: '인증되지 않음' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
     '/auth/refresh-token': {
       post: {
         summary: '리프레시 토큰으로 새 액세스 토큰 발급',
-        description: '유효한 리프레시 토큰을 사용하여 새로운 액세스 토큰을 발급받습니다.',
+        description: '유효한 리프레시 토큰을 사용하여 새로운 액세스 토큰을 발급받습니다. 기기 로그인 해제(DELETE /auth/sessions/{deviceKey}) 전에 그 기기에서 로그인한 리프레시 토큰은 폐기되며 TOKEN_REVOKED를 반환합니다.',
         tags: ['Auth'],
         requestBody: {
           required: true,
@@ -342,6 +759,7 @@ const openApiSpec = {
                 required: ['refreshToken'],
                 properties: {
                   refreshToken: { type: 'string', description: '리프레시 토큰' },
+                  deviceKey: { type: 'string', description: '로그인 응답의 deviceKey. 기기가 등록된 세션은 필수' },
                 },
               },
             },
@@ -350,6 +768,7 @@ const openApiSpec = {
         responses: {
           200: { description: '새 액세스 토큰 및 리프레시 토큰이 성공적으로 발급되었습니다.' },
           400: { description: '입력값이 유효하지 않음' },
+          401: { description: '로그인 해제된 기기의 리프레시 토큰 (TOKEN_REVOKED)' },
           403: { description: '유효하지 않거나 만료된 리프레시 토큰' },
           500: { description: '서버 오류' },
         },
@@ -358,7 +777,7 @@ const openApiSpec = {
     '/auth/register': {
       post: {
         summary: '신규 사용자 회원가입',
-        description: '이메일과 비밀번호로 새 계정을 생성합니다.',
+        description: '이메일과 비밀번호로 새 계정을 생성합니다. 이메일 인증(verify) 모드인 스테이지에서는 userConfirmed가 false이며, 이메일로 받은 인증 코드를 /auth/register/verify로 확인해야 로그인할 수 있습니다.',
         tags: ['Auth'],
         requestBody: {
           required: true,
@@ -384,77 +803,476 @@ const openApiSpec = {
         },
       },
     },
-    '/courses/course': {
-      get: {
-        summary: '코스 탭에서 코스 목록 조회 (정렬 및 난이도 필터링)',
-        description: '현재 위치를 기준으로 N개의 코스를 조회하며, 정렬 기준과 난이도 필터링을 적용할 수 있습니다.',
-        tags: ['Course'],
-        security: [{ bearerAuth: [] }],
-        parameters: [
-          { in: 'query', name: 'lat', required: true, schema: { type: 'number', format: 'float' }, description: '사용자의 위도', example: 37.5665 },
-          { in: 'query', name: 'lon', required: true, schema: { type: 'number', format: 'float' }, description: '사용자의 경도', example: 126.978 },
-          { in: 'query', name: 'n', required: true, schema: { type: 'integer' }, description: '조회할 코스의 개수', example: 10 },
-          { in: 'query', name: 'sortBy', schema: { type: 'string', enum: ['distance', 'length', 'difficulty'] }, description: '정렬 기준' },
-          { in: 'query', name: 'difficulty', schema: { type: 'string', enum: ['하', '중', '상'] }, description: '난이도 필터' },
-        ],
+    '/auth/register/resend-code': {
+      post: {
+        summary: '회원가입 인증 코드 재전송',
+        description: '이메일 인증(verify) 모드에서 회원가입 인증 코드를 다시 보냅니다.',
+        tags: ['Auth'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                  email: { type: 'string', format: 'email', example: 'user@example.com' },
+                },
+              },
+            },
+          },
+        },
         responses: {
-          200: { description: '코스 목록 조회 성공', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Course' } } } } },
-          400: { description: '잘못된 요청 파라미터' },
-          401: { description: '인증되지 않음' },
+          200: { description: '인증 코드가 이메일로 다시 전송되었습니다.' },
+          400: { description: '입력값이 유효하지 않음' },
+          404: { description: '사용자를 찾을 수 없음' },
+          409: { description: '이미 인증이 완료된 이메일 (EMAIL_ALREADY_VERIFIED)' },
+          429: { description: '요청 횟수 제한 초과' },
           500: { description: '서버 오류' },
         },
       },
     },
-    '/courses/{courseId}': {
+    '/auth/register/verify': {
+      post: {
+        summary: '회원가입 이메일 인증',
+        description: '이메일 인증(verify) 모드에서 회원가입 시 이메일로 받은 6자리 인증 코드를 확인합니다.',
+        tags: ['Auth'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['email', 'code'],
+                properties: {
+                  email: { type: 'string', format: 'email', example: 'user@example.com' },
+                  code: { type: 'string', minLength: 6, maxLength: 6, example: '123456' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: '이메일 인증이 완료되었습니다.' },
+          400: { description: '입력값이 유효하지 않거나 인증 코드가 일치하지 않거나 만료됨' },
+          404: { description: '사용자를 찾을 수 없음' },
+          409: { description: '이미 인증이 완료된 이메일 (EMAIL_ALREADY_VERIFIED)' },
+          429: { description: '요청 횟수 제한 초과' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/auth/sessions': {
       get: {
-        summary: '코스 상세 메타데이터 조회',
-        description: '코스 ID로 코스의 상세 메타데이터를 조회하고, 최근 본 코스에 추가합니다.',
-        tags: ['Course'],
+        summary: '로그인된 기기 목록',
+        description: '현재 계정으로 로그인된 기기(세션)를 최근 사용 순으로 조회합니다. 요청에 사용한 토큰의 기기는 current가 true입니다.',
+        tags: ['Auth'],
         security: [{ bearerAuth: [] }],
-        parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' }, description: '코스의 제공자별 고유 ID', example: 'seoultrail_1' }],
         responses: {
-          200: { description: '코스 메타데이터 조회 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/Course' } } } },
+          200: {
+            description: '조회 성공',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    sessions: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          device_key: { type: 'string', description: '기기 키' },
+                          device_name: { type: 'string', nullable: true, description: '기기 이름', example: 'iPhone 15' },
+                          remembered: { type: 'boolean', description: '기억된 기기인지 (로그인 시 rememberDevice: true를 보낸 기기)' },
+                          last_ip: { type: 'string', nullable: true, description: '마지막 접속 IP', example: '203.0.113.10' },
+                          country: { type: 'string', nullable: true, description: '마지막 접속 국가 (CloudFront 경유 시)', example: 'KR' },
+                          user_agent: { type: 'string', nullable: true, description: '마지막 로그인 User-Agent' },
+                          created_at: { type: 'string', format: 'date-time', nullable: true, description: '처음 로그인한 시각' },
+                          last_used_at: { type: 'string', format: 'date-time', nullable: true, description: '마지막으로 인증한 시각' },
+                          current: { type: 'boolean', description: '현재 요청한 기기인지' },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
           401: { description: '인증되지 않음' },
-          404: { description: '코스를 찾을 수 없습니다.' },
           500: { description: '서버 오류' },
         },
       },
     },
-    '/courses/home': {
-      get: {
-        summary: '홈 탭에서 가까운 코스 목록 조회',
-        description: '현재 위치를 기준으로 가까운 순서대로 N개의 코스를 조회합니다.',
-        tags: ['Course'],
+    '/auth/sessions/{deviceKey}': {
+      delete: {
+        summary: '기기 로그인 해제',
+        description: '기기 하나의 로그인을 해제하고 로그인된 기기 목록에서 삭제합니다. 그 기기에서 해제 전에 로그인한 리프레시 토큰은 더 이상 갱신되지 않으며(갱신 요청 시 폐기), 이미 발급된 액세스 토큰은 만료될 때까지 유효합니다.',
+        tags: ['Auth'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'deviceKey', required: true, schema: { type: 'string' }, description: '기기 키' },
+        ],
+        responses: {
+          200: { description: '로그인 해제 성공' },
+          401: { description: '인증되지 않음' },
+          404: { description: '기기를 찾을 수 없음 (SESSION_NOT_FOUND)' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/auth/social/{provider}': {
+      post: {
+        summary: '소셜 로그인 (카카오, 네이버, Apple)',
+        description: '제공자 SDK에서 받은 토큰을 확인하고 Cognito 토큰을 발급합니다. 처음 로그인하면 계정을 만들고, 같은 이메일로 가입된 계정이 있으면 제공자가 인증한 이메일이고 기존 계정도 인증 코드로 이메일을 확인한 경우에만 그 계정에 연결합니다. (네이버 이메일은 인증된 이메일로 보지 않음) 카카오/네이버는 accessToken, Apple은 identityToken 또는 authorizationCode가 필요합니다. TOTP MFA를 켠 사용자는 토큰 대신 MFA 챌린지를 받으며 /auth/login/challenge로 로그인을 마칩니다.',
+        tags: ['Auth'],
+        parameters: [
+          { in: 'path', name: 'provider', required: true, schema: { type: 'string', enum: ['kakao', 'naver', 'apple'] }, description: '소셜 로그인 제공자' },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  accessToken: { type: 'string', description: '카카오/네이버 액세스 토큰' },
+                  identityToken: { type: 'string', description: 'Apple identity token (JWT)' },
+                  authorizationCode: { type: 'string', description: 'Apple authorization code (identityToken 대신)' },
+                  nickname: { type: 'string', description: '처음 가입 시 사용할 닉네임 (Apple은 이름을 앱에만 전달하므로 필요 시 전달)', example: '홍길동' },
+                  deviceKey: { type: 'string', description: '이전 로그인에서 받은 기기 키' },
+                  deviceName: { type: 'string', maxLength: 100, description: '기기 목록에 표시할 이름' },
+                  rememberDevice: { type: 'boolean', description: '이 기기 기억하기' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: '로그인 성공 또는 MFA 챌린지',
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    {
+                      allOf: [
+                        { $ref: '#/components/schemas/AuthResponse' },
+                        {
+                          type: 'object',
+                          properties: {
+                            idToken: { type: 'string' },
+                            expiresIn: { type: 'integer' },
+                            provider: { type: 'string', enum: ['kakao', 'naver', 'apple'] },
+                            isNewUser: { type: 'boolean', description: '이번 로그인으로 새로 가입했는지' },
+                            linked: { type: 'boolean', description: '이번 로그인으로 소셜 계정을 연결했는지' },
+                          },
+                        },
+                      ],
+                    },
+                    {
+                      type: 'object',
+                      properties: {
+                        challengeName: { type: 'string', enum: ['SOFTWARE_TOKEN_MFA'] },
+                        session: { type: 'string', description: '챌린지 세션 (3분간 유효)' },
+                        email: { type: 'string', format: 'email' },
+                        provider: { type: 'string', enum: ['kakao', 'naver', 'apple'] },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: { description: '지원하지 않는 제공자(UNSUPPORTED_SOCIAL_PROVIDER), 토큰 누락, 이메일 제공 미동의(SOCIAL_EMAIL_REQUIRED)' },
+          401: { description: '유효하지 않은 소셜 토큰 (INVALID_SOCIAL_TOKEN)' },
+          409: { description: '같은 이메일로 가입된 계정이 있지만 자동으로 연결할 수 없거나, 이미 다른 계정에 연결된 소셜 계정 (SOCIAL_ACCOUNT_CONFLICT)' },
+          500: { description: '서버 오류' },
+          502: { description: '소셜 로그인 제공자 호출 실패 (SOCIAL_PROVIDER_ERROR)' },
+        },
+      },
+    },
+    '/courses/course': {
+      get: {
+        summary: '코스 탭에서 코스 목록 조회 (정렬 및 난이도 필터링)',
+        description: '현재 위치를 기준으로 N개의 코스를 조회하며, 정렬 기준과 난이도 필터링을 적용할 수 있습니다. 응답의 nextCursor로 다음 페이지를 조회합니다.',
+        tags: ['Course'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'lat', required: true, schema: { type: 'number', format: 'float' }, description: '사용자의 위도', example: 37.5665 },
+          { in: 'query', name: 'lon', required: true, schema: { type: 'number', format: 'float' }, description: '사용자의 경도', example: 126.978 },
+          { in: 'query', name: 'n', required: true, schema: { type: 'integer' }, description: '조회할 코스의 개수', example: 10 },
+          { in: 'query', name: 'sortBy', schema: { type: 'string', enum: ['distance', 'length', 'difficulty', 'popularity'] }, description: '정렬 기준' },
+          { in: 'query', name: 'difficulty', schema: { type: 'string', enum: ['하', '중', '상'] }, description: '난이도 필터' },
+          { in: 'query', name: 'cursor', schema: { type: 'string' }, description: '이전 응답의 nextCursor (다음 페이지 조회 시)' },
+        ],
+        responses: {
+          200: { description: '코스 목록 조회 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/CoursePage' } } } },
+          400: { description: '잘못된 요청 파라미터' },
+          401: { description: '인증되지 않음' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/courses/search': {
+      get: {
+        summary: '코스 검색',
+        description: '코스명, 위치, 설명으로 코스를 검색합니다. 초성 검색(예: ㅂㅎㅅ), 입력 중인 음절, 구/시군 이름의 부분 일치를 지원하며 관련도 순으로 정렬됩니다.',
+        tags: ['Course'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'q', required: true, schema: { type: 'string' }, description: '검색어', example: '북한산' },
+          { in: 'query', name: 'n', schema: { type: 'integer', default: 20, maximum: 50 }, description: '최대 결과 수', example: 20 },
+        ],
+        responses: {
+          200: {
+            description: '검색 결과',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    query: { type: 'string', example: '북한산' },
+                    courses: { type: 'array', items: { allOf: [{ $ref: '#/components/schemas/Course' }, { type: 'object', properties: { score: { type: 'number', description: '관련도 점수', example: 29.3 } } }] } },
+                    total: { type: 'integer', example: 1 },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: '검색어 누락' },
+          401: { description: '인증되지 않음' },
+          503: { description: '검색 인덱스가 아직 준비되지 않았습니다.' },
+        },
+      },
+    },
+    '/courses/{courseId}': {
+      get: {
+        summary: '코스 상세 메타데이터 조회',
+        description: '코스 ID로 코스의 상세 메타데이터와 GPX 트랙 기준 코스 지표(course_metrics)를 조회하고, 최근 본 코스에 추가합니다.',
+        tags: ['Course'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' }, description: '코스의 제공자별 고유 ID', example: 'seoultrail_1' }],
+        responses: {
+          200: { description: '코스 메타데이터 조회 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/Course' } } } },
+          401: { description: '인증되지 않음' },
+          404: { description: '코스를 찾을 수 없습니다.' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/courses/home': {
+      get: {
+        summary: '홈 탭에서 가까운 코스 목록 조회',
+        description: '현재 위치를 기준으로 가까운 순서대로 N개의 코스를 조회합니다.',
+        tags: ['Course'],
         security: [{ bearerAuth: [] }],
         parameters: [
           { in: 'query', name: 'lat', required: true, schema: { type: 'number', format: 'float' }, description: '사용자의 위도', example: 37.5665 },
           { in: 'query', name: 'lon', required: true, schema: { type: 'number', format: 'float' }, description: '사용자의 경도', example: 126.978 },
           { in: 'query', name: 'n', required: true, schema: { type: 'integer' }, description: '조회할 코스의 개수', example: 5 },
+          { in: 'query', name: 'cursor', schema: { type: 'string' }, description: '이전 응답의 nextCursor (다음 페이지 조회 시)' },
         ],
         responses: {
-          200: { description: '가까운 코스 목록', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Course' } } } } },
+          200: { description: '가까운 코스 목록', content: { 'application/json': { schema: { $ref: '#/components/schemas/CoursePage' } } } },
           400: { description: '잘못된 요청 파라미터' },
           401: { description: '인증되지 않음' },
           500: { description: '서버 오류' },
         },
       },
     },
+    '/courses/trending': {
+      get: {
+        summary: '인기 코스 조회',
+        description: '최근 7일 또는 30일 동안의 조회수, 순 조회자 수, 저장 수로 계산한 인기도 순으로 코스를 조회합니다. 인기도는 1시간마다 집계됩니다.',
+        tags: ['Course'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'window', schema: { type: 'string', enum: ['7d', '30d'], default: '7d' }, description: '집계 기간' },
+          { in: 'query', name: 'n', schema: { type: 'integer', default: 20, maximum: 50 }, description: '조회할 코스의 개수' },
+        ],
+        responses: {
+          200: {
+            description: '인기도 내림차순 코스 목록',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    window: { type: 'string', example: '7d' },
+                    courses: { type: 'array', items: { $ref: '#/components/schemas/Course' } },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'window가 유효하지 않습니다.' },
+          401: { description: '인증되지 않음' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/courses/recommendations': {
+      get: {
+        summary: '홈 피드 맞춤 코스 추천',
+        description: '현재 위치에서 가까운 코스들을 사용자의 저장/최근 본 코스로 추정한 선호 난이도와 길이, 현재 날씨와 대기질, 인기도로 점수화하여 추천 이유와 함께 반환합니다.',
+        tags: ['Course'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'lat', required: true, schema: { type: 'number', format: 'float' }, description: '사용자의 위도', example: 37.5665 },
+          { in: 'query', name: 'lon', required: true, schema: { type: 'number', format: 'float' }, description: '사용자의 경도', example: 126.978 },
+          { in: 'query', name: 'n', schema: { type: 'integer', default: 10, maximum: 50 }, description: '추천할 코스의 개수', example: 10 },
+        ],
+        responses: {
+          200: {
+            description: '추천 점수 내림차순 코스 목록',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    courses: {
+                      type: 'array',
+                      items: {
+                        allOf: [
+                          { $ref: '#/components/schemas/Course' },
+                          {
+                            type: 'object',
+                            properties: {
+                              score: { type: 'number', description: '추천 점수 (0~1)', example: 0.7342 },
+                              reason: { type: 'string', description: '추천 이유', example: '현재 위치에서 1.2km 거리에 있는 코스예요.' },
+                              reason_code: { type: 'string', enum: ['NEARBY', 'SAVED', 'PREFERRED_DIFFICULTY', 'PREFERRED_LENGTH', 'POPULAR', 'WEATHER'], example: 'NEARBY' },
+                            },
+                          },
+                        ],
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: '잘못된 요청 파라미터' },
+          401: { description: '인증되지 않음' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/courses/{courseId}/elevation': {
+      get: {
+        summary: '코스 고도 프로필 조회',
+        description: '코스 GPX의 고도 정보로 거리-고도 프로필, 총 상승/하강 고도, 최대 경사도, 가장 가파른 구간을 계산합니다. 계산 결과는 코스에 캐시됩니다.',
+        tags: ['Course'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' }, description: '코스의 제공자별 고유 ID', example: 'seoultrail_1' }],
+        responses: {
+          200: { description: '고도 프로필 조회 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/ElevationProfile' } } } },
+          401: { description: '인증되지 않음' },
+          404: { description: '코스 또는 코스 파일을 찾을 수 없습니다.' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
     '/courses/{courseId}/coordinates': {
       get: {
         summary: '특정 코스의 GPS 좌표 조회',
-        description: '코스 ID로 코스 경로의 모든 GPS 좌표를 조회합니다.',
+        description: '코스 ID로 코스 경로의 모든 GPS 좌표를 조회합니다. format 파라미터로 GeoJSON, GPX 원본, KML, Encoded Polyline 형식을 요청할 수 있습니다.',
         tags: ['Course'],
         security: [{ bearerAuth: [] }],
-        parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' }, description: '코스의 제공자별 고유 ID', example: 'seoultrail_1' }],
+        parameters: [
+          { in: 'path', name: 'courseId', required: true, schema: { type: 'string' }, description: '코스의 제공자별 고유 ID', example: 'seoultrail_1' },
+          { in: 'query', name: 'format', schema: { type: 'string', enum: ['json', 'geojson', 'gpx', 'kml', 'polyline'], default: 'json' }, description: '응답 형식 (json: 좌표 배열, geojson: 구간/웨이포인트를 유지한 FeatureCollection, gpx: 원본 GPX (tolerance/zoom 지정 시 단순화된 GPX), kml: KML 문서, polyline: 구간별 Google Encoded Polyline)' },
+          { in: 'query', name: 'tolerance', schema: { type: 'number', minimum: 0, maximum: 1000 }, description: '경로 단순화 허용 오차 (m). 지정하면 Douglas–Peucker 알고리즘으로 점 수를 줄이며, 시작/끝점과 웨이포인트에 가장 가까운 점은 유지됩니다. gpx 형식에 지정하면 원본 대신 단순화된 경로로 만든 GPX를 반환합니다 (트랙 구간, 경로, 웨이포인트 유지).' },
+          { in: 'query', name: 'zoom', schema: { type: 'integer', minimum: 0, maximum: 22 }, description: '지도 줌 레벨. tolerance 대신 지정하면 해당 줌에서 1픽셀에 해당하는 거리를 허용 오차로 사용합니다.' },
+        ],
         responses: {
-          200: { description: '코스 경로의 좌표 배열', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/CoordinatePoint' } } } } },
-          400: { description: 'courseId 파라미터가 누락되었습니다.' },
+          200: {
+            description: '코스 경로 (format에 따라 Content-Type이 달라집니다)',
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    { type: 'array', items: { $ref: '#/components/schemas/CoordinatePoint' } },
+                    {
+                      type: 'object',
+                      description: 'tolerance 또는 zoom을 지정한 경우 (format=json)',
+                      properties: {
+                        tolerance_m: { type: 'number', example: 4.7 },
+                        original_count: { type: 'integer', example: 2000 },
+                        simplified_count: { type: 'integer', example: 120 },
+                        coordinates: { type: 'array', items: { $ref: '#/components/schemas/CoordinatePoint' } },
+                      },
+                    },
+                  ],
+                },
+              },
+              'application/geo+json': { schema: { type: 'object', description: 'GeoJSON FeatureCollection' } },
+              'application/gpx+xml': { schema: { type: 'string' } },
+              'application/vnd.google-earth.kml+xml': { schema: { type: 'string' } },
+            },
+          },
+          400: { description: 'courseId 파라미터가 누락되었거나 format, tolerance, zoom이 유효하지 않습니다.' },
           401: { description: '인증되지 않음' },
           404: { description: '코스 파일을 찾을 수 없습니다.' },
           500: { description: '서버 오류' },
         },
       },
     },
+    '/courses/{courseId}/progress': {
+      post: {
+        summary: '코스 진행 상황 조회 (내비게이션)',
+        description: '걷는 중 현재 위치를 보내면 코스 경로 위 가장 가까운 지점, 진행 거리와 남은 거리, 도착 예상 시간, 경로 이탈 여부를 계산합니다. 경로에서 50m(+GPS 정확도, 최대 50m)보다 멀어지면 off_route가 true입니다. 순환 코스처럼 경로가 겹치는 곳에서는 직전 응답의 distance_along_km를 last_distance_km로 보내면 진행 위치를 이어서 판정합니다.',
+        tags: ['Course'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' }, description: '코스의 제공자별 고유 ID', example: 'seoultrail_1' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['lat', 'lon'],
+                properties: {
+                  lat: { type: 'number', example: 37.6512 },
+                  lon: { type: 'number', example: 127.0734 },
+                  accuracy: { type: 'number', description: 'GPS 정확도 (m)', example: 12 },
+                  last_distance_km: { type: 'number', description: '직전 응답의 distance_along_km', example: 2.35 },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: '코스 진행 상황',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    course_id: { type: 'string', example: 'seoultrail_1' },
+                    position: { type: 'object', properties: { lat: { type: 'number' }, lon: { type: 'number' } } },
+                    nearest_point: { type: 'object', description: '경로 위 가장 가까운 지점', properties: { lat: { type: 'number' }, lon: { type: 'number' } } },
+                    distance_to_route_m: { type: 'number', description: '경로까지의 거리 (m)', example: 8.4 },
+                    off_route: { type: 'boolean', description: '경로 이탈 여부', example: false },
+                    off_route_threshold_m: { type: 'number', description: '이번 요청에 적용한 이탈 기준 (m)', example: 62 },
+                    distance_along_km: { type: 'number', description: '시작점부터 경로를 따라 진행한 거리 (km)', example: 2.41 },
+                    remaining_km: { type: 'number', description: '끝점까지 남은 경로 거리 (km)', example: 5.89 },
+                    total_km: { type: 'number', description: 'GPX 경로 전체 길이 (km)', example: 8.3 },
+                    progress_pct: { type: 'number', example: 29 },
+                    eta_minutes: { type: 'integer', description: '남은 거리의 예상 소요 시간 (분, 사용자 보행 속도 반영)', example: 104 },
+                    estimated_arrival_at: { type: 'string', format: 'date-time', description: '도착 예상 시각' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: '입력 검증 실패' },
+          401: { description: '인증되지 않음' },
+          404: { description: '코스 또는 코스 파일을 찾을 수 없습니다.' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
     '/medical/search': {
       get: {
         tags: ['Medical'],
@@ -513,7 +1331,7 @@ const openApiSpec = {
     '/user/password': {
       patch: {
         summary: '비밀번호 변경',
-        description: '인증된 사용자가 현재 비밀번호를 확인한 후 새로운 비밀번호로 변경합니다.',
+        description: 'Cognito에서 현재 비밀번호를 확인한 후 새로운 비밀번호로 변경합니다. signOutOtherDevices가 true이면 다른 기기의 세션을 모두 로그아웃하고, 현재 기기용 새 토큰을 반환합니다. TOTP MFA를 켠 사용자는 토큰 대신 MFA 챌린지(challengeName, session, email)를 받으며 POST /auth/login/challenge로 로그인을 마칩니다. 다시 로그인하지 못한 경우 reloginRequired가 true입니다. 현재 비밀번호가 틀리면 400 INVALID_PASSWORD를 반환합니다.',
         tags: ['User'],
         security: [{ bearerAuth: [] }],
         requestBody: {
@@ -526,15 +1344,41 @@ const openApiSpec = {
                 properties: {
                   currentPassword: { type: 'string', format: 'password', example: 'currentpassword123' },
                   newPassword: { type: 'string', format: 'password', minLength: 8, example: 'newpassword123' },
+                  signOutOtherDevices: { type: 'boolean', default: false, description: '다른 기기에서 로그아웃' },
+                  deviceKey: { type: 'string', description: '현재 기기 키 (생략하면 액세스 토큰의 기기 키 사용)' },
+                  deviceName: { type: 'string', maxLength: 100 },
                 },
               },
             },
           },
         },
         responses: {
-          200: { description: '비밀번호가 성공적으로 변경되었습니다.' },
-          400: { description: '입력값이 유효하지 않음' },
-          401: { description: '인증되지 않음 또는 현재 비밀번호가 일치하지 않음' },
+          200: {
+            description: '비밀번호가 성공적으로 변경되었습니다.',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    message: { type: 'string' },
+                    signedOutOtherDevices: { type: 'boolean' },
+                    accessToken: { type: 'string', description: 'signOutOtherDevices인 경우에만' },
+                    refreshToken: { type: 'string', description: 'signOutOtherDevices인 경우에만' },
+                    idToken: { type: 'string', description: 'signOutOtherDevices인 경우에만' },
+                    expiresIn: { type: 'integer', description: 'signOutOtherDevices인 경우에만' },
+                    deviceKey: { type: 'string', nullable: true, description: 'signOutOtherDevices인 경우에만' },
+                    challengeName: { type: 'string', enum: ['SOFTWARE_TOKEN_MFA'], description: 'MFA 챌린지가 필요한 경우에만' },
+                    session: { type: 'string', description: 'MFA 챌린지가 필요한 경우에만' },
+                    email: { type: 'string', description: 'MFA 챌린지가 필요한 경우에만' },
+                    reloginRequired: { type: 'boolean', description: '다른 기기 로그아웃 후 다시 로그인하지 못한 경우 true' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: '입력값이 유효하지 않거나 새 비밀번호가 정책에 맞지 않음, 또는 현재 비밀번호가 일치하지 않음 (INVALID_PASSWORD)' },
+          401: { description: '인증되지 않음' },
+          429: { description: '요청 횟수 제한 초과' },
           500: { description: '서버 오류' },
         },
       },
@@ -554,16 +1398,75 @@ const openApiSpec = {
     '/user/withdraw': {
       delete: {
         summary: '사용자 회원탈퇴 (Soft Delete)',
+        description: '계정을 비활성화합니다. 유예 기간(기본 30일)이 지나면 Cognito 계정과 모든 사용자 데이터가 완전히 삭제되며, 그 전에는 /user/withdraw/cancel로 취소할 수 있습니다.',
         tags: ['User'],
         security: [{ bearerAuth: [] }],
         responses: {
-          200: { description: '회원탈퇴 처리가 완료되었습니다.' },
+          200: {
+            description: '회원탈퇴 처리가 완료되었습니다.',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    message: { type: 'string' },
+                    deleted_at: { type: 'string', format: 'date-time' },
+                    purge_after: { type: 'string', format: 'date-time', description: '완전 삭제 예정 시각 (이후 취소 불가)' },
+                  },
+                },
+              },
+            },
+          },
           401: { description: 'Unauthorized.' },
           404: { description: '사용자를 찾을 수 없습니다.' },
           500: { description: '서버 오류 발생' },
         },
       },
     },
+    '/user/withdraw/cancel': {
+      post: {
+        summary: '회원탈퇴 취소',
+        description: '유예 기간 안에 탈퇴를 취소하고 계정을 다시 활성화합니다.',
+        tags: ['User'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: '회원탈퇴가 취소되었습니다.' },
+          401: { description: '인증되지 않음' },
+          404: { description: '사용자 없음' },
+          409: { description: '탈퇴 처리 중인 계정이 아니거나(WITHDRAWAL_NOT_PENDING) 취소 가능 기간이 지남(WITHDRAWAL_GRACE_PERIOD_EXPIRED)' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/export': {
+      post: {
+        summary: '개인 데이터 내보내기 요청',
+        description: '프로필, 설정, 활동, 저장/최근/완주 코스, 걷기 기록(JSON과 걷기별 GPX), 통계, 목표, 업적, 연결된 소셜 계정, 로그인 기기, MFA 설정 상태를 담은 ZIP 파일 생성을 요청합니다. 파일은 비동기로 만들어지므로 /user/export/{jobId}로 상태를 확인합니다. 진행 중인 요청이 있으면 새로 만들지 않고 그 작업을 반환합니다.',
+        tags: ['User'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: '이미 진행 중인 내보내기 작업', content: { 'application/json': { schema: { $ref: '#/components/schemas/ExportJob' } } } },
+          202: { description: '내보내기 작업 생성', content: { 'application/json': { schema: { $ref: '#/components/schemas/ExportJob' } } } },
+          401: { description: '인증되지 않음' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/export/{jobId}': {
+      get: {
+        summary: '개인 데이터 내보내기 상태 조회',
+        description: '작업이 완료되면 1시간 동안 유효한 다운로드 링크(download_url)를 함께 반환합니다. 파일은 완료 후 7일 동안 보관되며, 새로 내보내기를 완료하면 이전 파일은 삭제됩니다.',
+        tags: ['User'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'jobId', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: '내보내기 작업', content: { 'application/json': { schema: { $ref: '#/components/schemas/ExportJob' } } } },
+          401: { description: '인증되지 않음' },
+          404: { description: '내보내기 요청을 찾을 수 없음 (EXPORT_JOB_NOT_FOUND)' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
     '/user/settings': {
       patch: {
         summary: '사용자 설정 업데이트',
@@ -598,11 +1501,17 @@ const openApiSpec = {
     '/user/stats': {
       get: {
         summary: '사용자의 통계 조회',
-        description: '인증된 사용자의 걷기 통계 정보를 조회합니다.',
+        description: '인증된 사용자의 걷기 통계 정보를 조회합니다. period를 지정하면 일/주/월 단위 통계(KST 기준)를 함께 반환합니다.',
         tags: ['User'],
         security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'period', schema: { type: 'string', enum: ['day', 'week', 'month'] }, description: '집계 단위 (주는 월요일 시작)' },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date' }, description: '조회 시작 날짜 (KST). 생략하면 최근 7일/8주/6개월' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date' }, description: '조회 종료 날짜 (KST, 기본: 오늘)' },
+        ],
         responses: {
           200: { description: '사용자의 통계 정보', content: { 'application/json': { schema: { $ref: '#/components/schemas/UserStat' } } } },
+          400: { description: '잘못된 쿼리 파라미터' },
           401: { description: '인증되지 않음' },
           500: { description: '서버 오류' },
         },
@@ -611,7 +1520,7 @@ const openApiSpec = {
     '/user/stats/walk': {
       post: {
         summary: '사용자의 총 걷기 거리에 거리 추가',
-        description: '새로 걸은 거리를 기록하여 사용자의 총 걷기 거리에 추가합니다.',
+        description: '새로 걸은 거리를 기록하여 사용자의 총 걷기 거리에 추가합니다. 걸은 시간을 함께 보내면 예상 소요 시간 계산에 사용되는 사용자 보행 속도가 갱신됩니다. 새로 달성한 업적은 응답의 new_achievements에 포함됩니다.',
         tags: ['User'],
         security: [{ bearerAuth: [] }],
         requestBody: {
@@ -623,6 +1532,10 @@ const openApiSpec = {
                 required: ['distance_km'],
                 properties: {
                   distance_km: { type: 'number', format: 'float', description: '걸은 거리 (킬로미터, 양수)', example: 5.2 },
+                  duration_minutes: { type: 'number', description: '걸은 시간 (분, 선택). 지정하면 사용자 보행 속도 보정 계수가 갱신됩니다.', example: 75 },
+                  course_id: { type: 'string', description: '걸은 코스 ID (선택). 지정하면 코스의 경사를 반영하여 보행 속도를 계산합니다.', example: 'seoultrail_1' },
+                  walked_at: { type: 'string', format: 'date-time', description: '걸은 시각 (선택, 기본: 현재). 기간별 통계의 기준 날짜입니다.' },
+                  elevation_gain_m: { type: 'number', description: '누적 상승 고도 (m, 선택)' },
                 },
               },
             },
@@ -636,6 +1549,353 @@ const openApiSpec = {
         },
       },
     },
+    '/user/walks': {
+      get: {
+        summary: '걷기 기록 목록 조회',
+        description: '걷기 기록을 시작 시각 기준 최신순으로 조회합니다. 기간과 코스로 거를 수 있습니다.',
+        tags: ['User Walks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date' }, description: '조회 시작 날짜 (KST, 포함)', example: '2026-10-01' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date' }, description: '조회 종료 날짜 (KST, 포함)', example: '2026-10-31' },
+          { in: 'query', name: 'course_id', schema: { type: 'string' }, description: '코스 ID로 필터' },
+          { in: 'query', name: 'n', schema: { type: 'integer', default: 20, maximum: 50 }, description: '페이지 크기' },
+          { in: 'query', name: 'cursor', schema: { type: 'string' }, description: '이전 응답의 nextCursor' },
+        ],
+        responses: {
+          200: { description: '걷기 기록 목록', content: { 'application/json': { schema: { $ref: '#/components/schemas/WalkPage' } } } },
+          400: { description: '잘못된 쿼리 파라미터' },
+          401: { description: '인증되지 않음' },
+          500: { description: '서버 오류' },
+        },
+      },
+      post: {
+        summary: '걷기 세션 시작',
+        description: '코스를 따라 걷거나 자유롭게 걷는 세션을 시작합니다. 진행 중인 세션이 있으면 409를 반환하며, details.walk_id로 해당 세션을 알려줍니다.',
+        tags: ['User Walks'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  course_id: { type: 'string', description: '걸을 코스 ID (생략하면 자유 걷기)', example: 'seoultrail_1' },
+                  started_at: { type: 'string', format: 'date-time', description: '시작 시각 (기본: 서버 현재 시각)' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: '걷기 세션 시작', content: { 'application/json': { schema: { $ref: '#/components/schemas/Walk' } } } },
+          400: { description: '입력값이 유효하지 않음' },
+          401: { description: '인증되지 않음' },
+          404: { description: '코스를 찾을 수 없음' },
+          409: { description: '이미 진행 중인 걷기가 있음 (WALK_ALREADY_IN_PROGRESS)' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/walks/import': {
+      post: {
+        summary: '걷기 기록 파일 가져오기',
+        description: '시계 등에서 기록한 GPX, TCX, FIT 파일을 걷기 기록으로 가져옵니다. 파일 내용을 그대로 요청 본문으로 보냅니다 (FIT처럼 바이너리 파일은 application/octet-stream). 거리와 이동 시간은 앱 세션과 같은 방식으로 서버가 계산하며, 기존 걷기와 시간이 겹치면 가져오지 않습니다. course_id를 지정하면 코스 완주 여부도 판정합니다.',
+        tags: ['User Walks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'format', schema: { type: 'string', enum: ['gpx', 'tcx', 'fit'] }, description: '파일 형식 (생략하면 파일 내용으로 추정)' },
+          { in: 'query', name: 'course_id', schema: { type: 'string' }, description: '걸은 코스 ID', example: 'seoultrail_1' },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/gpx+xml': { schema: { type: 'string' } },
+            'application/vnd.garmin.tcx+xml': { schema: { type: 'string' } },
+            'application/octet-stream': { schema: { type: 'string', format: 'binary' } },
+          },
+        },
+        responses: {
+          201: {
+            description: '가져온 걷기 기록',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/Walk' },
+                    {
+                      type: 'object',
+                      properties: {
+                        source: { type: 'string', enum: ['gpx', 'tcx', 'fit'] },
+                        received_count: { type: 'integer', description: '파일의 좌표 수' },
+                        accepted_count: { type: 'integer', description: '반영된 좌표 수 (시각이 없거나 비정상적으로 빠른 이동 제외)' },
+                        total_walk_distance_km: { type: 'number', description: '갱신된 총 걷기 거리 (거리가 0이면 생략)' },
+                        new_achievements: { type: 'array', items: { $ref: '#/components/schemas/Achievement' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: { description: '파일을 읽을 수 없거나 시각이 기록된 좌표가 부족함 (INVALID_TRACK_FILE), 또는 format이 유효하지 않음' },
+          401: { description: '인증되지 않음' },
+          404: { description: '코스를 찾을 수 없음' },
+          409: { description: '같은 시간대의 걷기 기록이 이미 있음 (DUPLICATE_WALK, details.walk_id)' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/walks/{walkId}': {
+      get: {
+        summary: '걷기 기록 상세 조회',
+        description: '걷기 기록을 경로(GeoJSON, 재생용 좌표별 시각 포함), 1km 구간 기록, 걸은 코스와 함께 조회합니다.',
+        tags: ['User Walks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: '걷기 기록 상세', content: { 'application/json': { schema: { $ref: '#/components/schemas/WalkDetail' } } } },
+          401: { description: '인증되지 않음' },
+          404: { description: '걷기 기록을 찾을 수 없음' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/walks/{walkId}/points': {
+      post: {
+        summary: '걷기 세션에 GPS 좌표 추가',
+        description: '수집한 GPS 좌표를 묶음으로 전송합니다 (최대 500개). 정확도가 50m보다 나쁜 좌표, 이미 반영된 시각 이전의 좌표, 일시정지 중 좌표, 비정상적으로 빠른 이동(약 25km/h 초과)은 제외하고 거리와 이동 시간을 계산합니다.',
+        tags: ['User Walks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['points'],
+                properties: {
+                  points: {
+                    type: 'array',
+                    maxItems: 500,
+                    items: {
+                      type: 'object',
+                      required: ['lat', 'lon', 'timestamp'],
+                      properties: {
+                        lat: { type: 'number', example: 37.5405 },
+                        lon: { type: 'number', example: 127.0795 },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        elevation: { type: 'number', description: '고도 (m)' },
+                        accuracy: { type: 'number', description: '수평 정확도 (m)' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: '좌표 반영 결과',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/Walk' },
+                    {
+                      type: 'object',
+                      properties: {
+                        received_count: { type: 'integer', description: '전송된 좌표 수' },
+                        accepted_count: { type: 'integer', description: '반영된 좌표 수' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: { description: '입력값이 유효하지 않음' },
+          401: { description: '인증되지 않음' },
+          404: { description: '걷기 세션을 찾을 수 없음' },
+          409: { description: '진행 중인 세션이 아니거나 (INVALID_WALK_STATE) 동시에 다른 요청이 처리됨 (WALK_UPDATE_CONFLICT)' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/walks/{walkId}/pause': {
+      post: {
+        summary: '걷기 세션 일시정지',
+        description: '일시정지한 시간은 걷기 시간에서 제외되고, 일시정지 중 좌표는 반영되지 않습니다.',
+        tags: ['User Walks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }],
+        requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { timestamp: { type: 'string', format: 'date-time', description: '일시정지 시각 (기본: 서버 현재 시각)' } } } } } },
+        responses: {
+          200: { description: '일시정지됨', content: { 'application/json': { schema: { $ref: '#/components/schemas/Walk' } } } },
+          401: { description: '인증되지 않음' },
+          404: { description: '걷기 세션을 찾을 수 없음' },
+          409: { description: '진행 중인 세션이 아님' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/walks/{walkId}/resume': {
+      post: {
+        summary: '걷기 세션 재개',
+        description: '일시정지 위치와 재개 위치 사이의 거리는 걸은 거리에 더하지 않습니다.',
+        tags: ['User Walks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }],
+        requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { timestamp: { type: 'string', format: 'date-time', description: '재개 시각 (기본: 서버 현재 시각)' } } } } } },
+        responses: {
+          200: { description: '재개됨', content: { 'application/json': { schema: { $ref: '#/components/schemas/Walk' } } } },
+          401: { description: '인증되지 않음' },
+          404: { description: '걷기 세션을 찾을 수 없음' },
+          409: { description: '일시정지된 세션이 아님' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/walks/{walkId}/finish': {
+      post: {
+        summary: '걷기 세션 종료',
+        description: '세션을 종료하고 서버에서 계산한 거리와 이동 시간으로 걷기 기록(/user/stats/walk와 동일)을 남깁니다. 코스를 지정한 세션은 경로를 코스와 비교하여 course_match에 결과를 담고, 완주 조건을 만족하면 완주로 기록합니다. 종료 후 기록을 남기다 실패(500)했으면 다시 요청하여 기록만 재시도할 수 있습니다.',
+        tags: ['User Walks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }],
+        requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { ended_at: { type: 'string', format: 'date-time', description: '종료 시각 (기본: 서버 현재 시각)' } } } } } },
+        responses: {
+          200: {
+            description: '종료된 걷기 세션',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/Walk' },
+                    { type: 'object', properties: { total_walk_distance_km: { type: 'number', description: '갱신된 총 걷기 거리 (거리가 0이면 생략)' }, new_achievements: { type: 'array', items: { $ref: '#/components/schemas/Achievement' }, description: '이번 걷기로 새로 달성한 업적' } } },
+                  ],
+                },
+              },
+            },
+          },
+          401: { description: '인증되지 않음' },
+          404: { description: '걷기 세션을 찾을 수 없음' },
+          409: { description: '이미 종료된 세션' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/goals': {
+      get: {
+        summary: '목표 목록 조회',
+        description: '사용자의 걷기 목표와 현재 기간의 진행 상황을 조회합니다.',
+        tags: ['User Goals'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: '목표 목록', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Goal' } } } } },
+          401: { description: '인증되지 않음' },
+          500: { description: '서버 오류' },
+        },
+      },
+      post: {
+        summary: '목표 생성',
+        description: '일/주/월 단위 목표를 만듭니다. 같은 종류와 기간의 목표는 하나만 둘 수 있습니다.',
+        tags: ['User Goals'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['metric', 'period', 'target'],
+                properties: {
+                  metric: { type: 'string', enum: ['distance', 'walk_count', 'course_count'] },
+                  period: { type: 'string', enum: ['day', 'week', 'month'] },
+                  target: { type: 'number', description: '목표 값 (횟수 목표는 정수)', example: 20 },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: '목표 생성됨', content: { 'application/json': { schema: { $ref: '#/components/schemas/Goal' } } } },
+          400: { description: '입력값이 유효하지 않음' },
+          401: { description: '인증되지 않음' },
+          409: { description: '같은 종류와 기간의 목표가 이미 있음 (GOAL_ALREADY_EXISTS)' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/goals/{goalId}': {
+      get: {
+        summary: '목표 조회',
+        tags: ['User Goals'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'goalId', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: '목표', content: { 'application/json': { schema: { $ref: '#/components/schemas/Goal' } } } },
+          401: { description: '인증되지 않음' },
+          404: { description: '목표를 찾을 수 없음' },
+          500: { description: '서버 오류' },
+        },
+      },
+      patch: {
+        summary: '목표 값 수정',
+        tags: ['User Goals'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'goalId', required: true, schema: { type: 'string' } }],
+        requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['target'], properties: { target: { type: 'number', example: 25 } } } } } },
+        responses: {
+          200: { description: '수정된 목표', content: { 'application/json': { schema: { $ref: '#/components/schemas/Goal' } } } },
+          400: { description: '입력값이 유효하지 않음' },
+          401: { description: '인증되지 않음' },
+          404: { description: '목표를 찾을 수 없음' },
+          500: { description: '서버 오류' },
+        },
+      },
+      delete: {
+        summary: '목표 삭제',
+        tags: ['User Goals'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'goalId', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: '목표가 삭제되었습니다.' },
+          401: { description: '인증되지 않음' },
+          404: { description: '목표를 찾을 수 없음' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
+    '/user/achievements': {
+      get: {
+        summary: '업적 목록 조회',
+        description: '전체 업적을 달성 여부, 달성 시각, 아직 달성하지 못한 업적의 진행률과 함께 조회합니다. 업적은 걷기 기록과 코스 완주 시 자동으로 달성 처리되며, 조회는 달성 처리를 하지 않습니다. 서울 한 바퀴(all_districts)는 완주한 코스의 소재지 기준으로 25개 자치구 중 몇 곳에서 코스를 완주했는지 셉니다.',
+        tags: ['User Achievements'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: '업적 목록',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    earned_count: { type: 'integer', example: 3 },
+                    total_count: { type: 'integer', example: 10 },
+                    achievements: { type: 'array', items: { $ref: '#/components/schemas/Achievement' } },
+                  },
+                },
+              },
+            },
+          },
+          401: { description: '인증되지 않음' },
+          500: { description: '서버 오류' },
+        },
+      },
+    },
     '/user/courses/saved-courses': {
       get: {
         summary: '사용자 저장된 코스 목록 조회 (DynamoDB)',
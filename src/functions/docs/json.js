@@ -20,6 +20,9 @@ const spec = {
     { name: 'Weather', description: '날씨 정보 조회' },
     { name: 'Medical', description: '병원 및 약국 정보 조회' },
     { name: 'User Courses', description: '사용자 저장 코스 및 히스토리 관리 (User 도메인 하위)' },
+    { name: 'User Walks', description: '걷기 세션 기록 (User 도메인 하위)' },
+    { name: 'User Goals', description: '걷기 목표 관리 (User 도메인 하위)' },
+    { name: 'User Achievements', description: '업적 및 배지 (User 도메인 하위)' },
   ],
   components: {
     securitySchemes: {
@@ -86,12 +89,182 @@ const spec = {
           updated_at: { type: 'string', format: 'date-time' },
         },
       },
+      Walk: {
+        type: 'object',
+        description: '걷기 세션. 거리와 시간은 서버가 GPS 좌표로 계산합니다.',
+        properties: {
+          walk_id: { type: 'string', description: '걷기 세션 ID (UUID v7)' },
+          course_id: { type: 'string', nullable: true, description: '걷는 코스 ID (자유 걷기는 null)', example: 'seoultrail_1' },
+          status: { type: 'string', enum: ['active', 'paused', 'finished'] },
+          started_at: { type: 'string', format: 'date-time' },
+          ended_at: { type: 'string', format: 'date-time', nullable: true },
+          point_count: { type: 'integer', description: '반영된 GPS 좌표 수' },
+          distance_km: { type: 'number', description: '걸은 거리 (km)', example: 3.214 },
+          duration_s: { type: 'integer', description: '일시정지를 제외한 경과 시간 (초)' },
+          moving_time_s: { type: 'integer', description: '실제로 이동한 시간 (초)' },
+          avg_pace_sec_per_km: { type: 'integer', nullable: true, description: '평균 페이스 (초/km, 이동 시간 기준)' },
+          avg_speed_kmh: { type: 'number', nullable: true, description: '평균 속도 (km/h, 이동 시간 기준)' },
+          elevation_gain_m: { type: 'number', description: '누적 상승 고도 (m)' },
+          course_match: { allOf: [{ $ref: '#/components/schemas/CourseMatch' }], nullable: true, description: '코스 경로와의 비교 결과 (코스를 지정해 종료한 걷기에만 포함)' },
+        },
+      },
+      CourseMatch: {
+        type: 'object',
+        description: '걸은 경로와 코스 경로의 비교 결과. 커버리지 90% 이상, 정방향, 시작점과 끝점 도달을 모두 만족하면 완주로 기록됩니다.',
+        properties: {
+          coverage_pct: { type: 'number', description: '걸은 경로에서 50m 이내에 있는 코스 구간의 비율 (%)', example: 96.4 },
+          direction: { type: 'string', enum: ['forward', 'reverse', 'unknown'], description: '코스 진행 방향' },
+          start_reached: { type: 'boolean', description: '코스 시작점 100m 이내 도달 여부' },
+          end_reached: { type: 'boolean', description: '코스 끝점 100m 이내 도달 여부' },
+          completed: { type: 'boolean', description: '완주 여부' },
+          completion: { $ref: '#/components/schemas/CourseCompletion' },
+        },
+      },
+      CourseCompletion: {
+        type: 'object',
+        description: '사용자의 코스 완주 기록',
+        properties: {
+          completed: { type: 'boolean', example: true },
+          first_completed_at: { type: 'string', format: 'date-time', nullable: true },
+          last_completed_at: { type: 'string', format: 'date-time', nullable: true },
+          completion_count: { type: 'integer', example: 2 },
+        },
+      },
+      WalkPage: {
+        type: 'object',
+        properties: {
+          walks: { type: 'array', items: { $ref: '#/components/schemas/Walk' } },
+          nextCursor: { type: 'string', nullable: true, description: '다음 페이지 커서 (마지막 페이지면 null)' },
+        },
+      },
+      WalkDetail: {
+        allOf: [
+          { $ref: '#/components/schemas/Walk' },
+          {
+            type: 'object',
+            properties: {
+              pauses: { type: 'array', items: { type: 'object', properties: { paused_at: { type: 'string', format: 'date-time' }, resumed_at: { type: 'string', format: 'date-time', nullable: true } } } },
+              course: { type: 'object', nullable: true, description: '걸은 코스 (자유 걷기는 null)', properties: { course_id: { type: 'string' }, course_name: { type: 'string' }, course_type: { type: 'string' }, course_length: { type: 'string' }, course_difficulty: { type: 'string' } } },
+              track: { type: 'object', nullable: true, description: 'GeoJSON Feature (LineString, 일시정지로 나뉘면 MultiLineString). 좌표별 시각은 properties.coordinateProperties.times' },
+              splits: {
+                type: 'array',
+                description: '1km 구간 기록 (마지막 구간은 1km 미만일 수 있음)',
+                items: {
+                  type: 'object',
+                  properties: {
+                    km: { type: 'integer', example: 1 },
+                    distance_km: { type: 'number', example: 1 },
+                    duration_s: { type: 'integer', example: 702 },
+                    pace_sec_per_km: { type: 'integer', nullable: true, example: 702 },
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+      PeriodStats: {
+        type: 'object',
+        description: '기간별 걷기 통계 (KST 기준, 걷기 기록 시 누적된 값)',
+        properties: {
+          period: { type: 'string', enum: ['day', 'week', 'month'] },
+          from: { type: 'string', format: 'date', description: '첫 구간 시작일' },
+          to: { type: 'string', format: 'date', description: '마지막 구간 종료일' },
+          buckets: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                period_start: { type: 'string', format: 'date', description: '구간 시작일 (주는 월요일)', example: '2026-10-12' },
+                period_end: { type: 'string', format: 'date', example: '2026-10-18' },
+                distance_km: { type: 'number', example: 12.4 },
+                duration_minutes: { type: 'number', example: 185 },
+                walk_count: { type: 'integer', example: 3 },
+                courses_completed: { type: 'integer', example: 1 },
+                elevation_gain_m: { type: 'number', example: 230 },
+              },
+            },
+          },
+        },
+      },
+      Goal: {
+        type: 'object',
+        properties: {
+          goal_id: { type: 'string' },
+          metric: { type: 'string', enum: ['distance', 'walk_count', 'course_count'], description: '거리(km), 걷기 횟수, 완주한 코스 수' },
+          period: { type: 'string', enum: ['day', 'week', 'month'], description: '목표 기간 (KST, 주는 월요일 시작)' },
+          target: { type: 'number', example: 20 },
+          created_at: { type: 'string', format: 'date-time' },
+          updated_at: { type: 'string', format: 'date-time' },
+          progress: {
+            type: 'object',
+            description: '현재 기간의 진행 상황',
+            properties: {
+              period_start: { type: 'string', format: 'date', example: '2026-10-12' },
+              period_end: { type: 'string', format: 'date', example: '2026-10-18' },
+              current: { type: 'number', example: 12.4 },
+              target: { type: 'number', example: 20 },
+              percent: { type: 'number', description: '달성률 (최대 100)', example: 62 },
+              achieved: { type: 'boolean' },
+            },
+          },
+        },
+      },
+      Streak: {
+        type: 'object',
+        description: '연속 걷기 일수 (KST 날짜 기준, 오늘 아직 걷지 않았어도 어제까지 이어졌으면 유지)',
+        properties: {
+          current: { type: 'integer', example: 4 },
+          longest: { type: 'integer', example: 12 },
+          last_walk_date: { type: 'string', format: 'date', nullable: true },
+        },
+      },
+      Achievement: {
+        type: 'object',
+        properties: {
+          achievement_id: { type: 'string', example: 'distance_100km' },
+          name: { type: 'string', example: '100km 달성' },
+          description: { type: 'string', example: '누적 100km를 걸었어요.' },
+          earned: { type: 'boolean' },
+          earned_at: { type: 'string', format: 'date-time', nullable: true },
+          progress: {
+            type: 'object',
+            nullable: true,
+            description: '진행률. 달성한 업적은 null',
+            properties: {
+              current: { type: 'number', example: 42.5 },
+              target: { type: 'number', example: 100 },
+              percent: { type: 'number', example: 42.5 },
+            },
+          },
+        },
+      },
+      ExportJob: {
+        type: 'object',
+        description: '개인 데이터 내보내기 작업',
+        properties: {
+          job_id: { type: 'string', description: '작업 ID (UUID v7)' },
+          status: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed', 'expired'] },
+          created_at: { type: 'string', format: 'date-time' },
+          completed_at: { type: 'string', format: 'date-time', nullable: true },
+          expires_at: { type: 'string', format: 'date-time', nullable: true, description: '파일 보관 기한 (완료 후 7일)' },
+          file_size_bytes: { type: 'integer', nullable: true },
+          file_count: { type: 'integer', nullable: true, description: 'ZIP에 담긴 파일 수' },
+          error: { type: 'string', nullable: true },
+          download_url: { type: 'string', nullable: true, description: 'ZIP 다운로드 링크 (완료된 작업만, 조회할 때마다 새로 발급)' },
+          download_url_expires_at: { type: 'string', format: 'date-time', nullable: true, description: '다운로드 링크 만료 시각 (발급 후 1시간)' },
+        },
+      },
       UserStat: {
         type: 'object',
         properties: {
           user_id: { type: 'string', format: 'uuid' },
           total_walk_distance_km: { type: 'number', format: 'decimal' },
+          pace_factor: { type: 'number', nullable: true, description: '표준 보행자 대비 사용자 보행 속도 (시간이 기록된 걷기 기록이 없으면 null)', example: 0.92 },
           updated_at: { type: 'string', format: 'date-time' },
+          streak: { $ref: '#/components/schemas/Streak' },
+          goals: { type: 'array', items: { $ref: '#/components/schemas/Goal' } },
+          period_stats: { allOf: [{ $ref: '#/components/schemas/PeriodStats' }], description: 'period 파라미터를 지정한 경우에만 포함' },
         },
       },
       Course: {
@@ -103,6 +276,7 @@ const spec = {
           course_length: { type: 'number', format: 'decimal', description: '코스 길이 (km)', example: 18.6 },
           course_duration: { type: 'integer', description: '예상 소요 시간 (분)', example: 360 },
           course_difficulty: { type: 'string', enum: ['하', '중', '상'], description: '난이도', example: '중' },
+          estimated_duration_minutes: { type: 'integer', nullable: true, description: '요청한 사용자의 걷기 기록과 코스 경사를 반영한 예상 소요 시간 (분)', example: 384 },
           course_description: { type: 'string', description: '코스 설명', example: '개화산과 방화동을 거쳐 길동자연생태공원까지' },
           location: { type: 'string', description: '위치 정보', example: '서울시 강서구' },
           start_lat: { type: 'number', format: 'decimal', description: '시작 위도', example: 37.5665 },
@@ -121,6 +295,57 @@ const spec = {
               distance_from_course_km: { type: 'number', format: 'float', description: '코스로부터의 거리 (km)', example: 2.5 },
             },
           },
+          course_metrics: {
+            type: 'object',
+            nullable: true,
+            description: 'GPX 트랙으로 계산한 실제 코스 지표 (GPX가 없으면 null)',
+            properties: {
+              track_length_km: { type: 'number', description: '트랙 실측 길이 (km, Haversine)', example: 18.412 },
+              bbox: {
+                type: 'object',
+                properties: {
+                  min_lat: { type: 'number', example: 37.5502 },
+                  min_lon: { type: 'number', example: 126.8011 },
+                  max_lat: { type: 'number', example: 37.5871 },
+                  max_lon: { type: 'number', example: 126.8652 },
+                },
+              },
+              centroid: { $ref: '#/components/schemas/CoordinatePoint' },
+              start_point: { $ref: '#/components/schemas/CoordinatePoint' },
+              end_point: { $ref: '#/components/schemas/CoordinatePoint' },
+              start_end_distance_m: { type: 'number', description: '시작점과 끝점 사이 직선 거리 (m)', example: 3421.5 },
+              route_type: { type: 'string', enum: ['loop', 'point_to_point'], description: '순환 코스 여부', example: 'point_to_point' },
+              segment_count: { type: 'integer', description: '트랙 구간(trkseg) 수', example: 1 },
+              point_count: { type: 'integer', description: '트랙 좌표 수', example: 2841 },
+            },
+          },
+          popularity: {
+            type: 'object',
+            description: '최근 7일/30일 인기도 (1시간마다 집계, 활동이 없던 코스에는 없음). 순 조회자 수는 하루 단위로 센 조회자 수의 합',
+            properties: {
+              views_7d: { type: 'integer', example: 132 },
+              unique_viewers_7d: { type: 'integer', example: 87 },
+              saves_7d: { type: 'integer', example: 12 },
+              score_7d: { type: 'integer', description: '조회수 + 순 조회자 수 x 2 + 저장 수 x 5', example: 366 },
+              views_30d: { type: 'integer', example: 540 },
+              unique_viewers_30d: { type: 'integer', example: 301 },
+              saves_30d: { type: 'integer', example: 41 },
+              score_30d: { type: 'integer', example: 1347 },
+              updated_at: { type: 'string', format: 'date-time' },
+            },
+          },
+          elevation_summary: {
+            type: 'object',
+            description: '고도 요약 (고도 프로필이 계산된 코스에만 포함)',
+            properties: {
+              total_ascent_m: { type: 'number', description: '총 상승 고도 (m)', example: 512.4 },
+              total_descent_m: { type: 'number', description: '총 하강 고도 (m)', example: 498.1 },
+              min_elevation_m: { type: 'number', description: '최저 고도 (m)', example: 21.3 },
+              max_elevation_m: { type: 'number', description: '최고 고도 (m)', example: 287.9 },
+              max_grade_pct: { type: 'number', description: '최대 오르막 경사도 (%)', example: 18.2 },
+            },
+          },
+          completion: { allOf: [{ $ref: '#/components/schemas/CourseCompletion' }], nullable: true, description: '요청한 사용자의 완주 기록 (비로그인 요청은 null)' },
         },
       },
       AuthResponse: {
@@ -136,6 +361,8 @@ const spec = {
               nickname: { type: 'string', description: '닉네임', example: '홍길동' },
             },
           },
+          deviceKey: { type: 'string', nullable: true, description: '이 기기의 키. 다음 로그인과 토큰 갱신 때 함께 전달', example: 'ap-northeast-2_0f1e2d3c-4b5a-6978-8a9b-0c1d2e3f4a5b' },
+          deviceRemembered: { type: 'boolean', nullable: true, description: '이 기기를 기억하는지. 기존 기기로 로그인하며 rememberDevice를 보내지 않으면 null', example: false },
         },
       },
       UserProfile: {
@@ -149,6 +376,7 @@ const spec = {
           allow_location_storage: { type: 'boolean', description: '위치 정보 저장 허용 여부', example: true },
           saved_courses_count: { type: 'integer', description: '저장한 코스 개수', example: 5 },
           recent_courses_count: { type: 'integer', description: '최근 본 코스 개수', example: 10 },
+          completed_courses_count: { type: 'integer', description: '완주한 코스 개수', example: 3 },
         },
       },
       MedicalFacility: {
@@ -196,6 +424,54 @@ const spec = {
           lon: { type: 'number', format: 'float', description: '경도', example: 127.045876 },
         },
       },
+      ElevationProfile: {
+        type: 'object',
+        properties: {
+          course_id: { type: 'string', example: 'seoultrail_1' },
+          has_elevation: { type: 'boolean', description: 'GPX에 고도(ele) 정보가 있는지 여부. false이면 고도 관련 값은 null입니다.', example: true },
+          total_distance_km: { type: 'number', description: 'GPX 트랙 기준 총 거리 (km)', example: 18.412 },
+          total_ascent_m: { type: 'number', nullable: true, description: '총 상승 고도 (m, 3m 미만의 변화는 노이즈로 간주)', example: 512.4 },
+          total_descent_m: { type: 'number', nullable: true, description: '총 하강 고도 (m)', example: 498.1 },
+          min_elevation_m: { type: 'number', nullable: true, example: 21.3 },
+          max_elevation_m: { type: 'number', nullable: true, example: 287.9 },
+          max_grade_pct: { type: 'number', nullable: true, description: '100m 구간 기준 최대 오르막 경사도 (%)', example: 18.2 },
+          min_grade_pct: { type: 'number', nullable: true, description: '100m 구간 기준 최대 내리막 경사도 (%, 음수)', example: -15.7 },
+          steepest_segments: {
+            type: 'array',
+            description: '경사도 절댓값이 가장 큰 100m 구간 (최대 5개)',
+            items: {
+              type: 'object',
+              properties: {
+                start_km: { type: 'number', example: 3.2 },
+                end_km: { type: 'number', example: 3.3 },
+                start_elevation_m: { type: 'number', example: 120.5 },
+                end_elevation_m: { type: 'number', example: 138.7 },
+                grade_pct: { type: 'number', example: 18.2 },
+              },
+            },
+          },
+          profile: {
+            type: 'array',
+            description: '거리-고도 프로필 (최대 약 300개 지점)',
+            items: {
+              type: 'object',
+              properties: {
+                distance_km: { type: 'number', example: 0.061 },
+                elevation_m: { type: 'number', example: 35.2 },
+              },
+            },
+          },
+          computed_at: { type: 'string', format: 'date-time', description: '계산 시각' },
+        },
+      },
+      CoursePage: {
+        type: 'object',
+        properties: {
+          courses: { type: 'array', items: { $ref: '#/components/schemas/Course' } },
+          nextCursor: { type: 'string', nullable: true, description: '다음 페이지 커서 (마지막 페이지면 null)', example: 'eyJzb3J0QnkiOiJkaXN0YW5jZSIs...' },
+          total: { type: 'integer', description: '조건(난이도)에 맞는 전체 코스 수. 모든 페이지에서 같은 값', example: 42 },
+        },
+      },
       UserRecentCourse: {
         type: 'object',
         properties: {
@@ -212,22 +488,48 @@ const spec = {
   paths: {
     '/auth/forgot-password/send': { post: { summary: '비밀번호 재설정 코드 전송', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['email'], properties: { email: { type: 'string', format: 'email' } } } } } }, responses: { 200: { description: '비밀번호 재설정 코드가 전송되었습니다.' }, 400: { description: '입력값이 유효하지 않음' }, 404: { description: '사용자를 찾을 수 없음' }, 429: { description: '요청 횟수 제한 초과' }, 500: { description: '서버 오류' } } } },
     '/auth/forgot-password/verify': { post: { summary: '비밀번호 재설정 코드 검증', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['email', 'code', 'newPassword'], properties: { email: { type: 'string', format: 'email' }, code: { type: 'string' }, newPassword: { type: 'string', minLength: 8 } } } } } }, responses: { 200: { description: '비밀번호가 성공적으로 재설정되었습니다.' }, 400: { description: '유효하지 않은 코드' }, 404: { description: '사용자를 찾을 수 없음' }, 500: { description: '서버 오류' } } } },
-    '/auth/login': { post: { summary: '사용자 로그인', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['email', 'password'], properties: { email: { type: 'string', format: 'email' }, password: { type: 'string' } } } } } }, responses: { 200: { description: '로그인 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthResponse' } } } }, 400: { description: '입력값이 유효하지 않음' }, 401: { description: '인증 실패' }, 500: { description: '서버 오류' } } } },
+    '/auth/login': { post: { summary: '사용자 로그인', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['email', 'password'], properties: { email: { type: 'string', format: 'email' }, password: { type: 'string' }, deviceKey: { type: 'string' }, deviceName: { type: 'string' }, rememberDevice: { type: 'boolean' } } } } } }, responses: { 200: { description: '로그인 성공 또는 MFA 챌린지', content: { 'application/json': { schema: { oneOf: [{ $ref: '#/components/schemas/AuthResponse' }, { type: 'object', properties: { challengeName: { type: 'string', enum: ['SOFTWARE_TOKEN_MFA'] }, session: { type: 'string' }, email: { type: 'string', format: 'email' } } }] } } } }, 400: { description: '입력값이 유효하지 않음' }, 401: { description: '인증 실패' }, 403: { description: '이메일 인증 미완료 (EMAIL_NOT_VERIFIED)' }, 500: { description: '서버 오류' } } } },
+    '/auth/login/challenge': { post: { summary: '로그인 MFA 챌린지 응답', description: '인증 앱 코드(code) 또는 복구 코드(recoveryCode)로 로그인을 마칩니다. 복구 코드는 한 번씩만 쓸 수 있으며 TOTP MFA는 켜진 채로 유지됩니다.', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['email', 'session'], properties: { email: { type: 'string', format: 'email' }, session: { type: 'string' }, code: { type: 'string' }, recoveryCode: { type: 'string' }, deviceKey: { type: 'string' }, deviceName: { type: 'string' }, rememberDevice: { type: 'boolean' } } } } } }, responses: { 200: { description: '로그인 성공', content: { 'application/json': { schema: { allOf: [{ $ref: '#/components/schemas/AuthResponse' }, { type: 'object', properties: { recoveryCodesRemaining: { type: 'integer' } } }] } } } }, 400: { description: '입력값이 유효하지 않거나 인증 코드 불일치' }, 401: { description: '세션 만료 (MFA_SESSION_EXPIRED) 또는 잘못된 복구 코드 (INVALID_RECOVERY_CODE)' }, 500: { description: '서버 오류' } } } },
     '/auth/logout': { post: { summary: '사용자 로그아웃', tags: ['Auth'], security: [{ bearerAuth: [] }], responses: { 200: { description: '로그아웃 성공' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
-    '/auth/refresh-token': { post: { summary: '토큰 갱신', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['refreshToken'], properties: { refreshToken: { type: 'string' } } } } } }, responses: { 200: { description: '토큰 갱신 성공' }, 400: { description: '입력값이 유효하지 않음' }, 403: { description: '유효하지 않은 토큰' }, 500: { description: '서버 오류' } } } },
-    '/auth/register': { post: { summary: '회원가입', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['email', 'password'], properties: { email: { type: 'string', format: 'email' }, password: { type: 'string', minLength: 8 }, nickname: { type: 'string' } } } } } }, responses: { 201: { description: '회원가입 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthResponse' } } } }, 400: { description: '입력값이 유효하지 않음' }, 409: { description: '이메일 중복' }, 500: { description: '서버 오류' } } } },
-    '/courses/course': { get: { summary: '코스 목록 조회', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'lat', required: true, schema: { type: 'number' } }, { in: 'query', name: 'lon', required: true, schema: { type: 'number' } }, { in: 'query', name: 'n', required: true, schema: { type: 'integer' } }, { in: 'query', name: 'sortBy', schema: { type: 'string', enum: ['distance', 'length', 'difficulty'] } }, { in: 'query', name: 'difficulty', schema: { type: 'string', enum: ['하', '중', '상'] } }], responses: { 200: { description: '코스 목록', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Course' } } } } }, 400: { description: '잘못된 파라미터' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/auth/mfa/totp/setup': { post: { summary: 'TOTP MFA 설정 시작', tags: ['Auth'], security: [{ bearerAuth: [] }], responses: { 200: { description: '발급 성공', content: { 'application/json': { schema: { type: 'object', properties: { secret: { type: 'string' }, otpauthUri: { type: 'string' } } } } } }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/auth/mfa/totp/verify': { post: { summary: 'TOTP MFA 설정 완료', description: '복구 코드는 이 응답에서만 확인할 수 있습니다.', tags: ['Auth'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['code'], properties: { code: { type: 'string' }, deviceName: { type: 'string' } } } } } }, responses: { 200: { description: 'MFA 설정 완료', content: { 'application/json': { schema: { type: 'object', properties: { mfaEnabled: { type: 'boolean' }, recoveryCodes: { type: 'array', items: { type: 'string' } } } } } } }, 400: { description: '입력값이 유효하지 않거나 인증 코드 불일치' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/auth/refresh-token': { post: { summary: '토큰 갱신', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['refreshToken'], properties: { refreshToken: { type: 'string' }, deviceKey: { type: 'string' } } } } } }, responses: { 200: { description: '토큰 갱신 성공' }, 400: { description: '입력값이 유효하지 않음' }, 401: { description: '로그인 해제된 기기의 토큰 (TOKEN_REVOKED)' }, 403: { description: '유효하지 않은 토큰' }, 500: { description: '서버 오류' } } } },
+    '/auth/register': { post: { summary: '회원가입', description: '이메일 인증(verify) 모드인 스테이지에서는 userConfirmed가 false이며, 이메일로 받은 인증 코드를 /auth/register/verify로 확인해야 로그인할 수 있습니다.', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['email', 'password'], properties: { email: { type: 'string', format: 'email' }, password: { type: 'string', minLength: 8 }, nickname: { type: 'string' } } } } } }, responses: { 201: { description: '회원가입 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthResponse' } } } }, 400: { description: '입력값이 유효하지 않음' }, 409: { description: '이메일 중복' }, 500: { description: '서버 오류' } } } },
+    '/auth/register/resend-code': { post: { summary: '회원가입 인증 코드 재전송', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['email'], properties: { email: { type: 'string', format: 'email' } } } } } }, responses: { 200: { description: '인증 코드 재전송' }, 400: { description: '입력값이 유효하지 않음' }, 404: { description: '사용자를 찾을 수 없음' }, 409: { description: '이미 인증된 이메일 (EMAIL_ALREADY_VERIFIED)' }, 429: { description: '요청 횟수 제한 초과' }, 500: { description: '서버 오류' } } } },
+    '/auth/register/verify': { post: { summary: '회원가입 이메일 인증', tags: ['Auth'], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['email', 'code'], properties: { email: { type: 'string', format: 'email' }, code: { type: 'string', minLength: 6, maxLength: 6 } } } } } }, responses: { 200: { description: '이메일 인증 완료' }, 400: { description: '유효하지 않거나 만료된 코드' }, 404: { description: '사용자를 찾을 수 없음' }, 409: { description: '이미 인증된 이메일 (EMAIL_ALREADY_VERIFIED)' }, 429: { description: '요청 횟수 제한 초과' }, 500: { description: '서버 오류' } } } },
+    '/auth/sessions': { get: { summary: '로그인된 기기 목록', tags: ['Auth'], security: [{ bearerAuth: [] }], responses: { 200: { description: '조회 성공', content: { 'application/json': { schema: { type: 'object', properties: { sessions: { type: 'array', items: { type: 'object', properties: { device_key: { type: 'string' }, device_name: { type: 'string', nullable: true }, remembered: { type: 'boolean' }, last_ip: { type: 'string', nullable: true }, country: { type: 'string', nullable: true }, user_agent: { type: 'string', nullable: true }, created_at: { type: 'string', format: 'date-time', nullable: true }, last_used_at: { type: 'string', format: 'date-time', nullable: true }, current: { type: 'boolean' } } } } } } } } }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/auth/sessions/{deviceKey}': { delete: { summary: '기기 로그인 해제', description: '그 기기에서 해제 전에 로그인한 리프레시 토큰은 더 이상 갱신되지 않습니다. 이미 발급된 액세스 토큰은 만료될 때까지 유효합니다.', tags: ['Auth'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'deviceKey', required: true, schema: { type: 'string' } }], responses: { 200: { description: '로그인 해제 성공' }, 401: { description: '인증되지 않음' }, 404: { description: '기기를 찾을 수 없음 (SESSION_NOT_FOUND)' }, 500: { description: '서버 오류' } } } },
+    '/auth/social/{provider}': { post: { summary: '소셜 로그인 (카카오, 네이버, Apple)', description: '제공자 토큰을 확인하고 Cognito 토큰을 발급합니다. 처음 로그인하면 계정을 만들고, 같은 이메일의 계정이 있으면 제공자가 인증한 이메일이고 기존 계정도 인증 코드로 이메일을 확인한 경우에만 연결합니다. (네이버 이메일은 인증된 이메일로 보지 않음) 카카오/네이버는 accessToken, Apple은 identityToken 또는 authorizationCode가 필요합니다. TOTP MFA를 켠 사용자는 토큰 대신 MFA 챌린지를 받습니다.', tags: ['Auth'], parameters: [{ in: 'path', name: 'provider', required: true, schema: { type: 'string', enum: ['kakao', 'naver', 'apple'] } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { accessToken: { type: 'string' }, identityToken: { type: 'string' }, authorizationCode: { type: 'string' }, nickname: { type: 'string' }, deviceKey: { type: 'string' }, deviceName: { type: 'string' }, rememberDevice: { type: 'boolean' } } } } } }, responses: { 200: { description: '로그인 성공 또는 MFA 챌린지', content: { 'application/json': { schema: { oneOf: [{ allOf: [{ $ref: '#/components/schemas/AuthResponse' }, { type: 'object', properties: { idToken: { type: 'string' }, expiresIn: { type: 'integer' }, provider: { type: 'string', enum: ['kakao', 'naver', 'apple'] }, isNewUser: { type: 'boolean' }, linked: { type: 'boolean' } } }] }, { type: 'object', properties: { challengeName: { type: 'string', enum: ['SOFTWARE_TOKEN_MFA'] }, session: { type: 'string' }, email: { type: 'string', format: 'email' }, provider: { type: 'string', enum: ['kakao', 'naver', 'apple'] } } }] } } } }, 400: { description: '지원하지 않는 제공자, 토큰 누락 또는 이메일 제공 미동의' }, 401: { description: '유효하지 않은 소셜 토큰' }, 409: { description: '소셜 계정 연결 충돌 (SOCIAL_ACCOUNT_CONFLICT)' }, 500: { description: '서버 오류' }, 502: { description: '소셜 로그인 제공자 호출 실패' } } } },
+    '/courses/course': { get: { summary: '코스 목록 조회', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'lat', required: true, schema: { type: 'number' } }, { in: 'query', name: 'lon', required: true, schema: { type: 'number' } }, { in: 'query', name: 'n', required: true, schema: { type: 'integer' } }, { in: 'query', name: 'sortBy', schema: { type: 'string', enum: ['distance', 'length', 'difficulty', 'popularity'] } }, { in: 'query', name: 'difficulty', schema: { type: 'string', enum: ['하', '중', '상'] } }, { in: 'query', name: 'cursor', schema: { type: 'string' } }], responses: { 200: { description: '코스 목록', content: { 'application/json': { schema: { $ref: '#/components/schemas/CoursePage' } } } }, 400: { description: '잘못된 파라미터' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/courses/search': { get: { summary: '코스 검색', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'q', required: true, schema: { type: 'string' } }, { in: 'query', name: 'n', schema: { type: 'integer', default: 20 } }], responses: { 200: { description: '검색 결과', content: { 'application/json': { schema: { type: 'object', properties: { query: { type: 'string' }, courses: { type: 'array', items: { $ref: '#/components/schemas/Course' } }, total: { type: 'integer' } } } } } }, 400: { description: '검색어 누락' }, 401: { description: '인증되지 않음' }, 503: { description: '검색 인덱스 없음' } } } },
     '/courses/{courseId}': { get: { summary: '코스 상세 조회', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' } }], responses: { 200: { description: '코스 상세', content: { 'application/json': { schema: { $ref: '#/components/schemas/Course' } } } }, 401: { description: '인증되지 않음' }, 404: { description: '코스 없음' }, 500: { description: '서버 오류' } } } },
-    '/courses/home': { get: { summary: '홈 코스 목록', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'lat', required: true, schema: { type: 'number' } }, { in: 'query', name: 'lon', required: true, schema: { type: 'number' } }, { in: 'query', name: 'n', required: true, schema: { type: 'integer' } }], responses: { 200: { description: '코스 목록', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Course' } } } } }, 400: { description: '잘못된 파라미터' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
-    '/courses/{courseId}/coordinates': { get: { summary: '코스 좌표 조회', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' } }], responses: { 200: { description: '좌표 배열', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/CoordinatePoint' } } } } }, 400: { description: 'courseId 누락' }, 401: { description: '인증되지 않음' }, 404: { description: '코스 없음' }, 500: { description: '서버 오류' } } } },
+    '/courses/home': { get: { summary: '홈 코스 목록', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'lat', required: true, schema: { type: 'number' } }, { in: 'query', name: 'lon', required: true, schema: { type: 'number' } }, { in: 'query', name: 'n', required: true, schema: { type: 'integer' } }, { in: 'query', name: 'cursor', schema: { type: 'string' } }], responses: { 200: { description: '코스 목록', content: { 'application/json': { schema: { $ref: '#/components/schemas/CoursePage' } } } }, 400: { description: '잘못된 파라미터' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/courses/trending': { get: { summary: '인기 코스 조회', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'window', schema: { type: 'string', enum: ['7d', '30d'], default: '7d' } }, { in: 'query', name: 'n', schema: { type: 'integer', default: 20 } }], responses: { 200: { description: '인기 코스 목록', content: { 'application/json': { schema: { type: 'object', properties: { window: { type: 'string' }, courses: { type: 'array', items: { $ref: '#/components/schemas/Course' } } } } } } }, 400: { description: '잘못된 window' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/courses/recommendations': { get: { summary: '맞춤 코스 추천', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'lat', required: true, schema: { type: 'number' } }, { in: 'query', name: 'lon', required: true, schema: { type: 'number' } }, { in: 'query', name: 'n', schema: { type: 'integer', default: 10 } }], responses: { 200: { description: '추천 코스 목록 (score, reason, reason_code 포함)', content: { 'application/json': { schema: { type: 'object', properties: { courses: { type: 'array', items: { allOf: [{ $ref: '#/components/schemas/Course' }, { type: 'object', properties: { score: { type: 'number' }, reason: { type: 'string' }, reason_code: { type: 'string' } } }] } } } } } } }, 400: { description: '잘못된 요청 파라미터' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/courses/{courseId}/elevation': { get: { summary: '코스 고도 프로필 조회', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' } }], responses: { 200: { description: '고도 프로필', content: { 'application/json': { schema: { $ref: '#/components/schemas/ElevationProfile' } } } }, 401: { description: '인증되지 않음' }, 404: { description: '코스 없음' }, 500: { description: '서버 오류' } } } },
+    '/courses/{courseId}/coordinates': { get: { summary: '코스 좌표 조회', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' } }, { in: 'query', name: 'format', schema: { type: 'string', enum: ['json', 'geojson', 'gpx', 'kml', 'polyline'], default: 'json' } }, { in: 'query', name: 'tolerance', schema: { type: 'number', minimum: 0, maximum: 1000 } }, { in: 'query', name: 'zoom', schema: { type: 'integer', minimum: 0, maximum: 22 } }], responses: { 200: { description: '좌표 배열 또는 요청한 형식의 경로', content: { 'application/json': { schema: { oneOf: [{ type: 'array', items: { $ref: '#/components/schemas/CoordinatePoint' } }, { type: 'object', properties: { tolerance_m: { type: 'number' }, original_count: { type: 'integer' }, simplified_count: { type: 'integer' }, coordinates: { type: 'array', items: { $ref: '#/components/schemas/CoordinatePoint' } } } }] } }, 'application/geo+json': { schema: { type: 'object' } }, 'application/gpx+xml': { schema: { type: 'string' } }, 'application/vnd.google-earth.kml+xml': { schema: { type: 'string' } } } }, 400: { description: 'courseId 누락 또는 잘못된 format/tolerance/zoom' }, 401: { description: '인증되지 않음' }, 404: { description: '코스 없음' }, 500: { description: '서버 오류' } } } },
+    '/courses/{courseId}/progress': { post: { summary: '코스 진행 상황 조회', tags: ['Course'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['lat', 'lon'], properties: { lat: { type: 'number' }, lon: { type: 'number' }, accuracy: { type: 'number' }, last_distance_km: { type: 'number' } } } } } }, responses: { 200: { description: '코스 진행 상황', content: { 'application/json': { schema: { type: 'object', properties: { course_id: { type: 'string' }, position: { type: 'object', properties: { lat: { type: 'number' }, lon: { type: 'number' } } }, nearest_point: { type: 'object', properties: { lat: { type: 'number' }, lon: { type: 'number' } } }, distance_to_route_m: { type: 'number' }, off_route: { type: 'boolean' }, off_route_threshold_m: { type: 'number' }, distance_along_km: { type: 'number' }, remaining_km: { type: 'number' }, total_km: { type: 'number' }, progress_pct: { type: 'number' }, eta_minutes: { type: 'integer' }, estimated_arrival_at: { type: 'string', format: 'date-time' } } } } } }, 400: { description: '입력 검증 실패' }, 401: { description: '인증되지 않음' }, 404: { description: '코스 없음' }, 500: { description: '서버 오류' } } } },
     '/medical/search': { get: { summary: '병원/약국 검색', tags: ['Medical'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'Q0', schema: { type: 'string' } }, { in: 'query', name: 'Q1', schema: { type: 'string' } }, { in: 'query', name: 'QZ', schema: { type: 'string' } }, { in: 'query', name: 'QD', schema: { type: 'string' } }, { in: 'query', name: 'QT', schema: { type: 'string' } }, { in: 'query', name: 'QN', schema: { type: 'string' } }, { in: 'query', name: 'ORD', schema: { type: 'string' } }, { in: 'query', name: 'pageNo', schema: { type: 'integer', default: 1 } }, { in: 'query', name: 'numOfRows', schema: { type: 'integer', default: 10 } }], responses: { 200: { description: '의료시설 목록', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/MedicalFacility' } } } } }, 400: { description: '잘못된 파라미터' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
     '/user/coordinates': { put: { summary: '위치 업데이트', tags: ['User'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['latitude', 'longitude'], properties: { latitude: { type: 'number' }, longitude: { type: 'number' } } } } } }, responses: { 200: { description: '업데이트 성공' }, 400: { description: '입력값 오류' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
-    '/user/password': { patch: { summary: '비밀번호 변경', tags: ['User'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['currentPassword', 'newPassword'], properties: { currentPassword: { type: 'string' }, newPassword: { type: 'string', minLength: 8 } } } } } }, responses: { 200: { description: '변경 성공' }, 400: { description: '입력값 오류' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/user/password': { patch: { summary: '비밀번호 변경', description: 'Cognito에서 현재 비밀번호를 확인한 후 변경합니다. signOutOtherDevices가 true이면 다른 기기의 세션을 모두 로그아웃하고, 현재 기기용 새 토큰을 반환합니다. TOTP MFA 사용자는 MFA 챌린지를 받으며, 다시 로그인하지 못하면 reloginRequired가 true입니다.', tags: ['User'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['currentPassword', 'newPassword'], properties: { currentPassword: { type: 'string' }, newPassword: { type: 'string', minLength: 8 }, signOutOtherDevices: { type: 'boolean', default: false }, deviceKey: { type: 'string' }, deviceName: { type: 'string', maxLength: 100 } } } } } }, responses: { 200: { description: '변경 성공 (signOutOtherDevices인 경우 새 토큰 또는 MFA 챌린지 포함)', content: { 'application/json': { schema: { type: 'object', properties: { message: { type: 'string' }, signedOutOtherDevices: { type: 'boolean' }, accessToken: { type: 'string' }, refreshToken: { type: 'string' }, idToken: { type: 'string' }, expiresIn: { type: 'integer' }, deviceKey: { type: 'string', nullable: true }, challengeName: { type: 'string', enum: ['SOFTWARE_TOKEN_MFA'] }, session: { type: 'string' }, email: { type: 'string' }, reloginRequired: { type: 'boolean' } } } } } }, 400: { description: '입력값 오류, 비밀번호 정책 위반 또는 현재 비밀번호 불일치 (INVALID_PASSWORD)' }, 401: { description: '인증되지 않음' }, 429: { description: '요청 횟수 제한 초과' }, 500: { description: '서버 오류' } } } },
     '/user/profile': { get: { summary: '프로필 조회', tags: ['User'], security: [{ bearerAuth: [] }], responses: { 200: { description: '프로필', content: { 'application/json': { schema: { $ref: '#/components/schemas/UserProfile' } } } }, 401: { description: '인증되지 않음' } } } },
-    '/user/withdraw': { delete: { summary: '회원탈퇴', tags: ['User'], security: [{ bearerAuth: [] }], responses: { 200: { description: '탈퇴 완료' }, 401: { description: '인증되지 않음' }, 404: { description: '사용자 없음' }, 500: { description: '서버 오류' } } } },
+    '/user/withdraw': { delete: { summary: '회원탈퇴', description: '계정을 비활성화합니다. 유예 기간(기본 30일)이 지나면 Cognito 계정과 모든 사용자 데이터가 완전히 삭제되며, 그 전에는 /user/withdraw/cancel로 취소할 수 있습니다.', tags: ['User'], security: [{ bearerAuth: [] }], responses: { 200: { description: '탈퇴 완료', content: { 'application/json': { schema: { type: 'object', properties: { message: { type: 'string' }, deleted_at: { type: 'string', format: 'date-time' }, purge_after: { type: 'string', format: 'date-time', description: '완전 삭제 예정 시각 (이후 취소 불가)' } } } } } }, 401: { description: '인증되지 않음' }, 404: { description: '사용자 없음' }, 500: { description: '서버 오류' } } } },
+    '/user/withdraw/cancel': { post: { summary: '회원탈퇴 취소', description: '유예 기간 안에 탈퇴를 취소하고 계정을 다시 활성화합니다.', tags: ['User'], security: [{ bearerAuth: [] }], responses: { 200: { description: '탈퇴 취소 완료' }, 401: { description: '인증되지 않음' }, 404: { description: '사용자 없음' }, 409: { description: '탈퇴 처리 중인 계정이 아니거나(WITHDRAWAL_NOT_PENDING) 취소 가능 기간이 지남(WITHDRAWAL_GRACE_PERIOD_EXPIRED)' }, 500: { description: '서버 오류' } } } },
+    '/user/export': { post: { summary: '개인 데이터 내보내기 요청', tags: ['User'], security: [{ bearerAuth: [] }], responses: { 200: { description: '진행 중인 작업', content: { 'application/json': { schema: { $ref: '#/components/schemas/ExportJob' } } } }, 202: { description: '작업 생성', content: { 'application/json': { schema: { $ref: '#/components/schemas/ExportJob' } } } }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/user/export/{jobId}': { get: { summary: '개인 데이터 내보내기 상태 조회', tags: ['User'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'jobId', required: true, schema: { type: 'string' } }], responses: { 200: { description: '내보내기 작업', content: { 'application/json': { schema: { $ref: '#/components/schemas/ExportJob' } } } }, 401: { description: '인증되지 않음' }, 404: { description: '작업 없음' }, 500: { description: '서버 오류' } } } },
     '/user/settings': { patch: { summary: '설정 변경', tags: ['User'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { nickname: { type: 'string' }, language: { type: 'string' }, distance_unit: { type: 'string', enum: ['km', 'mi'] }, is_dark_mode_enabled: { type: 'boolean' }, allow_location_storage: { type: 'boolean' } } } } } }, responses: { 200: { description: '변경 성공' }, 400: { description: '입력값 오류' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
-    '/user/stats': { get: { summary: '통계 조회', tags: ['User'], security: [{ bearerAuth: [] }], responses: { 200: { description: '통계', content: { 'application/json': { schema: { $ref: '#/components/schemas/UserStat' } } } }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
-    '/user/stats/walk': { post: { summary: '걷기 기록', tags: ['User'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['distance_km'], properties: { distance_km: { type: 'number' } } } } } }, responses: { 200: { description: '기록 성공' }, 400: { description: '입력값 오류' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/user/stats': { get: { summary: '통계 조회', tags: ['User'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'period', schema: { type: 'string', enum: ['day', 'week', 'month'] } }, { in: 'query', name: 'from', schema: { type: 'string', format: 'date' } }, { in: 'query', name: 'to', schema: { type: 'string', format: 'date' } }], responses: { 200: { description: '통계', content: { 'application/json': { schema: { $ref: '#/components/schemas/UserStat' } } } }, 400: { description: '파라미터 오류' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/user/stats/walk': { post: { summary: '걷기 기록', tags: ['User'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['distance_km'], properties: { distance_km: { type: 'number' }, duration_minutes: { type: 'number' }, course_id: { type: 'string' }, walked_at: { type: 'string', format: 'date-time' }, elevation_gain_m: { type: 'number' } } } } } }, responses: { 200: { description: '기록 성공' }, 400: { description: '입력값 오류' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
+    '/user/walks': { get: { summary: '걷기 기록 목록', tags: ['User Walks'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'from', schema: { type: 'string', format: 'date' } }, { in: 'query', name: 'to', schema: { type: 'string', format: 'date' } }, { in: 'query', name: 'course_id', schema: { type: 'string' } }, { in: 'query', name: 'n', schema: { type: 'integer', default: 20, maximum: 50 } }, { in: 'query', name: 'cursor', schema: { type: 'string' } }], responses: { 200: { description: '걷기 기록 목록', content: { 'application/json': { schema: { $ref: '#/components/schemas/WalkPage' } } } }, 400: { description: '파라미터 오류' }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } }, post: { summary: '걷기 세션 시작', tags: ['User Walks'], security: [{ bearerAuth: [] }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { course_id: { type: 'string' }, started_at: { type: 'string', format: 'date-time' } } } } } }, responses: { 201: { description: '시작 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/Walk' } } } }, 400: { description: '입력값 오류' }, 401: { description: '인증되지 않음' }, 404: { description: '코스 없음' }, 409: { description: '진행 중인 걷기 있음' }, 500: { description: '서버 오류' } } } },
+    '/user/walks/import': { post: { summary: '걷기 기록 파일 가져오기', tags: ['User Walks'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'format', schema: { type: 'string', enum: ['gpx', 'tcx', 'fit'] } }, { in: 'query', name: 'course_id', schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/gpx+xml': { schema: { type: 'string' } }, 'application/vnd.garmin.tcx+xml': { schema: { type: 'string' } }, 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } }, responses: { 201: { description: '가져온 걷기 기록', content: { 'application/json': { schema: { allOf: [{ $ref: '#/components/schemas/Walk' }, { type: 'object', properties: { source: { type: 'string' }, received_count: { type: 'integer' }, accepted_count: { type: 'integer' }, total_walk_distance_km: { type: 'number' }, new_achievements: { type: 'array', items: { $ref: '#/components/schemas/Achievement' } } } }] } } } }, 400: { description: '파일을 읽을 수 없음' }, 401: { description: '인증되지 않음' }, 404: { description: '코스 없음' }, 409: { description: '같은 시간대의 걷기 기록이 있음' }, 500: { description: '서버 오류' } } } },
+    '/user/walks/{walkId}': { get: { summary: '걷기 기록 상세', tags: ['User Walks'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }], responses: { 200: { description: '걷기 기록 상세', content: { 'application/json': { schema: { $ref: '#/components/schemas/WalkDetail' } } } }, 401: { description: '인증되지 않음' }, 404: { description: '기록 없음' }, 500: { description: '서버 오류' } } } },
+    '/user/walks/{walkId}/points': { post: { summary: 'GPS 좌표 추가', tags: ['User Walks'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['points'], properties: { points: { type: 'array', maxItems: 500, items: { type: 'object', required: ['lat', 'lon', 'timestamp'], properties: { lat: { type: 'number' }, lon: { type: 'number' }, timestamp: { type: 'string', format: 'date-time' }, elevation: { type: 'number' }, accuracy: { type: 'number' } } } } } } } } }, responses: { 200: { description: '반영 결과', content: { 'application/json': { schema: { allOf: [{ $ref: '#/components/schemas/Walk' }, { type: 'object', properties: { received_count: { type: 'integer' }, accepted_count: { type: 'integer' } } }] } } } }, 400: { description: '입력값 오류' }, 401: { description: '인증되지 않음' }, 404: { description: '세션 없음' }, 409: { description: '상태 오류 또는 충돌' }, 500: { description: '서버 오류' } } } },
+    '/user/walks/{walkId}/pause': { post: { summary: '걷기 일시정지', tags: ['User Walks'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { timestamp: { type: 'string', format: 'date-time' } } } } } }, responses: { 200: { description: '일시정지됨', content: { 'application/json': { schema: { $ref: '#/components/schemas/Walk' } } } }, 401: { description: '인증되지 않음' }, 404: { description: '세션 없음' }, 409: { description: '상태 오류' }, 500: { description: '서버 오류' } } } },
+    '/user/walks/{walkId}/resume': { post: { summary: '걷기 재개', tags: ['User Walks'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { timestamp: { type: 'string', format: 'date-time' } } } } } }, responses: { 200: { description: '재개됨', content: { 'application/json': { schema: { $ref: '#/components/schemas/Walk' } } } }, 401: { description: '인증되지 않음' }, 404: { description: '세션 없음' }, 409: { description: '상태 오류' }, 500: { description: '서버 오류' } } } },
+    '/user/walks/{walkId}/finish': { post: { summary: '걷기 종료', description: '기록을 남기다 실패(500)했으면 다시 요청하여 기록만 재시도할 수 있습니다.', tags: ['User Walks'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'walkId', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { ended_at: { type: 'string', format: 'date-time' } } } } } }, responses: { 200: { description: '종료된 세션', content: { 'application/json': { schema: { allOf: [{ $ref: '#/components/schemas/Walk' }, { type: 'object', properties: { total_walk_distance_km: { type: 'number' }, new_achievements: { type: 'array', items: { $ref: '#/components/schemas/Achievement' } } } }] } } } }, 401: { description: '인증되지 않음' }, 404: { description: '세션 없음' }, 409: { description: '이미 종료됨' }, 500: { description: '서버 오류' } } } },
+    '/user/goals': { get: { summary: '목표 목록', tags: ['User Goals'], security: [{ bearerAuth: [] }], responses: { 200: { description: '목표 목록', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Goal' } } } } }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } }, post: { summary: '목표 생성', tags: ['User Goals'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['metric', 'period', 'target'], properties: { metric: { type: 'string', enum: ['distance', 'walk_count', 'course_count'] }, period: { type: 'string', enum: ['day', 'week', 'month'] }, target: { type: 'number' } } } } } }, responses: { 201: { description: '생성 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/Goal' } } } }, 400: { description: '입력값 오류' }, 401: { description: '인증되지 않음' }, 409: { description: '이미 있음' }, 500: { description: '서버 오류' } } } },
+    '/user/goals/{goalId}': { get: { summary: '목표 조회', tags: ['User Goals'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'goalId', required: true, schema: { type: 'string' } }], responses: { 200: { description: '목표', content: { 'application/json': { schema: { $ref: '#/components/schemas/Goal' } } } }, 401: { description: '인증되지 않음' }, 404: { description: '목표 없음' }, 500: { description: '서버 오류' } } }, patch: { summary: '목표 수정', tags: ['User Goals'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'goalId', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['target'], properties: { target: { type: 'number' } } } } } }, responses: { 200: { description: '수정 성공', content: { 'application/json': { schema: { $ref: '#/components/schemas/Goal' } } } }, 400: { description: '입력값 오류' }, 401: { description: '인증되지 않음' }, 404: { description: '목표 없음' }, 500: { description: '서버 오류' } } }, delete: { summary: '목표 삭제', tags: ['User Goals'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'goalId', required: true, schema: { type: 'string' } }], responses: { 200: { description: '삭제 성공' }, 401: { description: '인증되지 않음' }, 404: { description: '목표 없음' }, 500: { description: '서버 오류' } } } },
+    '/user/achievements': { get: { summary: '업적 목록', tags: ['User Achievements'], security: [{ bearerAuth: [] }], responses: { 200: { description: '업적 목록', content: { 'application/json': { schema: { type: 'object', properties: { earned_count: { type: 'integer' }, total_count: { type: 'integer' }, achievements: { type: 'array', items: { $ref: '#/components/schemas/Achievement' } } } } } } }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
     '/user/courses/saved-courses': { get: { summary: '저장된 코스 목록', tags: ['User Courses'], security: [{ bearerAuth: [] }], responses: { 200: { description: '코스 목록', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Course' } } } } }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
     '/user/courses/saved-courses/{courseId}': { put: { summary: '코스 저장', tags: ['User Courses'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' } }], responses: { 200: { description: '이미 저장됨' }, 201: { description: '저장 성공' }, 400: { description: '파라미터 오류' }, 401: { description: '인증되지 않음' }, 404: { description: '코스 없음' }, 500: { description: '서버 오류' } } }, delete: { summary: '저장 삭제', tags: ['User Courses'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'courseId', required: true, schema: { type: 'string' } }], responses: { 200: { description: '삭제 성공' }, 400: { description: '파라미터 오류' }, 401: { description: '인증되지 않음' }, 404: { description: '코스 없음' }, 500: { description: '서버 오류' } } } },
     '/user/courses/recent-courses': { get: { summary: '최근 본 코스 목록', tags: ['User Courses'], security: [{ bearerAuth: [] }], responses: { 200: { description: '코스 목록', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Course' } } } } }, 401: { description: '인증되지 않음' }, 500: { description: '서버 오류' } } } },
@@ -0,0 +1,19 @@
+const { logger } = require('../../utils/logger');
+const exportService = require('../../services/exportService');
+
+/**
+ * 개인 데이터 내보내기 작업 큐 핸들러 (sst.aws.Queue 구독)
+ */
+exports.handler = async (event) => {
+  for (const record of event.Records) {
+    const { userId, jobId } = JSON.parse(record.body);
+    logger.info('User export job started', { userId, jobId });
+
+    try {
+      await exportService.processExport(userId, jobId);
+    } catch (err) {
+      logger.error('User export job failed', { userId, jobId, error: err.message, stack: err.stack });
+      throw err;
+    }
+  }
+};
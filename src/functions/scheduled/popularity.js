@@ -0,0 +1,18 @@
+const { logger } = require('../../utils/logger');
+const coursesService = require('../../services/coursesService');
+
+/**
+ * 코스 인기도 집계 스케줄 핸들러 (sst.aws.Cron)
+ */
+exports.handler = async () => {
+  logger.info('Course popularity aggregation started');
+
+  try {
+    const result = await coursesService.aggregateCoursePopularity();
+    logger.info('Course popularity aggregation finished', result);
+    return result;
+  } catch (err) {
+    logger.error('Course popularity aggregation failed', { error: err.message, stack: err.stack });
+    throw err;
+  }
+};
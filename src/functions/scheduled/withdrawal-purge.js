@@ -0,0 +1,18 @@
+const { logger } = require('../../utils/logger');
+const withdrawalService = require('../../services/withdrawalService');
+
+/**
+ * 탈퇴 유예 기간이 지난 사용자 완전 삭제 스케줄 핸들러 (sst.aws.Cron)
+ */
+exports.handler = async () => {
+  logger.info('Withdrawn user purge started');
+
+  try {
+    const result = await withdrawalService.purgeWithdrawnUsers();
+    logger.info('Withdrawn user purge finished', result);
+    return result;
+  } catch (err) {
+    logger.error('Withdrawn user purge failed', { error: err.message, stack: err.stack });
+    throw err;
+  }
+};
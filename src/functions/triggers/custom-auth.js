@@ -0,0 +1,68 @@
+const { logger } = require('../../utils/logger');
+const { consumeLoginChallenge } = require('../../utils/social/login-challenge');
+
+// Cognito 커스텀 인증(CUSTOM_AUTH) 트리거: 소셜 로그인(POST /auth/social/{provider})과 MFA 복구 코드 로그인(POST /auth/login/challenge)에서 사용
+// https://docs.aws.amazon.com/cognito/latest/developerguide/user-pool-lambda-challenge.html
+
+const SOCIAL_LOGIN_CHALLENGE = 'CUSTOM_CHALLENGE';
+const MFA_CHALLENGE = 'SOFTWARE_TOKEN_MFA';
+
+/**
+ * 인증 단계를 정합니다. 첫 요청에는 커스텀 챌린지를 내고, 그 응답이 맞으면 토큰을 발급합니다.
+ * TOTP MFA를 켠 사용자는 서버가 clientMetadata.mfa로 알려주며, 커스텀 챌린지 다음에 인증 앱 코드(SOFTWARE_TOKEN_MFA)를 확인합니다.
+ */
+exports.defineAuthChallenge = async (event) => {
+  const session = event.request.session || [];
+  const last = session[session.length - 1];
+  const passedSocialLogin = session[0]?.challengeName === SOCIAL_LOGIN_CHALLENGE && session[0].challengeResult === true;
+
+  if (session.length === 0) {
+    event.response.challengeName = SOCIAL_LOGIN_CHALLENGE;
+    event.response.issueTokens = false;
+    event.response.failAuthentication = false;
+  } else if (session.length === 1 && passedSocialLogin && event.request.clientMetadata?.mfa === MFA_CHALLENGE) {
+    event.response.challengeName = MFA_CHALLENGE;
+    event.response.issueTokens = false;
+    event.response.failAuthentication = false;
+  } else if (session.length === 1 && passedSocialLogin) {
+    event.response.issueTokens = true;
+    event.response.failAuthentication = false;
+  } else if (session.length === 2 && passedSocialLogin && last.challengeName === MFA_CHALLENGE && last.challengeResult === true) {
+    event.response.issueTokens = true;
+    event.response.failAuthentication = false;
+  } else {
+    event.response.issueTokens = false;
+    event.response.failAuthentication = true;
+  }
+
+  return event;
+};
+
+/**
+ * 챌린지를 만듭니다. 정답은 서버가 DynamoDB에 저장한 일회용 응답이므로 여기서는 표시만 합니다.
+ */
+exports.createAuthChallenge = async (event) => {
+  event.response.publicChallengeParameters = { type: 'SOCIAL_LOGIN' };
+  event.response.privateChallengeParameters = {};
+  event.response.challengeMetadata = 'SOCIAL_LOGIN';
+  return event;
+};
+
+/**
+ * 제출된 응답이 서버가 저장한 일회용 응답과 같은지 확인합니다.
+ */
+exports.verifyAuthChallengeResponse = async (event) => {
+  const userId = event.request.userAttributes?.sub;
+
+  try {
+    event.response.answerCorrect = await consumeLoginChallenge(userId, event.request.challengeAnswer);
+  } catch (err) {
+    logger.error('Social login challenge verification failed', { userId, error: err.message });
+    event.response.answerCorrect = false;
+  }
+
+  if (!event.response.answerCorrect) {
+    logger.warn('Social login challenge rejected', { userId });
+  }
+  return event;
+};
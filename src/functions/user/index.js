@@ -1,9 +1,24 @@
 const { logger } = require('../../utils/logger');
 const { success, error } = require('../../utils/response');
 const { ServerError, ERROR_CODES } = require('../../utils/error');
+const authService = require('../../services/authService');
 const userService = require('../../services/userService');
-const { validateBody, updateLocationSchema, logWalkSchema } = require('../../utils/validation');
-const { requireUserId } = require('../../utils/auth');
+const walkService = require('../../services/walkService');
+const goalService = require('../../services/goalService');
+const achievementService = require('../../services/achievementService');
+const exportService = require('../../services/exportService');
+const {
+  validateBody,
+  updateLocationSchema,
+  logWalkSchema,
+  startWalkSchema,
+  addWalkPointsSchema,
+  walkEventSchema,
+  finishWalkSchema,
+  createGoalSchema,
+  updateGoalSchema,
+} = require('../../utils/validation');
+const { requireUserId, requireAccessToken, getClientInfo } = require('../../utils/auth');
 
 exports.handler = async (event) => {
   const routeKey = event.routeKey;
@@ -12,9 +27,23 @@ exports.handler = async (event) => {
   try {
     const userId = requireUserId(event);
 
-    const body = event.body ? JSON.parse(event.body) : {};
+    // 걷기 기록 가져오기는 파일 내용을 그대로 본문으로 받음
+    const isFileUpload = routeKey === 'POST /user/walks/import';
+    const body = event.body && !isFileUpload ? JSON.parse(event.body) : {};
     const pathParameters = event.pathParameters || {};
+    const query = event.queryStringParameters || {};
     const courseId = pathParameters.courseId;
+    const walkId = pathParameters.walkId;
+    const goalId = pathParameters.goalId;
+    const jobId = pathParameters.jobId;
+
+    const validate = (schema) => {
+      const validation = validateBody(schema, body);
+      if (!validation.success) {
+        throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, { errors: validation.errors });
+      }
+      return validation.data;
+    };
 
     let result;
     let statusCode = 200;
@@ -28,14 +57,20 @@ exports.handler = async (event) => {
         result = await userService.updateSettings(userId, body);
         break;
 
-      case 'PATCH /user/password':
-        result = await userService.changePassword(userId, body);
+      case 'PATCH /user/password': {
+        const accessToken = requireAccessToken(event);
+        result = await authService.changePassword(userId, accessToken, body, getClientInfo(event));
         break;
+      }
 
       case 'DELETE /user/withdraw':
         result = await userService.withdraw(userId);
         break;
 
+      case 'POST /user/withdraw/cancel':
+        result = await userService.cancelWithdrawal(userId);
+        break;
+
       case 'PUT /user/coordinates': {
         const validation = validateBody(updateLocationSchema, body);
         if (!validation.success) {
@@ -46,8 +81,19 @@ exports.handler = async (event) => {
         break;
       }
 
+      case 'POST /user/export': {
+        const { job, created } = await exportService.requestExport(userId);
+        result = job;
+        statusCode = created ? 202 : 200;
+        break;
+      }
+
+      case 'GET /user/export/{jobId}':
+        result = await exportService.getExportJob(userId, jobId);
+        break;
+
       case 'GET /user/stats':
-        result = await userService.getStats(userId);
+        result = await userService.getStats(userId, query);
         break;
 
       case 'POST /user/stats/walk': {
@@ -55,11 +101,88 @@ exports.handler = async (event) => {
         if (!validation.success) {
           throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, { errors: validation.errors });
         }
-        const { distance_km } = validation.data;
-        result = await userService.logWalk(userId, distance_km);
+        const { distance_km, ...options } = validation.data;
+        result = await userService.logWalk(userId, distance_km, options);
+        break;
+      }
+
+      // Walk Sessions
+      case 'GET /user/walks':
+        result = await walkService.listWalks(userId, query);
+        break;
+
+      case 'GET /user/walks/{walkId}':
+        if (!walkId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        result = await walkService.getWalk(userId, walkId);
+        break;
+
+      case 'POST /user/walks':
+        result = await walkService.startWalk(userId, validate(startWalkSchema));
+        statusCode = 201;
+        break;
+
+      case 'POST /user/walks/import': {
+        const file = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+        if (file.length === 0) {
+          throw new ServerError(ERROR_CODES.INVALID_TRACK_FILE, 400, { message: '파일 내용이 비어 있습니다.' });
+        }
+        result = await walkService.importWalk(userId, file, query);
+        statusCode = 201;
+        break;
+      }
+
+      case 'POST /user/walks/{walkId}/points': {
+        if (!walkId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        const { points } = validate(addWalkPointsSchema);
+        result = await walkService.addWalkPoints(userId, walkId, points);
         break;
       }
 
+      case 'POST /user/walks/{walkId}/pause':
+        if (!walkId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        result = await walkService.pauseWalk(userId, walkId, validate(walkEventSchema));
+        break;
+
+      case 'POST /user/walks/{walkId}/resume':
+        if (!walkId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        result = await walkService.resumeWalk(userId, walkId, validate(walkEventSchema));
+        break;
+
+      case 'POST /user/walks/{walkId}/finish':
+        if (!walkId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        result = await walkService.finishWalk(userId, walkId, validate(finishWalkSchema));
+        break;
+
+      // Goals
+      case 'GET /user/goals':
+        result = await goalService.listGoals(userId);
+        break;
+
+      case 'POST /user/goals':
+        result = await goalService.createGoal(userId, validate(createGoalSchema));
+        statusCode = 201;
+        break;
+
+      case 'GET /user/goals/{goalId}':
+        if (!goalId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        result = await goalService.getGoal(userId, goalId);
+        break;
+
+      case 'PATCH /user/goals/{goalId}':
+        if (!goalId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        result = await goalService.updateGoal(userId, goalId, validate(updateGoalSchema));
+        break;
+
+      case 'DELETE /user/goals/{goalId}':
+        if (!goalId) throw new ServerError(ERROR_CODES.INVALID_INPUT, 400);
+        result = await goalService.deleteGoal(userId, goalId);
+        break;
+
+      // Achievements
+      case 'GET /user/achievements':
+        result = await achievementService.getAchievements(userId);
+        break;
+
       // Saved Courses
       case 'GET /user/courses/saved-courses':
         result = await userService.getSavedCourses(userId);
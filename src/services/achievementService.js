@@ -0,0 +1,178 @@
+const { GetCommand, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { logger } = require('../utils/logger');
+const { ACHIEVEMENT_RULES, evaluateRules, toAchievementResponse } = require('../utils/walk/walk-achievements');
+const { findSeoulDistrict } = require('../utils/walk/seoul-districts');
+const { getCoursesByIds } = require('./courseService');
+const { getStreak } = require('./goalService');
+
+const getAchievementSortKey = (achievementId) => `ACHIEVEMENT#${achievementId}`;
+
+async function queryAll(params) {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await docClient.send(
+      new QueryCommand({ ...params, ExclusiveStartKey: lastEvaluatedKey })
+    );
+    items.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+/**
+ * 완주한 코스의 소재지로 코스를 완주한 서울시 자치구 수를 셉니다.
+ * 소재지에서 구를 알 수 없는 코스(서울 밖, 시작 지점만 적힌 코스)는 세지 않습니다.
+ */
+async function countVisitedDistricts(courseIds) {
+  const courses = await getCoursesByIds(courseIds);
+  const districts = new Set(courses.map((course) => findSeoulDistrict(course.location)).filter(Boolean));
+  return districts.size;
+}
+
+/**
+ * 업적 규칙 평가에 필요한 사용자 지표를 모읍니다.
+ * 평가할 규칙이 쓰는 지표만 계산하므로 이미 달성한 업적의 지표는 조회하지 않습니다.
+ * @param {string} userId
+ * @param {object[]} rules - 평가할 업적 규칙
+ */
+async function gatherFacts(userId, rules) {
+  const metrics = new Set(rules.map((rule) => rule.metric));
+  const needs = (...names) => names.some((name) => metrics.has(name));
+
+  const [activity, completedCourses, streak] = await Promise.all([
+    needs('walk_count', 'total_distance_km')
+      ? docClient
+          .send(
+            new GetCommand({
+              TableName: TABLES.USER,
+              Key: { user_id: userId, sort_key: 'USER_ACTIVITY_ITEM' },
+              ProjectionExpression: 'total_walk_distance_km, total_walk_count',
+            })
+          )
+          .then(({ Item }) => Item)
+      : null,
+    needs('completed_course_count', 'seoultrail_completed_count', 'visited_district_count')
+      ? queryAll({
+          TableName: TABLES.USER_COURSE,
+          KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+          ExpressionAttributeValues: { ':uid': userId, ':prefix': 'COMPLETED#' },
+          ProjectionExpression: 'course_id',
+        })
+      : [],
+    needs('longest_streak') ? getStreak(userId) : null,
+  ]);
+
+  const totalDistanceKm = activity?.total_walk_distance_km || 0;
+  const courseIds = [...new Set(completedCourses.map((item) => item.course_id))];
+
+  return {
+    // 걷기 횟수 집계 이전에 기록한 사용자도 거리가 있으면 최소 한 번은 걸은 것으로 봄
+    walk_count: Math.max(activity?.total_walk_count || 0, totalDistanceKm > 0 ? 1 : 0),
+    total_distance_km: totalDistanceKm,
+    completed_course_count: courseIds.length,
+    seoultrail_completed_count: courseIds.filter((id) => id.startsWith('seoultrail_')).length,
+    visited_district_count: needs('visited_district_count') ? await countVisitedDistricts(courseIds) : 0,
+    longest_streak: streak?.longest || 0,
+  };
+}
+
+/**
+ * 아직 달성하지 못한 업적 규칙만 평가합니다.
+ * @returns {Promise<{awards: Map<string, object>, evaluations: object[]}>}
+ */
+async function evaluateUnearned(userId) {
+  const awards = await getAwards(userId);
+  const rules = ACHIEVEMENT_RULES.filter((rule) => !awards.has(rule.id));
+  if (rules.length === 0) return { awards, evaluations: [] };
+
+  const facts = await gatherFacts(userId, rules);
+  return { awards, evaluations: evaluateRules(facts, rules) };
+}
+
+async function getAwards(userId) {
+  const items = await queryAll({
+    TableName: TABLES.USER,
+    KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+    ExpressionAttributeValues: { ':uid': userId, ':prefix': 'ACHIEVEMENT#' },
+  });
+  return new Map(items.map((item) => [item.achievement_id, item]));
+}
+
+/**
+ * 업적 하나를 달성 처리합니다. 이미 달성한 업적이면 기존 기록을 그대로 둡니다.
+ * @returns {Promise<object|null>} 새로 달성했으면 저장한 항목, 이미 있었으면 null
+ */
+async function award(userId, achievementId, earnedAt) {
+  const item = {
+    user_id: userId,
+    sort_key: getAchievementSortKey(achievementId),
+    achievement_id: achievementId,
+    earned_at: earnedAt,
+  };
+
+  try {
+    await docClient.send(
+      new PutCommand({
+        TableName: TABLES.USER,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(sort_key)',
+      })
+    );
+    return item;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return null;
+    throw err;
+  }
+}
+
+/**
+ * 업적 규칙을 평가하여 새로 조건을 만족한 업적을 달성 처리합니다.
+ * 걷기 기록(logWalk)과 코스 완주 후에 호출하며, 여러 번 호출해도 같은 업적은 한 번만 기록됩니다.
+ * @returns {Promise<object[]>} 이번에 새로 달성한 업적 목록
+ */
+async function evaluateAchievements(userId) {
+  const { evaluations } = await evaluateUnearned(userId);
+  const now = new Date().toISOString();
+
+  const pending = evaluations.filter((evaluation) => evaluation.satisfied);
+  const results = await Promise.all(pending.map(({ rule }) => award(userId, rule.id, now)));
+
+  const earned = [];
+  pending.forEach((evaluation, i) => {
+    if (!results[i]) return;
+    earned.push(toAchievementResponse(evaluation, results[i]));
+  });
+
+  if (earned.length > 0) {
+    logger.info('Achievements earned', { userId, achievements: earned.map((a) => a.achievement_id) });
+  }
+  return earned;
+}
+
+/**
+ * 전체 업적 목록을 달성 여부, 달성 시각과 함께 조회합니다. 진행률은 아직 달성하지 못한 업적만 계산합니다.
+ * 조회만 하며 달성 처리는 하지 않으므로, 조건을 만족했지만 아직 기록되지 않은 업적은 다음 걷기 기록 때 달성됩니다.
+ */
+async function getAchievements(userId) {
+  const { awards, evaluations } = await evaluateUnearned(userId);
+  const evaluationMap = new Map(evaluations.map((evaluation) => [evaluation.rule.id, evaluation]));
+
+  const achievements = ACHIEVEMENT_RULES.map((rule) =>
+    toAchievementResponse(evaluationMap.get(rule.id) || { rule }, awards.get(rule.id))
+  );
+
+  return {
+    earned_count: achievements.filter((a) => a.earned).length,
+    total_count: achievements.length,
+    achievements,
+  };
+}
+
+module.exports = {
+  evaluateAchievements,
+  getAchievements,
+};
@@ -7,16 +7,28 @@ const {
   ConfirmForgotPasswordCommand,
   AdminConfirmSignUpCommand,
   AdminUpdateUserAttributesCommand,
+  ChangePasswordCommand,
+  ConfirmSignUpCommand,
+  ResendConfirmationCodeCommand,
+  RespondToAuthChallengeCommand,
 } = require('@aws-sdk/client-cognito-identity-provider');
-const { PutCommand, QueryCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutCommand, QueryCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, TABLES } = require('../config/dynamodb');
 const { logger } = require('../utils/logger');
 const { ServerError, ERROR_CODES } = require('../utils/error');
+const { handleCognitoError } = require('../utils/cognito');
+const { decodeJwtClaims } = require('../utils/auth');
+const { trackDevice, checkRefreshedSession } = require('./sessionService');
+const { saveLoginChallenge, redeemRecoveryCode } = require('./mfaService');
+const { issueCognitoSession } = require('./socialAuthService');
 const {
   loginSchema,
+  loginChallengeSchema,
   registerSchema,
   refreshTokenSchema,
   forgotPasswordSchema,
+  verifyCodeSchema,
+  updatePasswordSchema,
 } = require('../utils/validation');
 
 // process.env.AWS_REGION
@@ -25,36 +37,22 @@ const client = new CognitoIdentityProviderClient({ region: "ap-northeast-2" });
 const CLIENT_ID = process.env.COGNITO_CLIENT_ID;
 const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID;
 
-// Helper to map Cognito errors to ServerError
-const handleCognitoError = (err) => {
-  logger.error('Cognito Error', { name: err.name, message: err.message });
-  switch (err.name) {
-    case 'UsernameExistsException':
-      throw new ServerError(ERROR_CODES.EMAIL_ALREADY_EXISTS, 409);
-    case 'UserNotFoundException':
-      throw new ServerError(ERROR_CODES.USER_NOT_FOUND, 404);
-    case 'NotAuthorizedException':
-      throw new ServerError(ERROR_CODES.INVALID_CREDENTIALS, 401, { message: '아이디 또는 비밀번호가 잘못되었습니다.' });
-    case 'CodeMismatchException':
-      throw new ServerError(ERROR_CODES.INVALID_VERIFICATION_CODE, 400);
-    case 'ExpiredCodeException':
-      throw new ServerError(ERROR_CODES.INVALID_VERIFICATION_CODE, 400, { message: '인증 코드가 만료되었습니다.' });
-    case 'LimitExceededException':
-      throw new ServerError(ERROR_CODES.RATE_LIMIT_EXCEEDED, 429);
-    case 'InvalidParameterException':
-        throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, { message: err.message });
-    case 'UserNotConfirmedException':
-        throw new ServerError(ERROR_CODES.UNAUTHORIZED, 401, { message: '이메일 인증이 완료되지 않았습니다.' });
-    default:
-      throw new ServerError(ERROR_CODES.UNEXPECTED_ERROR, 500, { originalError: err.message });
-  }
-};
+// TOTP MFA를 켠 사용자의 로그인 챌린지
+const MFA_CHALLENGE = 'SOFTWARE_TOKEN_MFA';
+
+// 회원가입 시 이메일 인증 방식 (스테이지별 설정)
+// auto: 가입 즉시 확인 처리 (기본), verify: 이메일로 받은 인증 코드를 확인해야 로그인 가능
+const EMAIL_VERIFICATION_MODES = { AUTO: 'auto', VERIFY: 'verify' };
+const EMAIL_VERIFICATION_MODE =
+  process.env.EMAIL_VERIFICATION_MODE === EMAIL_VERIFICATION_MODES.VERIFY
+    ? EMAIL_VERIFICATION_MODES.VERIFY
+    : EMAIL_VERIFICATION_MODES.AUTO;
 
 async function register(body) {
   const validation = registerSchema.safeParse(body);
   if (!validation.success) {
     throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
-      errors: validation.error.errors,
+      errors: validation.error.issues,
     });
   }
 
@@ -74,25 +72,29 @@ async function register(body) {
 
     const signUpResponse = await client.send(signUpCommand);
     const userSub = signUpResponse.UserSub;
+    const requiresVerification = EMAIL_VERIFICATION_MODE === EMAIL_VERIFICATION_MODES.VERIFY;
 
     // 2. Auto-confirm user and mark email as verified (Admin bypass)
-    try {
-      await client.send(new AdminConfirmSignUpCommand({
-        UserPoolId: USER_POOL_ID,
-        Username: email,
-      }));
+    //    verify 모드에서는 Cognito가 보낸 인증 코드를 /auth/register/verify로 확인할 때까지 미확인 상태로 둠
+    if (!requiresVerification) {
+      try {
+        await client.send(new AdminConfirmSignUpCommand({
+          UserPoolId: USER_POOL_ID,
+          Username: email,
+        }));
       
-      await client.send(new AdminUpdateUserAttributesCommand({
-        UserPoolId: USER_POOL_ID,
-        Username: email,
-        UserAttributes: [
-          { Name: 'email_verified', Value: 'true' }
-        ]
-      }));
-
-      logger.info('User auto-confirmed and email verified via Admin commands', { email });
-    } catch (confirmErr) {
-      logger.error('Failed to auto-confirm user or verify email', { error: confirmErr.message, email });
+        await client.send(new AdminUpdateUserAttributesCommand({
+          UserPoolId: USER_POOL_ID,
+          Username: email,
+          UserAttributes: [
+            { Name: 'email_verified', Value: 'true' }
+          ]
+        }));
+
+        logger.info('User auto-confirmed and email verified via Admin commands', { email });
+      } catch (confirmErr) {
+        logger.error('Failed to auto-confirm user or verify email', { error: confirmErr.message, email });
+      }
     }
 
     // 3. Save user profile to DynamoDB "USER" Table
@@ -118,7 +120,16 @@ async function register(body) {
       })
     );
 
-    logger.info('User registered in Cognito and DynamoDB', { userId: userSub, email });
+    logger.info('User registered in Cognito and DynamoDB', { userId: userSub, email, requiresVerification });
+
+    if (requiresVerification) {
+      return {
+        message: '인증 코드가 이메일로 전송되었습니다. 인증을 완료한 후 로그인해주세요.',
+        user: { id: userSub, email, nickname },
+        userConfirmed: false,
+        codeDeliveryDestination: signUpResponse.CodeDeliveryDetails?.Destination,
+      };
+    }
 
     return {
       message: '회원가입이 완료되었습니다.',
@@ -131,15 +142,74 @@ async function register(body) {
   }
 }
 
-async function login(body) {
+async function findUserByEmail(email) {
+  const { Items: users } = await docClient.send(
+    new QueryCommand({
+      TableName: TABLES.USER,
+      IndexName: 'EmailIndex',
+      KeyConditionExpression: 'email = :email',
+      ExpressionAttributeValues: { ':email': email },
+    })
+  );
+  return users && users.length > 0 ? users[0] : null;
+}
+
+/**
+ * 이메일로 받은 인증 코드를 확인한 시각을 USER_INFO_ITEM에 기록합니다.
+ * 소셜 로그인이 같은 이메일의 기존 계정에 자동으로 연결할지 판단할 때 쓰며, auto 모드 가입은 기록하지 않습니다.
+ */
+async function markEmailVerified(email) {
+  const user = await findUserByEmail(email);
+  if (!user) return;
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: user.user_id, sort_key: 'USER_INFO_ITEM' },
+      UpdateExpression: 'set email_verified_at = if_not_exists(email_verified_at, :now)',
+      ExpressionAttributeValues: { ':now': new Date().toISOString() },
+    })
+  );
+}
+
+/**
+ * 발급된 토큰으로 로그인 응답을 만들고 기기를 등록합니다. (비밀번호 로그인, MFA 챌린지 응답 공통)
+ */
+async function completeLogin(email, result, userProfile, { deviceKey, deviceName, rememberDevice }, clientInfo) {
+  const device = userProfile
+    ? await trackDevice(userProfile.user_id, result, { deviceKey, deviceName, rememberDevice, client: clientInfo })
+    : { deviceKey: null, deviceRemembered: false };
+
+  logger.info('User logged in via Cognito', { email });
+
+  return {
+    accessToken: result.AccessToken,
+    refreshToken: result.RefreshToken,
+    idToken: result.IdToken,
+    expiresIn: result.ExpiresIn,
+    user: userProfile ? {
+        id: userProfile.user_id,
+        email: userProfile.email,
+        nickname: userProfile.nickname
+    } : { email }, // Fallback if DB sync failed or pending
+    ...device,
+  };
+}
+
+/**
+ * TOTP MFA를 켠 사용자는 토큰 대신 챌린지(SOFTWARE_TOKEN_MFA)와 세션을 받으며, POST /auth/login/challenge로 로그인을 마칩니다.
+ * @param {object} body - email, password, 선택: deviceKey(이전 로그인에서 받은 기기 키), deviceName, rememberDevice
+ * @param {{ip?: string, userAgent?: string, country?: string}} [clientInfo] - 기기 목록에 표시할 접속 정보
+ */
+async function login(body, clientInfo = {}) {
   const validation = loginSchema.safeParse(body);
   if (!validation.success) {
     throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
-      errors: validation.error.errors,
+      errors: validation.error.issues,
     });
   }
 
-  const { email, password } = body;
+  const { email, password, deviceKey } = validation.data;
 
   try {
     const command = new InitiateAuthCommand({
@@ -148,41 +218,82 @@ async function login(body) {
       AuthParameters: {
         USERNAME: email,
         PASSWORD: password,
+        ...(deviceKey && { DEVICE_KEY: deviceKey }),
       },
     });
 
     const response = await client.send(command);
-    const result = response.AuthenticationResult;
-    
+
     // Fetch user profile from DynamoDB to return consistent response structure
     // We need the userSub (from IdToken or AccessToken) but we don't parse it here easily without a library.
     // Instead, we query by email index to get the user profile.
-    const { Items: users } = await docClient.send(
-        new QueryCommand({
-          TableName: TABLES.USER,
-          IndexName: 'EmailIndex',
-          KeyConditionExpression: 'email = :email',
-          ExpressionAttributeValues: { ':email': email },
-        })
-      );
-    
-    const userProfile = users && users.length > 0 ? users[0] : null;
-
-    logger.info('User logged in via Cognito', { email });
+    const userProfile = await findUserByEmail(email);
+
+    if (response.ChallengeName === MFA_CHALLENGE) {
+      if (userProfile) {
+        await saveLoginChallenge(userProfile.user_id, response.Session);
+      }
+      logger.info('MFA challenge issued', { email });
+      return { challengeName: MFA_CHALLENGE, session: response.Session, email };
+    }
 
+    return await completeLogin(email, response.AuthenticationResult, userProfile, validation.data, clientInfo);
+
+  } catch (err) {
+    if (ServerError.isServerError(err)) throw err;
+    handleCognitoError(err);
+  }
+}
+
+/**
+ * 로그인 MFA 챌린지에 응답합니다. (비밀번호 로그인, 소셜 로그인 공통)
+ * 인증 앱 코드(code)로 Cognito 세션을 완료하거나, 복구 코드(recoveryCode)를 하나 사용하고 새 세션을 발급합니다. TOTP MFA는 켜진 채로 둡니다.
+ * @param {object} body - email, session, code 또는 recoveryCode, 선택: deviceKey, deviceName, rememberDevice
+ * @param {{ip?: string, userAgent?: string, country?: string}} [clientInfo]
+ */
+async function respondToLoginChallenge(body, clientInfo = {}) {
+  const validation = loginChallengeSchema.safeParse(body);
+  if (!validation.success) {
+    throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
+      errors: validation.error.issues,
+    });
+  }
+
+  const { email, session, code, recoveryCode, deviceKey } = validation.data;
+  const userProfile = await findUserByEmail(email);
+
+  if (recoveryCode) {
+    if (!userProfile) {
+      throw new ServerError(ERROR_CODES.MFA_SESSION_EXPIRED, 401);
+    }
+    const recoveryCodesRemaining = await redeemRecoveryCode(userProfile, session, recoveryCode);
+    // 복구 코드로 MFA를 통과했으므로 커스텀 인증에서 MFA 챌린지 없이 토큰을 발급받음
+    const { AuthenticationResult: result } = await issueCognitoSession(userProfile, deviceKey, { skipMfa: true });
     return {
-      accessToken: result.AccessToken,
-      refreshToken: result.RefreshToken,
-      idToken: result.IdToken,
-      expiresIn: result.ExpiresIn,
-      user: userProfile ? {
-          id: userProfile.user_id,
-          email: userProfile.email,
-          nickname: userProfile.nickname
-      } : { email } // Fallback if DB sync failed or pending
+      ...(await completeLogin(email, result, userProfile, validation.data, clientInfo)),
+      recoveryCodesRemaining,
     };
+  }
 
+  try {
+    const response = await client.send(new RespondToAuthChallengeCommand({
+      ClientId: CLIENT_ID,
+      ChallengeName: MFA_CHALLENGE,
+      Session: session,
+      ChallengeResponses: {
+        USERNAME: email,
+        SOFTWARE_TOKEN_MFA_CODE: code,
+        ...(deviceKey && { DEVICE_KEY: deviceKey }),
+      },
+    }));
+
+    return await completeLogin(email, response.AuthenticationResult, userProfile, validation.data, clientInfo);
   } catch (err) {
+    if (ServerError.isServerError(err)) throw err;
+    // 세션 만료(3분) 또는 이미 사용한 세션
+    if (err.name === 'NotAuthorizedException' && /session/i.test(err.message)) {
+      throw new ServerError(ERROR_CODES.MFA_SESSION_EXPIRED, 401);
+    }
     handleCognitoError(err);
   }
 }
@@ -191,37 +302,42 @@ async function refreshToken(body) {
   const validation = refreshTokenSchema.safeParse(body);
   if (!validation.success) {
     throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
-      errors: validation.error.errors,
+      errors: validation.error.issues,
     });
   }
 
-  const { refreshToken } = body;
+  const { refreshToken, deviceKey } = body;
 
+  let result;
   try {
     const command = new InitiateAuthCommand({
       AuthFlow: 'REFRESH_TOKEN_AUTH',
       ClientId: CLIENT_ID,
       AuthParameters: {
         REFRESH_TOKEN: refreshToken,
+        // 기기 추적 중인 세션은 로그인 때 받은 기기 키가 있어야 갱신됨
+        ...(deviceKey && { DEVICE_KEY: deviceKey }),
       },
     });
 
     const response = await client.send(command);
-    const result = response.AuthenticationResult;
-
-    logger.info('Token refreshed via Cognito');
-
-    return {
-      accessToken: result.AccessToken,
-      idToken: result.IdToken,
-      expiresIn: result.ExpiresIn,
-      // Cognito may not return a new Refresh Token unless the old one is rotating
-      refreshToken: result.RefreshToken || undefined 
-    };
-
+    result = response.AuthenticationResult;
   } catch (err) {
     handleCognitoError(err);
   }
+
+  // 기기별 로그아웃(DELETE /auth/sessions/{deviceKey})한 기기의 리프레시 토큰이면 폐기하고 거부
+  await checkRefreshedSession(refreshToken, decodeJwtClaims(result.AccessToken));
+
+  logger.info('Token refreshed via Cognito');
+
+  return {
+    accessToken: result.AccessToken,
+    idToken: result.IdToken,
+    expiresIn: result.ExpiresIn,
+    // Cognito may not return a new Refresh Token unless the old one is rotating
+    refreshToken: result.RefreshToken || undefined 
+  };
 }
 
 async function logout(accessToken) {
@@ -251,7 +367,7 @@ async function forgotPasswordSend(body) {
   const validation = forgotPasswordSchema.safeParse(body);
   if (!validation.success) {
     throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
-      errors: validation.error.errors,
+      errors: validation.error.issues,
     });
   }
 
@@ -282,7 +398,7 @@ async function forgotPasswordVerify(body) {
   const validation = verifySchema.safeParse(body);
   if (!validation.success) {
     throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
-      errors: validation.error.errors,
+      errors: validation.error.issues,
     });
   }
 
@@ -298,18 +414,192 @@ async function forgotPasswordVerify(body) {
 
     await client.send(command);
     logger.info('Password reset confirmed via Cognito', { email });
-    return { message: '비밀번호가 성공적으로 재설정되었습니다.' };
+  } catch (err) {
+    handleCognitoError(err);
+  }
 
+  // 이메일로 받은 코드를 확인했으므로 auto 모드로 가입한 계정도 이메일 소유가 확인됨
+  await markEmailVerified(email);
+  return { message: '비밀번호가 성공적으로 재설정되었습니다.' };
+}
+
+/**
+ * 회원가입 시 이메일로 받은 인증 코드를 확인합니다. (verify 모드)
+ */
+async function verifyRegistration(body) {
+  const validation = verifyCodeSchema.safeParse(body);
+  if (!validation.success) {
+    throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
+      errors: validation.error.issues,
+    });
+  }
+
+  const { email, code } = validation.data;
+
+  try {
+    await client.send(new ConfirmSignUpCommand({
+      ClientId: CLIENT_ID,
+      Username: email,
+      ConfirmationCode: code,
+    }));
+    logger.info('User email verified via Cognito', { email });
   } catch (err) {
+    // 이미 확인된 사용자: "User cannot be confirmed. Current status is CONFIRMED"
+    if (err.name === 'NotAuthorizedException' && /CONFIRMED/.test(err.message)) {
+      throw new ServerError(ERROR_CODES.EMAIL_ALREADY_VERIFIED, 409);
+    }
     handleCognitoError(err);
   }
+
+  await markEmailVerified(email);
+  return { message: '이메일 인증이 완료되었습니다.', userConfirmed: true };
+}
+
+/**
+ * 회원가입 인증 코드를 다시 보냅니다. (verify 모드)
+ */
+async function resendRegistrationCode(body) {
+  const validation = forgotPasswordSchema.safeParse(body);
+  if (!validation.success) {
+    throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
+      errors: validation.error.issues,
+    });
+  }
+
+  const { email } = validation.data;
+
+  try {
+    const response = await client.send(new ResendConfirmationCodeCommand({
+      ClientId: CLIENT_ID,
+      Username: email,
+    }));
+    logger.info('Registration code resent via Cognito', { email });
+    return {
+      message: '인증 코드가 이메일로 다시 전송되었습니다.',
+      codeDeliveryDestination: response.CodeDeliveryDetails?.Destination,
+    };
+
+  } catch (err) {
+    // 이미 확인된 사용자: "User is already confirmed."
+    if (err.name === 'InvalidParameterException' && /already confirmed/i.test(err.message)) {
+      throw new ServerError(ERROR_CODES.EMAIL_ALREADY_VERIFIED, 409);
+    }
+    handleCognitoError(err);
+  }
+}
+
+/**
+ * 로그인한 사용자의 비밀번호를 Cognito에서 변경합니다.
+ * signOutOtherDevices이면 모든 세션을 로그아웃한 뒤 새 비밀번호로 다시 로그인하여,
+ * 현재 기기는 새 토큰으로 계속 사용하고 다른 기기의 토큰만 무효화되도록 합니다.
+ * TOTP MFA를 켠 사용자는 다시 로그인할 때 토큰 대신 MFA 챌린지를 받으며, POST /auth/login/challenge로 마칩니다.
+ * 다시 로그인하지 못하면 reloginRequired로 알려 클라이언트가 로그인 화면으로 이동하게 합니다.
+ * 현재 비밀번호가 틀리면 로그인 실패(INVALID_CREDENTIALS)와 구분하여 INVALID_PASSWORD(400)로 응답합니다.
+ * @param {string} userId
+ * @param {string} accessToken - 요청한 사용자의 Cognito Access Token
+ * @param {{currentPassword: string, newPassword: string, signOutOtherDevices?: boolean, deviceKey?: string, deviceName?: string}} body
+ * @param {{ip?: string, userAgent?: string, country?: string, deviceKey?: string}} [clientInfo] - 현재 기기 정보 (액세스 토큰의 device_key 포함)
+ */
+async function changePassword(userId, accessToken, body, clientInfo = {}) {
+  const validation = updatePasswordSchema.safeParse(body);
+  if (!validation.success) {
+    throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
+      errors: validation.error.issues,
+    });
+  }
+
+  const { currentPassword, newPassword, signOutOtherDevices } = validation.data;
+  // 다시 로그인할 때 현재 기기 키를 넘겨 기기 추적이 이어지도록 함
+  const deviceOpts = { ...validation.data, deviceKey: validation.data.deviceKey || clientInfo.deviceKey || undefined };
+
+  try {
+    await client.send(new ChangePasswordCommand({
+      AccessToken: accessToken,
+      PreviousPassword: currentPassword,
+      ProposedPassword: newPassword,
+    }));
+    logger.info('Password changed via Cognito', { userId });
+  } catch (err) {
+    // ChangePassword의 NotAuthorizedException은 현재 비밀번호 불일치이거나 액세스 토큰이 만료/무효화된 경우
+    if (err.name === 'NotAuthorizedException') {
+      logger.warn(`Password change rejected: userId=${userId}, reason=${err.message}`);
+      if (/access token/i.test(err.message)) {
+        throw new ServerError(ERROR_CODES.UNAUTHORIZED, 401);
+      }
+      throw new ServerError(ERROR_CODES.INVALID_PASSWORD, 400);
+    }
+    handleCognitoError(err);
+  }
+
+  if (!signOutOtherDevices) {
+    return { message: '비밀번호가 성공적으로 변경되었습니다.', signedOutOtherDevices: false };
+  }
+
+  const { Item: user } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: 'USER_INFO_ITEM' },
+    })
+  );
+  if (!user) {
+    throw new ServerError(ERROR_CODES.USER_NOT_FOUND, 404);
+  }
+
+  try {
+    await client.send(new GlobalSignOutCommand({ AccessToken: accessToken }));
+  } catch (err) {
+    // 비밀번호는 이미 바뀌었으므로 실패를 알리고 클라이언트가 다시 로그인하도록 함
+    logger.error('Sign out after password change failed', { userId, error: err.message });
+    throw new ServerError(ERROR_CODES.UNEXPECTED_ERROR, 500, {
+      message: '비밀번호는 변경되었지만 다른 기기 로그아웃에 실패했습니다. 다시 로그인해주세요.',
+    });
+  }
+
+  logger.info('Other devices signed out after password change', { userId });
+  const signedOut = {
+    message: '비밀번호가 변경되었고 다른 기기에서 로그아웃되었습니다.',
+    signedOutOtherDevices: true,
+  };
+
+  try {
+    const response = await client.send(new InitiateAuthCommand({
+      AuthFlow: 'USER_PASSWORD_AUTH',
+      ClientId: CLIENT_ID,
+      AuthParameters: {
+        USERNAME: user.email,
+        PASSWORD: newPassword,
+        ...(deviceOpts.deviceKey && { DEVICE_KEY: deviceOpts.deviceKey }),
+      },
+    }));
+
+    if (response.ChallengeName === MFA_CHALLENGE) {
+      await saveLoginChallenge(userId, response.Session);
+      logger.info('MFA challenge issued after password change', { userId });
+      return { ...signedOut, challengeName: MFA_CHALLENGE, session: response.Session, email: user.email };
+    }
+
+    if (!response.AuthenticationResult) {
+      logger.warn(`Re-login after password change returned a challenge: userId=${userId}, challenge=${response.ChallengeName}`);
+      return { ...signedOut, reloginRequired: true };
+    }
+
+    return { ...signedOut, ...(await completeLogin(user.email, response.AuthenticationResult, user, deviceOpts, clientInfo)) };
+  } catch (err) {
+    // 다른 기기 로그아웃은 끝났으므로 요청은 성공으로 처리하고 다시 로그인하도록 안내
+    logger.error('Re-login after password change failed', { userId, name: err.name, error: err.message });
+    return { ...signedOut, reloginRequired: true };
+  }
 }
 
 module.exports = {
   register,
+  verifyRegistration,
+  resendRegistrationCode,
   login,
+  respondToLoginChallenge,
   logout,
   refreshToken,
   forgotPasswordSend,
   forgotPasswordVerify,
+  changePassword,
 };
\ No newline at end of file
@@ -4,25 +4,23 @@ const {
   PutCommand,
   DeleteCommand,
   ScanCommand,
+  BatchGetCommand,
+  UpdateCommand,
 } = require('@aws-sdk/lib-dynamodb');
-const { docClient, TABLE_NAME } = require('../config/dynamodb');
+const { docClient, TABLE_NAME, TABLES, GSI } = require('../config/dynamodb');
 const { logger } = require('../utils/logger');
+const { getCoveringCells } = require('../utils/course/course-geohash');
+const { getDistance, COURSE_CATALOG_COUNT_KEY } = require('../utils/course/course-helpers');
+const {
+  POPULARITY_SUMMARY_KEY,
+  getDailyStatsPartition,
+  getCoursePopularityScore,
+} = require('../utils/course/course-popularity');
 
-// Haversine formula for distance calculation
-function getDistance(lat1, lon1, lat2, lon2) {
-  if (!lat1 || !lon1 || !lat2 || !lon2) return 999999;
-  const R = 6371;
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
+// 가까운 코스를 찾을 때 순서대로 넓혀가는 검색 반경 (km)
+const NEARBY_SEARCH_RADII_KM = [10, 30, 60];
+// 한 번의 검색에서 조회할 최대 geohash 셀 수 (초과 시 전체 Scan으로 대체)
+const MAX_GEOHASH_CELLS = 48;
 
 async function getCourseDetail(courseId) {
   try {
@@ -90,6 +88,32 @@ async function getCourseDetail(courseId) {
   }
 }
 
+/**
+ * GPX에서 계산한 파생 데이터(고도 프로필 등)를 코스 항목에 캐시합니다.
+ * 코스가 없는 경우 새 항목이 생기지 않도록 조건부로 갱신합니다.
+ * @param {string} courseId
+ * @param {string} attribute - 저장할 속성명 (예: 'course_elevation')
+ * @param {object} value
+ */
+async function updateCourseCache(courseId, attribute, value) {
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { course_id: courseId },
+        UpdateExpression: 'SET #attr = :value',
+        ConditionExpression: 'attribute_exists(course_id)',
+        ExpressionAttributeNames: { '#attr': attribute },
+        ExpressionAttributeValues: { ':value': value },
+      })
+    );
+    logger.info(`[DynamoDB] Course cache updated: courseId=${courseId}, attribute=${attribute}`);
+  } catch (error) {
+    logger.error('[DynamoDB] updateCourseCache error:', error);
+    throw error;
+  }
+}
+
 async function getUserSavedCourses(userId) {
   try {
     logger.info(`[DynamoDB] getUserSavedCourses: userId=${userId}`);
@@ -214,76 +238,365 @@ async function getRecentCourses(userId) {
   }
 }
 
-async function getAllCourses({ lat, lon, sortBy, difficulty, limit }) {
+// BatchGetItem 한 번에 요청할 수 있는 최대 키 수
+const BATCH_GET_LIMIT = 100;
+
+/**
+ * 여러 코스를 ID로 한 번에 조회합니다. 결과는 요청한 ID 순서를 유지하며, 없는 코스는 제외됩니다.
+ * @param {string[]} courseIds
+ * @returns {Promise<object[]>}
+ */
+async function getCoursesByIds(courseIds) {
   try {
-    logger.info(
-      `[DynamoDB] getAllCourses: lat=${lat}, lon=${lon}, sortBy=${sortBy}, difficulty=${difficulty}, limit=${limit}`
+    if (courseIds.length === 0) return [];
+
+    const courseMap = new Map();
+    for (let i = 0; i < courseIds.length; i += BATCH_GET_LIMIT) {
+      let requestItems = {
+        [TABLE_NAME]: {
+          Keys: courseIds.slice(i, i + BATCH_GET_LIMIT).map((id) => ({ course_id: id })),
+        },
+      };
+
+      while (requestItems && Object.keys(requestItems).length > 0) {
+        const { Responses, UnprocessedKeys } = await docClient.send(
+          new BatchGetCommand({ RequestItems: requestItems })
+        );
+        (Responses?.[TABLE_NAME] || []).forEach((course) => courseMap.set(course.course_id, course));
+        requestItems = UnprocessedKeys;
+      }
+    }
+
+    logger.info(`[DynamoDB] getCoursesByIds: requested=${courseIds.length}, found=${courseMap.size}`);
+    return courseIds.filter((id) => courseMap.has(id)).map((id) => courseMap.get(id));
+  } catch (error) {
+    logger.error('[DynamoDB] getCoursesByIds error:', error);
+    throw error;
+  }
+}
+
+const DIFFICULTY_ORDER = { 하: 1, 중: 2, 상: 3 };
+// 1: 오름차순, -1: 내림차순
+const SORT_DIRECTIONS = { distance: 1, length: -1, difficulty: 1, popularity: -1 };
+
+function resolveSortBy(sortBy) {
+  return SORT_DIRECTIONS[sortBy] ? sortBy : 'distance';
+}
+
+/**
+ * 정렬 기준에 따른 코스의 정렬 위치를 계산합니다.
+ * 값이 같은 코스끼리는 course_id로 순서를 고정하여 페이지 간 순서가 흔들리지 않게 합니다.
+ */
+function getSortPosition(course, sortBy, origin) {
+  let value;
+  if (sortBy === 'length') {
+    value = parseFloat(course.course_length) || 0;
+  } else if (sortBy === 'difficulty') {
+    value = DIFFICULTY_ORDER[course.course_difficulty] || 0;
+  } else if (sortBy === 'popularity') {
+    value = getCoursePopularityScore(course);
+  } else {
+    value = getDistance(origin.lat, origin.lon, course.start_lat, course.start_lon);
+  }
+  return { value, id: course.course_id };
+}
+
+function comparePositions(a, b, sortBy) {
+  if (a.value !== b.value) {
+    return (a.value - b.value) * SORT_DIRECTIONS[sortBy];
+  }
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+}
+
+function sortCourses(courses, sortBy, origin, after) {
+  return courses
+    .map((course) => ({ course, position: getSortPosition(course, sortBy, origin) }))
+    .filter(({ position }) => !after || comparePositions(position, after, sortBy) > 0)
+    .sort((a, b) => comparePositions(a.position, b.position, sortBy));
+}
+
+async function queryGeohashCell(cell, difficulty) {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await docClient.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: GSI.COURSE_GEOHASH,
+        KeyConditionExpression: 'geohash_cell = :cell',
+        FilterExpression: difficulty ? 'course_difficulty = :difficulty' : undefined,
+        ExpressionAttributeValues: difficulty
+          ? { ':cell': cell, ':difficulty': difficulty }
+          : { ':cell': cell },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
     );
+    items.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
 
-    const command = new ScanCommand({
-      TableName: TABLE_NAME,
-      FilterExpression:
-        'attribute_exists(course_id) AND attribute_not_exists(PK)',
-    });
+  return items;
+}
 
-    const response = await docClient.send(command);
-    let courses = response.Items || [];
+async function scanCourses({ difficulty } = {}) {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await docClient.send(
+      new ScanCommand({
+        TableName: TABLE_NAME,
+        FilterExpression: difficulty
+          ? 'attribute_exists(course_id) AND attribute_not_exists(PK) AND course_difficulty = :difficulty'
+          : 'attribute_exists(course_id) AND attribute_not_exists(PK)',
+        ExpressionAttributeValues: difficulty ? { ':difficulty': difficulty } : undefined,
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+    items.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return { items };
+}
 
-    logger.info(`[DynamoDB] Scan result: ${courses.length} courses`);
+/**
+ * geohash 인덱스를 이용해 반경 안의 코스만 조회합니다.
+ * 반경을 덮는 셀들을 병렬로 Query한 뒤, 셀 모서리에 걸친 반경 밖의 코스는 제외합니다.
+ * @returns {Promise<object[]|null>} 거리순 코스 목록 (셀 수가 너무 많으면 null)
+ */
+async function getNearbyCourses({ lat, lon, radiusKm, difficulty, after }) {
+  const cells = getCoveringCells(lat, lon, radiusKm);
+  if (cells.length > MAX_GEOHASH_CELLS) {
+    logger.info(`[DynamoDB] Too many geohash cells: radius=${radiusKm}, cells=${cells.length}`);
+    return null;
+  }
+
+  const results = await Promise.all(cells.map((cell) => queryGeohashCell(cell, difficulty)));
+
+  const courses = sortCourses(results.flat(), 'distance', { lat, lon }, after)
+    .filter(({ position }) => position.value <= radiusKm)
+    .map(({ course }) => course);
+
+  logger.info(
+    `[DynamoDB] Geohash query: radius=${radiusKm}km, cells=${cells.length}, result=${courses.length}`
+  );
+  return courses;
+}
 
-    if (difficulty) {
-      courses = courses.filter((c) => c.course_difficulty === difficulty);
-      logger.info(`Difficulty filter applied: ${difficulty}, result: ${courses.length}`);
+/**
+ * 검색 반경을 단계적으로 넓혀가며 가까운 코스를 limit개 이상 찾습니다.
+ * 반경 안의 코스는 모두 조회되므로, limit개가 모이면 그 순서는 전체 거리순과 같습니다.
+ * 마지막 반경까지 부족하면 null을 반환하여 호출 측이 전체 Scan으로 대체하도록 합니다.
+ */
+async function findClosestCourses({ lat, lon, difficulty, limit, after }) {
+  if (!limit) return null;
+
+  for (const radiusKm of NEARBY_SEARCH_RADII_KM) {
+    const courses = await getNearbyCourses({ lat, lon, radiusKm, difficulty, after });
+    if (!courses) return null;
+    if (courses.length >= limit) {
+      return courses.slice(0, limit);
     }
+  }
 
-    if (sortBy === 'distance' && lat && lon) {
-      courses.sort((a, b) => {
-        const distA = getDistance(lat, lon, a.start_lat, a.start_lon);
-        const distB = getDistance(lat, lon, b.start_lat, b.start_lon);
-        return distA - distB;
-      });
-      logger.info('Distance sort applied');
-    } else if (sortBy === 'length') {
-      courses.sort(
-        (a, b) =>
-          (parseFloat(b.course_length) || 0) -
-          (parseFloat(a.course_length) || 0)
-      );
-      logger.info('Length sort applied');
-    } else if (sortBy === 'difficulty') {
-      const order = { 하: 1, 중: 2, 상: 3 };
-      courses.sort(
-        (a, b) =>
-          (order[a.course_difficulty] || 0) - (order[b.course_difficulty] || 0)
-      );
-      logger.info('Difficulty sort applied');
-    } else if (lat && lon) {
-      courses.sort((a, b) => {
-        const distA = getDistance(lat, lon, a.start_lat, a.start_lon);
-        const distB = getDistance(lat, lon, b.start_lat, b.start_lon);
-        return distA - distB;
-      });
-      logger.info('Default distance sort applied');
+  return null;
+}
+
+/**
+ * 저장된 코스 목록 개수를 조회합니다. 난이도를 지정하면 그 난이도의 개수입니다.
+ * 아직 backfill 스크립트로 저장하지 않았으면 null을 반환합니다.
+ */
+async function getCourseCatalogCount(difficulty) {
+  const { Item } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER_COURSE,
+      Key: COURSE_CATALOG_COUNT_KEY,
+    })
+  );
+  if (!Item) return null;
+  return difficulty ? Item.by_difficulty?.[difficulty] || 0 : Item.total;
+}
+
+/**
+ * 조건에 맞는 코스 개수를 Scan으로 셉니다. 저장된 개수가 없을 때만 사용합니다.
+ */
+async function countCourses({ difficulty } = {}) {
+  let count = 0;
+  let lastEvaluatedKey;
+
+  do {
+    const response = await docClient.send(
+      new ScanCommand({
+        TableName: TABLE_NAME,
+        Select: 'COUNT',
+        FilterExpression: difficulty
+          ? 'attribute_exists(course_id) AND attribute_not_exists(PK) AND course_difficulty = :difficulty'
+          : 'attribute_exists(course_id) AND attribute_not_exists(PK)',
+        ExpressionAttributeValues: difficulty ? { ':difficulty': difficulty } : undefined,
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+    count += response.Count || 0;
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return count;
+}
+
+/**
+ * 정렬/필터 조건에 맞는 코스 목록의 한 페이지를 조회합니다.
+ * @param {object} params
+ * @param {number} params.lat - 거리 계산 기준 위도
+ * @param {number} params.lon - 거리 계산 기준 경도
+ * @param {string} [params.sortBy] - 'distance' | 'length' | 'difficulty' | 'popularity' (기본: distance)
+ * @param {string} [params.difficulty] - 난이도 필터
+ * @param {number} [params.limit] - 페이지 크기
+ * @param {{value: number, id: string}} [params.after] - 이 정렬 위치 다음부터 조회
+ * @returns {Promise<{courses: object[], total: number, nextPosition: object|null}>} total은 저장된 코스 목록 개수 (모든 페이지에서 같음)
+ */
+async function getAllCourses({ lat, lon, sortBy, difficulty, limit, after }) {
+  try {
+    logger.info(
+      `[DynamoDB] getAllCourses: lat=${lat}, lon=${lon}, sortBy=${sortBy}, difficulty=${difficulty}, limit=${limit}, after=${after?.id}`
+    );
+
+    const order = resolveSortBy(sortBy);
+    const origin = { lat, lon };
+    // 다음 페이지 존재 여부를 알기 위해 한 개를 더 조회
+    const fetchLimit = limit ? limit + 1 : undefined;
+
+    let courses = null;
+    let totalCount = await getCourseCatalogCount(difficulty);
+
+    if (order === 'distance' && lat && lon) {
+      courses = await findClosestCourses({ lat, lon, difficulty, limit: fetchLimit, after });
+      if (courses) {
+        logger.info(`[DynamoDB] Geohash result: ${courses.length} courses`);
+      } else {
+        logger.info('[DynamoDB] Geohash search insufficient, falling back to Scan');
+      }
     }
 
-    if (limit) {
-      courses = courses.slice(0, limit);
+    if (!courses) {
+      const { items } = await scanCourses({ difficulty });
+      logger.info(`[DynamoDB] Scan result: ${items.length} courses`);
+
+      totalCount = totalCount ?? items.length;
+      courses = sortCourses(items, order, origin, after).map(({ course }) => course);
+      if (fetchLimit) {
+        courses = courses.slice(0, fetchLimit);
+      }
+      logger.info(`${order} sort applied`);
+    }
+
+    if (totalCount === null) {
+      logger.warn('[DynamoDB] Course catalog count missing, counting by Scan (run scripts/backfill-course-geohash.js)');
+      totalCount = await countCourses({ difficulty });
     }
 
-    logger.info(`[DynamoDB] Final result: ${courses.length} courses`);
-    return courses;
+    const hasMore = Boolean(limit) && courses.length > limit;
+    const page = hasMore ? courses.slice(0, limit) : courses;
+    const nextPosition = hasMore ? getSortPosition(page[page.length - 1], order, origin) : null;
+
+    logger.info(`[DynamoDB] Final result: ${page.length} courses, hasMore=${hasMore}`);
+    return { courses: page, total: totalCount, nextPosition };
   } catch (error) {
     logger.error('[DynamoDB] getAllCourses error:', error);
     throw error;
   }
 }
 
+/**
+ * 마지막 인기도 집계 결과 요약을 조회합니다. 아직 집계된 적이 없으면 null입니다.
+ */
+async function getPopularitySummary() {
+  const { Item } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER_COURSE,
+      Key: POPULARITY_SUMMARY_KEY,
+    })
+  );
+  return Item || null;
+}
+
+async function savePopularitySummary(summary) {
+  await docClient.send(
+    new PutCommand({
+      TableName: TABLES.USER_COURSE,
+      Item: { ...POPULARITY_SUMMARY_KEY, ...summary },
+    })
+  );
+}
+
+/**
+ * 기간 내 인기도 점수가 있는 코스를 점수 내림차순으로 조회합니다.
+ * 집계 때 저장해 둔 인기 코스 목록을 읽으므로 코스 테이블을 Scan하지 않습니다.
+ * @param {number} windowDays - 7 또는 30
+ * @param {number} limit
+ */
+async function getTrendingCourses(windowDays, limit) {
+  try {
+    const summary = await getPopularitySummary();
+    const courseIds = (summary?.[`trending_${windowDays}d`] || []).slice(0, limit);
+
+    logger.info(`[DynamoDB] Trending courses: window=${windowDays}d, candidates=${courseIds.length}`);
+    return getCoursesByIds(courseIds);
+  } catch (error) {
+    logger.error('[DynamoDB] getTrendingCourses error:', error);
+    throw error;
+  }
+}
+
+/**
+ * 주어진 날짜(KST)들의 코스별 일별 집계 항목을 조회합니다. 날짜마다 하나의 파티션을 Query합니다.
+ * @param {string[]} statsDates - YYYY-MM-DD
+ */
+async function queryCourseDailyStats(statsDates) {
+  const queryDate = async (statsDate) => {
+    const items = [];
+    let lastEvaluatedKey;
+
+    do {
+      const response = await docClient.send(
+        new QueryCommand({
+          TableName: TABLES.USER_COURSE,
+          KeyConditionExpression: 'user_id = :pk',
+          ExpressionAttributeValues: { ':pk': getDailyStatsPartition(statsDate) },
+          ProjectionExpression: 'course_id, stats_date, #views, unique_viewers, saves',
+          ExpressionAttributeNames: { '#views': 'views' },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+      items.push(...(response.Items || []));
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return items;
+  };
+
+  const results = await Promise.all(statsDates.map(queryDate));
+  const items = results.flat();
+  logger.info(`[DynamoDB] Course daily stats queried: days=${statsDates.length}, items=${items.length}`);
+  return items;
+}
+
 module.exports = {
   getCourseDetail,
+  getCoursesByIds,
+  updateCourseCache,
   getUserSavedCourses,
   saveCourse,
   unsaveCourse,
   addRecentCourse,
   getRecentCourses,
+  resolveSortBy,
+  getNearbyCourses,
   getAllCourses,
+  getTrendingCourses,
+  queryCourseDailyStats,
+  getPopularitySummary,
+  savePopularitySummary,
 };
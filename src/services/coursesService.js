@@ -1,51 +1,387 @@
 const { logger } = require('../utils/logger');
 const { ServerError, ERROR_CODES } = require('../utils/error');
-const { getCourseDetail, getAllCourses } = require('./courseService');
-const { getCourseCoordinates } = require('../utils/course/course-gpx');
+const {
+  getCourseDetail,
+  getCoursesByIds,
+  updateCourseCache,
+  getAllCourses,
+  resolveSortBy,
+  getTrendingCourses,
+  queryCourseDailyStats,
+  getPopularitySummary,
+  savePopularitySummary,
+} = require('./courseService');
+const {
+  getCourseCoordinates,
+  getGpxContentFromS3,
+  flattenGeoJsonCoordinates,
+} = require('../utils/course/course-gpx');
+const {
+  EXPORT_FORMATS,
+  toGeoJson,
+  exportCourseGeometry,
+} = require('../utils/course/course-export');
+const {
+  MIN_ZOOM,
+  MAX_ZOOM,
+  MAX_TOLERANCE_M,
+  toleranceFromZoom,
+  simplifyFeatureCollection,
+} = require('../utils/course/course-simplify');
+const {
+  ELEVATION_PROFILE_VERSION,
+  buildElevationProfile,
+} = require('../utils/course/course-elevation');
+const {
+  COURSE_METRICS_VERSION,
+  computeCourseMetrics,
+} = require('../utils/course/course-metrics');
+const { estimateDurationMinutes, toblerSpeedKmh } = require('../utils/course/course-pace');
+const { getCourseRoute, computeProgress } = require('../utils/course/course-progress');
+const {
+  inferPreferences,
+  summarizeConditions,
+  rankCourses,
+} = require('../utils/course/course-recommend');
+const {
+  getPaceFactor,
+  getSavedCourses,
+  getRecentCourses,
+  getCourseCompletion,
+} = require('./userService');
+const { getIntegratedWeather } = require('./weatherService');
+const { toKstDateString, addDays } = require('../utils/date');
+const {
+  POPULARITY_WINDOWS,
+  TRENDING_LIST_SIZE,
+  aggregatePopularity,
+  buildTrendingLists,
+  createEmptyPopularity,
+} = require('../utils/course/course-popularity');
+const { encodeCursor, decodeCursor } = require('../utils/course/course-cursor');
+const { getSearchIndex, searchIndex } = require('../utils/course/course-search');
 const {
   getProviderFromCourseId,
   logCourseView,
 } = require('../utils/course/course-helpers');
 
-async function getHomeCourses(query) {
-  const { lat, lon, n } = query;
+/**
+ * 요청한 사용자의 보행 속도 보정 계수를 조회합니다.
+ * 조회에 실패해도 코스 조회는 계속되도록 표준 속도(1)를 사용합니다.
+ */
+async function resolvePaceFactor(userId) {
+  try {
+    return await getPaceFactor(userId);
+  } catch (err) {
+    logger.error('Pace factor lookup failed', { userId, error: err.message });
+    return 1;
+  }
+}
 
-  if (!lat || !lon || !n) {
-    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400);
+/**
+ * 요청한 사용자의 코스 완주 기록을 조회합니다.
+ * 비로그인 요청이거나 조회에 실패하면 null을 반환하여 코스 상세 조회는 계속되도록 합니다.
+ */
+async function resolveCompletion(courseId, userId) {
+  if (!userId) return null;
+
+  try {
+    return await getCourseCompletion(userId, courseId);
+  } catch (err) {
+    logger.error('Course completion lookup failed', { userId, courseId, error: err.message });
+    return null;
   }
+}
+
+/**
+ * 목록 응답용으로 코스 항목을 정리합니다.
+ * 사용자 맞춤 예상 소요 시간을 추가하고, 크기가 큰 고도 프로필은 목록에서 제외합니다.
+ */
+function toListItem(course, paceFactor) {
+  const { course_elevation: _elevation, ...rest } = course;
+  return { ...rest, estimated_duration_minutes: estimateDurationMinutes(course, paceFactor) };
+}
 
-  logger.info(`Home courses request: lat=${lat}, lon=${lon}, n=${n}`);
+/**
+ * 커서 기반으로 코스 목록 한 페이지를 조회합니다.
+ * 첫 페이지의 기준 좌표와 정렬 조건은 커서에 담겨 다음 페이지에서도 그대로 사용되므로,
+ * 스크롤 중 사용자의 위치가 바뀌어도 항목이 중복되거나 누락되지 않습니다.
+ */
+async function getCoursePage({ lat, lon, n, sortBy, difficulty, cursor, userId }) {
+  const limit = parseInt(n);
+  if (Number.isNaN(limit) || limit < 1) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400);
+  }
 
-  const courses = await getAllCourses({
+  const order = resolveSortBy(sortBy);
+  let params = {
     lat: parseFloat(lat),
     lon: parseFloat(lon),
-    limit: parseInt(n),
-    sortBy: 'distance',
-  });
+    sortBy: order,
+    difficulty: difficulty || null,
+  };
+  let after;
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded || decoded.sortBy !== order || decoded.difficulty !== params.difficulty) {
+      throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+        message: '유효하지 않은 커서입니다.',
+      });
+    }
+    params = { ...params, lat: decoded.lat, lon: decoded.lon };
+    after = { value: decoded.value, id: decoded.id };
+  }
 
-  return courses;
+  const [result, paceFactor] = await Promise.all([
+    getAllCourses({
+      ...params,
+      difficulty: params.difficulty || undefined,
+      limit,
+      after,
+    }),
+    resolvePaceFactor(userId),
+  ]);
+
+  return {
+    courses: result.courses.map((course) => toListItem(course, paceFactor)),
+    nextCursor: result.nextPosition
+      ? encodeCursor({ ...params, ...result.nextPosition })
+      : null,
+    total: result.total,
+  };
 }
 
-async function getCourseList(query) {
-  const { lat, lon, n, sortBy, difficulty } = query;
+async function getHomeCourses(query, userId) {
+  const { lat, lon, n, cursor } = query;
+
+  if (!lat || !lon || !n) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400);
+  }
+
+  logger.info(`Home courses request: lat=${lat}, lon=${lon}, n=${n}, cursor=${Boolean(cursor)}`);
+
+  return getCoursePage({ lat, lon, n, sortBy: 'distance', cursor, userId });
+}
+
+async function getCourseList(query, userId) {
+  const { lat, lon, n, sortBy, difficulty, cursor } = query;
 
   if (!lat || !lon || !n) {
     throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400);
   }
 
   logger.info(
-    `Course list request: lat=${lat}, lon=${lon}, n=${n}, sortBy=${sortBy}, difficulty=${difficulty}`
+    `Course list request: lat=${lat}, lon=${lon}, n=${n}, sortBy=${sortBy}, difficulty=${difficulty}, cursor=${Boolean(cursor)}`
   );
 
-  const courses = await getAllCourses({
-    lat: parseFloat(lat),
-    lon: parseFloat(lon),
-    limit: parseInt(n),
-    sortBy,
-    difficulty,
+  return getCoursePage({ lat, lon, n, sortBy, difficulty, cursor, userId });
+}
+
+// 추천 점수를 계산할 후보 코스 수 (가까운 순)
+const RECOMMENDATION_CANDIDATES = 50;
+const MAX_RECOMMENDATIONS = 50;
+
+/**
+ * 추천에 필요한 부가 정보를 조회합니다. 일부 조회에 실패해도 나머지 정보로 추천하도록 기본값을 사용합니다.
+ */
+async function settle(promise, fallback, label) {
+  try {
+    return await promise;
+  } catch (err) {
+    logger.warn(`Recommendation input unavailable: ${label}`, { error: err.message });
+    return fallback;
+  }
+}
+
+/**
+ * 홈 피드용 맞춤 코스 추천.
+ * 가까운 후보 코스를 사용자 위치, 저장/최근 본 코스로 추정한 선호 난이도와 길이,
+ * 현재 날씨와 대기질, 인기도로 점수화하여 추천 이유와 함께 반환합니다.
+ */
+async function getRecommendations(query, userId) {
+  const { lat, lon, n } = query;
+
+  if (!lat || !lon) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400);
+  }
+
+  const origin = { lat: parseFloat(lat), lon: parseFloat(lon) };
+  const limit = Math.min(parseInt(n) || 10, MAX_RECOMMENDATIONS);
+  if (Number.isNaN(origin.lat) || Number.isNaN(origin.lon) || limit < 1) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400);
+  }
+
+  logger.info(`Course recommendation request: lat=${lat}, lon=${lon}, n=${limit}, userId=${userId}`);
+
+  const [candidates, savedCourses, recentCourses, weather, paceFactor] = await Promise.all([
+    getAllCourses({ ...origin, sortBy: 'distance', limit: RECOMMENDATION_CANDIDATES }),
+    userId ? settle(getSavedCourses(userId), [], 'saved courses') : [],
+    userId ? settle(getRecentCourses(userId), [], 'recent courses') : [],
+    settle(getIntegratedWeather({ lat, lon }), null, 'weather'),
+    resolvePaceFactor(userId),
+  ]);
+
+  const history = [...savedCourses, ...recentCourses].filter((course) => course.course_id);
+  const ranked = rankCourses(candidates.courses, {
+    origin,
+    savedIds: new Set(savedCourses.map((course) => course.course_id)),
+    recentIds: new Set(recentCourses.map((course) => course.course_id)),
+    preferences: inferPreferences(history),
+    conditions: summarizeConditions(weather),
+  });
+
+  return {
+    courses: ranked.slice(0, limit).map(({ course, score, reason, reason_code }) => ({
+      ...toListItem(course, paceFactor),
+      score,
+      reason,
+      reason_code,
+    })),
+  };
+}
+
+const DEFAULT_TRENDING_LIMIT = 20;
+const MAX_TRENDING_LIMIT = TRENDING_LIST_SIZE;
+
+async function getTrending(query, userId) {
+  const { window = '7d', n } = query;
+  const windowDays = parseInt(window);
+
+  if (!POPULARITY_WINDOWS.includes(windowDays) || window !== `${windowDays}d`) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+      message: `window는 ${POPULARITY_WINDOWS.map((days) => `${days}d`).join(', ')} 중 하나여야 합니다.`,
+    });
+  }
+
+  const limit = Math.min(parseInt(n) || DEFAULT_TRENDING_LIMIT, MAX_TRENDING_LIMIT);
+  logger.info(`Trending courses request: window=${window}, n=${limit}`);
+
+  const [courses, paceFactor] = await Promise.all([
+    getTrendingCourses(windowDays, limit),
+    resolvePaceFactor(userId),
+  ]);
+
+  return {
+    window,
+    courses: courses.map((course) => toListItem(course, paceFactor)),
+  };
+}
+
+/**
+ * 코스별 일별 집계로 7일/30일 인기도를 계산하여 코스 항목(popularity)에 저장하고, 인기 코스 목록을 갱신합니다.
+ * 스케줄러에서 주기적으로 실행되며, 기간 내 활동이 없어진 코스는 0으로 초기화합니다.
+ */
+async function aggregateCoursePopularity(now = new Date()) {
+  const today = toKstDateString(now);
+  const longestWindow = Math.max(...POPULARITY_WINDOWS);
+  const statsDates = Array.from({ length: longestWindow }, (_, i) => addDays(today, -i));
+
+  const [dailyStats, previousSummary] = await Promise.all([
+    queryCourseDailyStats(statsDates),
+    getPopularitySummary(),
+  ]);
+  const popularity = aggregatePopularity(dailyStats, now);
+  const popularIds = [...popularity.keys()];
+
+  for (const courseId of previousSummary?.course_ids || []) {
+    if (!popularity.has(courseId)) {
+      popularity.set(courseId, createEmptyPopularity(now));
+    }
+  }
+
+  let updated = 0;
+  let failed = 0;
+  for (const [courseId, value] of popularity) {
+    try {
+      await updateCourseCache(courseId, 'popularity', value);
+      updated++;
+    } catch (err) {
+      // 삭제된 코스(ConditionalCheckFailed) 등은 건너뛰고 계속 진행
+      logger.warn('Course popularity update skipped', { courseId, error: err.message });
+      failed++;
+    }
+  }
+
+  await savePopularitySummary({
+    course_ids: popularIds,
+    ...buildTrendingLists(popularity),
+    updated_at: now.toISOString(),
   });
 
-  return courses;
+  logger.info(`Course popularity aggregated: stats=${dailyStats.length}, updated=${updated}, failed=${failed}`);
+  return { updated, failed };
+}
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+async function searchCourses(query, userId) {
+  const { q, n } = query;
+  const keyword = (q || '').trim();
+
+  if (!keyword) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400);
+  }
+
+  const limit = Math.min(parseInt(n) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+  logger.info(`Course search request: q=${keyword}, n=${limit}`);
+
+  const index = await getSearchIndex();
+  if (!index) {
+    throw new ServerError(ERROR_CODES.SEARCH_INDEX_UNAVAILABLE, 503);
+  }
+
+  const matches = searchIndex(index, keyword, limit);
+  const [courses, paceFactor] = await Promise.all([
+    getCoursesByIds(matches.map((match) => match.course_id)),
+    resolvePaceFactor(userId),
+  ]);
+  const scoreMap = new Map(matches.map((match) => [match.course_id, match.score]));
+
+  return {
+    query: keyword,
+    courses: courses.map((course) => ({
+      ...toListItem(course, paceFactor),
+      score: scoreMap.get(course.course_id),
+    })),
+    total: courses.length,
+  };
+}
+
+function logView(courseId, userId) {
+  if (!userId) return;
+  const provider = getProviderFromCourseId(courseId);
+  logCourseView(userId, courseId, provider).catch((err) => {
+    logger.error('Course view log failed', { error: err.message });
+  });
+}
+
+/**
+ * 코스 항목에 캐시된 트랙 지표를 반환하고, 없거나 계산 방식이 바뀐 경우 GPX로부터 다시 계산하여 캐시합니다.
+ * GPX가 없거나 계산에 실패하면 상세 조회 자체는 실패하지 않도록 null을 반환합니다.
+ */
+async function resolveCourseMetrics(courseId, cached) {
+  if (cached && cached.version === COURSE_METRICS_VERSION) {
+    return cached;
+  }
+
+  try {
+    const gpxContent = await getGpxContentFromS3(courseId);
+    if (!gpxContent) return null;
+
+    const metrics = computeCourseMetrics(toGeoJson(gpxContent));
+    if (!metrics) return null;
+
+    logger.info(
+      `Course metrics computed: courseId=${courseId}, length=${metrics.track_length_km}km, type=${metrics.route_type}`
+    );
+    await updateCourseCache(courseId, 'course_metrics', metrics);
+    return metrics;
+  } catch (err) {
+    logger.error('Course metrics resolve failed', { courseId, error: err.message });
+    return null;
+  }
 }
 
 async function getCourse(courseId, userId) {
@@ -58,43 +394,238 @@ async function getCourse(courseId, userId) {
   }
 
   // Log course view asynchronously
-  if (userId) {
-    const provider = getProviderFromCourseId(courseId);
-    logCourseView(userId, courseId, provider).catch((err) => {
-      logger.error('Course view log failed', { error: err.message });
-    });
+  logView(courseId, userId);
+
+  const [metrics, paceFactor, completion] = await Promise.all([
+    resolveCourseMetrics(courseId, courseData.course_metrics),
+    resolvePaceFactor(userId),
+    resolveCompletion(courseId, userId),
+  ]);
+  courseData.course_metrics = metrics;
+  courseData.completion = completion;
+  courseData.estimated_duration_minutes = estimateDurationMinutes(courseData, paceFactor);
+
+  // 고도 프로필 전체는 /elevation 에서 제공하고, 상세에는 요약만 포함
+  const { course_elevation: elevation, ...course } = courseData;
+  if (elevation && elevation.has_elevation) {
+    course.elevation_summary = {
+      total_ascent_m: elevation.total_ascent_m,
+      total_descent_m: elevation.total_descent_m,
+      min_elevation_m: elevation.min_elevation_m,
+      max_elevation_m: elevation.max_elevation_m,
+      max_grade_pct: elevation.max_grade_pct,
+    };
+  }
+
+  return course;
+}
+
+/**
+ * 코스의 고도 프로필을 조회합니다.
+ * GPX로부터 한 번 계산한 결과는 코스 항목(course_elevation)에 캐시하며,
+ * 계산 방식의 버전이 바뀐 경우에만 다시 계산합니다.
+ */
+async function getElevation(courseId) {
+  logger.info(`Course elevation request: courseId=${courseId}`);
+
+  const courseData = await getCourseDetail(courseId);
+
+  if (!courseData) {
+    throw new ServerError(ERROR_CODES.COURSE_NOT_FOUND, 404);
+  }
+
+  const cached = courseData.course_elevation;
+  if (cached && cached.version === ELEVATION_PROFILE_VERSION) {
+    logger.info(`Course elevation cache hit: courseId=${courseId}`);
+    return { course_id: courseId, ...cached };
+  }
+
+  const gpxContent = await getGpxContentFromS3(courseId);
+
+  if (!gpxContent) {
+    throw new ServerError(ERROR_CODES.COURSE_NOT_FOUND, 404);
+  }
+
+  const elevation = {
+    ...buildElevationProfile(toGeoJson(gpxContent)),
+    computed_at: new Date().toISOString(),
+  };
+
+  logger.info(
+    `Course elevation computed: courseId=${courseId}, hasElevation=${elevation.has_elevation}, ascent=${elevation.total_ascent_m}`
+  );
+
+  // 캐시 저장에 실패해도 계산 결과는 응답
+  try {
+    await updateCourseCache(courseId, 'course_elevation', elevation);
+  } catch (err) {
+    logger.error('Course elevation cache save failed', { error: err.message });
+  }
+
+  return { course_id: courseId, ...elevation };
+}
+
+/**
+ * tolerance(m) 또는 zoom 쿼리 파라미터로부터 경로 단순화 허용 오차를 계산합니다.
+ * 둘 다 주어지면 tolerance를 우선하며, zoom은 경로 첫 좌표의 위도를 기준으로 환산합니다.
+ * @returns {number|null} 허용 오차 (m), 단순화를 요청하지 않았으면 null
+ */
+function parseSimplifyTolerance(query, featureCollection) {
+  const { tolerance, zoom } = query;
+
+  if (tolerance !== undefined) {
+    const toleranceM = parseFloat(tolerance);
+    if (Number.isNaN(toleranceM) || toleranceM <= 0 || toleranceM > MAX_TOLERANCE_M) {
+      throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+        message: `tolerance는 0보다 크고 ${MAX_TOLERANCE_M} 이하인 미터 값이어야 합니다.`,
+      });
+    }
+    return toleranceM;
+  }
+
+  if (zoom !== undefined) {
+    const zoomLevel = parseInt(zoom);
+    if (Number.isNaN(zoomLevel) || zoomLevel < MIN_ZOOM || zoomLevel > MAX_ZOOM) {
+      throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+        message: `zoom은 ${MIN_ZOOM}에서 ${MAX_ZOOM} 사이의 정수여야 합니다.`,
+      });
+    }
+    const firstPoint = flattenGeoJsonCoordinates(featureCollection)[0];
+    const lat = firstPoint ? firstPoint.lat : 37.5;
+    return Math.min(toleranceFromZoom(zoomLevel, lat), MAX_TOLERANCE_M);
   }
 
-  return courseData;
+  return null;
 }
 
-async function getCoordinates(courseId, userId) {
+async function getCoordinates(courseId, userId, query = {}) {
   if (!courseId) {
     throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400);
   }
 
-  logger.info(`Course coordinates request: courseId=${courseId}`);
+  const simplifyRequested = query.tolerance !== undefined || query.zoom !== undefined;
+  logger.info(`Course coordinates request: courseId=${courseId}, simplify=${simplifyRequested}`);
+
+  if (!simplifyRequested) {
+    const coordinates = await getCourseCoordinates(courseId);
+
+    if (!coordinates) {
+      throw new ServerError(ERROR_CODES.COURSE_NOT_FOUND, 404);
+    }
+
+    // Log course view asynchronously
+    logView(courseId, userId);
+    return coordinates;
+  }
 
-  const coordinates = await getCourseCoordinates(courseId);
+  const gpxContent = await getGpxContentFromS3(courseId);
 
-  if (!coordinates) {
+  if (!gpxContent) {
     throw new ServerError(ERROR_CODES.COURSE_NOT_FOUND, 404);
   }
 
-  // Log course view asynchronously
-  if (userId) {
-    const provider = getProviderFromCourseId(courseId);
-    logCourseView(userId, courseId, provider).catch((err) => {
-      logger.error('Course view log failed', { error: err.message });
+  const featureCollection = toGeoJson(gpxContent);
+  const toleranceM = parseSimplifyTolerance(query, featureCollection);
+  const simplified = simplifyFeatureCollection(featureCollection, toleranceM);
+
+  logger.info(
+    `Course coordinates simplified: courseId=${courseId}, tolerance=${toleranceM}m, points=${simplified.originalCount}->${simplified.simplifiedCount}`
+  );
+
+  logView(courseId, userId);
+
+  return {
+    tolerance_m: parseFloat(toleranceM.toFixed(3)),
+    original_count: simplified.originalCount,
+    simplified_count: simplified.simplifiedCount,
+    coordinates: flattenGeoJsonCoordinates(simplified.featureCollection),
+  };
+}
+
+/**
+ * 걷는 중인 사용자의 현재 위치로 코스 진행 상황(경로 위 가장 가까운 지점, 진행/남은 거리, 도착 예상 시간, 경로 이탈 여부)을 계산합니다.
+ * 도착 예상 시간은 코스 예상 소요 시간(사용자 보행 속도 반영)을 남은 거리 비율만큼 적용하여 계산합니다.
+ * @param {string} courseId
+ * @param {string} userId
+ * @param {{lat: number, lon: number, accuracy?: number, last_distance_km?: number}} position - courseProgressSchema로 검증된 값
+ */
+async function getProgress(courseId, userId, position) {
+  const [courseData, route, paceFactor] = await Promise.all([
+    getCourseDetail(courseId),
+    getCourseRoute(courseId),
+    resolvePaceFactor(userId),
+  ]);
+
+  if (!courseData || !route) {
+    throw new ServerError(ERROR_CODES.COURSE_NOT_FOUND, 404);
+  }
+
+  const progress = computeProgress(route, position);
+
+  const courseMinutes = estimateDurationMinutes(courseData, paceFactor);
+  const etaMinutes =
+    courseMinutes && progress.total_km > 0
+      ? (courseMinutes * progress.remaining_km) / progress.total_km
+      : (progress.remaining_km / (toblerSpeedKmh(0) * paceFactor)) * 60;
+  const roundedEta = Math.round(etaMinutes);
+
+  logger.info('Course progress computed', {
+    courseId,
+    userId,
+    distanceAlongKm: progress.distance_along_km,
+    offRoute: progress.off_route,
+  });
+
+  return {
+    course_id: courseId,
+    position: { lat: position.lat, lon: position.lon },
+    ...progress,
+    eta_minutes: roundedEta,
+    estimated_arrival_at: new Date(Date.now() + roundedEta * 60 * 1000).toISOString(),
+  };
+}
+
+async function exportCoordinates(courseId, userId, query) {
+  const { format } = query;
+
+  if (!courseId || !EXPORT_FORMATS.includes(format)) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+      message: `format은 ${EXPORT_FORMATS.join(', ')} 중 하나여야 합니다.`,
     });
   }
 
-  return coordinates;
+  logger.info(`Course geometry export request: courseId=${courseId}, format=${format}`);
+
+  const gpxContent = await getGpxContentFromS3(courseId);
+
+  if (!gpxContent) {
+    throw new ServerError(ERROR_CODES.COURSE_NOT_FOUND, 404);
+  }
+
+  const featureCollection = toGeoJson(gpxContent);
+  const toleranceM = parseSimplifyTolerance(query, featureCollection);
+
+  let courseName = courseId;
+  if (format === 'kml' || (format === 'gpx' && toleranceM)) {
+    const courseData = await getCourseDetail(courseId);
+    courseName = courseData?.course_name || courseId;
+  }
+
+  logView(courseId, userId);
+
+  return exportCourseGeometry(gpxContent, featureCollection, format, courseName, toleranceM);
 }
 
 module.exports = {
   getHomeCourses,
   getCourseList,
+  getRecommendations,
+  getTrending,
+  aggregateCoursePopularity,
+  searchCourses,
   getCourse,
+  getElevation,
   getCoordinates,
+  getProgress,
+  exportCoordinates,
 };
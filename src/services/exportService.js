@@ -0,0 +1,379 @@
+const { v7: uuidv7 } = require('uuid');
+const { GetCommand, PutCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { logger } = require('../utils/logger');
+const { ServerError, ERROR_CODES } = require('../utils/error');
+const { DAY_MS, toKstDateString } = require('../utils/date');
+const { s3Client } = require('../utils/course/course-gpx');
+const { toTrackGpx } = require('../utils/walk/walk-track');
+const { createZip } = require('../utils/zip');
+
+const sqsClient = new SQSClient({ region: 'ap-northeast-2' });
+
+// 내보내기 파일 전용 비공개 버킷 (sst.config.ts UserExportBucket, 보관 기간이 지나면 수명 주기 규칙으로 삭제)
+const EXPORT_BUCKET_NAME = process.env.USER_EXPORT_BUCKET_NAME;
+
+const EXPORT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+};
+
+const EXPORT_PREFIX = 'user_exports/';
+// 내보내기 파일은 완료 후 이 기간 동안만 내려받을 수 있음 (버킷 수명 주기 규칙도 이에 맞춤)
+const EXPORT_RETENTION_MS = 7 * DAY_MS;
+// 상태 조회마다 새로 만드는 다운로드 링크의 유효 시간 (초)
+const DOWNLOAD_URL_EXPIRES_S = 60 * 60;
+// 진행 중인 작업이 이 시간보다 오래되면 작업이 중단된 것으로 보고 새 요청을 받음
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+const getExportSortKey = (jobId) => `EXPORT#${jobId}`;
+const getExportPrefix = (userId) => `${EXPORT_PREFIX}${userId}/`;
+
+const toExportResponse = (job, download) => ({
+  job_id: job.job_id,
+  status: job.status,
+  created_at: job.created_at,
+  completed_at: job.completed_at || null,
+  expires_at: job.expires_at || null,
+  file_size_bytes: job.file_size_bytes || null,
+  file_count: job.file_count || null,
+  error: job.error || null,
+  download_url: download ? download.url : null,
+  download_url_expires_at: download ? download.expires_at : null,
+});
+
+async function queryAll(params) {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await docClient.send(
+      new QueryCommand({ ...params, ExclusiveStartKey: lastEvaluatedKey })
+    );
+    items.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+async function getLatestJob(userId) {
+  const { Items } = await docClient.send(
+    new QueryCommand({
+      TableName: TABLES.USER,
+      KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+      ExpressionAttributeValues: { ':uid': userId, ':prefix': 'EXPORT#' },
+      ScanIndexForward: false,
+      Limit: 1,
+    })
+  );
+  return Items && Items[0];
+}
+
+/**
+ * 개인 데이터 내보내기를 요청합니다. 파일은 작업 큐에서 만들어지며, 진행 상황은 getExportJob으로 확인합니다.
+ * 이미 진행 중인 작업이 있으면 새로 만들지 않고 그 작업을 반환합니다.
+ * @returns {Promise<{job: object, created: boolean}>}
+ */
+async function requestExport(userId) {
+  const latest = await getLatestJob(userId);
+  const inProgress =
+    latest &&
+    [EXPORT_STATUS.PENDING, EXPORT_STATUS.PROCESSING].includes(latest.status) &&
+    Date.now() - Date.parse(latest.created_at) < STALE_JOB_MS;
+  if (inProgress) {
+    return { job: toExportResponse(latest), created: false };
+  }
+
+  const now = new Date().toISOString();
+  const jobId = uuidv7();
+  const job = {
+    user_id: userId,
+    sort_key: getExportSortKey(jobId),
+    job_id: jobId,
+    status: EXPORT_STATUS.PENDING,
+    created_at: now,
+    updated_at: now,
+  };
+
+  await docClient.send(
+    new PutCommand({
+      TableName: TABLES.USER,
+      Item: job,
+    })
+  );
+
+  await sqsClient.send(
+    new SendMessageCommand({
+      QueueUrl: process.env.USER_EXPORT_QUEUE_URL,
+      MessageBody: JSON.stringify({ userId, jobId }),
+    })
+  );
+
+  logger.info('User export requested', { userId, jobId });
+  return { job: toExportResponse(job), created: true };
+}
+
+/**
+ * 내보내기 작업 상태를 조회합니다. 완료된 작업은 조회할 때마다 새 다운로드 링크를 발급합니다.
+ */
+async function getExportJob(userId, jobId) {
+  const { Item: job } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: getExportSortKey(jobId) },
+    })
+  );
+
+  if (!job) {
+    throw new ServerError(ERROR_CODES.EXPORT_JOB_NOT_FOUND, 404);
+  }
+
+  if (job.status !== EXPORT_STATUS.COMPLETED) {
+    return toExportResponse(job);
+  }
+
+  if (Date.now() >= Date.parse(job.expires_at)) {
+    return toExportResponse({ ...job, status: EXPORT_STATUS.EXPIRED });
+  }
+
+  const url = await getSignedUrl(
+    s3Client,
+    new GetObjectCommand({
+      Bucket: EXPORT_BUCKET_NAME,
+      Key: job.s3_key,
+      ResponseContentDisposition: `attachment; filename="ku-swt-export-${toKstDateString(new Date(job.completed_at))}.zip"`,
+    }),
+    { expiresIn: DOWNLOAD_URL_EXPIRES_S }
+  );
+  // 링크는 보관 기간이 끝나기 전에 발급했더라도 최대 DOWNLOAD_URL_EXPIRES_S 동안 유효
+  const expiresAt = new Date(Date.now() + DOWNLOAD_URL_EXPIRES_S * 1000).toISOString();
+
+  return toExportResponse(job, { url, expires_at: expiresAt });
+}
+
+// DynamoDB 문자열 집합(Set)은 배열로 변환
+const toJson = (value) =>
+  JSON.stringify(value, (key, v) => (v instanceof Set ? [...v] : v), 2);
+
+const stripKeys = ({ user_id: _userId, sort_key: _sortKey, ...rest }) => rest;
+
+/**
+ * 사용자의 모든 데이터를 읽어 ZIP에 담을 파일 목록을 만듭니다.
+ */
+async function buildExportFiles(userId) {
+  const [userItems, courseItems, authItems] = await Promise.all([
+    queryAll({
+      TableName: TABLES.USER,
+      KeyConditionExpression: 'user_id = :uid',
+      ExpressionAttributeValues: { ':uid': userId },
+    }),
+    queryAll({
+      TableName: TABLES.USER_COURSE,
+      KeyConditionExpression: 'user_id = :uid',
+      ExpressionAttributeValues: { ':uid': userId },
+    }),
+    queryAll({
+      TableName: TABLES.AUTH_DATA,
+      KeyConditionExpression: 'user_id = :uid',
+      ExpressionAttributeValues: { ':uid': userId },
+    }),
+  ]);
+
+  const byPrefix = (items, prefix) => items.filter((item) => item.sort_key.startsWith(prefix)).map(stripKeys);
+  const profile = userItems.find((item) => item.sort_key === 'USER_INFO_ITEM');
+  const activity = userItems.find((item) => item.sort_key === 'USER_ACTIVITY_ITEM');
+  const walks = byPrefix(userItems, 'WALK#');
+  // 복구 코드는 해시만 저장되어 있으므로 TOTP 사용 여부와 남은 개수만 담음
+  const recoveryCodes = authItems.find((item) => item.sort_key === 'MFA_RECOVERY_CODES');
+
+  const pointsByWalk = new Map();
+  for (const batch of byPrefix(userItems, 'WALK_POINTS#').sort((a, b) => a.seq - b.seq)) {
+    if (!pointsByWalk.has(batch.walk_id)) pointsByWalk.set(batch.walk_id, []);
+    pointsByWalk.get(batch.walk_id).push(...batch.points);
+  }
+
+  const files = [
+    { name: 'profile.json', content: toJson(profile ? stripKeys(profile) : null) },
+    {
+      name: 'settings.json',
+      content: toJson(
+        profile
+          ? {
+              language: profile.language,
+              distance_unit: profile.distance_unit,
+              is_dark_mode_enabled: profile.is_dark_mode_enabled,
+              allow_location_storage: profile.allow_location_storage,
+            }
+          : null
+      ),
+    },
+    { name: 'activity.json', content: toJson(activity ? stripKeys(activity) : null) },
+    { name: 'saved_courses.json', content: toJson(byPrefix(courseItems, 'SAVED#')) },
+    { name: 'recent_courses.json', content: toJson(byPrefix(courseItems, 'RECENT#')) },
+    { name: 'completed_courses.json', content: toJson(byPrefix(courseItems, 'COMPLETED#')) },
+    { name: 'walks.json', content: toJson(walks) },
+    { name: 'stats.json', content: toJson(byPrefix(userItems, 'STATS#')) },
+    { name: 'goals.json', content: toJson(byPrefix(userItems, 'GOAL#')) },
+    { name: 'achievements.json', content: toJson(byPrefix(userItems, 'ACHIEVEMENT#')) },
+    { name: 'linked_accounts.json', content: toJson(byPrefix(authItems, 'SOCIAL#')) },
+    {
+      name: 'devices.json',
+      content: toJson(
+        authItems
+          .filter((item) => item.sort_key.startsWith('DEVICE#'))
+          .map((item) => ({ device_key: item.sort_key.slice('DEVICE#'.length), ...stripKeys(item) }))
+      ),
+    },
+    {
+      name: 'security.json',
+      content: toJson({
+        totp_mfa_enabled: Boolean(recoveryCodes),
+        totp_mfa_enabled_at: recoveryCodes ? recoveryCodes.created_at : null,
+        recovery_codes_remaining: recoveryCodes ? recoveryCodes.code_hashes.length : 0,
+      }),
+    },
+  ];
+
+  for (const walk of walks) {
+    const points = pointsByWalk.get(walk.walk_id);
+    if (!points || points.length === 0) continue;
+    const date = toKstDateString(new Date(walk.started_at));
+    files.push({
+      name: `walks/${date}_${walk.walk_id}.gpx`,
+      content: toTrackGpx(`걷기 ${date}`, points, walk.pauses || []),
+    });
+  }
+
+  return files;
+}
+
+/**
+ * 이전 내보내기 파일을 지워 사용자당 최신 파일 하나만 남깁니다.
+ */
+async function removePreviousExports(userId, currentJobId) {
+  const jobs = await queryAll({
+    TableName: TABLES.USER,
+    KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+    FilterExpression: 'attribute_exists(s3_key)',
+    ExpressionAttributeValues: { ':uid': userId, ':prefix': 'EXPORT#' },
+  });
+
+  for (const job of jobs.filter((item) => item.job_id !== currentJobId)) {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: EXPORT_BUCKET_NAME, Key: job.s3_key }));
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: job.sort_key },
+        UpdateExpression: 'set #status = :expired, updated_at = :now remove s3_key',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':expired': EXPORT_STATUS.EXPIRED, ':now': new Date().toISOString() },
+      })
+    );
+  }
+}
+
+/**
+ * 내보내기 파일을 만들어 S3에 저장합니다. 작업 큐(functions/jobs/export)에서 호출합니다.
+ * 같은 메시지가 두 번 전달되어도 대기 중인 작업만 처리하며, 실패하면 작업을 failed로 표시합니다.
+ */
+async function processExport(userId, jobId) {
+  const key = { user_id: userId, sort_key: getExportSortKey(jobId) };
+
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: key,
+        UpdateExpression: 'set #status = :processing, updated_at = :now',
+        ConditionExpression: '#status = :pending',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':processing': EXPORT_STATUS.PROCESSING,
+          ':pending': EXPORT_STATUS.PENDING,
+          ':now': new Date().toISOString(),
+        },
+      })
+    );
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      logger.warn('User export job is not pending, skipped', { userId, jobId });
+      return;
+    }
+    throw err;
+  }
+
+  try {
+    const files = await buildExportFiles(userId);
+    const zip = createZip(files);
+    const s3Key = `${getExportPrefix(userId)}${jobId}.zip`;
+
+    await s3Client.send(
+      new PutObjectCommand({
+        Bucket: EXPORT_BUCKET_NAME,
+        Key: s3Key,
+        Body: zip,
+        ContentType: 'application/zip',
+      })
+    );
+
+    const completedAt = new Date();
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: key,
+        UpdateExpression:
+          'set #status = :completed, s3_key = :s3Key, file_size_bytes = :size, file_count = :count, ' +
+          'completed_at = :completedAt, expires_at = :expiresAt, updated_at = :completedAt',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':completed': EXPORT_STATUS.COMPLETED,
+          ':s3Key': s3Key,
+          ':size': zip.length,
+          ':count': files.length,
+          ':completedAt': completedAt.toISOString(),
+          ':expiresAt': new Date(completedAt.getTime() + EXPORT_RETENTION_MS).toISOString(),
+        },
+      })
+    );
+
+    logger.info('User export completed', { userId, jobId, files: files.length, bytes: zip.length });
+  } catch (err) {
+    logger.error('User export failed', { userId, jobId, error: err.message, stack: err.stack });
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: key,
+        UpdateExpression: 'set #status = :failed, #error = :error, updated_at = :now',
+        ExpressionAttributeNames: { '#status': 'status', '#error': 'error' },
+        ExpressionAttributeValues: {
+          ':failed': EXPORT_STATUS.FAILED,
+          ':error': '내보내기 파일을 만드는 중 오류가 발생했습니다.',
+          ':now': new Date().toISOString(),
+        },
+      })
+    );
+    return;
+  }
+
+  // 새 파일은 이미 저장되었으므로 이전 파일 정리에 실패해도 작업은 완료로 둠
+  try {
+    await removePreviousExports(userId, jobId);
+  } catch (err) {
+    logger.error('Previous user export cleanup failed', { userId, jobId, error: err.message });
+  }
+}
+
+module.exports = {
+  EXPORT_BUCKET_NAME,
+  getExportPrefix,
+  requestExport,
+  getExportJob,
+  processExport,
+};
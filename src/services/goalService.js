@@ -0,0 +1,253 @@
+const { v7: uuidv7 } = require('uuid');
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  BatchGetCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { logger } = require('../utils/logger');
+const { ServerError, ERROR_CODES } = require('../utils/error');
+const { toKstDateString } = require('../utils/date');
+const { getPeriodStart, getStatsSortKey, toPeriodStats } = require('../utils/walk/walk-stats');
+const { STREAK_SORT_KEY, computeGoalProgress, summarizeStreaks, toStreaks } = require('../utils/walk/walk-goals');
+
+// BatchGet에서 처리되지 않은 키를 다시 요청하는 최대 횟수
+const MAX_BATCH_GET_RETRIES = 5;
+
+const getGoalSortKey = (goalId) => `GOAL#${goalId}`;
+
+const toGoalResponse = (goal, progress) => ({
+  goal_id: goal.goal_id,
+  metric: goal.metric,
+  period: goal.period,
+  target: goal.target,
+  created_at: goal.created_at,
+  updated_at: goal.updated_at,
+  progress,
+});
+
+async function queryGoalItems(userId) {
+  const { Items } = await docClient.send(
+    new QueryCommand({
+      TableName: TABLES.USER,
+      KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+      ExpressionAttributeValues: { ':uid': userId, ':prefix': 'GOAL#' },
+    })
+  );
+  return Items || [];
+}
+
+/**
+ * 목표마다 현재 구간(오늘이 속한 일/주/월)의 통계 항목을 읽어 진행률을 붙입니다.
+ */
+async function attachProgress(userId, goals) {
+  if (goals.length === 0) return [];
+
+  const today = toKstDateString();
+  const periods = [...new Set(goals.map((goal) => goal.period))];
+  const starts = new Map(periods.map((period) => [period, getPeriodStart(period, today)]));
+
+  const items = [];
+  let keys = periods.map((period) => ({
+    user_id: userId,
+    sort_key: getStatsSortKey(period, starts.get(period)),
+  }));
+
+  // 처리량 제한으로 남은 키는 다시 요청 (빠뜨리면 진행률이 0으로 보임)
+  for (let attempt = 0; keys.length > 0; attempt++) {
+    if (attempt > MAX_BATCH_GET_RETRIES) {
+      throw new Error(`Batch get did not complete: table=${TABLES.USER}, remaining=${keys.length}`);
+    }
+    if (attempt > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 100 * 2 ** attempt));
+    }
+
+    const { Responses, UnprocessedKeys } = await docClient.send(
+      new BatchGetCommand({ RequestItems: { [TABLES.USER]: { Keys: keys } } })
+    );
+    items.push(...(Responses?.[TABLES.USER] || []));
+    keys = UnprocessedKeys?.[TABLES.USER]?.Keys || [];
+  }
+
+  const statsMap = new Map(items.map((item) => [item.period, item]));
+
+  return goals.map((goal) => {
+    const periodStats = toPeriodStats(goal.period, starts.get(goal.period), statsMap.get(goal.period));
+    return toGoalResponse(goal, computeGoalProgress(goal, periodStats));
+  });
+}
+
+async function listGoals(userId) {
+  const goals = await queryGoalItems(userId);
+  goals.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  return attachProgress(userId, goals);
+}
+
+/**
+ * 목표를 만듭니다. 같은 지표와 기간의 목표는 하나만 둘 수 있습니다.
+ * @param {string} userId
+ * @param {{metric: string, period: string, target: number}} body - createGoalSchema로 검증된 값
+ */
+async function createGoal(userId, { metric, period, target }) {
+  const existing = await queryGoalItems(userId);
+  const duplicate = existing.find((goal) => goal.metric === metric && goal.period === period);
+  if (duplicate) {
+    throw new ServerError(ERROR_CODES.GOAL_ALREADY_EXISTS, 409, { goal_id: duplicate.goal_id });
+  }
+
+  const now = new Date().toISOString();
+  const goalId = uuidv7();
+  const goal = {
+    user_id: userId,
+    sort_key: getGoalSortKey(goalId),
+    goal_id: goalId,
+    metric,
+    period,
+    target,
+    created_at: now,
+    updated_at: now,
+  };
+
+  await docClient.send(
+    new PutCommand({
+      TableName: TABLES.USER,
+      Item: goal,
+    })
+  );
+
+  logger.info('Goal created', { userId, goalId, metric, period, target });
+  const [created] = await attachProgress(userId, [goal]);
+  return created;
+}
+
+async function updateGoal(userId, goalId, { target }) {
+  try {
+    const { Attributes: goal } = await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: getGoalSortKey(goalId) },
+        UpdateExpression: 'set target = :target, updated_at = :now',
+        ConditionExpression: 'attribute_exists(sort_key)',
+        ExpressionAttributeValues: { ':target': target, ':now': new Date().toISOString() },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+
+    logger.info('Goal updated', { userId, goalId, target });
+    const [updated] = await attachProgress(userId, [goal]);
+    return updated;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      throw new ServerError(ERROR_CODES.GOAL_NOT_FOUND, 404);
+    }
+    throw err;
+  }
+}
+
+async function deleteGoal(userId, goalId) {
+  try {
+    await docClient.send(
+      new DeleteCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: getGoalSortKey(goalId) },
+        ConditionExpression: 'attribute_exists(sort_key)',
+      })
+    );
+    logger.info('Goal deleted', { userId, goalId });
+    return { message: '목표가 삭제되었습니다.' };
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      throw new ServerError(ERROR_CODES.GOAL_NOT_FOUND, 404);
+    }
+    throw err;
+  }
+}
+
+async function getGoal(userId, goalId) {
+  const { Item: goal } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: getGoalSortKey(goalId) },
+    })
+  );
+
+  if (!goal) {
+    throw new ServerError(ERROR_CODES.GOAL_NOT_FOUND, 404);
+  }
+
+  const [result] = await attachProgress(userId, [goal]);
+  return result;
+}
+
+async function queryWalkedDates(userId) {
+  const dates = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await docClient.send(
+      new QueryCommand({
+        TableName: TABLES.USER,
+        KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+        FilterExpression: 'walk_count > :zero',
+        ExpressionAttributeValues: { ':uid': userId, ':prefix': 'STATS#DAY#', ':zero': 0 },
+        ProjectionExpression: 'period_start',
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+    dates.push(...(response.Items || []).map((item) => item.period_start));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return dates;
+}
+
+/**
+ * 연속 걷기 일수를 조회합니다.
+ * 저장된 요약이 있으면 그대로 쓰고, 새로 걸은 날이 생겨 무효화되었으면 일별 통계 항목의 날짜를 모두 읽어 다시 계산한 뒤 저장합니다.
+ */
+async function getStreak(userId) {
+  const today = toKstDateString();
+  const key = { user_id: userId, sort_key: STREAK_SORT_KEY };
+
+  const { Item: stored } = await docClient.send(new GetCommand({ TableName: TABLES.USER, Key: key }));
+  if (stored?.computed_at && (!stored.invalidated_at || stored.computed_at > stored.invalidated_at)) {
+    return toStreaks(stored, today);
+  }
+
+  const computedAt = new Date().toISOString();
+  const summary = summarizeStreaks(await queryWalkedDates(userId));
+
+  // 계산하는 동안 새로 걸은 날이 생겼으면 저장하지 않음 (다음 조회 때 다시 계산)
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: key,
+        UpdateExpression: 'set last_run = :lastRun, longest = :longest, last_walk_date = :lastWalkDate, computed_at = :computedAt',
+        ConditionExpression: 'attribute_not_exists(invalidated_at) OR invalidated_at < :computedAt',
+        ExpressionAttributeValues: {
+          ':lastRun': summary.last_run,
+          ':longest': summary.longest,
+          ':lastWalkDate': summary.last_walk_date,
+          ':computedAt': computedAt,
+        },
+      })
+    );
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  }
+
+  return toStreaks(summary, today);
+}
+
+module.exports = {
+  listGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  getStreak,
+};
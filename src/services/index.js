@@ -1,15 +1,31 @@
 const authService = require('./authService');
+const socialAuthService = require('./socialAuthService');
+const sessionService = require('./sessionService');
+const mfaService = require('./mfaService');
 const weatherService = require('./weatherService');
 const userService = require('./userService');
 const coursesService = require('./coursesService');
 const courseService = require('./courseService');
 const medicalService = require('./medicalService');
+const walkService = require('./walkService');
+const goalService = require('./goalService');
+const achievementService = require('./achievementService');
+const exportService = require('./exportService');
+const withdrawalService = require('./withdrawalService');
 
 module.exports = {
   authService,
+  socialAuthService,
+  sessionService,
+  mfaService,
   weatherService,
   userService,
   coursesService,
   courseService,
   medicalService,
+  walkService,
+  goalService,
+  achievementService,
+  exportService,
+  withdrawalService,
 };
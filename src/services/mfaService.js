@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const {
+  CognitoIdentityProviderClient,
+  AssociateSoftwareTokenCommand,
+  VerifySoftwareTokenCommand,
+  SetUserMFAPreferenceCommand,
+} = require('@aws-sdk/client-cognito-identity-provider');
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { logger } = require('../utils/logger');
+const { ServerError, ERROR_CODES } = require('../utils/error');
+const { handleCognitoError } = require('../utils/cognito');
+const { mfaVerifySchema } = require('../utils/validation');
+
+const client = new CognitoIdentityProviderClient({ region: 'ap-northeast-2' });
+
+// 인증 앱에 표시되는 발급자 이름
+const TOTP_ISSUER = 'KU 둘레길';
+
+// 복구 코드: TOTP 설정 완료 시 10개 발급, AUTH_DATA_TABLE에는 해시만 저장
+const RECOVERY_CODES_SORT_KEY = 'MFA_RECOVERY_CODES';
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// 로그인 MFA 챌린지: Cognito 세션(유효 3분)이 비밀번호 확인을 거친 것인지 복구 코드 로그인 때 확인하기 위해 저장
+const LOGIN_CHALLENGE_SORT_KEY = 'MFA_LOGIN_CHALLENGE';
+const LOGIN_CHALLENGE_TTL_MS = 3 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// 대소문자와 하이픈, 공백을 무시하고 비교
+const normalizeRecoveryCode = (code) => code.toUpperCase().replace(/[\s-]/g, '');
+
+const generateRecoveryCode = () => {
+  const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+async function getUserEmail(userId) {
+  const { Item } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: 'USER_INFO_ITEM' },
+      ProjectionExpression: 'email',
+    })
+  );
+  if (!Item) {
+    throw new ServerError(ERROR_CODES.USER_NOT_FOUND, 404);
+  }
+  return Item.email;
+}
+
+/**
+ * TOTP 설정을 시작합니다. 인증 앱에 등록할 비밀 키와 otpauth URI(QR 코드용)를 반환합니다.
+ * 설정은 POST /auth/mfa/totp/verify로 인증 앱의 코드를 확인해야 완료됩니다.
+ */
+async function setupTotp(userId, accessToken) {
+  const email = await getUserEmail(userId);
+
+  let secret;
+  try {
+    const response = await client.send(new AssociateSoftwareTokenCommand({ AccessToken: accessToken }));
+    secret = response.SecretCode;
+  } catch (err) {
+    handleCognitoError(err);
+  }
+
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`;
+
+  logger.info('TOTP setup started', { userId });
+  return { secret, otpauthUri };
+}
+
+/**
+ * 인증 앱의 코드를 확인하고 TOTP MFA를 켭니다. 새 복구 코드를 발급하며, 이전 복구 코드는 더 이상 쓸 수 없습니다.
+ * 복구 코드 원문은 이 응답에서만 확인할 수 있습니다.
+ */
+async function verifyTotp(userId, accessToken, body) {
+  const validation = mfaVerifySchema.safeParse(body);
+  if (!validation.success) {
+    throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
+      errors: validation.error.issues,
+    });
+  }
+
+  const { code, deviceName } = validation.data;
+
+  try {
+    const { Status } = await client.send(new VerifySoftwareTokenCommand({
+      AccessToken: accessToken,
+      UserCode: code,
+      FriendlySoftwareTokenDeviceName: deviceName,
+    }));
+    if (Status !== 'SUCCESS') {
+      throw new ServerError(ERROR_CODES.INVALID_VERIFICATION_CODE, 400);
+    }
+
+    await client.send(new SetUserMFAPreferenceCommand({
+      AccessToken: accessToken,
+      SoftwareTokenMfaSettings: { Enabled: true, PreferredMfa: true },
+    }));
+  } catch (err) {
+    if (ServerError.isServerError(err)) throw err;
+    handleCognitoError(err);
+  }
+
+  const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await docClient.send(
+    new PutCommand({
+      TableName: TABLES.AUTH_DATA,
+      Item: {
+        user_id: userId,
+        sort_key: RECOVERY_CODES_SORT_KEY,
+        code_hashes: recoveryCodes.map((recoveryCode) => sha256(normalizeRecoveryCode(recoveryCode))),
+        created_at: new Date().toISOString(),
+      },
+    })
+  );
+
+  logger.info('TOTP MFA enabled', { userId });
+  return { mfaEnabled: true, recoveryCodes };
+}
+
+/**
+ * 로그인 중 MFA 챌린지가 나오면 Cognito 세션의 해시를 저장합니다.
+ */
+async function saveLoginChallenge(userId, session) {
+  await docClient.send(
+    new PutCommand({
+      TableName: TABLES.AUTH_DATA,
+      Item: {
+        user_id: userId,
+        sort_key: LOGIN_CHALLENGE_SORT_KEY,
+        session_hash: sha256(session),
+        expires_at: new Date(Date.now() + LOGIN_CHALLENGE_TTL_MS).toISOString(),
+      },
+    })
+  );
+}
+
+/**
+ * 복구 코드로 MFA 챌린지를 통과합니다.
+ * 비밀번호 확인을 거친 세션인지 확인한 뒤 복구 코드를 확인하고, 사용한 복구 코드만 삭제합니다.
+ * 복구 코드는 한 번씩만 쓸 수 있으며 TOTP MFA는 켜진 채로 둡니다.
+ * 토큰 발급은 호출하는 쪽에서 합니다. (Cognito 세션은 TOTP 코드로만 완료할 수 있음)
+ * @returns {Promise<number>} 남은 복구 코드 수
+ */
+async function redeemRecoveryCode(user, session, recoveryCode) {
+  try {
+    await docClient.send(
+      new DeleteCommand({
+        TableName: TABLES.AUTH_DATA,
+        Key: { user_id: user.user_id, sort_key: LOGIN_CHALLENGE_SORT_KEY },
+        ConditionExpression: 'session_hash = :hash AND expires_at > :now',
+        ExpressionAttributeValues: { ':hash': sha256(session), ':now': new Date().toISOString() },
+      })
+    );
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      throw new ServerError(ERROR_CODES.MFA_SESSION_EXPIRED, 401);
+    }
+    throw err;
+  }
+
+  const key = { user_id: user.user_id, sort_key: RECOVERY_CODES_SORT_KEY };
+  const codeHash = sha256(normalizeRecoveryCode(recoveryCode));
+  const { Item } = await docClient.send(new GetCommand({ TableName: TABLES.AUTH_DATA, Key: key }));
+  const index = Item?.code_hashes ? Item.code_hashes.indexOf(codeHash) : -1;
+  if (index === -1) {
+    throw new ServerError(ERROR_CODES.INVALID_RECOVERY_CODE, 401);
+  }
+
+  let remaining;
+  try {
+    // 같은 코드를 동시에 쓰거나 그 사이 코드가 다시 발급되었으면 그 위치의 해시가 달라지므로 실패함
+    const { Attributes } = await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.AUTH_DATA,
+        Key: key,
+        UpdateExpression: `remove code_hashes[${index}]`,
+        ConditionExpression: `code_hashes[${index}] = :hash`,
+        ExpressionAttributeValues: { ':hash': codeHash },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    remaining = Attributes.code_hashes.length;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      throw new ServerError(ERROR_CODES.INVALID_RECOVERY_CODE, 401);
+    }
+    throw err;
+  }
+
+  logger.warn(`Recovery code used: userId=${user.user_id}, remaining=${remaining}`);
+  return remaining;
+}
+
+module.exports = {
+  setupTotp,
+  verifyTotp,
+  saveLoginChallenge,
+  redeemRecoveryCode,
+};
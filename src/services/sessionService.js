@@ -0,0 +1,238 @@
+const {
+  CognitoIdentityProviderClient,
+  ConfirmDeviceCommand,
+  ListDevicesCommand,
+  UpdateDeviceStatusCommand,
+  ForgetDeviceCommand,
+  RevokeTokenCommand,
+} = require('@aws-sdk/client-cognito-identity-provider');
+const { UpdateCommand, QueryCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { logger } = require('../utils/logger');
+const { ServerError, ERROR_CODES } = require('../utils/error');
+const { handleCognitoError, createDeviceVerifier } = require('../utils/cognito');
+
+const client = new CognitoIdentityProviderClient({ region: 'ap-northeast-2' });
+
+const CLIENT_ID = process.env.COGNITO_CLIENT_ID;
+
+// AUTH_DATA_TABLE에 저장하는 기기 부가 정보 (Cognito가 보관하지 않는 국가, User-Agent 등)
+// 기기별 로그아웃 시각(revoked_at)도 남겨, 그 전에 로그인한 리프레시 토큰으로는 토큰을 갱신하지 못하게 함
+const DEVICE_SORT_KEY_PREFIX = 'DEVICE#';
+const getDeviceSortKey = (deviceKey) => `${DEVICE_SORT_KEY_PREFIX}${deviceKey}`;
+
+// ListDevices 한 번에 조회할 수 있는 최대 개수
+const LIST_DEVICES_LIMIT = 60;
+
+const DEVICE_STATUS = { REMEMBERED: 'remembered', NOT_REMEMBERED: 'not_remembered' };
+
+async function revokeRefreshToken(refreshToken) {
+  await client.send(new RevokeTokenCommand({ ClientId: CLIENT_ID, Token: refreshToken }));
+}
+
+async function saveDeviceInfo(userId, deviceKey, { deviceName, client: clientInfo = {} }) {
+  const now = new Date().toISOString();
+  await docClient.send(
+    new UpdateCommand({
+      TableName: TABLES.AUTH_DATA,
+      Key: { user_id: userId, sort_key: getDeviceSortKey(deviceKey) },
+      UpdateExpression:
+        'set device_name = :deviceName, last_ip = :ip, country = :country, user_agent = :userAgent, ' +
+        'last_used_at = :now, created_at = if_not_exists(created_at, :now)',
+      ExpressionAttributeValues: {
+        ':deviceName': deviceName || null,
+        ':ip': clientInfo.ip || null,
+        ':country': clientInfo.country || null,
+        ':userAgent': clientInfo.userAgent || null,
+        ':now': now,
+      },
+    })
+  );
+}
+
+/**
+ * 로그인 결과로 기기를 등록하고 "이 기기 기억하기" 상태를 반영합니다.
+ * Cognito가 새 기기 정보(NewDeviceMetadata)를 주면 ConfirmDevice로 등록하고, 기존 기기 키로 로그인했다면 그 기기를 갱신합니다.
+ * 사용자 풀이 deviceOnlyRememberedOnUserPrompt이므로 새 기기는 기억하지 않는 상태로 등록되며,
+ * 클라이언트가 rememberDevice: true를 보낸 경우에만 UpdateDeviceStatus로 기억됨(remembered) 상태로 바꿉니다.
+ * 기기 추적에 실패해도 로그인은 성공해야 하므로 오류는 기록만 하고 deviceKey를 null로 반환합니다.
+ * @param {string} userId
+ * @param {object} authResult - Cognito AuthenticationResult
+ * @param {{deviceKey?: string, deviceName?: string, rememberDevice?: boolean, client?: object}} options
+ * @returns {Promise<{deviceKey: string|null, deviceRemembered: boolean|null}>}
+ */
+async function trackDevice(userId, authResult, { deviceKey, deviceName, rememberDevice, client: clientInfo } = {}) {
+  const newDevice = authResult.NewDeviceMetadata;
+  const trackedDeviceKey = newDevice?.DeviceKey || deviceKey;
+  if (!trackedDeviceKey) {
+    return { deviceKey: null, deviceRemembered: false };
+  }
+
+  try {
+    if (newDevice) {
+      await client.send(new ConfirmDeviceCommand({
+        AccessToken: authResult.AccessToken,
+        DeviceKey: newDevice.DeviceKey,
+        DeviceName: deviceName || clientInfo?.userAgent || undefined,
+        DeviceSecretVerifierConfig: createDeviceVerifier(newDevice.DeviceGroupKey, newDevice.DeviceKey),
+      }));
+    }
+
+    // 새 기기는 기억하지 않는 상태로 등록되므로, 기존 기기는 요청에 값이 있을 때만 상태를 바꿈
+    if (rememberDevice || (!newDevice && rememberDevice !== undefined)) {
+      await client.send(new UpdateDeviceStatusCommand({
+        AccessToken: authResult.AccessToken,
+        DeviceKey: trackedDeviceKey,
+        DeviceRememberedStatus: rememberDevice ? DEVICE_STATUS.REMEMBERED : DEVICE_STATUS.NOT_REMEMBERED,
+      }));
+    }
+
+    await saveDeviceInfo(userId, trackedDeviceKey, { deviceName, client: clientInfo });
+  } catch (err) {
+    logger.warn('Device tracking failed', { userId, deviceKey: trackedDeviceKey, name: err.name, error: err.message });
+    return { deviceKey: null, deviceRemembered: false };
+  }
+
+  // 기존 기기로 로그인하면서 상태를 바꾸지 않았으면 기억 여부를 알 수 없으므로 null
+  return { deviceKey: trackedDeviceKey, deviceRemembered: rememberDevice ?? (newDevice ? false : null) };
+}
+
+async function listCognitoDevices(accessToken) {
+  const devices = [];
+  let paginationToken;
+
+  do {
+    const response = await client.send(new ListDevicesCommand({
+      AccessToken: accessToken,
+      Limit: LIST_DEVICES_LIMIT,
+      PaginationToken: paginationToken,
+    }));
+    devices.push(...(response.Devices || []));
+    paginationToken = response.PaginationToken;
+  } while (paginationToken);
+
+  return devices;
+}
+
+async function getDeviceInfoMap(userId) {
+  const { Items } = await docClient.send(
+    new QueryCommand({
+      TableName: TABLES.AUTH_DATA,
+      KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+      ExpressionAttributeValues: { ':uid': userId, ':prefix': DEVICE_SORT_KEY_PREFIX },
+    })
+  );
+  return new Map((Items || []).map((item) => [item.sort_key.slice(DEVICE_SORT_KEY_PREFIX.length), item]));
+}
+
+const toIsoString = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * 로그인된 기기(세션) 목록을 최근 사용 순으로 조회합니다.
+ * @param {string} userId
+ * @param {string} accessToken
+ * @param {string|null} [currentDeviceKey] - 요청한 액세스 토큰의 device_key
+ */
+async function listSessions(userId, accessToken, currentDeviceKey = null) {
+  let devices;
+  try {
+    devices = await listCognitoDevices(accessToken);
+  } catch (err) {
+    handleCognitoError(err);
+  }
+  const infoMap = await getDeviceInfoMap(userId);
+
+  const sessions = devices.map((device) => {
+    const attributes = Object.fromEntries(
+      (device.DeviceAttributes || []).map(({ Name, Value }) => [Name, Value])
+    );
+    const info = infoMap.get(device.DeviceKey) || {};
+
+    return {
+      device_key: device.DeviceKey,
+      device_name: attributes.device_name || info.device_name || null,
+      remembered: attributes['dev:device_remembered_status'] === DEVICE_STATUS.REMEMBERED,
+      last_ip: attributes.last_ip_used || info.last_ip || null,
+      country: info.country || null,
+      user_agent: info.user_agent || null,
+      created_at: toIsoString(device.DeviceCreateDate) || info.created_at || null,
+      last_used_at: toIsoString(device.DeviceLastAuthenticatedDate) || info.last_used_at || null,
+      current: device.DeviceKey === currentDeviceKey,
+    };
+  });
+
+  sessions.sort((a, b) => (b.last_used_at || '').localeCompare(a.last_used_at || ''));
+  return { sessions };
+}
+
+/**
+ * 기기 하나의 로그인을 해제합니다.
+ * Cognito에서 기기를 삭제(ForgetDevice)하여 그 기기 키로는 토큰을 갱신할 수 없게 하고,
+ * 기기 항목에 해제 시각(revoked_at)을 남겨 그 전에 로그인한 리프레시 토큰은 갱신 요청 때 폐기합니다(checkRefreshedSession).
+ * 리프레시 토큰은 저장하지 않으므로 이미 발급된 액세스 토큰은 만료될 때까지 유효합니다.
+ */
+async function revokeSession(userId, accessToken, deviceKey) {
+  const key = { user_id: userId, sort_key: getDeviceSortKey(deviceKey) };
+  const { Item: deviceInfo } = await docClient.send(
+    new GetCommand({ TableName: TABLES.AUTH_DATA, Key: key })
+  );
+
+  try {
+    await client.send(new ForgetDeviceCommand({ AccessToken: accessToken, DeviceKey: deviceKey }));
+  } catch (err) {
+    if (err.name !== 'ResourceNotFoundException') {
+      handleCognitoError(err);
+    }
+    // Cognito에서 이미 삭제된 기기라도 기기 항목이 있으면 해제 시각은 남김
+    if (!deviceInfo) {
+      throw new ServerError(ERROR_CODES.SESSION_NOT_FOUND, 404);
+    }
+  }
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: TABLES.AUTH_DATA,
+      Key: key,
+      UpdateExpression: 'set revoked_at = :now',
+      ExpressionAttributeValues: { ':now': new Date().toISOString() },
+    })
+  );
+
+  logger.info('Session revoked', { userId, deviceKey });
+  return { message: '기기의 로그인이 해제되었습니다.' };
+}
+
+/**
+ * 토큰 갱신 결과가 로그인 해제된 기기의 세션인지 확인합니다.
+ * 기기 로그인 해제(revokeSession) 전에 로그인한 세션이면 요청에 쓰인 리프레시 토큰을 RevokeToken으로 폐기하고
+ * TOKEN_REVOKED를 던집니다. 해제 후 같은 기기에서 다시 로그인한 세션은 그대로 허용합니다.
+ * @param {string} refreshToken - 갱신 요청에 쓰인 리프레시 토큰
+ * @param {{sub: string, device_key?: string, auth_time: number}} claims - 갱신으로 받은 액세스 토큰의 클레임
+ */
+async function checkRefreshedSession(refreshToken, claims) {
+  if (!claims.device_key) return;
+
+  const { Item: deviceInfo } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.AUTH_DATA,
+      Key: { user_id: claims.sub, sort_key: getDeviceSortKey(claims.device_key) },
+      ProjectionExpression: 'revoked_at',
+    })
+  );
+  if (!deviceInfo?.revoked_at || claims.auth_time * 1000 > Date.parse(deviceInfo.revoked_at)) return;
+
+  try {
+    await revokeRefreshToken(refreshToken);
+  } catch (err) {
+    logger.error('Refresh token revocation failed', { userId: claims.sub, name: err.name, error: err.message });
+  }
+  logger.warn(`Refresh rejected for revoked device: userId=${claims.sub}, deviceKey=${claims.device_key}`);
+  throw new ServerError(ERROR_CODES.TOKEN_REVOKED, 401);
+}
+
+module.exports = {
+  trackDevice,
+  listSessions,
+  revokeSession,
+  checkRefreshedSession,
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const {
+  CognitoIdentityProviderClient,
+  AdminCreateUserCommand,
+  AdminSetUserPasswordCommand,
+  AdminInitiateAuthCommand,
+  AdminRespondToAuthChallengeCommand,
+  AdminGetUserCommand,
+} = require('@aws-sdk/client-cognito-identity-provider');
+const { GetCommand, PutCommand, QueryCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { logger } = require('../utils/logger');
+const { ServerError, ERROR_CODES } = require('../utils/error');
+const { handleCognitoError } = require('../utils/cognito');
+const { socialLoginSchema } = require('../utils/validation');
+const { getSocialAdapter } = require('../utils/social');
+const { createLoginChallenge } = require('../utils/social/login-challenge');
+const { trackDevice } = require('./sessionService');
+const { saveLoginChallenge } = require('./mfaService');
+
+const client = new CognitoIdentityProviderClient({ region: 'ap-northeast-2' });
+
+const CLIENT_ID = process.env.COGNITO_CLIENT_ID;
+const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID;
+
+// TOTP MFA를 켠 사용자의 로그인 챌린지 (비밀번호 로그인과 같음)
+const MFA_CHALLENGE = 'SOFTWARE_TOKEN_MFA';
+
+// 소셜 계정 → 사용자 조회용 항목: AUTH_DATA_TABLE에 제공자 계정 ID를 파티션 키로 저장
+const getSocialLinkKey = (provider, providerUserId) => ({
+  user_id: `SOCIAL#${provider}#${providerUserId}`,
+  sort_key: 'SOCIAL_LINK',
+});
+// 사용자 → 연결된 소셜 계정 항목 (사용자 파티션)
+const getSocialAccountSortKey = (provider) => `SOCIAL#${provider}`;
+
+async function getUserInfo(userId) {
+  const { Item } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: 'USER_INFO_ITEM' },
+    })
+  );
+  return Item || null;
+}
+
+async function findUserByEmail(email) {
+  const { Items } = await docClient.send(
+    new QueryCommand({
+      TableName: TABLES.USER,
+      IndexName: 'EmailIndex',
+      KeyConditionExpression: 'email = :email',
+      ExpressionAttributeValues: { ':email': email },
+    })
+  );
+  return Items && Items.length > 0 ? Items[0] : null;
+}
+
+/**
+ * 소셜 계정을 사용자에 연결합니다. 같은 소셜 계정이 동시에 두 사용자에 연결되지 않도록 조회용 항목을 조건부로 만듭니다.
+ */
+async function linkSocialAccount(userId, provider, profile) {
+  const now = new Date().toISOString();
+
+  try {
+    await docClient.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Put: {
+              TableName: TABLES.AUTH_DATA,
+              Item: {
+                ...getSocialLinkKey(provider, profile.providerUserId),
+                linked_user_id: userId,
+                linked_at: now,
+              },
+              ConditionExpression: 'attribute_not_exists(user_id)',
+            },
+          },
+          {
+            Put: {
+              TableName: TABLES.AUTH_DATA,
+              Item: {
+                user_id: userId,
+                sort_key: getSocialAccountSortKey(provider),
+                provider,
+                provider_user_id: profile.providerUserId,
+                email: profile.email,
+                linked_at: now,
+              },
+            },
+          },
+        ],
+      })
+    );
+  } catch (err) {
+    if (err.name === 'TransactionCanceledException') {
+      throw new ServerError(ERROR_CODES.SOCIAL_ACCOUNT_CONFLICT, 409, {
+        message: '이미 다른 계정에 연결된 소셜 계정입니다.',
+      });
+    }
+    throw err;
+  }
+
+  logger.info('Social account linked', { userId, provider });
+}
+
+/**
+ * 소셜 로그인으로 처음 가입하는 사용자를 Cognito와 USER 테이블에 만듭니다.
+ * 비밀번호 로그인은 쓰지 않으므로 알 수 없는 임의 비밀번호를 설정하여 확인(CONFIRMED) 상태로 둡니다.
+ */
+async function createSocialUser(provider, profile) {
+  const { email, nickname } = profile;
+
+  let userSub;
+  try {
+    const { User } = await client.send(new AdminCreateUserCommand({
+      UserPoolId: USER_POOL_ID,
+      Username: email,
+      MessageAction: 'SUPPRESS',
+      UserAttributes: [
+        { Name: 'email', Value: email },
+        { Name: 'email_verified', Value: profile.emailVerified ? 'true' : 'false' },
+        { Name: 'nickname', Value: nickname || '' },
+      ],
+    }));
+    userSub = User.Attributes.find((attribute) => attribute.Name === 'sub').Value;
+
+    await client.send(new AdminSetUserPasswordCommand({
+      UserPoolId: USER_POOL_ID,
+      Username: email,
+      Password: `${crypto.randomBytes(24).toString('base64url')}aA1!`,
+      Permanent: true,
+    }));
+  } catch (err) {
+    handleCognitoError(err);
+  }
+
+  const now = new Date().toISOString();
+  await docClient.send(
+    new PutCommand({
+      TableName: TABLES.USER,
+      Item: {
+        user_id: userSub,
+        sort_key: 'USER_INFO_ITEM',
+        email,
+        nickname: nickname || null,
+        is_active: true,
+        created_at: now,
+        updated_at: now,
+        deleted_at: null,
+        language: 'ko',
+        distance_unit: 'km',
+        is_dark_mode_enabled: false,
+        allow_location_storage: false,
+        signup_provider: provider,
+        // 제공자가 인증한 이메일이면 다른 소셜 계정을 이 계정에 자동으로 연결할 수 있음
+        email_verified_at: profile.emailVerified ? now : null,
+      },
+      ConditionExpression: 'attribute_not_exists(user_id)',
+    })
+  );
+
+  logger.info('User registered via social login', { userId: userSub, provider });
+  return { user_id: userSub, email, nickname: nickname || null };
+}
+
+/**
+ * 소셜 계정에 해당하는 사용자를 찾거나 만듭니다.
+ * 1. 이미 연결된 소셜 계정이면 그 사용자
+ * 2. 같은 이메일로 가입된 계정이 있으면, 제공자가 인증한 이메일이고 기존 계정도 이메일 소유를 확인한 경우에만 연결
+ * 3. 없으면 새로 가입
+ */
+async function resolveSocialUser(provider, profile) {
+  const { Item: link } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.AUTH_DATA,
+      Key: getSocialLinkKey(provider, profile.providerUserId),
+    })
+  );
+  if (link) {
+    const user = await getUserInfo(link.linked_user_id);
+    if (user) return { user, isNewUser: false, linked: false };
+    logger.warn('Social link points to missing user', { provider, userId: link.linked_user_id });
+  }
+
+  if (!profile.email) {
+    throw new ServerError(ERROR_CODES.SOCIAL_EMAIL_REQUIRED, 400);
+  }
+
+  const existing = await findUserByEmail(profile.email);
+  if (existing) {
+    // 어느 한쪽이라도 이메일 소유가 확인되지 않았으면 다른 사람의 계정을 가져갈 수 있으므로 연결하지 않음
+    // (auto 모드 가입은 코드 확인 없이 email_verified가 켜지므로 email_verified_at으로 판단)
+    // 이 경우 이메일(비밀번호)로 로그인해야 함
+    if (!profile.emailVerified || !existing.email_verified_at) {
+      throw new ServerError(ERROR_CODES.SOCIAL_ACCOUNT_CONFLICT, 409);
+    }
+    await linkSocialAccount(existing.user_id, provider, profile);
+    return { user: existing, isNewUser: false, linked: true };
+  }
+
+  const user = await createSocialUser(provider, profile);
+  await linkSocialAccount(user.user_id, provider, profile);
+  return { user, isNewUser: true, linked: true };
+}
+
+async function hasTotpMfa(email) {
+  const { UserMFASettingList } = await client.send(new AdminGetUserCommand({
+    UserPoolId: USER_POOL_ID,
+    Username: email,
+  }));
+  return (UserMFASettingList || []).includes(MFA_CHALLENGE);
+}
+
+/**
+ * Cognito 커스텀 인증(CUSTOM_AUTH)으로 세션을 발급받습니다.
+ * 일회용 응답을 저장한 뒤 그대로 제출하고, VerifyAuthChallengeResponse 트리거(functions/triggers/custom-auth)가 이를 확인합니다.
+ * 비밀번호 없이 세션을 발급하므로 본인 확인을 마친 뒤에만 호출합니다. (소셜 로그인, MFA 복구 코드 로그인)
+ * TOTP MFA를 켠 사용자는 토큰 대신 SOFTWARE_TOKEN_MFA 챌린지를 받으며, 비밀번호 로그인과 같이 POST /auth/login/challenge로 마칩니다.
+ * 이미 MFA를 통과한 경우(복구 코드 로그인)에는 skipMfa로 MFA 챌린지 없이 토큰을 발급받습니다.
+ * @param {object} user
+ * @param {string} [deviceKey]
+ * @param {{skipMfa?: boolean}} [options]
+ * @returns {Promise<object>} Cognito 응답 (AuthenticationResult 또는 ChallengeName, Session)
+ */
+async function issueCognitoSession(user, deviceKey, { skipMfa = false } = {}) {
+  const answer = await createLoginChallenge(user.user_id);
+  const deviceParameters = deviceKey ? { DEVICE_KEY: deviceKey } : {};
+
+  try {
+    // 트리거는 사용자의 MFA 설정을 알 수 없으므로 서버가 확인해서 전달함
+    const mfaMetadata = !skipMfa && (await hasTotpMfa(user.email)) ? { mfa: MFA_CHALLENGE } : {};
+
+    const challenge = await client.send(new AdminInitiateAuthCommand({
+      UserPoolId: USER_POOL_ID,
+      ClientId: CLIENT_ID,
+      AuthFlow: 'CUSTOM_AUTH',
+      AuthParameters: { USERNAME: user.email, ...deviceParameters },
+    }));
+
+    const response = await client.send(new AdminRespondToAuthChallengeCommand({
+      UserPoolId: USER_POOL_ID,
+      ClientId: CLIENT_ID,
+      ChallengeName: 'CUSTOM_CHALLENGE',
+      Session: challenge.Session,
+      ChallengeResponses: { USERNAME: user.email, ANSWER: answer, ...deviceParameters },
+      ClientMetadata: mfaMetadata,
+    }));
+
+    if (!response.AuthenticationResult && response.ChallengeName !== MFA_CHALLENGE) {
+      throw new ServerError(ERROR_CODES.UNAUTHORIZED, 401, { message: '소셜 로그인 세션을 발급하지 못했습니다.' });
+    }
+    return response;
+  } catch (err) {
+    if (ServerError.isServerError(err)) throw err;
+    handleCognitoError(err);
+  }
+}
+
+/**
+ * 카카오/네이버/Apple 토큰을 확인하고 Cognito 세션을 발급합니다.
+ * TOTP MFA를 켠 사용자는 토큰 대신 챌린지(SOFTWARE_TOKEN_MFA)와 세션을 받습니다.
+ * @param {string} provider - kakao, naver, apple
+ * @param {{accessToken?: string, identityToken?: string, authorizationCode?: string, nickname?: string}} body
+ *   - 비밀번호 로그인과 같이 deviceKey, deviceName, rememberDevice를 함께 보낼 수 있음
+ * @param {{ip?: string, userAgent?: string, country?: string}} [clientInfo]
+ */
+async function socialLogin(provider, body, clientInfo = {}) {
+  const adapter = getSocialAdapter(provider);
+  if (!adapter) {
+    throw new ServerError(ERROR_CODES.UNSUPPORTED_SOCIAL_PROVIDER, 400);
+  }
+
+  const validation = socialLoginSchema.safeParse(body);
+  if (!validation.success) {
+    throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
+      errors: validation.error.issues,
+    });
+  }
+
+  const profile = await adapter.getProfile(validation.data);
+  const { user, isNewUser, linked } = await resolveSocialUser(provider, profile);
+  const { deviceKey, deviceName, rememberDevice } = validation.data;
+  const response = await issueCognitoSession(user, deviceKey);
+
+  // TOTP MFA를 켠 사용자는 인증 앱 코드 또는 복구 코드를 확인해야 토큰을 받음
+  if (response.ChallengeName === MFA_CHALLENGE) {
+    await saveLoginChallenge(user.user_id, response.Session);
+    logger.info('MFA challenge issued for social login', { userId: user.user_id, provider });
+    return { challengeName: MFA_CHALLENGE, session: response.Session, email: user.email, provider };
+  }
+
+  const result = response.AuthenticationResult;
+  const device = await trackDevice(user.user_id, result, { deviceKey, deviceName, rememberDevice, client: clientInfo });
+
+  logger.info('User logged in via social provider', { userId: user.user_id, provider, isNewUser, linked });
+
+  return {
+    accessToken: result.AccessToken,
+    refreshToken: result.RefreshToken,
+    idToken: result.IdToken,
+    expiresIn: result.ExpiresIn,
+    user: {
+      id: user.user_id,
+      email: user.email,
+      nickname: user.nickname,
+    },
+    provider,
+    isNewUser,
+    linked,
+    ...device,
+  };
+}
+
+module.exports = {
+  getSocialAccountSortKey,
+  getSocialLinkKey,
+  issueCognitoSession,
+  socialLogin,
+};
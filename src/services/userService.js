@@ -1,4 +1,3 @@
-const bcrypt = require('bcryptjs');
 const {
   GetCommand,
   QueryCommand,
@@ -10,8 +9,25 @@ const {
 const { docClient, TABLES, GSI } = require('../config/dynamodb');
 const { logger } = require('../utils/logger');
 const { ServerError, ERROR_CODES } = require('../utils/error');
-
-const BCRYPT_SALT_ROUNDS = 10;
+const {
+  toblerSpeedKmh,
+  getCourseLengthKm,
+  estimateBaseMinutes,
+  updatePaceFactor,
+} = require('../utils/course/course-pace');
+const { toKstDateString } = require('../utils/date');
+const {
+  STAT_PERIODS,
+  getPeriodStart,
+  getStatsSortKey,
+  listPeriodStarts,
+  toPeriodStats,
+} = require('../utils/walk/walk-stats');
+const { STREAK_SORT_KEY } = require('../utils/walk/walk-goals');
+const { incrementCourseDailyStats } = require('../utils/course/course-helpers');
+const goalService = require('./goalService');
+const achievementService = require('./achievementService');
+const { getPurgeAfter } = require('./withdrawalService');
 
 async function getProfile(userId) {
   const { Item: user } = await docClient.send(
@@ -25,7 +41,7 @@ async function getProfile(userId) {
     throw new ServerError(ERROR_CODES.USER_NOT_FOUND, 404);
   }
 
-  const [savedCountResult, recentCountResult] = await Promise.all([
+  const [savedCountResult, recentCountResult, completedCountResult] = await Promise.all([
     docClient.send(
       new QueryCommand({
         TableName: TABLES.USER_COURSE,
@@ -42,6 +58,14 @@ async function getProfile(userId) {
         Select: 'COUNT',
       })
     ),
+    docClient.send(
+      new QueryCommand({
+        TableName: TABLES.USER_COURSE,
+        KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :sk)',
+        ExpressionAttributeValues: { ':uid': userId, ':sk': 'COMPLETED#' },
+        Select: 'COUNT',
+      })
+    ),
   ]);
 
   return {
@@ -53,6 +77,7 @@ async function getProfile(userId) {
     allow_location_storage: user.allow_location_storage || false,
     saved_courses_count: savedCountResult.Count || 0,
     recent_courses_count: recentCountResult.Count || 0,
+    completed_courses_count: completedCountResult.Count || 0,
   };
 }
 
@@ -92,8 +117,63 @@ async function withdraw(userId) {
     await Promise.all(updatePromises);
   }
 
-  logger.info('User soft deleted', { userId });
-  return { message: '회원탈퇴 처리가 완료되었습니다.' };
+  const purgeAfter = getPurgeAfter(now);
+  logger.info('User soft deleted', { userId, purgeAfter });
+  return {
+    message: '회원탈퇴 처리가 완료되었습니다.',
+    deleted_at: now,
+    purge_after: purgeAfter,
+  };
+}
+
+/**
+ * 유예 기간 안에 탈퇴를 취소하고 계정을 다시 활성화합니다.
+ * 완전 삭제가 이미 시작되었거나 유예 기간이 지났으면 취소할 수 없습니다.
+ */
+async function cancelWithdrawal(userId) {
+  const { Item: user } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: 'USER_INFO_ITEM' },
+    })
+  );
+
+  if (!user) {
+    throw new ServerError(ERROR_CODES.USER_NOT_FOUND, 404);
+  }
+  if (user.is_active !== false || !user.deleted_at) {
+    throw new ServerError(ERROR_CODES.WITHDRAWAL_NOT_PENDING, 409);
+  }
+
+  const now = new Date().toISOString();
+  if (user.purge_started_at || getPurgeAfter(user.deleted_at) <= now) {
+    throw new ServerError(ERROR_CODES.WITHDRAWAL_GRACE_PERIOD_EXPIRED, 409);
+  }
+
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: 'USER_INFO_ITEM' },
+        UpdateExpression: 'set is_active = :active, deleted_at = :null, updated_at = :now',
+        ConditionExpression: 'deleted_at = :deletedAt AND attribute_not_exists(purge_started_at)',
+        ExpressionAttributeValues: {
+          ':active': true,
+          ':null': null,
+          ':now': now,
+          ':deletedAt': user.deleted_at,
+        },
+      })
+    );
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      throw new ServerError(ERROR_CODES.WITHDRAWAL_GRACE_PERIOD_EXPIRED, 409);
+    }
+    throw err;
+  }
+
+  logger.info('User withdrawal cancelled', { userId });
+  return { message: '회원탈퇴가 취소되었습니다.' };
 }
 
 async function updateSettings(userId, body) {
@@ -162,51 +242,6 @@ async function updateSettings(userId, body) {
   };
 }
 
-async function changePassword(userId, body) {
-  const { currentPassword, newPassword } = body;
-
-  if (!currentPassword || !newPassword) {
-    throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400);
-  }
-
-  const { Item: authData } = await docClient.send(
-    new GetCommand({
-      TableName: TABLES.AUTH_DATA,
-      Key: { user_id: userId, sort_key: 'PASSWORD_ITEM' },
-    })
-  );
-
-  if (!authData || !authData.password_hash) {
-    throw new ServerError(ERROR_CODES.USER_NOT_FOUND, 404);
-  }
-
-  const isCurrentPasswordValid = await bcrypt.compare(
-    currentPassword,
-    authData.password_hash
-  );
-
-  if (!isCurrentPasswordValid) {
-    throw new ServerError(ERROR_CODES.INVALID_CREDENTIALS, 401);
-  }
-
-  const newPasswordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
-
-  await docClient.send(
-    new UpdateCommand({
-      TableName: TABLES.AUTH_DATA,
-      Key: { user_id: userId, sort_key: 'PASSWORD_ITEM' },
-      UpdateExpression: 'set password_hash = :hash, updated_at = :now',
-      ExpressionAttributeValues: {
-        ':hash': newPasswordHash,
-        ':now': new Date().toISOString(),
-      },
-    })
-  );
-
-  logger.info('Password changed', { userId });
-  return { message: '비밀번호가 성공적으로 변경되었습니다.' };
-}
-
 async function getSavedCourses(userId) {
   const { Items: savedCourseLinks } = await docClient.send(
     new QueryCommand({
@@ -272,13 +307,21 @@ async function saveCourse(userId, courseId) {
         ConditionExpression: 'attribute_not_exists(sort_key)',
       })
     );
-    return { message: '코스가 성공적으로 저장되었습니다.', created: true };
   } catch (err) {
     if (err.name === 'ConditionalCheckFailedException') {
       return { message: '코스가 이미 저장되어 있습니다.', created: false };
     }
     throw err;
   }
+
+  // 인기도 집계용 저장 수는 저장 응답을 막지 않도록 실패해도 기록만 함
+  try {
+    await incrementCourseDailyStats(courseId, { saves: 1 });
+  } catch (err) {
+    logger.error('Course save stats update failed', { courseId, error: err.message });
+  }
+
+  return { message: '코스가 성공적으로 저장되었습니다.', created: true };
 }
 
 async function unsaveCourse(userId, courseId) {
@@ -423,6 +466,52 @@ async function deleteRecentCourse(userId, courseId) {
   }
 }
 
+const toCourseCompletion = (item) => ({
+  completed: Boolean(item),
+  first_completed_at: item ? item.first_completed_at : null,
+  last_completed_at: item ? item.last_completed_at : null,
+  completion_count: item ? item.completion_count : 0,
+});
+
+/**
+ * 코스 완주를 기록합니다. 같은 코스를 다시 완주하면 최근 완주 시각과 횟수만 갱신합니다.
+ * 저장/최근 코스 GSI에 들어가지 않도록 saved_at, updated_at은 두지 않습니다.
+ * @param {string} userId
+ * @param {string} courseId
+ * @param {{walk_id: string, completed_at: string}} completion
+ */
+async function markCourseCompleted(userId, courseId, { walk_id: walkId, completed_at: completedAt }) {
+  const { Attributes } = await docClient.send(
+    new UpdateCommand({
+      TableName: TABLES.USER_COURSE,
+      Key: { user_id: userId, sort_key: `COMPLETED#${courseId}` },
+      UpdateExpression:
+        'set course_id = :courseId, first_completed_at = if_not_exists(first_completed_at, :completedAt), ' +
+        'last_completed_at = :completedAt, last_walk_id = :walkId add completion_count :one',
+      ExpressionAttributeValues: {
+        ':courseId': courseId,
+        ':completedAt': completedAt,
+        ':walkId': walkId,
+        ':one': 1,
+      },
+      ReturnValues: 'ALL_NEW',
+    })
+  );
+
+  logger.info('Course completed', { userId, courseId, walkId, count: Attributes.completion_count });
+  return toCourseCompletion(Attributes);
+}
+
+async function getCourseCompletion(userId, courseId) {
+  const { Item } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER_COURSE,
+      Key: { user_id: userId, sort_key: `COMPLETED#${courseId}` },
+    })
+  );
+  return toCourseCompletion(Item);
+}
+
 async function updateCoordinates(userId, latitude, longitude) {
   const now = new Date().toISOString();
 
@@ -443,33 +532,243 @@ async function updateCoordinates(userId, latitude, longitude) {
   return { message: '위치가 성공적으로 업데이트되었습니다.' };
 }
 
-async function getStats(userId) {
+/**
+ * 기간별 걷기 통계를 조회합니다. logWalk에서 미리 누적한 구간 집계 항목을 읽기만 합니다.
+ * @param {string} userId
+ * @param {{period: string, from?: string, to?: string}} query - from/to는 KST 날짜 (양 끝 포함)
+ */
+async function getPeriodStats(userId, { period, from, to }) {
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+  if (!STAT_PERIODS.includes(period) || (from && !isDate(from)) || (to && !isDate(to)) || (from && to && from > to)) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+      message: 'period는 day, week, month 중 하나이고 from/to는 YYYY-MM-DD 형식이어야 합니다.',
+    });
+  }
+
+  const starts = listPeriodStarts(period, { from, to, today: toKstDateString() });
+  if (!starts) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+      message: '조회 기간이 너무 깁니다.',
+    });
+  }
+
+  const items = [];
+  let lastEvaluatedKey;
+  do {
+    const response = await docClient.send(
+      new QueryCommand({
+        TableName: TABLES.USER,
+        KeyConditionExpression: 'user_id = :uid AND sort_key BETWEEN :first AND :last',
+        ExpressionAttributeValues: {
+          ':uid': userId,
+          ':first': getStatsSortKey(period, starts[0]),
+          ':last': getStatsSortKey(period, starts[starts.length - 1]),
+        },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+    items.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  const itemMap = new Map(items.map((item) => [item.period_start, item]));
+  return {
+    period,
+    from: starts[0],
+    to: toPeriodStats(period, starts[starts.length - 1]).period_end,
+    buckets: starts.map((start) => toPeriodStats(period, start, itemMap.get(start))),
+  };
+}
+
+async function getStats(userId, query = {}) {
+  const [{ Item }, periodStats, goals, streak] = await Promise.all([
+    docClient.send(
+      new GetCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: 'USER_ACTIVITY_ITEM' },
+      })
+    ),
+    query.period ? getPeriodStats(userId, query) : null,
+    goalService.listGoals(userId),
+    goalService.getStreak(userId),
+  ]);
+
+  const stats = Item || { user_id: userId, total_walk_distance_km: 0 };
+
+  const response = {
+    user_id: stats.user_id,
+    total_walk_distance_km: stats.total_walk_distance_km || 0,
+    pace_factor: stats.pace_factor || null,
+    updated_at: stats.updated_at || null,
+    streak,
+    goals,
+  };
+
+  if (periodStats) {
+    response.period_stats = periodStats;
+  }
+
+  return response;
+}
+
+/**
+ * 사용자의 보행 속도 보정 계수를 조회합니다. (사용자 속도 / 표준 속도)
+ * 시간 정보가 있는 걷기 기록이 없으면 1(표준)을 반환합니다.
+ */
+async function getPaceFactor(userId) {
+  if (!userId) return 1;
+
   const { Item } = await docClient.send(
     new GetCommand({
       TableName: TABLES.USER,
       Key: { user_id: userId, sort_key: 'USER_ACTIVITY_ITEM' },
+      ProjectionExpression: 'pace_factor',
     })
   );
 
-  const stats = Item || { user_id: userId, total_walk_distance_km: 0 };
+  return Item?.pace_factor || 1;
+}
 
-  return {
-    user_id: stats.user_id,
-    total_walk_distance_km: stats.total_walk_distance_km || 0,
-    updated_at: stats.updated_at || null,
-  };
+/**
+ * 걷기 기록의 표준 보행자 기준 예상 시간(분)을 계산합니다.
+ * 코스를 걸은 기록이면 코스의 경사를 반영하고, 걸은 거리 비율만큼 환산합니다.
+ */
+async function getExpectedWalkMinutes(distanceKm, courseId) {
+  if (courseId) {
+    const { Item: course } = await docClient.send(
+      new GetCommand({
+        TableName: TABLES.COURSE_DATA,
+        Key: { course_id: courseId },
+      })
+    );
+
+    const baseMinutes = course ? estimateBaseMinutes(course) : null;
+    const courseLengthKm = course ? getCourseLengthKm(course) : null;
+    if (baseMinutes && courseLengthKm) {
+      return baseMinutes * (distanceKm / courseLengthKm);
+    }
+  }
+
+  return (distanceKm / toblerSpeedKmh(0)) * 60;
 }
 
-async function logWalk(userId, distanceKm) {
+/**
+ * 걸은 시간이 함께 기록된 경우 사용자 보행 속도 보정 계수를 갱신합니다.
+ * @returns {Promise<number|null>} 갱신된 보정 계수, 반영하지 않았으면 null
+ */
+async function recordPace(userId, distanceKm, durationMinutes, courseId) {
+  const { Item } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: 'USER_ACTIVITY_ITEM' },
+    })
+  );
+
+  const expectedMinutes = await getExpectedWalkMinutes(distanceKm, courseId);
+  const updated = updatePaceFactor(
+    { factor: Item?.pace_factor || 1, count: Item?.pace_sample_count || 0 },
+    expectedMinutes,
+    durationMinutes
+  );
+
+  if (!updated) {
+    logger.info('Walk pace ignored as outlier', { userId, distanceKm, durationMinutes });
+    return null;
+  }
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: 'USER_ACTIVITY_ITEM' },
+      UpdateExpression: 'set pace_factor = :factor, pace_sample_count = :count',
+      ExpressionAttributeValues: { ':factor': updated.factor, ':count': updated.count },
+    })
+  );
+
+  logger.info('Walk pace recorded', { userId, paceFactor: updated.factor, samples: updated.count });
+  return updated.factor;
+}
+
+/**
+ * 걷기 기록 하나를 일/주/월 구간 집계 항목에 누적합니다. (KST 기준)
+ */
+async function addToPeriodStats(userId, walk) {
+  const walkedOn = toKstDateString(walk.walkedAt);
+  const now = new Date().toISOString();
+
+  const results = await Promise.all(
+    STAT_PERIODS.map((period) => {
+      const start = getPeriodStart(period, walkedOn);
+      return docClient.send(
+        new UpdateCommand({
+          TableName: TABLES.USER,
+          Key: { user_id: userId, sort_key: getStatsSortKey(period, start) },
+          UpdateExpression:
+            'set #period = :period, period_start = :start, updated_at = :now ' +
+            'add distance_km :distance, duration_minutes :duration, walk_count :one, courses_completed :completed, elevation_gain_m :elevation',
+          ExpressionAttributeNames: { '#period': 'period' },
+          ExpressionAttributeValues: {
+            ':period': period,
+            ':start': start,
+            ':now': now,
+            ':distance': walk.distanceKm,
+            ':duration': walk.durationMinutes || 0,
+            ':one': 1,
+            ':completed': walk.courseCompleted ? 1 : 0,
+            ':elevation': walk.elevationGainM || 0,
+          },
+          ReturnValues: 'UPDATED_NEW',
+        })
+      );
+    })
+  );
+
+  // 처음 걸은 날이면 저장된 연속 걷기 요약을 무효화 (goalService.getStreak이 다시 계산)
+  const dayStats = results[STAT_PERIODS.indexOf('day')].Attributes;
+  if (dayStats?.walk_count === 1) {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: STREAK_SORT_KEY },
+        UpdateExpression: 'set invalidated_at = :now',
+        // 일별 통계를 쓴 뒤의 시각이어야 그 전에 시작한 계산 결과가 유효하지 않은 것으로 판단됨
+        ExpressionAttributeValues: { ':now': new Date().toISOString() },
+      })
+    );
+  }
+}
+
+/**
+ * 걷기 기록을 남깁니다. 총 거리와 기간별 통계를 누적하고, 걸은 시간이 있으면 보행 속도를 갱신합니다.
+ * @param {string} userId
+ * @param {number} distanceKm
+ * @param {object} [options]
+ * @param {number} [options.duration_minutes] - 걸은 시간 (분)
+ * @param {string} [options.course_id] - 걸은 코스 ID
+ * @param {string} [options.walked_at] - 걸은 시각 (ISO 8601, 기본: 현재). 기간별 통계의 기준 날짜
+ * @param {number} [options.elevation_gain_m] - 누적 상승 고도 (m)
+ * @param {boolean} [options.course_completed] - 코스를 완주했는지 여부
+ */
+async function logWalk(userId, distanceKm, options = {}) {
+  const {
+    duration_minutes: durationMinutes,
+    course_id: courseId,
+    walked_at: walkedAt,
+    elevation_gain_m: elevationGainM,
+    course_completed: courseCompleted,
+  } = options;
+
   const result = await docClient.send(
     new UpdateCommand({
       TableName: TABLES.USER,
       Key: { user_id: userId, sort_key: 'USER_ACTIVITY_ITEM' },
       UpdateExpression:
-        'set total_walk_distance_km = if_not_exists(total_walk_distance_km, :zero) + :val, updated_at = :now',
+        'set total_walk_distance_km = if_not_exists(total_walk_distance_km, :zero) + :val, updated_at = :now ' +
+        'add total_walk_count :one',
       ExpressionAttributeValues: {
         ':val': parseFloat(distanceKm),
         ':zero': 0,
+        ':one': 1,
         ':now': new Date().toISOString(),
       },
       ReturnValues: 'UPDATED_NEW',
@@ -479,24 +778,49 @@ async function logWalk(userId, distanceKm) {
   const newTotal = result.Attributes.total_walk_distance_km;
   logger.info('Walk distance logged', { userId, distanceKm, newTotal });
 
-  return {
+  await addToPeriodStats(userId, {
+    walkedAt: walkedAt ? new Date(walkedAt) : new Date(),
+    distanceKm: parseFloat(distanceKm),
+    durationMinutes,
+    elevationGainM,
+    courseCompleted,
+  });
+
+  const response = {
     message: '걷기 거리가 성공적으로 기록되었습니다.',
     new_total: newTotal,
   };
+
+  if (durationMinutes) {
+    response.pace_factor = await recordPace(userId, parseFloat(distanceKm), durationMinutes, courseId);
+  }
+
+  // 걷기 기록은 이미 반영되었으므로 업적 평가에 실패해도 요청은 성공으로 처리 (다음 기록이나 조회 시 다시 평가됨)
+  try {
+    response.new_achievements = await achievementService.evaluateAchievements(userId);
+  } catch (err) {
+    logger.error('Achievement evaluation failed', { userId, error: err.message });
+    response.new_achievements = [];
+  }
+
+  return response;
 }
 
 module.exports = {
   getProfile,
   withdraw,
+  cancelWithdrawal,
   updateSettings,
-  changePassword,
   getSavedCourses,
   saveCourse,
   unsaveCourse,
   getRecentCourses,
   addRecentCourse,
   deleteRecentCourse,
+  markCourseCompleted,
+  getCourseCompletion,
   updateCoordinates,
   getStats,
+  getPaceFactor,
   logWalk,
 };
@@ -0,0 +1,785 @@
+const { v7: uuidv7 } = require('uuid');
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  QueryCommand,
+  TransactWriteCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { logger } = require('../utils/logger');
+const { DAY_MS } = require('../utils/date');
+const { ServerError, ERROR_CODES } = require('../utils/error');
+const {
+  normalizePoints,
+  accumulateTrack,
+  summarizeWalk,
+  toTrackGeoJson,
+  computeSplits,
+} = require('../utils/walk/walk-track');
+const { matchWalkToCourse } = require('../utils/walk/walk-matching');
+const { IMPORT_FORMATS, parseTrackFile } = require('../utils/walk/walk-import');
+const { getGpxContentFromS3 } = require('../utils/course/course-gpx');
+const { toGeoJson, getTrackSegments } = require('../utils/course/course-export');
+const userService = require('./userService');
+
+const WALK_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  FINISHED: 'finished',
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// 가져오기 파일의 좌표는 앱 전송과 같은 크기의 묶음으로 나누어 저장
+const IMPORT_BATCH_SIZE = 500;
+const MAX_IMPORT_POINTS = 50000;
+// 가져온 기록과 겹치는지 확인할 때, 이 시간만큼 먼저 시작한 걷기까지 조회
+const OVERLAP_LOOKBACK_MS = DAY_MS;
+
+const getWalkSortKey = (walkId) => `WALK#${walkId}`;
+// walk_id는 시작 시각으로 만든 UUID v7이므로, 시각의 앞부분만으로 정렬 키 범위 조건을 만들 수 있음
+const getWalkIdPrefix = (ms) => {
+  const hex = ms.toString(16).padStart(12, '0');
+  return `${hex.slice(0, 8)}-${hex.slice(8)}`;
+};
+// 좌표 묶음은 전송 순서대로 조회할 수 있도록 순번을 0으로 채워 정렬 키에 넣음
+const getPointsSortKey = (walkId, seq) => `WALK_POINTS#${walkId}#${String(seq).padStart(6, '0')}`;
+
+const toWalkResponse = (walk) => ({
+  walk_id: walk.walk_id,
+  course_id: walk.course_id || null,
+  status: walk.status,
+  started_at: walk.started_at,
+  ended_at: walk.ended_at || null,
+  point_count: walk.point_count || 0,
+  course_match: walk.course_match || null,
+  ...summarizeWalk(walk),
+});
+
+async function getWalkItem(userId, walkId) {
+  const { Item: walk } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: getWalkSortKey(walkId) },
+    })
+  );
+
+  if (!walk) {
+    throw new ServerError(ERROR_CODES.WALK_NOT_FOUND, 404);
+  }
+  return walk;
+}
+
+async function assertCourseExists(courseId) {
+  const { Item: course } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.COURSE_DATA,
+      Key: { course_id: courseId },
+      ProjectionExpression: 'course_id',
+    })
+  );
+  if (!course) {
+    throw new ServerError(ERROR_CODES.COURSE_NOT_FOUND, 404);
+  }
+}
+
+/**
+ * 걷기 세션을 시작합니다. 사용자당 진행 중인 세션은 하나만 허용합니다.
+ * @param {string} userId
+ * @param {{course_id?: string, started_at?: string}} body
+ */
+async function startWalk(userId, body = {}) {
+  const { course_id: courseId, started_at: startedAt } = body;
+
+  if (courseId) await assertCourseExists(courseId);
+
+  const now = new Date().toISOString();
+  const walkId = uuidv7({ msecs: Date.parse(startedAt || now) });
+
+  const walk = {
+    user_id: userId,
+    sort_key: getWalkSortKey(walkId),
+    walk_id: walkId,
+    course_id: courseId || null,
+    source: 'app',
+    status: WALK_STATUS.ACTIVE,
+    started_at: startedAt || now,
+    pauses: [],
+    last_point: null,
+    distance_m: 0,
+    moving_time_s: 0,
+    elevation_gain_m: 0,
+    point_count: 0,
+    batch_count: 0,
+    created_at: now,
+    updated_at: now,
+  };
+
+  // 진행 중 산책 표시와 산책 항목을 함께 써서, 한쪽만 남아 새 산책을 시작할 수 없게 되는 일이 없도록 함
+  try {
+    await docClient.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Update: {
+              TableName: TABLES.USER,
+              Key: { user_id: userId, sort_key: 'USER_ACTIVITY_ITEM' },
+              UpdateExpression: 'set active_walk_id = :walkId',
+              ConditionExpression: 'attribute_not_exists(active_walk_id)',
+              ExpressionAttributeValues: { ':walkId': walkId },
+            },
+          },
+          {
+            Put: {
+              TableName: TABLES.USER,
+              Item: walk,
+            },
+          },
+        ],
+      })
+    );
+  } catch (err) {
+    if (err.name === 'TransactionCanceledException' && err.CancellationReasons?.[0]?.Code === 'ConditionalCheckFailed') {
+      const { Item: activity } = await docClient.send(
+        new GetCommand({
+          TableName: TABLES.USER,
+          Key: { user_id: userId, sort_key: 'USER_ACTIVITY_ITEM' },
+          ProjectionExpression: 'active_walk_id',
+        })
+      );
+      throw new ServerError(ERROR_CODES.WALK_ALREADY_IN_PROGRESS, 409, {
+        walk_id: activity?.active_walk_id,
+      });
+    }
+    throw err;
+  }
+
+  logger.info('Walk started', { userId, walkId, courseId });
+  return toWalkResponse(walk);
+}
+
+/**
+ * 걷기 세션에 GPS 좌표 묶음을 추가합니다.
+ * 거리와 이동 시간은 서버에서 좌표로 계산하며, 동시에 들어온 묶음은 batch_count로 충돌을 감지합니다.
+ * @param {string} userId
+ * @param {string} walkId
+ * @param {object[]} points - addWalkPointsSchema로 검증된 좌표 목록
+ */
+async function addWalkPoints(userId, walkId, points) {
+  const walk = await getWalkItem(userId, walkId);
+
+  if (walk.status !== WALK_STATUS.ACTIVE) {
+    throw new ServerError(ERROR_CODES.INVALID_WALK_STATE, 409, { status: walk.status });
+  }
+
+  const { state, accepted } = accumulateTrack(walk, normalizePoints(points), walk.pauses);
+  const seq = walk.batch_count || 0;
+  const now = new Date().toISOString();
+
+  const nextSeq = accepted.length > 0 ? seq + 1 : seq;
+
+  // 집계 갱신과 좌표 묶음 저장을 한 트랜잭션으로 써서, 한쪽만 반영되어 집계와 좌표가 어긋나지 않도록 함
+  // 순번 조건(batch_count = :seq)에 실패한 동시 요청은 좌표 묶음도 저장되지 않음
+  const transactItems = [
+    {
+      Update: {
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: getWalkSortKey(walkId) },
+        UpdateExpression:
+          'set last_point = :lastPoint, distance_m = :distance, moving_time_s = :moving, point_count = :count, ' +
+          'elevation_anchor_m = :elevationAnchor, elevation_gain_m = :elevationGain, batch_count = :nextSeq, updated_at = :now',
+        ConditionExpression: '#status = :active AND batch_count = :seq',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':lastPoint': state.last_point,
+          ':distance': state.distance_m,
+          ':moving': state.moving_time_s,
+          ':count': state.point_count,
+          ':elevationAnchor': state.elevation_anchor_m,
+          ':elevationGain': state.elevation_gain_m,
+          ':nextSeq': nextSeq,
+          ':seq': seq,
+          ':active': WALK_STATUS.ACTIVE,
+          ':now': now,
+        },
+      },
+    },
+  ];
+  if (accepted.length > 0) {
+    transactItems.push({
+      Put: {
+        TableName: TABLES.USER,
+        Item: {
+          user_id: userId,
+          sort_key: getPointsSortKey(walkId, seq),
+          walk_id: walkId,
+          seq,
+          // [lat, lon, epoch ms, 고도] 배열로 저장하여 항목 크기를 줄임
+          points: accepted.map((point) => [point.lat, point.lon, point.t, point.ele]),
+          created_at: now,
+        },
+      },
+    });
+  }
+
+  try {
+    await docClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
+  } catch (err) {
+    // 조건 실패 또는 같은 항목에 대한 동시 트랜잭션
+    if (err.name === 'TransactionCanceledException') {
+      throw new ServerError(ERROR_CODES.WALK_UPDATE_CONFLICT, 409);
+    }
+    throw err;
+  }
+
+  const updated = { ...walk, ...state, batch_count: nextSeq, updated_at: now };
+
+  logger.info('Walk points added', {
+    userId,
+    walkId,
+    received: points.length,
+    accepted: accepted.length,
+  });
+
+  return {
+    ...toWalkResponse(updated),
+    received_count: points.length,
+    accepted_count: accepted.length,
+  };
+}
+
+async function updateWalkStatus(userId, walkId, expectedStatus, buildUpdate) {
+  const walk = await getWalkItem(userId, walkId);
+
+  if (walk.status !== expectedStatus) {
+    throw new ServerError(ERROR_CODES.INVALID_WALK_STATE, 409, { status: walk.status });
+  }
+
+  const { UpdateExpression, ExpressionAttributeValues } = buildUpdate(walk);
+
+  try {
+    const { Attributes } = await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: getWalkSortKey(walkId) },
+        UpdateExpression,
+        ConditionExpression: '#status = :expected',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ...ExpressionAttributeValues, ':expected': expectedStatus },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    return Attributes;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      throw new ServerError(ERROR_CODES.WALK_UPDATE_CONFLICT, 409);
+    }
+    throw err;
+  }
+}
+
+/**
+ * 걷기 세션을 일시정지합니다. 일시정지 중 시간은 걷기 시간에서 제외됩니다.
+ */
+async function pauseWalk(userId, walkId, body = {}) {
+  const now = new Date().toISOString();
+  const pausedAt = body.timestamp || now;
+
+  const updated = await updateWalkStatus(userId, walkId, WALK_STATUS.ACTIVE, () => ({
+    UpdateExpression: 'set #status = :paused, pauses = list_append(pauses, :pause), updated_at = :now',
+    ExpressionAttributeValues: {
+      ':paused': WALK_STATUS.PAUSED,
+      ':pause': [{ paused_at: pausedAt, resumed_at: null }],
+      ':now': now,
+    },
+  }));
+
+  logger.info('Walk paused', { userId, walkId });
+  return toWalkResponse(updated);
+}
+
+/**
+ * 일시정지한 걷기 세션을 재개합니다.
+ * 마지막 좌표를 비워 일시정지 중 이동한 거리가 합산되지 않도록 합니다.
+ */
+async function resumeWalk(userId, walkId, body = {}) {
+  const now = new Date().toISOString();
+  const resumedAt = body.timestamp || now;
+
+  const updated = await updateWalkStatus(userId, walkId, WALK_STATUS.PAUSED, (walk) => {
+    const lastIndex = walk.pauses.length - 1;
+    return {
+      UpdateExpression: `set #status = :active, pauses[${lastIndex}].resumed_at = :resumedAt, last_point = :null, updated_at = :now`,
+      ExpressionAttributeValues: {
+        ':active': WALK_STATUS.ACTIVE,
+        ':resumedAt': resumedAt,
+        ':null': null,
+        ':now': now,
+      },
+    };
+  });
+
+  logger.info('Walk resumed', { userId, walkId });
+  return toWalkResponse(updated);
+}
+
+/**
+ * 코스를 지정한 걷기의 경로를 코스 경로와 비교하여 결과를 걷기 항목에 저장하고, 완주했으면 완주 기록을 남깁니다.
+ * 걷기 종료 자체는 이미 반영되었으므로 비교에 실패해도 예외를 던지지 않고 null을 반환합니다.
+ */
+async function matchCourse(userId, walk, points) {
+  try {
+    const [gpxContent, walkPoints] = await Promise.all([
+      getGpxContentFromS3(walk.course_id),
+      points || getWalkPoints(userId, walk.walk_id),
+    ]);
+    if (!gpxContent) return null;
+
+    const match = matchWalkToCourse(getTrackSegments(toGeoJson(gpxContent)), walkPoints);
+    if (!match) return null;
+
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: getWalkSortKey(walk.walk_id) },
+        UpdateExpression: 'set course_match = :match',
+        ExpressionAttributeValues: { ':match': match },
+      })
+    );
+
+    logger.info('Walk matched to course', { userId, walkId: walk.walk_id, courseId: walk.course_id, ...match });
+
+    if (match.completed) {
+      match.completion = await userService.markCourseCompleted(userId, walk.course_id, {
+        walk_id: walk.walk_id,
+        completed_at: walk.ended_at,
+      });
+    }
+    return match;
+  } catch (err) {
+    logger.error('Course matching failed', { userId, walkId: walk.walk_id, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * 걷기 세션을 종료하고 서버에서 계산한 거리/시간으로 걷기 기록을 남깁니다.
+ * 코스를 지정한 걷기는 경로를 코스와 비교하여 완주 여부를 판정합니다.
+ * 종료는 반영되었지만 걷기 기록(통계, 업적)을 남기지 못한 걷기는 다시 종료를 요청하면 기록만 다시 남깁니다.
+ */
+async function finishWalk(userId, walkId, body = {}) {
+  const walk = await getWalkItem(userId, walkId);
+
+  if (walk.status === WALK_STATUS.FINISHED) {
+    if (walk.recording_pending) {
+      logger.info('Retrying walk recording', { userId, walkId });
+      return recordFinishedWalk(userId, walk);
+    }
+    throw new ServerError(ERROR_CODES.INVALID_WALK_STATE, 409, { status: walk.status });
+  }
+
+  const now = new Date().toISOString();
+  const endedAt = body.ended_at || now;
+  const pauses = (walk.pauses || []).map((pause) => ({
+    ...pause,
+    resumed_at: pause.resumed_at || endedAt,
+  }));
+  const summary = summarizeWalk({ ...walk, pauses }, Date.parse(endedAt));
+
+  let finished;
+  try {
+    const { Attributes } = await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: getWalkSortKey(walkId) },
+        UpdateExpression:
+          'set #status = :finished, ended_at = :endedAt, pauses = :pauses, distance_km = :distanceKm, duration_s = :duration, ' +
+          'avg_pace_sec_per_km = :pace, recording_pending = :true, updated_at = :now',
+        ConditionExpression: '#status <> :finished',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':finished': WALK_STATUS.FINISHED,
+          ':endedAt': endedAt,
+          ':pauses': pauses,
+          ':distanceKm': summary.distance_km,
+          ':duration': summary.duration_s,
+          ':pace': summary.avg_pace_sec_per_km,
+          ':true': true,
+          ':now': now,
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    finished = Attributes;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      throw new ServerError(ERROR_CODES.INVALID_WALK_STATE, 409, { status: WALK_STATUS.FINISHED });
+    }
+    throw err;
+  }
+
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: userId, sort_key: 'USER_ACTIVITY_ITEM' },
+        UpdateExpression: 'remove active_walk_id',
+        ConditionExpression: 'active_walk_id = :walkId',
+        ExpressionAttributeValues: { ':walkId': walkId },
+      })
+    );
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  }
+
+  logger.info('Walk finished', { userId, walkId, ...summary });
+
+  return recordFinishedWalk(userId, finished);
+}
+
+/**
+ * 종료된 걷기를 코스 완주 판정과 걷기 기록(통계, 업적)에 반영하고 응답을 만듭니다.
+ * 기록을 마치면 recording_pending을 지우며, 중간에 실패하면 남아 있어 종료 요청을 다시 보내 재시도할 수 있습니다.
+ * @param {string} userId
+ * @param {object} walk - 종료된 걷기 항목
+ * @param {Array} [points] - 이미 읽은 좌표가 있으면 다시 조회하지 않음
+ */
+async function recordFinishedWalk(userId, walk, points) {
+  const summary = summarizeWalk(walk);
+  const response = toWalkResponse(walk);
+  // 완주 기록이 먼저 남아야 logWalk의 업적 평가에 반영됨
+  const match = walk.course_id ? await matchCourse(userId, walk, points) : null;
+  response.course_match = match;
+
+  if (summary.distance_km > 0) {
+    const logged = await userService.logWalk(userId, summary.distance_km, {
+      duration_minutes: summary.moving_time_s > 0 ? summary.moving_time_s / 60 : undefined,
+      course_id: walk.course_id || undefined,
+      walked_at: walk.started_at,
+      elevation_gain_m: summary.elevation_gain_m,
+      course_completed: Boolean(match && match.completed),
+    });
+    response.total_walk_distance_km = logged.new_total;
+    response.new_achievements = logged.new_achievements;
+  }
+
+  await docClient.send(
+    new UpdateCommand({
+      TableName: TABLES.USER,
+      Key: { user_id: userId, sort_key: getWalkSortKey(walk.walk_id) },
+      UpdateExpression: 'remove recording_pending',
+    })
+  );
+
+  return response;
+}
+
+/**
+ * 주어진 시간 범위와 겹치는 걷기 기록을 찾습니다. 진행 중인 걷기는 현재까지 걷는 중으로 봅니다.
+ */
+async function findOverlappingWalk(userId, startMs, endMs) {
+  const { Items } = await docClient.send(
+    new QueryCommand({
+      TableName: TABLES.USER,
+      KeyConditionExpression: 'user_id = :uid AND sort_key BETWEEN :lower AND :upper',
+      ExpressionAttributeValues: {
+        ':uid': userId,
+        ':lower': getWalkSortKey(getWalkIdPrefix(startMs - OVERLAP_LOOKBACK_MS)),
+        ':upper': getWalkSortKey(getWalkIdPrefix(endMs)),
+      },
+      ProjectionExpression: 'walk_id, started_at, ended_at',
+    })
+  );
+
+  return (Items || []).find((walk) => {
+    const walkEnd = walk.ended_at ? Date.parse(walk.ended_at) : Date.now();
+    return Date.parse(walk.started_at) < endMs && walkEnd > startMs;
+  });
+}
+
+/**
+ * 시계 등에서 기록한 걷기 파일(GPX, TCX, FIT)을 걷기 기록으로 가져옵니다.
+ * 거리와 이동 시간은 앱 세션과 같은 방식으로 서버에서 계산하며, 기존 기록과 시간이 겹치면 가져오지 않습니다.
+ * @param {string} userId
+ * @param {Buffer} file - 업로드된 파일 내용
+ * @param {{format?: string, course_id?: string}} options - format을 생략하면 파일 내용으로 추정
+ */
+async function importWalk(userId, file, options = {}) {
+  const { format, course_id: courseId } = options;
+
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+      message: `format은 ${IMPORT_FORMATS.join(', ')} 중 하나여야 합니다.`,
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = parseTrackFile(file, format);
+  } catch (err) {
+    // 파서 내부 오류 메시지는 응답에 담지 않고 기록만 함
+    logger.warn(`Walk file parse failed: userId=${userId}, format=${format || 'auto'}, error=${err.message}`);
+    throw new ServerError(ERROR_CODES.INVALID_TRACK_FILE, 400);
+  }
+
+  if (parsed.points.length > MAX_IMPORT_POINTS) {
+    throw new ServerError(ERROR_CODES.INVALID_TRACK_FILE, 400, {
+      message: `좌표는 최대 ${MAX_IMPORT_POINTS}개까지 가져올 수 있습니다.`,
+    });
+  }
+
+  const { state, accepted } = accumulateTrack({}, normalizePoints(parsed.points));
+  if (accepted.length < 2) {
+    throw new ServerError(ERROR_CODES.INVALID_TRACK_FILE, 400, {
+      message: '시각이 기록된 좌표가 2개 이상 있어야 합니다.',
+    });
+  }
+
+  if (courseId) await assertCourseExists(courseId);
+
+  const startMs = accepted[0].t;
+  const endMs = accepted[accepted.length - 1].t;
+  const overlapping = await findOverlappingWalk(userId, startMs, endMs);
+  if (overlapping) {
+    throw new ServerError(ERROR_CODES.DUPLICATE_WALK, 409, { walk_id: overlapping.walk_id });
+  }
+
+  const now = new Date().toISOString();
+  const walkId = uuidv7({ msecs: startMs });
+  const points = accepted.map((point) => [point.lat, point.lon, point.t, point.ele]);
+
+  const batches = [];
+  for (let i = 0; i < points.length; i += IMPORT_BATCH_SIZE) {
+    batches.push(points.slice(i, i + IMPORT_BATCH_SIZE));
+  }
+
+  // 좌표를 먼저 저장하여 걷기 항목이 좌표 없이 조회되지 않도록 함
+  for (const [seq, batch] of batches.entries()) {
+    await docClient.send(
+      new PutCommand({
+        TableName: TABLES.USER,
+        Item: {
+          user_id: userId,
+          sort_key: getPointsSortKey(walkId, seq),
+          walk_id: walkId,
+          seq,
+          points: batch,
+          created_at: now,
+        },
+      })
+    );
+  }
+
+  const walk = {
+    user_id: userId,
+    sort_key: getWalkSortKey(walkId),
+    walk_id: walkId,
+    course_id: courseId || null,
+    source: parsed.format,
+    status: WALK_STATUS.FINISHED,
+    recording_pending: true,
+    started_at: new Date(startMs).toISOString(),
+    ended_at: new Date(endMs).toISOString(),
+    pauses: [],
+    ...state,
+    batch_count: batches.length,
+    created_at: now,
+    updated_at: now,
+  };
+  const summary = summarizeWalk(walk);
+  walk.distance_km = summary.distance_km;
+  walk.duration_s = summary.duration_s;
+  walk.avg_pace_sec_per_km = summary.avg_pace_sec_per_km;
+
+  await docClient.send(
+    new PutCommand({
+      TableName: TABLES.USER,
+      Item: walk,
+    })
+  );
+
+  logger.info('Walk imported', {
+    userId,
+    walkId,
+    format: parsed.format,
+    received: parsed.points.length,
+    accepted: accepted.length,
+    ...summary,
+  });
+
+  return {
+    ...(await recordFinishedWalk(userId, walk, points)),
+    source: parsed.format,
+    received_count: parsed.points.length,
+    accepted_count: accepted.length,
+  };
+}
+
+const encodeWalkCursor = (sortKey) => Buffer.from(sortKey).toString('base64url');
+
+const decodeWalkCursor = (cursor) => {
+  const sortKey = Buffer.from(cursor, 'base64url').toString('utf8');
+  return sortKey.startsWith('WALK#') ? sortKey : null;
+};
+
+const parsePageSize = (n) => {
+  if (n === undefined) return DEFAULT_PAGE_SIZE;
+  const size = parseInt(n, 10);
+  if (Number.isNaN(size) || size < 1) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400);
+  }
+  return Math.min(size, MAX_PAGE_SIZE);
+};
+
+/**
+ * 조회 기간(KST 날짜)을 정렬 키 범위 조건으로 변환합니다.
+ */
+const buildWalkKeyCondition = (from, to) => {
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+  if ((from && !isDate(from)) || (to && !isDate(to)) || (from && to && from > to)) {
+    throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+      message: 'from/to는 YYYY-MM-DD 형식이어야 하며 from은 to보다 늦을 수 없습니다.',
+    });
+  }
+
+  if (!from && !to) {
+    return {
+      expression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+      values: { ':prefix': 'WALK#' },
+    };
+  }
+
+  const fromMs = from ? Date.parse(`${from}T00:00:00+09:00`) : 0;
+  // to 날짜 하루 전체를 포함하도록 다음 날 0시 직전까지
+  const toMs = to ? Date.parse(`${to}T00:00:00+09:00`) + DAY_MS : Date.parse('9999-12-31T00:00:00Z');
+  return {
+    expression: 'user_id = :uid AND sort_key BETWEEN :lower AND :upper',
+    values: {
+      ':lower': getWalkSortKey(getWalkIdPrefix(fromMs)),
+      ':upper': getWalkSortKey(getWalkIdPrefix(toMs)),
+    },
+  };
+};
+
+/**
+ * 걷기 기록 목록을 최신순으로 조회합니다.
+ * @param {string} userId
+ * @param {{from?: string, to?: string, course_id?: string, n?: string, cursor?: string}} query
+ *   from/to는 KST 기준 날짜(YYYY-MM-DD, 양 끝 포함)
+ */
+async function listWalks(userId, query = {}) {
+  const { from, to, course_id: courseId, n, cursor } = query;
+  const limit = parsePageSize(n);
+  const keyCondition = buildWalkKeyCondition(from, to);
+
+  let exclusiveStartKey;
+  if (cursor) {
+    const sortKey = decodeWalkCursor(cursor);
+    if (!sortKey) {
+      throw new ServerError(ERROR_CODES.INVALID_QUERY_PARAMS, 400, {
+        message: '유효하지 않은 커서입니다.',
+      });
+    }
+    exclusiveStartKey = { user_id: userId, sort_key: sortKey };
+  }
+
+  const walks = [];
+  let lastEvaluatedKey = exclusiveStartKey;
+
+  // 코스 필터는 조회 후 적용되므로 한 페이지를 채울 때까지 이어서 조회
+  do {
+    const response = await docClient.send(
+      new QueryCommand({
+        TableName: TABLES.USER,
+        KeyConditionExpression: keyCondition.expression,
+        FilterExpression: courseId ? 'course_id = :courseId' : undefined,
+        ExpressionAttributeValues: {
+          ':uid': userId,
+          ...keyCondition.values,
+          ...(courseId ? { ':courseId': courseId } : {}),
+        },
+        ScanIndexForward: false,
+        Limit: limit - walks.length,
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+    walks.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey && walks.length < limit);
+
+  logger.info('Walks listed', { userId, from, to, courseId, count: walks.length });
+
+  return {
+    walks: walks.map(toWalkResponse),
+    nextCursor: lastEvaluatedKey ? encodeWalkCursor(lastEvaluatedKey.sort_key) : null,
+  };
+}
+
+async function getWalkPoints(userId, walkId) {
+  const points = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await docClient.send(
+      new QueryCommand({
+        TableName: TABLES.USER,
+        KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+        ExpressionAttributeValues: { ':uid': userId, ':prefix': `WALK_POINTS#${walkId}#` },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+    for (const batch of response.Items || []) {
+      points.push(...batch.points);
+    }
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return points;
+}
+
+async function getMatchedCourse(courseId) {
+  if (!courseId) return null;
+
+  const { Item: course } = await docClient.send(
+    new GetCommand({
+      TableName: TABLES.COURSE_DATA,
+      Key: { course_id: courseId },
+      ProjectionExpression: 'course_id, course_name, course_type, course_length, course_difficulty',
+    })
+  );
+
+  return course || null;
+}
+
+/**
+ * 걷기 기록 하나를 경로(GeoJSON), km 구간 기록, 걸은 코스와 함께 조회합니다.
+ */
+async function getWalk(userId, walkId) {
+  const walk = await getWalkItem(userId, walkId);
+  const [points, course] = await Promise.all([
+    getWalkPoints(userId, walkId),
+    getMatchedCourse(walk.course_id),
+  ]);
+  const pauses = walk.pauses || [];
+
+  return {
+    ...toWalkResponse(walk),
+    pauses,
+    course,
+    track: toTrackGeoJson(points, pauses),
+    splits: computeSplits(points, pauses),
+  };
+}
+
+module.exports = {
+  listWalks,
+  getWalk,
+  startWalk,
+  addWalkPoints,
+  pauseWalk,
+  resumeWalk,
+  finishWalk,
+  importWalk,
+};
@@ -0,0 +1,291 @@
+const {
+  CognitoIdentityProviderClient,
+  AdminDeleteUserCommand,
+} = require('@aws-sdk/client-cognito-identity-provider');
+const { ScanCommand, QueryCommand, UpdateCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { ListObjectsV2Command, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { logger } = require('../utils/logger');
+const { DAY_MS } = require('../utils/date');
+const { s3Client } = require('../utils/course/course-gpx');
+const { EXPORT_BUCKET_NAME, getExportPrefix } = require('./exportService');
+const { getSocialLinkKey } = require('./socialAuthService');
+
+const cognitoClient = new CognitoIdentityProviderClient({ region: 'ap-northeast-2' });
+
+const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID;
+
+// 탈퇴 후 계정과 데이터를 완전히 삭제하기까지의 유예 기간 (일). 이 기간 안에는 탈퇴를 취소할 수 있음
+const DEFAULT_WITHDRAWAL_GRACE_DAYS = 30;
+const WITHDRAWAL_GRACE_DAYS = parseInt(process.env.WITHDRAWAL_GRACE_DAYS) || DEFAULT_WITHDRAWAL_GRACE_DAYS;
+
+const BATCH_WRITE_SIZE = 25;
+const MAX_BATCH_WRITE_RETRIES = 5;
+
+/**
+ * 탈퇴 시각으로 완전 삭제 예정 시각을 계산합니다.
+ * @param {string} deletedAt - ISO 8601
+ * @returns {string} ISO 8601
+ */
+const getPurgeAfter = (deletedAt) =>
+  new Date(Date.parse(deletedAt) + WITHDRAWAL_GRACE_DAYS * DAY_MS).toISOString();
+
+/**
+ * 유예 기간이 끝난 탈퇴 사용자를 조회합니다.
+ * 탈퇴 시각(deleted_at)을 기준으로 하므로 유예 기간 설정을 바꾸면 이미 탈퇴한 사용자에게도 적용됩니다.
+ */
+async function scanExpiredWithdrawals(now) {
+  const cutoff = new Date(now.getTime() - WITHDRAWAL_GRACE_DAYS * DAY_MS).toISOString();
+  const users = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await docClient.send(
+      new ScanCommand({
+        TableName: TABLES.USER,
+        FilterExpression: 'sort_key = :info AND is_active = :inactive AND deleted_at <= :cutoff',
+        ExpressionAttributeValues: { ':info': 'USER_INFO_ITEM', ':inactive': false, ':cutoff': cutoff },
+        ProjectionExpression: 'user_id, email, deleted_at',
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+    users.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return users;
+}
+
+async function queryKeys(params, keyAttributes) {
+  const keys = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await docClient.send(
+      new QueryCommand({
+        ...params,
+        ProjectionExpression: keyAttributes.map((_, i) => `#k${i}`).join(', '),
+        ExpressionAttributeNames: Object.fromEntries(keyAttributes.map((name, i) => [`#k${i}`, name])),
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+    keys.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return keys;
+}
+
+/**
+ * 키 목록의 항목을 25개씩 나누어 삭제합니다. 처리되지 않은 항목은 잠시 기다렸다가 다시 요청합니다.
+ */
+async function deleteItems(tableName, keys) {
+  for (let i = 0; i < keys.length; i += BATCH_WRITE_SIZE) {
+    let requests = keys.slice(i, i + BATCH_WRITE_SIZE).map((Key) => ({ DeleteRequest: { Key } }));
+
+    for (let attempt = 0; requests.length > 0; attempt++) {
+      if (attempt > MAX_BATCH_WRITE_RETRIES) {
+        throw new Error(`Batch delete did not complete: table=${tableName}, remaining=${requests.length}`);
+      }
+      if (attempt > 0) {
+        await new Promise((resolve) => setTimeout(resolve, 100 * 2 ** attempt));
+      }
+
+      const { UnprocessedItems } = await docClient.send(
+        new BatchWriteCommand({ RequestItems: { [tableName]: requests } })
+      );
+      requests = UnprocessedItems?.[tableName] || [];
+    }
+  }
+
+  return keys.length;
+}
+
+/**
+ * user_id로 파티션된 테이블(USER, AUTH_DATA, USER_COURSE)에서 사용자의 항목을 모두 삭제합니다.
+ */
+async function deleteUserPartition(tableName, userId, { excludeSortKey } = {}) {
+  const keys = await queryKeys(
+    {
+      TableName: tableName,
+      KeyConditionExpression: 'user_id = :uid',
+      ExpressionAttributeValues: { ':uid': userId },
+    },
+    ['user_id', 'sort_key']
+  );
+
+  return deleteItems(
+    tableName,
+    keys.filter((key) => key.sort_key !== excludeSortKey)
+  );
+}
+
+/**
+ * 소셜 계정 조회용 항목(AUTH_DATA_TABLE, 제공자 계정 ID 파티션)을 삭제합니다.
+ * 사용자 파티션의 연결 항목(SOCIAL#<provider>)은 deleteUserPartition에서 함께 지워집니다.
+ */
+async function deleteSocialLinks(userId) {
+  const { Items: accounts } = await docClient.send(
+    new QueryCommand({
+      TableName: TABLES.AUTH_DATA,
+      KeyConditionExpression: 'user_id = :uid AND begins_with(sort_key, :prefix)',
+      ExpressionAttributeValues: { ':uid': userId, ':prefix': 'SOCIAL#' },
+    })
+  );
+
+  return deleteItems(
+    TABLES.AUTH_DATA,
+    (accounts || []).map((account) => getSocialLinkKey(account.provider, account.provider_user_id))
+  );
+}
+
+/**
+ * COURSE_DATA 테이블에 courseService가 저장한 사용자 항목(PK = USER#<userId>)을 삭제합니다.
+ * 테이블에 PK 키가 없으면 그런 항목도 있을 수 없으므로 건너뜁니다.
+ */
+async function deleteLegacyCourseData(userId) {
+  try {
+    const keys = await queryKeys(
+      {
+        TableName: TABLES.COURSE_DATA,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: { ':pk': `USER#${userId}` },
+      },
+      ['PK', 'SK']
+    );
+    return deleteItems(TABLES.COURSE_DATA, keys);
+  } catch (err) {
+    if (err.name === 'ValidationException') {
+      logger.warn('COURSE_DATA has no PK key schema, skipped', { userId });
+      return 0;
+    }
+    throw err;
+  }
+}
+
+/**
+ * S3에 저장된 사용자 파일(개인 데이터 내보내기)을 모두 삭제합니다.
+ */
+async function deleteUserObjects(userId) {
+  let deleted = 0;
+  let continuationToken;
+
+  do {
+    const response = await s3Client.send(
+      new ListObjectsV2Command({
+        Bucket: EXPORT_BUCKET_NAME,
+        Prefix: getExportPrefix(userId),
+        ContinuationToken: continuationToken,
+      })
+    );
+
+    const objects = (response.Contents || []).map(({ Key }) => ({ Key }));
+    if (objects.length > 0) {
+      await s3Client.send(
+        new DeleteObjectsCommand({ Bucket: EXPORT_BUCKET_NAME, Delete: { Objects: objects, Quiet: true } })
+      );
+      deleted += objects.length;
+    }
+    continuationToken = response.NextContinuationToken;
+  } while (continuationToken);
+
+  return deleted;
+}
+
+async function deleteCognitoUser(email) {
+  try {
+    await cognitoClient.send(new AdminDeleteUserCommand({ UserPoolId: USER_POOL_ID, Username: email }));
+    return true;
+  } catch (err) {
+    if (err.name === 'UserNotFoundException') return false;
+    throw err;
+  }
+}
+
+/**
+ * 삭제를 시작했음을 표시합니다. 이후에는 탈퇴를 취소할 수 없습니다.
+ * 그 사이 탈퇴를 취소했다면 false를 반환합니다.
+ */
+async function markPurgeStarted(user, now) {
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER,
+        Key: { user_id: user.user_id, sort_key: 'USER_INFO_ITEM' },
+        UpdateExpression: 'set purge_started_at = if_not_exists(purge_started_at, :now)',
+        ConditionExpression: 'is_active = :inactive AND deleted_at = :deletedAt',
+        ExpressionAttributeValues: {
+          ':now': now.toISOString(),
+          ':inactive': false,
+          ':deletedAt': user.deleted_at,
+        },
+      })
+    );
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return false;
+    throw err;
+  }
+}
+
+/**
+ * 탈퇴한 사용자의 Cognito 계정, 4개 테이블의 사용자 항목(소셜 계정 연결 포함), S3 파일을 모두 삭제합니다.
+ * 사용자 정보(USER_INFO_ITEM)는 마지막에 지우므로, 중간에 실패하면 다음 실행에서 처음부터 다시 시도합니다.
+ * @returns {Promise<object|null>} 삭제한 항목 수. 탈퇴가 취소되었으면 null
+ */
+async function purgeUser(user, now = new Date()) {
+  const userId = user.user_id;
+  if (!(await markPurgeStarted(user, now))) {
+    logger.info('Withdrawal cancelled before purge, skipped', { userId });
+    return null;
+  }
+
+  const cognitoDeleted = user.email ? await deleteCognitoUser(user.email) : false;
+  const objects = await deleteUserObjects(userId);
+  const userCourseItems = await deleteUserPartition(TABLES.USER_COURSE, userId);
+  const socialLinks = await deleteSocialLinks(userId);
+  const authItems = await deleteUserPartition(TABLES.AUTH_DATA, userId);
+  const courseDataItems = await deleteLegacyCourseData(userId);
+  const userItems = await deleteUserPartition(TABLES.USER, userId, { excludeSortKey: 'USER_INFO_ITEM' });
+  await deleteItems(TABLES.USER, [{ user_id: userId, sort_key: 'USER_INFO_ITEM' }]);
+
+  const result = {
+    cognito_deleted: cognitoDeleted,
+    s3_objects: objects,
+    items: userCourseItems + socialLinks + authItems + courseDataItems + userItems + 1,
+  };
+  logger.info('Withdrawn user purged', { userId, ...result });
+  return result;
+}
+
+/**
+ * 유예 기간이 끝난 탈퇴 사용자를 모두 완전 삭제합니다. (sst.aws.Cron)
+ * 한 사용자의 삭제가 실패해도 나머지 사용자는 계속 처리합니다.
+ */
+async function purgeWithdrawnUsers(now = new Date()) {
+  const users = await scanExpiredWithdrawals(now);
+
+  let purged = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const user of users) {
+    try {
+      const result = await purgeUser(user, now);
+      if (result) purged++;
+      else skipped++;
+    } catch (err) {
+      logger.error('Withdrawn user purge failed', { userId: user.user_id, error: err.message, stack: err.stack });
+      failed++;
+    }
+  }
+
+  logger.info(`Withdrawn users purged: candidates=${users.length}, purged=${purged}, skipped=${skipped}, failed=${failed}`);
+  return { purged, skipped, failed };
+}
+
+module.exports = {
+  WITHDRAWAL_GRACE_DAYS,
+  getPurgeAfter,
+  purgeUser,
+  purgeWithdrawnUsers,
+};
@@ -48,8 +48,46 @@ const getAccessToken = (event) => {
   return authHeader;
 };
 
+/**
+ * Extracts the access token or throws UNAUTHORIZED if missing.
+ * @param {object} event
+ * @returns {string} Access token
+ */
+const requireAccessToken = (event) => {
+  const accessToken = getAccessToken(event);
+  if (!accessToken) {
+    throw new ServerError(ERROR_CODES.UNAUTHORIZED, 401, { message: '토큰이 필요합니다.' });
+  }
+  return accessToken;
+};
+
+/**
+ * Extracts client information used for device/session tracking.
+ * Country is only available when the API is served behind CloudFront.
+ * @param {object} event - The Lambda event object
+ * @returns {{ip: string|null, userAgent: string|null, country: string|null, deviceKey: string|null}}
+ */
+const getClientInfo = (event) => ({
+  ip: event.requestContext?.http?.sourceIp || null,
+  userAgent: event.requestContext?.http?.userAgent || event.headers?.['user-agent'] || null,
+  country: event.headers?.['cloudfront-viewer-country'] || null,
+  // Access tokens issued to a tracked device carry its device key
+  deviceKey: event.requestContext?.authorizer?.jwt?.claims?.device_key || null,
+});
+
+/**
+ * Decodes the payload of a JWT without verifying its signature.
+ * Only use this for tokens received directly from Cognito (e.g. a refreshed access token).
+ * @param {string} token - JWT
+ * @returns {object} Claims
+ */
+const decodeJwtClaims = (token) => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+
 module.exports = {
   getUserId,
   requireUserId,
-  getAccessToken
+  getAccessToken,
+  requireAccessToken,
+  getClientInfo,
+  decodeJwtClaims,
 };
\ No newline at end of file
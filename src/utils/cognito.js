@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { ServerError, ERROR_CODES } = require('./error');
+
+// Helper to map Cognito errors to ServerError
+const handleCognitoError = (err) => {
+  logger.error('Cognito Error', { name: err.name, message: err.message });
+  switch (err.name) {
+    case 'UsernameExistsException':
+      throw new ServerError(ERROR_CODES.EMAIL_ALREADY_EXISTS, 409);
+    case 'UserNotFoundException':
+      throw new ServerError(ERROR_CODES.USER_NOT_FOUND, 404);
+    case 'NotAuthorizedException':
+      throw new ServerError(ERROR_CODES.INVALID_CREDENTIALS, 401, { message: '아이디 또는 비밀번호가 잘못되었습니다.' });
+    case 'CodeMismatchException':
+    case 'EnableSoftwareTokenMFAException':
+      throw new ServerError(ERROR_CODES.INVALID_VERIFICATION_CODE, 400);
+    case 'ExpiredCodeException':
+      throw new ServerError(ERROR_CODES.INVALID_VERIFICATION_CODE, 400, { message: '인증 코드가 만료되었습니다.' });
+    case 'LimitExceededException':
+      throw new ServerError(ERROR_CODES.RATE_LIMIT_EXCEEDED, 429);
+    case 'InvalidParameterException':
+        throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, { message: err.message });
+    case 'InvalidPasswordException':
+        throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, { message: '비밀번호가 정책에 맞지 않습니다.' });
+    case 'UserNotConfirmedException':
+        throw new ServerError(ERROR_CODES.EMAIL_NOT_VERIFIED, 403);
+    default:
+      throw new ServerError(ERROR_CODES.UNEXPECTED_ERROR, 500, { originalError: err.message });
+  }
+};
+
+// Cognito SRP 그룹 (RFC 3526 3072-bit MODP, g = 2)
+const SRP_N = BigInt(`0x${crypto.getDiffieHellman('modp15').getPrime('hex')}`);
+const SRP_G = 2n;
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// amazon-cognito-identity-js의 padHex: 부호 비트가 켜지지 않도록 앞에 0을 채운 짝수 길이 16진수
+const padHex = (value) => {
+  let hex = value.toString(16);
+  if (hex.length % 2 === 1) hex = `0${hex}`;
+  else if ('89abcdef'.includes(hex[0])) hex = `00${hex}`;
+  return hex;
+};
+
+const modPow = (base, exponent, modulus) => {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+};
+
+/**
+ * 기기 등록(ConfirmDevice)에 필요한 SRP 검증값을 만듭니다.
+ * 기기 SRP 인증(DEVICE_SRP_AUTH)은 쓰지 않고 기기 추적만 하므로 기기 비밀번호는 보관하지 않습니다.
+ * @param {string} deviceGroupKey - NewDeviceMetadata.DeviceGroupKey
+ * @param {string} deviceKey - NewDeviceMetadata.DeviceKey
+ * @returns {{PasswordVerifier: string, Salt: string}} base64
+ */
+const createDeviceVerifier = (deviceGroupKey, deviceKey) => {
+  const devicePassword = crypto.randomBytes(40).toString('base64');
+  const hashedPassword = sha256Hex(`${deviceGroupKey}${deviceKey}:${devicePassword}`);
+  const salt = padHex(BigInt(`0x${crypto.randomBytes(16).toString('hex')}`));
+  const x = BigInt(`0x${sha256Hex(Buffer.from(salt + hashedPassword, 'hex'))}`);
+  const verifier = padHex(modPow(SRP_G, x, SRP_N));
+
+  return {
+    PasswordVerifier: Buffer.from(verifier, 'hex').toString('base64'),
+    Salt: Buffer.from(salt, 'hex').toString('base64'),
+  };
+};
+
+module.exports = {
+  handleCognitoError,
+  createDeviceVerifier,
+};
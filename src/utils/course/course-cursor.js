@@ -0,0 +1,34 @@
+/**
+ * 코스 목록 페이지네이션용 커서를 생성합니다.
+ * 커서는 클라이언트에게 불투명한 문자열이며, 정렬 조건과 마지막 항목의 정렬 위치를 담습니다.
+ * @param {object} payload - { sortBy, difficulty, lat, lon, value, id }
+ * @returns {string} base64url 인코딩된 커서
+ */
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+/**
+ * 커서 문자열을 해석합니다.
+ * @param {string} cursor
+ * @returns {object|null} 해석에 실패하거나 형식이 맞지 않으면 null
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (
+      !payload ||
+      typeof payload.sortBy !== 'string' ||
+      typeof payload.value !== 'number' ||
+      typeof payload.id !== 'string'
+    ) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,168 @@
+const { getDistance } = require('./course-helpers');
+const { getLineSegments } = require('./course-export');
+
+// 계산 방식이 바뀌면 올려서 코스에 캐시된 이전 결과를 다시 계산하게 함
+const ELEVATION_PROFILE_VERSION = 1;
+
+// GPS 고도 노이즈로 누적 상승/하강이 부풀려지지 않도록, 이 값 이상 변할 때만 누적
+const ELEVATION_NOISE_THRESHOLD_M = 3;
+// 경사도는 점 사이가 아닌 일정 거리 구간 단위로 계산 (짧은 구간의 튀는 값 방지)
+const GRADE_WINDOW_KM = 0.1;
+const STEEPEST_SEGMENT_COUNT = 5;
+const MAX_PROFILE_POINTS = 300;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+/**
+ * 선형 geometry의 좌표를 누적 거리(km)와 고도 목록으로 변환합니다.
+ * 트랙 구간(trkseg) 사이의 공백은 실제로 걷는 거리가 아니므로 거리에 더하지 않습니다.
+ * @returns {{distance: number, elevation: number}[]} 고도가 있는 점만 포함
+ */
+const toDistanceSamples = (featureCollection) => {
+  const samples = [];
+  let distance = 0;
+
+  for (const segment of getLineSegments(featureCollection)) {
+    segment.forEach(([lon, lat, ele], i) => {
+      if (i > 0) {
+        const [prevLon, prevLat] = segment[i - 1];
+        distance += getDistance(prevLat, prevLon, lat, lon);
+      }
+      if (Number.isFinite(ele)) {
+        samples.push({ distance, elevation: ele });
+      }
+    });
+  }
+
+  return { samples, totalDistance: distance };
+};
+
+/**
+ * 누적 거리 기준으로 일정 간격마다 고도를 선형 보간합니다.
+ * @param {{distance: number, elevation: number}[]} samples - 거리 오름차순
+ * @param {number} intervalKm - 보간 간격 (km)
+ * @returns {{distance: number, elevation: number}[]}
+ */
+const resampleByDistance = (samples, intervalKm) => {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const result = [];
+  let j = 0;
+
+  for (let distance = first.distance; distance < last.distance; distance += intervalKm) {
+    while (samples[j + 1].distance < distance) j++;
+    const a = samples[j];
+    const b = samples[j + 1];
+    const span = b.distance - a.distance;
+    const ratio = span > 0 ? (distance - a.distance) / span : 0;
+    result.push({ distance, elevation: a.elevation + (b.elevation - a.elevation) * ratio });
+  }
+
+  result.push({ distance: last.distance, elevation: last.elevation });
+  return result;
+};
+
+/**
+ * 노이즈 임계값을 넘는 변화만 누적하여 총 상승/하강 고도를 계산합니다.
+ */
+const accumulateClimb = (samples) => {
+  let ascent = 0;
+  let descent = 0;
+  let reference = samples[0].elevation;
+
+  for (const { elevation } of samples) {
+    const diff = elevation - reference;
+    if (diff >= ELEVATION_NOISE_THRESHOLD_M) {
+      ascent += diff;
+      reference = elevation;
+    } else if (diff <= -ELEVATION_NOISE_THRESHOLD_M) {
+      descent -= diff;
+      reference = elevation;
+    }
+  }
+
+  return { ascent, descent };
+};
+
+const getGradeSegments = (samples) => {
+  const windows = resampleByDistance(samples, GRADE_WINDOW_KM);
+  const segments = [];
+
+  for (let i = 1; i < windows.length; i++) {
+    const start = windows[i - 1];
+    const end = windows[i];
+    const lengthKm = end.distance - start.distance;
+    // 마지막 자투리 구간이 너무 짧으면 경사도가 과장되므로 제외
+    if (lengthKm < GRADE_WINDOW_KM / 2) continue;
+
+    segments.push({
+      start_km: round(start.distance, 3),
+      end_km: round(end.distance, 3),
+      start_elevation_m: round(start.elevation, 1),
+      end_elevation_m: round(end.elevation, 1),
+      grade_pct: round(((end.elevation - start.elevation) / (lengthKm * 1000)) * 100, 1),
+    });
+  }
+
+  return segments;
+};
+
+/**
+ * GPX에서 변환한 GeoJSON으로 코스의 고도 프로필을 계산합니다.
+ * @param {object} featureCollection - toGeoJson 결과 ([lon, lat, ele?] 좌표)
+ * @returns {object} 거리-고도 프로필, 총 상승/하강, 최대 경사도, 가장 가파른 구간
+ */
+const buildElevationProfile = (featureCollection) => {
+  const { samples, totalDistance } = toDistanceSamples(featureCollection);
+
+  if (samples.length < 2 || samples[samples.length - 1].distance === samples[0].distance) {
+    return {
+      version: ELEVATION_PROFILE_VERSION,
+      has_elevation: false,
+      total_distance_km: round(totalDistance, 3),
+      total_ascent_m: null,
+      total_descent_m: null,
+      min_elevation_m: null,
+      max_elevation_m: null,
+      max_grade_pct: null,
+      min_grade_pct: null,
+      steepest_segments: [],
+      profile: [],
+    };
+  }
+
+  const { ascent, descent } = accumulateClimb(samples);
+  const minElevation = samples.reduce((min, sample) => Math.min(min, sample.elevation), Infinity);
+  const maxElevation = samples.reduce((max, sample) => Math.max(max, sample.elevation), -Infinity);
+  const gradeSegments = getGradeSegments(samples);
+  const grades = gradeSegments.map((segment) => segment.grade_pct);
+
+  const profileInterval = Math.max(
+    (samples[samples.length - 1].distance - samples[0].distance) / MAX_PROFILE_POINTS,
+    0.01
+  );
+
+  return {
+    version: ELEVATION_PROFILE_VERSION,
+    has_elevation: true,
+    total_distance_km: round(totalDistance, 3),
+    total_ascent_m: round(ascent, 1),
+    total_descent_m: round(descent, 1),
+    min_elevation_m: round(minElevation, 1),
+    max_elevation_m: round(maxElevation, 1),
+    max_grade_pct: grades.length > 0 ? Math.max(...grades) : 0,
+    min_grade_pct: grades.length > 0 ? Math.min(...grades) : 0,
+    steepest_segments: [...gradeSegments]
+      .sort((a, b) => Math.abs(b.grade_pct) - Math.abs(a.grade_pct))
+      .slice(0, STEEPEST_SEGMENT_COUNT),
+    profile: resampleByDistance(samples, profileInterval).map(({ distance, elevation }) => ({
+      distance_km: round(distance, 3),
+      elevation_m: round(elevation, 1),
+    })),
+  };
+};
+
+module.exports = {
+  ELEVATION_PROFILE_VERSION,
+  buildElevationProfile,
+};
@@ -0,0 +1,267 @@
+const { parseGpxToGeoJson } = require('./course-gpx');
+const { simplifyFeatureCollection } = require('./course-simplify');
+
+const EXPORT_CONTENT_TYPES = {
+  geojson: 'application/geo+json; charset=utf-8',
+  gpx: 'application/gpx+xml; charset=utf-8',
+  kml: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+  polyline: 'application/json',
+};
+
+const EXPORT_FORMATS = Object.keys(EXPORT_CONTENT_TYPES);
+
+const FEATURE_TYPES = {
+  trk: 'track',
+  rte: 'route',
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * GPX를 GeoJSON FeatureCollection으로 변환합니다.
+ * 트랙의 구간(trkseg) 경계는 MultiLineString으로, 이름 있는 웨이포인트는 Point Feature로 유지합니다.
+ * @param {string} gpxContent - GPX 원문
+ * @returns {object} GeoJSON FeatureCollection ([lon, lat, ele?] 좌표)
+ */
+const toGeoJson = (gpxContent) => {
+  const geojson = parseGpxToGeoJson(gpxContent);
+
+  const features = geojson.features
+    .filter((feature) => feature.geometry)
+    .map((feature) => {
+      const { _gpxType, name, desc } = feature.properties || {};
+      const properties = {
+        type: feature.geometry.type === 'Point' ? 'waypoint' : FEATURE_TYPES[_gpxType] || 'track',
+      };
+      if (name) properties.name = name;
+      if (desc) properties.desc = desc;
+
+      return { type: 'Feature', properties, geometry: feature.geometry };
+    });
+
+  return { type: 'FeatureCollection', features };
+};
+
+/**
+ * GeoJSON 좌표 하나를 KML 좌표 문자열("lon,lat[,ele]")로 변환합니다.
+ */
+const toKmlCoordinate = (coord) => coord.join(',');
+
+const toKmlLineString = (line) =>
+  `<LineString><tessellate>1</tessellate><coordinates>${line.map(toKmlCoordinate).join(' ')}</coordinates></LineString>`;
+
+/**
+ * GeoJSON FeatureCollection을 KML 문서로 변환합니다.
+ * @param {object} featureCollection - toGeoJson 결과
+ * @param {string} documentName - KML Document 이름
+ * @returns {string} KML 문서
+ */
+const toKml = (featureCollection, documentName) => {
+  const placemarks = featureCollection.features.map((feature) => {
+    const { geometry, properties } = feature;
+    const name = properties.name ? `<name>${escapeXml(properties.name)}</name>` : '';
+    const description = properties.desc ? `<description>${escapeXml(properties.desc)}</description>` : '';
+
+    let kmlGeometry;
+    if (geometry.type === 'Point') {
+      kmlGeometry = `<Point><coordinates>${toKmlCoordinate(geometry.coordinates)}</coordinates></Point>`;
+    } else if (geometry.type === 'LineString') {
+      kmlGeometry = toKmlLineString(geometry.coordinates);
+    } else if (geometry.type === 'MultiLineString') {
+      kmlGeometry = `<MultiGeometry>${geometry.coordinates.map(toKmlLineString).join('')}</MultiGeometry>`;
+    } else {
+      return '';
+    }
+
+    return `<Placemark>${name}${description}${kmlGeometry}</Placemark>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `<Document><name>${escapeXml(documentName)}</name>`,
+    ...placemarks.filter(Boolean),
+    '</Document>',
+    '</kml>',
+  ].join('\n');
+};
+
+const toGpxPoint = (tag, [lon, lat, ele]) =>
+  ele === undefined
+    ? `<${tag} lat="${lat}" lon="${lon}"/>`
+    : `<${tag} lat="${lat}" lon="${lon}"><ele>${ele}</ele></${tag}>`;
+
+/**
+ * GeoJSON FeatureCollection을 GPX 1.1 문서로 변환합니다.
+ * 트랙은 구간(trkseg)을 유지하고, 경로(route)는 rte, 웨이포인트는 wpt로 씁니다.
+ * @param {object} featureCollection - toGeoJson 결과
+ * @param {string} documentName - GPX metadata 이름
+ * @returns {string} GPX 문서
+ */
+const toGpx = (featureCollection, documentName) => {
+  const nameTags = (properties) =>
+    [
+      properties.name ? `<name>${escapeXml(properties.name)}</name>` : '',
+      properties.desc ? `<desc>${escapeXml(properties.desc)}</desc>` : '',
+    ].join('');
+
+  const waypoints = [];
+  const lines = [];
+
+  featureCollection.features.forEach(({ geometry, properties }) => {
+    if (geometry.type === 'Point') {
+      const [lon, lat, ele] = geometry.coordinates;
+      const eleTag = ele === undefined ? '' : `<ele>${ele}</ele>`;
+      waypoints.push(`<wpt lat="${lat}" lon="${lon}">${eleTag}${nameTags(properties)}</wpt>`);
+      return;
+    }
+
+    const segments = geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+    if (properties.type === 'route') {
+      segments.forEach((segment) => {
+        lines.push(`<rte>${nameTags(properties)}${segment.map((coord) => toGpxPoint('rtept', coord)).join('')}</rte>`);
+      });
+      return;
+    }
+
+    const trksegs = segments.map(
+      (segment) => `<trkseg>${segment.map((coord) => toGpxPoint('trkpt', coord)).join('')}</trkseg>`
+    );
+    lines.push(`<trk>${nameTags(properties)}${trksegs.join('')}</trk>`);
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="ku-swt" xmlns="http://www.topografix.com/GPX/1/1">',
+    `<metadata><name>${escapeXml(documentName)}</name></metadata>`,
+    ...waypoints,
+    ...lines,
+    '</gpx>',
+  ].join('\n');
+};
+
+const encodeSignedValue = (value) => {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let output = '';
+  while (v >= 0x20) {
+    output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return output + String.fromCharCode(v + 63);
+};
+
+/**
+ * Google Encoded Polyline Algorithm으로 좌표 목록을 인코딩합니다.
+ * @param {number[][]} coordinates - GeoJSON 순서의 [lon, lat] 좌표 목록
+ * @param {number} precision - 소수점 자릿수 (Google Maps 기본값 5)
+ * @returns {string} 인코딩된 polyline
+ */
+const encodePolyline = (coordinates, precision = 5) => {
+  const factor = 10 ** precision;
+  let prevLat = 0;
+  let prevLon = 0;
+  let output = '';
+
+  for (const [lon, lat] of coordinates) {
+    const latValue = Math.round(lat * factor);
+    const lonValue = Math.round(lon * factor);
+    output += encodeSignedValue(latValue - prevLat) + encodeSignedValue(lonValue - prevLon);
+    prevLat = latValue;
+    prevLon = lonValue;
+  }
+
+  return output;
+};
+
+/**
+ * FeatureCollection의 선형 geometry를 구간(segment) 단위 좌표 목록으로 펼칩니다.
+ */
+const getLineSegments = (featureCollection) =>
+  featureCollection.features.flatMap(({ geometry }) => {
+    if (geometry.type === 'LineString') return [geometry.coordinates];
+    if (geometry.type === 'MultiLineString') return geometry.coordinates;
+    return [];
+  });
+
+/**
+ * 코스 경로로 쓸 트랙의 구간별 좌표를 반환합니다. 웨이포인트는 포함하지 않으며, 트랙이 없는 GPX는 경로(rte)를 사용합니다.
+ * @param {object} featureCollection - toGeoJson 결과
+ * @returns {Array<number[]>[]} 구간별 [lon, lat, ele?] 좌표 (빈 구간 제외)
+ */
+const getTrackSegments = (featureCollection) => {
+  const tracks = featureCollection.features.filter(({ properties }) => properties.type === 'track');
+  const lines = getLineSegments(tracks.length > 0 ? { features: tracks } : featureCollection);
+  return lines.filter((segment) => segment.length > 0);
+};
+
+const toPolyline = (featureCollection) => ({
+  precision: 5,
+  segments: getLineSegments(featureCollection).map((segment) => encodePolyline(segment)),
+  waypoints: featureCollection.features
+    .filter(({ geometry }) => geometry.type === 'Point')
+    .map(({ geometry, properties }) => ({
+      name: properties.name || null,
+      lat: geometry.coordinates[1],
+      lon: geometry.coordinates[0],
+    })),
+});
+
+/**
+ * 코스 GPX를 요청한 형식으로 변환합니다.
+ * toleranceM이 주어지면 경로 단순화를 적용하며, GPX도 단순화된 경로로 다시 만듭니다. (없으면 GPX 원본 그대로)
+ * JSON 기반 형식(geojson, polyline)에는 단순화 전후의 점 개수를 함께 담습니다.
+ * @param {string} gpxContent - GPX 원문
+ * @param {object} featureCollection - gpxContent의 toGeoJson 결과
+ * @param {string} format - 'geojson' | 'gpx' | 'kml' | 'polyline'
+ * @param {string} courseName - KML Document, GPX metadata 이름 등에 사용할 코스명
+ * @param {number} [toleranceM] - 단순화 허용 오차 (m)
+ * @returns {{contentType: string, body: string}}
+ */
+const exportCourseGeometry = (gpxContent, featureCollection, format, courseName, toleranceM) => {
+  const contentType = EXPORT_CONTENT_TYPES[format];
+
+  if (format === 'gpx' && !toleranceM) {
+    return { contentType, body: gpxContent };
+  }
+
+  let simplification;
+
+  if (toleranceM) {
+    const simplified = simplifyFeatureCollection(featureCollection, toleranceM);
+    featureCollection = simplified.featureCollection;
+    simplification = {
+      tolerance_m: parseFloat(toleranceM.toFixed(3)),
+      original_count: simplified.originalCount,
+      simplified_count: simplified.simplifiedCount,
+    };
+  }
+
+  if (format === 'gpx') {
+    return { contentType, body: toGpx(featureCollection, courseName) };
+  }
+  if (format === 'kml') {
+    return { contentType, body: toKml(featureCollection, courseName) };
+  }
+  if (format === 'polyline') {
+    return { contentType, body: JSON.stringify({ ...toPolyline(featureCollection), simplification }) };
+  }
+  return { contentType, body: JSON.stringify({ ...featureCollection, simplification }) };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeXml,
+  toGeoJson,
+  toKml,
+  toGpx,
+  encodePolyline,
+  getLineSegments,
+  getTrackSegments,
+  exportCourseGeometry,
+};
@@ -0,0 +1,142 @@
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// 코스 시작점의 전체 geohash 정밀도 (약 4.8m x 4.8m)
+const GEOHASH_PRECISION = 9;
+// GSI 파티션 키로 사용하는 셀 정밀도 (약 39km x 19.5km)
+const GEOHASH_CELL_PRECISION = 4;
+
+const encodeGeohash = (lat, lon, precision = GEOHASH_PRECISION) => {
+  let minLat = -90;
+  let maxLat = 90;
+  let minLon = -180;
+  let maxLon = 180;
+  let hash = '';
+  let bit = 0;
+  let ch = 0;
+  let isLon = true;
+
+  while (hash.length < precision) {
+    if (isLon) {
+      const mid = (minLon + maxLon) / 2;
+      if (lon >= mid) {
+        ch = (ch << 1) | 1;
+        minLon = mid;
+      } else {
+        ch <<= 1;
+        maxLon = mid;
+      }
+    } else {
+      const mid = (minLat + maxLat) / 2;
+      if (lat >= mid) {
+        ch = (ch << 1) | 1;
+        minLat = mid;
+      } else {
+        ch <<= 1;
+        maxLat = mid;
+      }
+    }
+
+    isLon = !isLon;
+    bit++;
+
+    if (bit === 5) {
+      hash += BASE32[ch];
+      bit = 0;
+      ch = 0;
+    }
+  }
+
+  return hash;
+};
+
+const decodeGeohashBounds = (hash) => {
+  let minLat = -90;
+  let maxLat = 90;
+  let minLon = -180;
+  let maxLon = 180;
+  let isLon = true;
+
+  for (const c of hash) {
+    const idx = BASE32.indexOf(c);
+    if (idx === -1) {
+      throw new Error(`Invalid geohash character: ${c}`);
+    }
+
+    for (let n = 4; n >= 0; n--) {
+      const bitN = (idx >> n) & 1;
+      if (isLon) {
+        const mid = (minLon + maxLon) / 2;
+        if (bitN === 1) minLon = mid;
+        else maxLon = mid;
+      } else {
+        const mid = (minLat + maxLat) / 2;
+        if (bitN === 1) minLat = mid;
+        else maxLat = mid;
+      }
+      isLon = !isLon;
+    }
+  }
+
+  return { minLat, maxLat, minLon, maxLon };
+};
+
+/**
+ * 중심점으로부터 반경(km) 안의 영역을 빠짐없이 덮는 geohash 셀 목록을 반환합니다.
+ * 반경을 감싸는 bounding box를 셀 크기 간격으로 훑기 때문에 모서리 부분의 셀도 포함됩니다.
+ * @param {number} lat - 중심 위도
+ * @param {number} lon - 중심 경도
+ * @param {number} radiusKm - 검색 반경 (km)
+ * @param {number} precision - 셀 정밀도
+ * @returns {string[]} 중복 없는 geohash 셀 목록
+ */
+const getCoveringCells = (lat, lon, radiusKm, precision = GEOHASH_CELL_PRECISION) => {
+  const latDelta = radiusKm / 110.574;
+  const lonDelta = radiusKm / (111.32 * Math.cos((lat * Math.PI) / 180));
+
+  const minLat = Math.max(lat - latDelta, -90);
+  const maxLat = Math.min(lat + latDelta, 90);
+  const minLon = Math.max(lon - lonDelta, -180);
+  const maxLon = Math.min(lon + lonDelta, 180);
+
+  const cellBounds = decodeGeohashBounds(encodeGeohash(lat, lon, precision));
+  const cellHeight = cellBounds.maxLat - cellBounds.minLat;
+  const cellWidth = cellBounds.maxLon - cellBounds.minLon;
+
+  const cells = new Set();
+  for (let y = minLat; y < maxLat + cellHeight; y += cellHeight) {
+    for (let x = minLon; x < maxLon + cellWidth; x += cellWidth) {
+      cells.add(encodeGeohash(Math.min(y, maxLat), Math.min(x, maxLon), precision));
+    }
+  }
+
+  return [...cells];
+};
+
+/**
+ * 코스 아이템에 저장할 geohash 인덱스 속성을 생성합니다.
+ * @param {number} lat - 코스 시작 위도
+ * @param {number} lon - 코스 시작 경도
+ * @returns {{geohash: string, geohash_cell: string}|null}
+ */
+const getGeohashAttributes = (lat, lon) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    return null;
+  }
+
+  const geohash = encodeGeohash(latitude, longitude, GEOHASH_PRECISION);
+  return {
+    geohash,
+    geohash_cell: geohash.substring(0, GEOHASH_CELL_PRECISION),
+  };
+};
+
+module.exports = {
+  GEOHASH_PRECISION,
+  GEOHASH_CELL_PRECISION,
+  encodeGeohash,
+  decodeGeohashBounds,
+  getCoveringCells,
+  getGeohashAttributes,
+};
@@ -1,4 +1,4 @@
-const { gpx } = require('@tmcw/togeojson');
+const { gpx, tcx } = require('@tmcw/togeojson');
 const { DOMParser } = require('@xmldom/xmldom');
 const {
   S3Client,
@@ -18,45 +18,48 @@ const streamToString = (stream) =>
     stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
   });
 
+const parseXml = (content) => new DOMParser().parseFromString(content, 'text/xml');
+
+const parseGpxToGeoJson = (gpxFileContent) => gpx(parseXml(gpxFileContent));
+
+// 걷기 기록 가져오기(walk-import.js)에서 GPX와 같은 방식으로 TCX를 읽을 때 사용
+const parseTcxToGeoJson = (tcxFileContent) => tcx(parseXml(tcxFileContent));
+
+/**
+ * GeoJSON의 모든 좌표(웨이포인트 포함)를 문서 순서대로 {lat, lon} 배열로 펼칩니다.
+ */
+const flattenGeoJsonCoordinates = (geojson) => {
+  const rows = [];
+  const toRow = (coord) => ({
+    lat: parseFloat(coord[1].toFixed(6)),
+    lon: parseFloat(coord[0].toFixed(6)),
+  });
+
+  // Extract coordinates from GeoJSON features
+  geojson.features.forEach((feature) => {
+    const geometry = feature.geometry;
+    if (!geometry) return;
+
+    if (geometry.type === 'Point') {
+      // [lon, lat]
+      rows.push(toRow(geometry.coordinates));
+    } else if (geometry.type === 'LineString') {
+      // Array of [lon, lat]
+      geometry.coordinates.forEach((coord) => rows.push(toRow(coord)));
+    } else if (geometry.type === 'MultiLineString') {
+      // Array of LineStrings
+      geometry.coordinates.forEach((line) => {
+        line.forEach((coord) => rows.push(toRow(coord)));
+      });
+    }
+  });
+
+  return rows;
+};
+
 const getCoordinatesFromGpx = async (gpxFileContent) => {
   try {
-    const doc = new DOMParser().parseFromString(gpxFileContent, 'text/xml');
-    const geojson = gpx(doc);
-
-    const rows = [];
-
-    // Extract coordinates from GeoJSON features
-    geojson.features.forEach((feature) => {
-      const geometry = feature.geometry;
-
-      if (geometry.type === 'Point') {
-        // [lon, lat]
-        rows.push({
-          lat: parseFloat(geometry.coordinates[1].toFixed(6)),
-          lon: parseFloat(geometry.coordinates[0].toFixed(6)),
-        });
-      } else if (geometry.type === 'LineString') {
-        // Array of [lon, lat]
-        geometry.coordinates.forEach((coord) => {
-          rows.push({
-            lat: parseFloat(coord[1].toFixed(6)),
-            lon: parseFloat(coord[0].toFixed(6)),
-          });
-        });
-      } else if (geometry.type === 'MultiLineString') {
-        // Array of LineStrings
-        geometry.coordinates.forEach((line) => {
-          line.forEach((coord) => {
-            rows.push({
-              lat: parseFloat(coord[1].toFixed(6)),
-              lon: parseFloat(coord[0].toFixed(6)),
-            });
-          });
-        });
-      }
-    });
-
-    return rows;
+    return flattenGeoJsonCoordinates(parseGpxToGeoJson(gpxFileContent));
   } catch (error) {
     logger.error(`GPX parsing failed: ${error.message}`);
     throw error;
@@ -113,6 +116,11 @@ const getCourseCoordinates = async (courseId) => {
 };
 
 module.exports = {
+  s3Client,
+  BUCKET_NAME,
+  parseGpxToGeoJson,
+  parseTcxToGeoJson,
+  flattenGeoJsonCoordinates,
   getCoordinatesFromGpx,
   getGpxContentFromS3,
   getCourseCoordinates,
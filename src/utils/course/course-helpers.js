@@ -1,28 +1,92 @@
-const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, TABLES } = require('../../config/dynamodb');
 const { logger } = require('../logger');
+const { toKstDateString } = require('../date');
+const { VIEW_RETENTION_DAYS, getViewSortKey, getDailyStatsKey } = require('./course-popularity');
+
+// Haversine formula for distance calculation (km)
+const getDistance = (lat1, lon1, lat2, lon2) => {
+  if (!lat1 || !lon1 || !lat2 || !lon2) return 999999;
+  const R = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
 
 const getProviderFromCourseId = (courseId) => {
   return courseId.startsWith('seoultrail') ? 'seoultrail' : 'durunubi';
 };
 
+const getStatsExpiresAt = (now) => Math.floor(now.getTime() / 1000) + VIEW_RETENTION_DAYS * 24 * 60 * 60;
+
+/**
+ * 코스별 일별 집계 항목(KST 날짜)의 값을 늘립니다. 인기도 집계(aggregatePopularity)에 사용됩니다.
+ * @param {string} courseId
+ * @param {{views?: number, unique_viewers?: number, saves?: number}} increments
+ */
+const incrementCourseDailyStats = async (courseId, increments, now = new Date()) => {
+  const names = Object.keys(increments).filter((name) => increments[name] > 0);
+  if (names.length === 0) return;
+
+  const statsDate = toKstDateString(now);
+  await docClient.send(
+    new UpdateCommand({
+      TableName: TABLES.USER_COURSE,
+      Key: getDailyStatsKey(courseId, statsDate),
+      UpdateExpression:
+        `ADD ${names.map((name) => `${name} :${name}`).join(', ')} ` +
+        'SET course_id = :courseId, stats_date = :statsDate, expires_at = :expiresAt',
+      ExpressionAttributeValues: {
+        ...Object.fromEntries(names.map((name) => [`:${name}`, increments[name]])),
+        ':courseId': courseId,
+        ':statsDate': statsDate,
+        ':expiresAt': getStatsExpiresAt(now),
+      },
+    })
+  );
+};
+
+/**
+ * 코스 조회 기록을 남깁니다.
+ * 사용자-코스-날짜(KST)마다 하나의 항목에 조회 수를 누적하므로 같은 날 여러 번 봐도 항목이 늘어나지 않으며,
+ * expires_at(TTL)이 지나면 자동으로 삭제됩니다. 코스의 일별 집계도 함께 늘리며, 그날 처음 본 경우에만 순 조회자로 셉니다.
+ */
 const logCourseView = async (userId, courseId, provider) => {
   try {
-    const timestamp = new Date().toISOString();
+    const now = new Date();
+    const viewedOn = toKstDateString(now);
 
-    await docClient.send(
-      new PutCommand({
-        TableName: TABLES.COURSE_DATA,
-        Item: {
-          PK: `USER#${userId}`,
-          SK: `RECENT#${timestamp}#${courseId}`,
-          viewed_at: timestamp,
-          course_id: courseId,
-          provider,
+    const { Attributes } = await docClient.send(
+      new UpdateCommand({
+        TableName: TABLES.USER_COURSE,
+        Key: { user_id: userId, sort_key: getViewSortKey(courseId, viewedOn) },
+        UpdateExpression:
+          'ADD view_count :one SET course_id = :courseId, provider = :provider, viewed_on = :viewedOn, last_viewed_at = :now, expires_at = :expiresAt',
+        ExpressionAttributeValues: {
+          ':one': 1,
+          ':courseId': courseId,
+          ':provider': provider,
+          ':viewedOn': viewedOn,
+          ':now': now.toISOString(),
+          ':expiresAt': getStatsExpiresAt(now),
         },
+        ReturnValues: 'UPDATED_NEW',
       })
     );
 
+    await incrementCourseDailyStats(
+      courseId,
+      { views: 1, unique_viewers: Attributes?.view_count === 1 ? 1 : 0 },
+      now
+    );
+
     logger.debug(`Course view logged: userId=${userId}, courseId=${courseId}`);
   } catch (error) {
     logger.error(
@@ -47,6 +111,27 @@ const formatDuration = (minutes) => {
   return result.trim();
 };
 
+/**
+ * 코스 목록의 전체 개수(난이도별 포함)를 저장하는 항목의 키 (USER_COURSE_TABLE).
+ * 목록 조회는 페이지마다 이 값을 total로 반환하며, scripts/backfill-course-geohash.js가 코스를 순회하며 갱신합니다.
+ */
+const COURSE_CATALOG_COUNT_KEY = { user_id: 'COURSE_STATS', sort_key: 'CATALOG_COUNT' };
+
+/**
+ * 코스 목록을 전체/난이도별로 셉니다.
+ * @param {object[]} courses
+ * @returns {{total: number, by_difficulty: Object<string, number>}}
+ */
+const countCourseCatalog = (courses) => {
+  const byDifficulty = {};
+  for (const course of courses) {
+    if (course.course_difficulty) {
+      byDifficulty[course.course_difficulty] = (byDifficulty[course.course_difficulty] || 0) + 1;
+    }
+  }
+  return { total: courses.length, by_difficulty: byDifficulty };
+};
+
 const mapDifficulty = (difficulty) => {
   switch (difficulty) {
     case '하':
@@ -61,8 +146,12 @@ const mapDifficulty = (difficulty) => {
 };
 
 module.exports = {
+  getDistance,
   getProviderFromCourseId,
   logCourseView,
+  incrementCourseDailyStats,
   formatDuration,
   mapDifficulty,
+  COURSE_CATALOG_COUNT_KEY,
+  countCourseCatalog,
 };
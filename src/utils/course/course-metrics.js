@@ -0,0 +1,85 @@
+const { getDistance } = require('./course-helpers');
+const { getLineSegments } = require('./course-export');
+
+// 계산 방식이 바뀌면 올려서 코스에 캐시된 이전 결과를 다시 계산하게 함
+const COURSE_METRICS_VERSION = 1;
+
+// 시작점과 끝점이 이 거리 이내이고, 트랙 길이 대비 이 비율 이내이면 순환 코스로 판단
+const LOOP_MAX_GAP_M = 200;
+const LOOP_MAX_GAP_RATIO = 0.05;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+const toPoint = ([lon, lat]) => ({ lat: round(lat, 6), lon: round(lon, 6) });
+
+/**
+ * GPX에서 변환한 GeoJSON으로 코스의 실제 트랙 지표를 계산합니다.
+ * 제공자 API의 course_length/course_duration 대신 실제 경로 기준 값을 얻기 위함입니다.
+ * @param {object} featureCollection - toGeoJson 결과 ([lon, lat, ele?] 좌표)
+ * @returns {object|null} 트랙 좌표가 없으면 null
+ */
+const computeCourseMetrics = (featureCollection) => {
+  const segments = getLineSegments(featureCollection).filter((segment) => segment.length > 0);
+  if (segments.length === 0) return null;
+
+  let length = 0;
+  let pointCount = 0;
+  let minLat = Infinity;
+  let minLon = Infinity;
+  let maxLat = -Infinity;
+  let maxLon = -Infinity;
+  // 점이 조밀한 구간에 치우치지 않도록 각 선분의 중점을 길이로 가중 평균하여 중심점을 구함
+  let weightedLat = 0;
+  let weightedLon = 0;
+
+  for (const segment of segments) {
+    segment.forEach(([lon, lat], i) => {
+      pointCount++;
+      minLat = Math.min(minLat, lat);
+      minLon = Math.min(minLon, lon);
+      maxLat = Math.max(maxLat, lat);
+      maxLon = Math.max(maxLon, lon);
+
+      if (i === 0) return;
+      const [prevLon, prevLat] = segment[i - 1];
+      const edge = getDistance(prevLat, prevLon, lat, lon);
+      length += edge;
+      weightedLat += ((prevLat + lat) / 2) * edge;
+      weightedLon += ((prevLon + lon) / 2) * edge;
+    });
+  }
+
+  const start = segments[0][0];
+  const lastSegment = segments[segments.length - 1];
+  const end = lastSegment[lastSegment.length - 1];
+  const startEndGapM = getDistance(start[1], start[0], end[1], end[0]) * 1000;
+  const isLoop = length > 0 && startEndGapM <= Math.min(LOOP_MAX_GAP_M, length * 1000 * LOOP_MAX_GAP_RATIO);
+
+  const centroid =
+    length > 0
+      ? { lat: round(weightedLat / length, 6), lon: round(weightedLon / length, 6) }
+      : { lat: round((minLat + maxLat) / 2, 6), lon: round((minLon + maxLon) / 2, 6) };
+
+  return {
+    version: COURSE_METRICS_VERSION,
+    track_length_km: round(length, 3),
+    bbox: {
+      min_lat: round(minLat, 6),
+      min_lon: round(minLon, 6),
+      max_lat: round(maxLat, 6),
+      max_lon: round(maxLon, 6),
+    },
+    centroid,
+    start_point: toPoint(start),
+    end_point: toPoint(end),
+    start_end_distance_m: round(startEndGapM, 1),
+    route_type: isLoop ? 'loop' : 'point_to_point',
+    segment_count: segments.length,
+    point_count: pointCount,
+  };
+};
+
+module.exports = {
+  COURSE_METRICS_VERSION,
+  computeCourseMetrics,
+};
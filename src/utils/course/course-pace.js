@@ -0,0 +1,97 @@
+// Tobler's hiking function: 경사도(dh/dx)에 따른 보행 속도 (km/h). 약 -5% 내리막에서 가장 빠름
+const TOBLER_MAX_SPEED_KMH = 6;
+const toblerSpeedKmh = (grade) => TOBLER_MAX_SPEED_KMH * Math.exp(-3.5 * Math.abs(grade + 0.05));
+
+// Naismith's rule: 평지 5km/h, 상승 고도 600m마다 1시간 추가
+const NAISMITH_SPEED_KMH = 5;
+const NAISMITH_ASCENT_M_PER_HOUR = 600;
+
+// 걷기 기록 하나로 계산한 보정 계수의 허용 범위 (GPS 오류나 중간에 멈춘 기록 등 이상치 제외)
+const MIN_PACE_FACTOR = 0.3;
+const MAX_PACE_FACTOR = 2.5;
+// 보정 계수 평균에 반영할 최대 기록 수 (최근 기록의 영향이 사라지지 않도록 상한을 둠)
+const MAX_PACE_SAMPLES = 20;
+
+/**
+ * 거리-고도 프로필을 따라 Tobler 함수로 구간별 소요 시간을 적분합니다.
+ */
+const toblerMinutes = (profile) => {
+  let minutes = 0;
+  for (let i = 1; i < profile.length; i++) {
+    const lengthKm = profile[i].distance_km - profile[i - 1].distance_km;
+    if (lengthKm <= 0) continue;
+    const grade = (profile[i].elevation_m - profile[i - 1].elevation_m) / (lengthKm * 1000);
+    minutes += (lengthKm / toblerSpeedKmh(grade)) * 60;
+  }
+  return minutes;
+};
+
+/**
+ * 코스 길이(km)를 반환합니다. GPX로 계산한 실측 길이를 제공자 값보다 우선합니다.
+ */
+const getCourseLengthKm = (course) =>
+  course.course_metrics?.track_length_km || parseFloat(course.course_length) || null;
+
+/**
+ * 표준 보행자 기준으로 코스 소요 시간(분)을 추정합니다.
+ * - 코스에 고도 프로필(course_elevation)이 캐시되어 있으면 Tobler 함수로 구간별 경사를 반영
+ * - 총 상승 고도만 알면 Naismith 규칙 사용
+ * - 고도 정보가 없으면 평지 Tobler 속도로 계산
+ * @param {object} course - 코스 항목
+ * @returns {number|null} 길이 정보가 없으면 null
+ */
+const estimateBaseMinutes = (course) => {
+  const elevation = course.course_elevation;
+  if (elevation && elevation.has_elevation && elevation.profile && elevation.profile.length > 1) {
+    return toblerMinutes(elevation.profile);
+  }
+
+  const lengthKm = getCourseLengthKm(course);
+  if (!lengthKm) return null;
+
+  if (elevation && elevation.has_elevation) {
+    return (lengthKm / NAISMITH_SPEED_KMH) * 60 + (elevation.total_ascent_m / NAISMITH_ASCENT_M_PER_HOUR) * 60;
+  }
+
+  return (lengthKm / toblerSpeedKmh(0)) * 60;
+};
+
+/**
+ * 사용자 보정 계수를 반영한 예상 소요 시간(분)을 계산합니다.
+ * @param {object} course - 코스 항목
+ * @param {number} paceFactor - 사용자 속도 / 표준 속도 (1이면 표준)
+ * @returns {number|null}
+ */
+const estimateDurationMinutes = (course, paceFactor = 1) => {
+  const baseMinutes = estimateBaseMinutes(course);
+  if (!baseMinutes) return null;
+  return Math.max(1, Math.round(baseMinutes / paceFactor));
+};
+
+/**
+ * 걷기 기록 하나를 반영하여 사용자 보정 계수를 갱신합니다.
+ * @param {{factor: number, count: number}} current - 현재 보정 계수와 반영된 기록 수
+ * @param {number} expectedMinutes - 표준 보행자 기준 예상 시간
+ * @param {number} actualMinutes - 실제 걸린 시간
+ * @returns {{factor: number, count: number}|null} 이상치여서 반영하지 않으면 null
+ */
+const updatePaceFactor = (current, expectedMinutes, actualMinutes) => {
+  const sample = expectedMinutes / actualMinutes;
+  if (!Number.isFinite(sample) || sample < MIN_PACE_FACTOR || sample > MAX_PACE_FACTOR) {
+    return null;
+  }
+
+  const count = Math.min(current.count, MAX_PACE_SAMPLES - 1);
+  return {
+    factor: parseFloat(((current.factor * count + sample) / (count + 1)).toFixed(4)),
+    count: current.count + 1,
+  };
+};
+
+module.exports = {
+  toblerSpeedKmh,
+  getCourseLengthKm,
+  estimateBaseMinutes,
+  estimateDurationMinutes,
+  updatePaceFactor,
+};
@@ -0,0 +1,146 @@
+const { toKstDateString, addDays } = require('../date');
+
+// 집계하는 기간 (일)
+const POPULARITY_WINDOWS = [7, 30];
+// 조회 기록과 일별 집계 보관 기간: 가장 긴 집계 기간보다 하루 길게 유지 (USER_COURSE_TABLE TTL 속성 expires_at)
+const VIEW_RETENTION_DAYS = 31;
+
+// 인기도 점수 가중치: 같은 사람이 여러 번 본 것보다 여러 사람이 본 것, 본 것보다 저장한 것을 높게 평가
+const SCORE_WEIGHTS = {
+  views: 1,
+  unique_viewers: 2,
+  saves: 5,
+};
+
+const POPULARITY_SORT_WINDOW = 30;
+
+// 인기 코스 목록(GET /courses/trending)으로 미리 저장해 두는 코스 수
+const TRENDING_LIST_SIZE = 50;
+
+/**
+ * 사용자-코스-날짜 단위 조회 기록의 정렬 키. 같은 날 여러 번 본 경우 하나의 항목에 횟수를 누적합니다.
+ */
+const getViewSortKey = (courseId, viewedOn) => `VIEW#${courseId}#${viewedOn}`;
+
+/**
+ * 코스별 일별 집계(조회수, 순 조회자 수, 저장 수) 항목의 키.
+ * USER_COURSE_TABLE에서 날짜별 파티션을 사용하므로 집계할 때 기간 내 날짜만 Query하면 됩니다.
+ */
+const getDailyStatsPartition = (statsDate) => `COURSE_STATS#${statsDate}`;
+const getDailyStatsKey = (courseId, statsDate) => ({
+  user_id: getDailyStatsPartition(statsDate),
+  sort_key: `COURSE#${courseId}`,
+});
+
+// 마지막 집계 결과 요약 (인기 코스 목록, 점수가 있는 코스 ID)
+const POPULARITY_SUMMARY_KEY = { user_id: 'COURSE_STATS', sort_key: 'POPULARITY_SUMMARY' };
+
+const getPopularityScore = (counts) =>
+  counts.views * SCORE_WEIGHTS.views +
+  counts.unique_viewers * SCORE_WEIGHTS.unique_viewers +
+  counts.saves * SCORE_WEIGHTS.saves;
+
+/**
+ * 정렬에 사용할 코스의 인기도 점수를 반환합니다. 집계되지 않은 코스는 0입니다.
+ * @param {object} course
+ * @param {number} [windowDays] - 7 또는 30
+ */
+const getCoursePopularityScore = (course, windowDays = POPULARITY_SORT_WINDOW) =>
+  course.popularity?.[`score_${windowDays}d`] || 0;
+
+/**
+ * 기간별 집계 값을 코스 항목에 저장할 popularity 속성 형태로 변환합니다.
+ * @param {{views: number, unique_viewers: number, saves: number}[]} windowCounts - POPULARITY_WINDOWS 순서
+ */
+const toPopularity = (windowCounts, now) => {
+  const popularity = { updated_at: now.toISOString() };
+  POPULARITY_WINDOWS.forEach((days, i) => {
+    const counts = windowCounts[i];
+    popularity[`views_${days}d`] = counts.views;
+    popularity[`unique_viewers_${days}d`] = counts.unique_viewers;
+    popularity[`saves_${days}d`] = counts.saves;
+    popularity[`score_${days}d`] = getPopularityScore(counts);
+  });
+  return popularity;
+};
+
+/**
+ * 코스별 일별 집계 항목(getDailyStatsKey)으로 코스별 기간 인기도를 집계합니다.
+ * 순 조회자 수는 하루 단위로 센 값의 합이므로, 같은 사람이 여러 날 본 경우 날마다 한 번씩 셉니다.
+ * @param {object[]} items - USER_COURSE_TABLE의 일별 집계 항목 (stats_date, course_id, views, unique_viewers, saves)
+ * @param {Date} now - 집계 기준 시각
+ * @returns {Map<string, object>} course_id -> popularity 속성 값
+ */
+const aggregatePopularity = (items, now = new Date()) => {
+  const today = toKstDateString(now);
+  const windowStarts = POPULARITY_WINDOWS.map((days) => ({ days, since: addDays(today, -(days - 1)) }));
+  const stats = new Map();
+
+  for (const item of items) {
+    if (!item.course_id || item.stats_date > today) continue;
+
+    if (!stats.has(item.course_id)) {
+      stats.set(
+        item.course_id,
+        windowStarts.map(() => ({ views: 0, unique_viewers: 0, saves: 0 }))
+      );
+    }
+    const windows = stats.get(item.course_id);
+
+    windowStarts.forEach(({ since }, i) => {
+      if (item.stats_date >= since) {
+        windows[i].views += item.views || 0;
+        windows[i].unique_viewers += item.unique_viewers || 0;
+        windows[i].saves += item.saves || 0;
+      }
+    });
+  }
+
+  const result = new Map();
+  for (const [courseId, windows] of stats) {
+    result.set(courseId, toPopularity(windows, now));
+  }
+
+  return result;
+};
+
+/**
+ * 기간별 인기도 상위 코스 ID 목록을 만듭니다. (GET /courses/trending은 이 목록만 읽음)
+ * @param {Map<string, object>} popularity - aggregatePopularity 결과
+ * @returns {object} { trending_7d: string[], trending_30d: string[] }
+ */
+const buildTrendingLists = (popularity) => {
+  const lists = {};
+  for (const days of POPULARITY_WINDOWS) {
+    const scoreAttribute = `score_${days}d`;
+    lists[`trending_${days}d`] = [...popularity]
+      .filter(([, value]) => value[scoreAttribute] > 0)
+      .sort((a, b) => b[1][scoreAttribute] - a[1][scoreAttribute] || a[0].localeCompare(b[0]))
+      .slice(0, TRENDING_LIST_SIZE)
+      .map(([courseId]) => courseId);
+  }
+  return lists;
+};
+
+/**
+ * 기간 내 활동이 없는 코스의 인기도 값 (이전 집계 결과를 초기화할 때 사용)
+ */
+const createEmptyPopularity = (now = new Date()) =>
+  toPopularity(
+    POPULARITY_WINDOWS.map(() => ({ views: 0, unique_viewers: 0, saves: 0 })),
+    now
+  );
+
+module.exports = {
+  POPULARITY_WINDOWS,
+  VIEW_RETENTION_DAYS,
+  TRENDING_LIST_SIZE,
+  POPULARITY_SUMMARY_KEY,
+  getViewSortKey,
+  getDailyStatsPartition,
+  getDailyStatsKey,
+  getCoursePopularityScore,
+  aggregatePopularity,
+  buildTrendingLists,
+  createEmptyPopularity,
+};
@@ -0,0 +1,146 @@
+const { getDistance } = require('./course-helpers');
+const { getGpxContentFromS3 } = require('./course-gpx');
+const { toGeoJson, getTrackSegments } = require('./course-export');
+const { logger } = require('../logger');
+
+// 경로에서 이 거리(m)보다 멀어지면 경로 이탈로 봄 (GPS 오차 고려)
+const OFF_ROUTE_THRESHOLD_M = 50;
+// 이탈 판정 기준에 더해 줄 GPS 정확도의 상한 (m). 정확도가 매우 나쁜 좌표로 이탈을 놓치지 않도록 함
+const MAX_ACCURACY_ALLOWANCE_M = 50;
+// 직전 진행 거리가 주어졌을 때 그보다 이만큼(m)까지는 뒤로 간 위치도 허용 (GPS 오차, 잠시 되돌아간 경우)
+const MAX_BACKTRACK_M = 200;
+
+// 경로 기하는 요청마다 S3에서 읽지 않도록 컨테이너 재사용 시 메모리에 캐시
+const ROUTE_CACHE_TTL_MS = 30 * 60 * 1000;
+const ROUTE_CACHE_MAX_ENTRIES = 50;
+const routeCache = new Map();
+
+const METERS_PER_DEG_LAT = 110540;
+const METERS_PER_DEG_LON_AT_EQUATOR = 111320;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+/**
+ * 코스 트랙 구간으로 진행 위치 계산용 경로를 만듭니다.
+ * 가장 가까운 지점 계산은 첫 좌표 기준 평면 좌표(m)로 근사하고, 누적 거리는 좌표 간 실제 거리로 계산합니다.
+ * 구간(trkseg) 사이의 빈 곳은 경로가 아니므로 거리를 더하지 않고, 가장 가까운 지점 후보에서도 제외합니다.
+ * @param {Array<number[]>[]} segments - 구간별 [lon, lat, ele?] 좌표 (getTrackSegments 결과)
+ * @returns {object|null} 이어진 좌표 쌍이 없으면 null
+ */
+const buildRoute = (segments) => {
+  // joined가 false인 점은 구간의 첫 점으로, 앞 점과 이어지지 않음
+  const coordinates = (segments || []).flatMap((segment) =>
+    segment.map(([lon, lat], i) => ({ lat, lon, joined: i > 0 }))
+  );
+  if (!coordinates.some(({ joined }) => joined)) return null;
+
+  const origin = coordinates[0];
+  const lonScale = METERS_PER_DEG_LON_AT_EQUATOR * Math.cos((origin.lat * Math.PI) / 180);
+  const project = (lat, lon) => ({
+    x: (lon - origin.lon) * lonScale,
+    y: (lat - origin.lat) * METERS_PER_DEG_LAT,
+  });
+
+  let cumulativeM = 0;
+  const points = coordinates.map(({ lat, lon, joined }, i) => {
+    if (joined) {
+      const prev = coordinates[i - 1];
+      cumulativeM += getDistance(prev.lat, prev.lon, lat, lon) * 1000;
+    }
+    return { lat, lon, joined, ...project(lat, lon), along_m: cumulativeM };
+  });
+
+  return { points, length_m: cumulativeM, project };
+};
+
+/**
+ * 코스 경로를 캐시에서 가져오거나 GPX로부터 만듭니다.
+ * @returns {Promise<object|null>} GPX가 없으면 null
+ */
+const getCourseRoute = async (courseId) => {
+  const cached = routeCache.get(courseId);
+  if (cached && Date.now() - cached.cachedAt < ROUTE_CACHE_TTL_MS) {
+    return cached.route;
+  }
+
+  const gpxContent = await getGpxContentFromS3(courseId);
+  if (!gpxContent) return null;
+
+  const route = buildRoute(getTrackSegments(toGeoJson(gpxContent)));
+  if (!route) return null;
+
+  // 가장 오래 전에 넣은 경로부터 제거
+  if (routeCache.size >= ROUTE_CACHE_MAX_ENTRIES) {
+    routeCache.delete(routeCache.keys().next().value);
+  }
+  routeCache.set(courseId, { route, cachedAt: Date.now() });
+  logger.info(`Course route cached: courseId=${courseId}, points=${route.points.length}`);
+
+  return route;
+};
+
+/**
+ * 현재 위치에서 가장 가까운 경로 위 지점과 그 지점까지의 경로 거리를 구합니다.
+ * 순환 코스나 같은 길을 되돌아오는 코스처럼 경로가 겹치는 곳에서는,
+ * 직전 진행 거리(hintM)가 주어지면 이탈 기준 안에 있으면서 직전 진행 거리보다 크게 뒤로 가지 않는 구간 중에서 고릅니다.
+ */
+const findNearestOnRoute = (route, position, thresholdM, hintM) => {
+  const p = route.project(position.lat, position.lon);
+  const candidates = [];
+
+  for (let i = 1; i < route.points.length; i++) {
+    const a = route.points[i - 1];
+    const b = route.points[i];
+    if (!b.joined) continue;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+
+    candidates.push({
+      distance_m: Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy)),
+      along_m: a.along_m + t * (b.along_m - a.along_m),
+      lat: a.lat + t * (b.lat - a.lat),
+      lon: a.lon + t * (b.lon - a.lon),
+    });
+  }
+
+  const nearest = candidates.reduce((best, c) => (c.distance_m < best.distance_m ? c : best));
+  if (hintM === undefined) return nearest;
+
+  const ahead = candidates.filter((c) => c.distance_m <= thresholdM && c.along_m >= hintM - MAX_BACKTRACK_M);
+  if (ahead.length === 0) return nearest;
+  return ahead.reduce((best, c) => (c.distance_m < best.distance_m ? c : best));
+};
+
+/**
+ * 현재 위치로 코스 진행 상황을 계산합니다.
+ * @param {object} route - getCourseRoute 결과
+ * @param {{lat: number, lon: number, accuracy?: number, last_distance_km?: number}} position
+ * @returns {object} 거리 단위는 km, 경로까지의 거리는 m
+ */
+const computeProgress = (route, position) => {
+  const accuracyM = Math.min(position.accuracy || 0, MAX_ACCURACY_ALLOWANCE_M);
+  const thresholdM = OFF_ROUTE_THRESHOLD_M + accuracyM;
+  const hintM = position.last_distance_km !== undefined ? position.last_distance_km * 1000 : undefined;
+
+  const nearest = findNearestOnRoute(route, position, thresholdM, hintM);
+  const remainingM = Math.max(0, route.length_m - nearest.along_m);
+
+  return {
+    nearest_point: { lat: round(nearest.lat, 6), lon: round(nearest.lon, 6) },
+    distance_to_route_m: round(nearest.distance_m, 1),
+    off_route: nearest.distance_m > thresholdM,
+    off_route_threshold_m: thresholdM,
+    distance_along_km: round(nearest.along_m / 1000, 3),
+    remaining_km: round(remainingM / 1000, 3),
+    total_km: round(route.length_m / 1000, 3),
+    progress_pct: route.length_m > 0 ? round((nearest.along_m / route.length_m) * 100, 1) : 0,
+  };
+};
+
+module.exports = {
+  buildRoute,
+  getCourseRoute,
+  computeProgress,
+};
@@ -0,0 +1,214 @@
+const { getDistance } = require('./course-helpers');
+const { getCourseLengthKm } = require('./course-pace');
+
+const DIFFICULTY_LEVELS = { 하: 1, 중: 2, 상: 3 };
+const DIFFICULTY_LABELS = { 하: '쉬움', 중: '보통', 상: '어려움' };
+
+// 각 점수 요소의 가중치 (합계 1)
+// 인기도는 집계된 코스가 있을 때만 반영하며, 없으면 나머지 요소에 비율대로 나눠 줌
+const WEIGHTS = {
+  distance: 0.35,
+  difficulty: 0.15,
+  length: 0.15,
+  popularity: 0.15,
+  condition: 0.1,
+  saved: 0.1,
+};
+
+// 이 거리(km)만큼 떨어질 때마다 거리 점수가 1/e로 줄어듦
+const DISTANCE_DECAY_KM = 10;
+// 날씨/대기질이 나쁠 때 부담 없는 코스로 보는 기준 길이 (km)
+const SHORT_COURSE_KM = 5;
+
+// 미세먼지 "나쁨" 기준 (환경부 예보 등급, ㎍/㎥)
+const PM10_BAD = 81;
+const PM25_BAD = 36;
+const TEMPERATURE_HOT = 30;
+const TEMPERATURE_COLD = -5;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+/**
+ * 사용자가 저장하거나 최근 본 코스로부터 선호 난이도와 선호 길이를 추정합니다.
+ * @param {object[]} historyCourses - 저장/최근 본 코스 항목
+ * @returns {{difficulty: string|null, lengthKm: number|null}}
+ */
+const inferPreferences = (historyCourses) => {
+  const difficultyCounts = {};
+  const lengths = [];
+
+  for (const course of historyCourses) {
+    if (DIFFICULTY_LEVELS[course.course_difficulty]) {
+      difficultyCounts[course.course_difficulty] = (difficultyCounts[course.course_difficulty] || 0) + 1;
+    }
+    const lengthKm = getCourseLengthKm(course);
+    if (lengthKm) lengths.push(lengthKm);
+  }
+
+  const [difficulty] = Object.entries(difficultyCounts).sort((a, b) => b[1] - a[1])[0] || [null];
+
+  return {
+    difficulty,
+    lengthKm: lengths.length > 0 ? median(lengths) : null,
+  };
+};
+
+/**
+ * weatherService.getIntegratedWeather 결과를 추천에 사용할 야외 활동 조건으로 요약합니다.
+ * @returns {{unfavorable: boolean, reason: string|null}}
+ */
+const summarizeConditions = (integratedWeather) => {
+  const weather = integratedWeather?.weather;
+  const airQuality = integratedWeather?.airQuality;
+
+  if (weather?.precipitationType && weather.precipitationType !== '0') {
+    return { unfavorable: true, reason: '비나 눈 예보가 있어' };
+  }
+  if (
+    (airQuality?.pm10 !== null && airQuality?.pm10 >= PM10_BAD) ||
+    (airQuality?.pm25 !== null && airQuality?.pm25 >= PM25_BAD)
+  ) {
+    return { unfavorable: true, reason: '미세먼지가 나빠' };
+  }
+
+  const temperature = parseFloat(weather?.temperature);
+  if (temperature >= TEMPERATURE_HOT) {
+    return { unfavorable: true, reason: '기온이 높아' };
+  }
+  if (temperature <= TEMPERATURE_COLD) {
+    return { unfavorable: true, reason: '기온이 낮아' };
+  }
+
+  return { unfavorable: false, reason: null };
+};
+
+/**
+ * 코스 하나의 요소별 점수(0~1)를 계산합니다.
+ */
+const scoreFeatures = (course, context) => {
+  const { origin, savedIds, preferences, conditions, maxPopularity } = context;
+  const distanceKm = getDistance(origin.lat, origin.lon, course.start_lat, course.start_lon);
+  const lengthKm = getCourseLengthKm(course);
+  const level = DIFFICULTY_LEVELS[course.course_difficulty];
+
+  const features = {
+    distance: Math.exp(-distanceKm / DISTANCE_DECAY_KM),
+    difficulty: 0.5,
+    length: 0.5,
+    popularity: maxPopularity > 0 ? (course.popularity?.score_30d || 0) / maxPopularity : 0,
+    condition: 1,
+    saved: savedIds.has(course.course_id) ? 1 : 0,
+  };
+
+  if (preferences.difficulty && level) {
+    const gap = Math.abs(level - DIFFICULTY_LEVELS[preferences.difficulty]);
+    features.difficulty = gap === 0 ? 1 : gap === 1 ? 0.4 : 0;
+  }
+  if (preferences.lengthKm && lengthKm) {
+    features.length = Math.exp(-Math.abs(lengthKm - preferences.lengthKm) / preferences.lengthKm);
+  }
+  if (conditions.unfavorable) {
+    const lengthFit = lengthKm ? Math.min(1, SHORT_COURSE_KM / lengthKm) : 0.5;
+    const difficultyFit = level ? (3 - level) / 2 : 0.5;
+    features.condition = (lengthFit + difficultyFit) / 2;
+  }
+
+  return { features, distanceKm, lengthKm };
+};
+
+/**
+ * 점수에 가장 크게 기여한 요소로 추천 이유를 만듭니다.
+ * 근거가 없는 요소(선호 정보 없음, 날씨 양호 등)는 이유로 쓰지 않으며, 이 경우 거리를 이유로 듭니다.
+ */
+const explain = (contributions, { features, distanceKm, lengthKm }, context) => {
+  const eligible = Object.entries(contributions).filter(([feature]) => {
+    if (feature === 'difficulty') return Boolean(context.preferences.difficulty) && features.difficulty === 1;
+    if (feature === 'length') return Boolean(context.preferences.lengthKm && lengthKm) && features.length >= 0.7;
+    if (feature === 'condition') return context.conditions.unfavorable;
+    return features[feature] > 0;
+  });
+  const [top] = eligible.sort((a, b) => b[1] - a[1])[0] || ['distance'];
+
+  switch (top) {
+    case 'saved':
+      return { code: 'SAVED', message: '저장해 둔 코스예요.' };
+    case 'difficulty':
+      return {
+        code: 'PREFERRED_DIFFICULTY',
+        message: `자주 찾는 난이도(${DIFFICULTY_LABELS[context.preferences.difficulty]})의 코스예요.`,
+      };
+    case 'length':
+      return {
+        code: 'PREFERRED_LENGTH',
+        message: `평소 걷는 거리(약 ${Math.round(context.preferences.lengthKm)}km)와 비슷한 ${lengthKm.toFixed(1)}km 코스예요.`,
+      };
+    case 'popularity':
+      return { code: 'POPULAR', message: '최근 많은 사람들이 찾는 인기 코스예요.' };
+    case 'condition':
+      return {
+        code: 'WEATHER',
+        message: `${context.conditions.reason} 부담 없이 걸을 수 있는 코스를 골랐어요.`,
+      };
+    default:
+      return { code: 'NEARBY', message: `현재 위치에서 ${distanceKm.toFixed(1)}km 거리에 있는 코스예요.` };
+  }
+};
+
+/**
+ * 이번 추천에 사용할 가중치를 반환합니다. 인기도 정보가 없으면 인기도를 빼고 합계가 1이 되도록 다시 맞춥니다.
+ */
+const getActiveWeights = (hasPopularity) => {
+  if (hasPopularity) return WEIGHTS;
+  const { popularity, ...rest } = WEIGHTS;
+  const total = 1 - popularity;
+  return Object.fromEntries(Object.entries(rest).map(([feature, weight]) => [feature, weight / total]));
+};
+
+/**
+ * 후보 코스를 사용자 맞춤 점수로 정렬합니다.
+ * @param {object[]} candidates - 후보 코스 목록
+ * @param {object} context
+ * @param {{lat: number, lon: number}} context.origin - 사용자 위치
+ * @param {Set<string>} context.savedIds - 저장한 코스 ID
+ * @param {Set<string>} context.recentIds - 최근 본 코스 ID
+ * @param {{difficulty: string|null, lengthKm: number|null}} context.preferences - inferPreferences 결과
+ * @param {{unfavorable: boolean, reason: string|null}} context.conditions - summarizeConditions 결과
+ * @returns {{course: object, score: number, reason: string, reason_code: string}[]} 점수 내림차순
+ */
+const rankCourses = (candidates, context) => {
+  const maxPopularity = candidates.reduce(
+    (max, course) => Math.max(max, course.popularity?.score_30d || 0),
+    0
+  );
+  const scoringContext = { ...context, maxPopularity };
+  const weights = getActiveWeights(maxPopularity > 0);
+
+  return candidates
+    .map((course) => {
+      const scored = scoreFeatures(course, scoringContext);
+      const contributions = {};
+      let score = 0;
+      for (const [feature, weight] of Object.entries(weights)) {
+        contributions[feature] = scored.features[feature] * weight;
+        score += contributions[feature];
+      }
+      // 방금 본 코스만 반복해서 추천되지 않도록 최근 본 코스는 약간 낮춤
+      if (context.recentIds.has(course.course_id) && !context.savedIds.has(course.course_id)) {
+        score *= 0.9;
+      }
+
+      const reason = explain(contributions, scored, scoringContext);
+      return { course, score: parseFloat(score.toFixed(4)), reason: reason.message, reason_code: reason.code };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  inferPreferences,
+  summarizeConditions,
+  rankCourses,
+};
@@ -0,0 +1,268 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { s3Client, BUCKET_NAME } = require('./course-gpx');
+const { logger } = require('../logger');
+
+const gunzip = promisify(zlib.gunzip);
+
+const SEARCH_INDEX_KEY = 'search/course-search-index.json.gz';
+const SEARCH_INDEX_VERSION = 1;
+// Lambda 컨테이너가 재사용되는 동안 인덱스를 메모리에 유지하는 시간
+const SEARCH_INDEX_TTL_MS = 10 * 60 * 1000;
+
+const FIELD_WEIGHTS = {
+  course_name: 3,
+  location: 2,
+  course_description: 1,
+};
+
+// 행정구역 접미사: "강남구" 검색어와 "강남" 검색어가 서로 매칭되도록 접미사를 뗀 형태도 색인
+const REGION_SUFFIXES = ['특별시', '광역시', '특별자치시', '특별자치도', '시', '군', '구', '읍', '면', '동', '도'];
+
+const HANGUL_BASE = 0xac00;
+const HANGUL_END = 0xd7a3;
+const CHOSEONG = [
+  'ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ',
+];
+const JUNGSEONG = [
+  'ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅘ', 'ㅙ', 'ㅚ', 'ㅛ', 'ㅜ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅠ', 'ㅡ', 'ㅢ', 'ㅣ',
+];
+const JONGSEONG = [
+  '', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ',
+  'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ',
+];
+// 겹받침/겹모음을 타이핑 순서대로 분해 (예: "닭" 입력 중 "달ㄱ" 과 매칭되도록)
+const COMPOUND_JAMO = {
+  ㄳ: 'ㄱㅅ', ㄵ: 'ㄴㅈ', ㄶ: 'ㄴㅎ', ㄺ: 'ㄹㄱ', ㄻ: 'ㄹㅁ', ㄼ: 'ㄹㅂ', ㄽ: 'ㄹㅅ', ㄾ: 'ㄹㅌ', ㄿ: 'ㄹㅍ', ㅀ: 'ㄹㅎ', ㅄ: 'ㅂㅅ',
+  ㅘ: 'ㅗㅏ', ㅙ: 'ㅗㅐ', ㅚ: 'ㅗㅣ', ㅝ: 'ㅜㅓ', ㅞ: 'ㅜㅔ', ㅟ: 'ㅜㅣ', ㅢ: 'ㅡㅣ',
+};
+
+let cachedIndex = null;
+let cachedAt = 0;
+
+const isHangulSyllable = (ch) => {
+  const code = ch.charCodeAt(0);
+  return code >= HANGUL_BASE && code <= HANGUL_END;
+};
+
+const isChoseongOnly = (text) => text.length > 0 && [...text].every((ch) => CHOSEONG.includes(ch));
+
+const normalizeText = (text) =>
+  String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^0-9a-zㄱ-ㆎ가-힣\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * 한글 음절을 자모 단위로 분해합니다. (예: "둘레길" -> "ㄷㅜㄹㄹㅔㄱㅣㄹ")
+ */
+const decomposeHangul = (text) =>
+  [...text]
+    .map((ch) => {
+      if (!isHangulSyllable(ch)) {
+        return COMPOUND_JAMO[ch] || ch;
+      }
+      const offset = ch.charCodeAt(0) - HANGUL_BASE;
+      const cho = CHOSEONG[Math.floor(offset / 588)];
+      const jung = JUNGSEONG[Math.floor((offset % 588) / 28)];
+      const jong = JONGSEONG[offset % 28];
+      return cho + (COMPOUND_JAMO[jung] || jung) + (COMPOUND_JAMO[jong] || jong);
+    })
+    .join('');
+
+/**
+ * 한글 음절의 초성만 추출합니다. (예: "북한산" -> "ㅂㅎㅅ")
+ */
+const getChoseong = (text) =>
+  [...text]
+    .map((ch) => (isHangulSyllable(ch) ? CHOSEONG[Math.floor((ch.charCodeAt(0) - HANGUL_BASE) / 588)] : ch))
+    .join('');
+
+const stripRegionSuffix = (word) => {
+  for (const suffix of REGION_SUFFIXES) {
+    if (word.length > suffix.length + 1 && word.endsWith(suffix)) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return null;
+};
+
+/**
+ * 텍스트를 색인 단위(term)로 분리합니다.
+ * 띄어쓰기가 일정하지 않은 한국어 특성상 단어 자체와 함께 2-gram을 생성하여 부분 일치를 지원합니다.
+ * @param {string} text
+ * @returns {string[]} 중복을 포함한 term 목록
+ */
+const tokenize = (text) => {
+  const terms = [];
+
+  for (const word of normalizeText(text).split(' ')) {
+    if (!word) continue;
+
+    const variants = [word];
+    const stem = stripRegionSuffix(word);
+    if (stem) variants.push(stem);
+
+    for (const variant of variants) {
+      terms.push(variant);
+      if (variant.length > 2) {
+        for (let i = 0; i < variant.length - 1; i++) {
+          terms.push(variant.substring(i, i + 2));
+        }
+      }
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * 코스 메타데이터 목록으로 검색 인덱스를 생성합니다. (시딩 시점에 실행)
+ * @param {object[]} courses - course_id, course_name, location, course_description 을 포함한 코스 목록
+ * @returns {object} 직렬화 가능한 검색 인덱스
+ */
+const buildSearchIndex = (courses) => {
+  const documents = [];
+  const postings = {};
+
+  courses.forEach((course) => {
+    const docIndex = documents.length;
+    const termWeights = {};
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of tokenize(course[field])) {
+        termWeights[term] = (termWeights[term] || 0) + weight;
+      }
+    }
+
+    for (const [term, weight] of Object.entries(termWeights)) {
+      if (!postings[term]) postings[term] = [];
+      postings[term].push([docIndex, weight]);
+    }
+
+    const name = normalizeText(course.course_name);
+    const location = normalizeText(course.location);
+    documents.push({
+      course_id: course.course_id,
+      name,
+      location,
+      name_jamo: decomposeHangul(name.replace(/ /g, '')),
+      location_jamo: decomposeHangul(location.replace(/ /g, '')),
+      name_choseong: getChoseong(name.replace(/ /g, '')),
+      location_choseong: getChoseong(location.replace(/ /g, '')),
+    });
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    built_at: new Date().toISOString(),
+    documents,
+    postings,
+  };
+};
+
+const addScore = (scores, docIndex, score) => {
+  scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+};
+
+/**
+ * 검색 인덱스에서 질의어와 관련도가 높은 코스를 찾습니다.
+ * - 초성만으로 된 질의어("ㅂㅎㅅ")는 코스명/위치의 초성과 비교합니다.
+ * - 일반 질의어는 term 단위 TF-IDF 점수에 코스명 포함/접두 일치 가중치를 더합니다.
+ * - 입력 중인 음절("북한ㅅ")도 자모 단위로 비교하여 매칭합니다.
+ * @param {object} index - buildSearchIndex 결과
+ * @param {string} query - 검색어
+ * @param {number} limit - 최대 결과 수
+ * @returns {{course_id: string, score: number}[]} 점수 내림차순 결과
+ */
+const searchIndex = (index, query, limit) => {
+  const normalized = normalizeText(query);
+  if (!normalized) return [];
+
+  const compact = normalized.replace(/ /g, '');
+  const scores = new Map();
+  const docCount = index.documents.length;
+
+  if (isChoseongOnly(compact)) {
+    index.documents.forEach((doc, docIndex) => {
+      if (doc.name_choseong.startsWith(compact)) addScore(scores, docIndex, 6);
+      else if (doc.name_choseong.includes(compact)) addScore(scores, docIndex, 4);
+      if (doc.location_choseong.includes(compact)) addScore(scores, docIndex, 2);
+    });
+  } else {
+    for (const term of new Set(tokenize(normalized))) {
+      const posting = index.postings[term];
+      if (!posting) continue;
+      const idf = Math.log(1 + docCount / posting.length);
+      for (const [docIndex, weight] of posting) {
+        addScore(scores, docIndex, weight * idf);
+      }
+    }
+
+    const queryJamo = decomposeHangul(compact);
+    index.documents.forEach((doc, docIndex) => {
+      const name = doc.name.replace(/ /g, '');
+      if (name.startsWith(compact)) addScore(scores, docIndex, 10);
+      else if (name.includes(compact)) addScore(scores, docIndex, 6);
+      else if (doc.name_jamo.includes(queryJamo)) addScore(scores, docIndex, 4);
+
+      if (doc.location_jamo.includes(queryJamo)) addScore(scores, docIndex, 3);
+    });
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([docIndex, score]) => ({
+      course_id: index.documents[docIndex].course_id,
+      score: parseFloat(score.toFixed(3)),
+    }));
+};
+
+/**
+ * S3에 저장된 검색 인덱스를 가져옵니다. 컨테이너 재사용 시 메모리 캐시를 사용합니다.
+ * @returns {Promise<object|null>} 인덱스가 아직 생성되지 않았으면 null
+ */
+const getSearchIndex = async () => {
+  if (cachedIndex && Date.now() - cachedAt < SEARCH_INDEX_TTL_MS) {
+    return cachedIndex;
+  }
+
+  try {
+    const response = await s3Client.send(
+      new GetObjectCommand({ Bucket: BUCKET_NAME, Key: SEARCH_INDEX_KEY })
+    );
+    const compressed = Buffer.from(await response.Body.transformToByteArray());
+    const index = JSON.parse((await gunzip(compressed)).toString('utf8'));
+
+    if (index.version !== SEARCH_INDEX_VERSION) {
+      logger.warn(`Search index version mismatch: expected=${SEARCH_INDEX_VERSION}, actual=${index.version}`);
+    }
+
+    cachedIndex = index;
+    cachedAt = Date.now();
+    logger.info(`Search index loaded: documents=${index.documents.length}, built_at=${index.built_at}`);
+    return cachedIndex;
+  } catch (error) {
+    if (error.name === 'NoSuchKey') {
+      logger.warn('Search index not found in S3');
+      return null;
+    }
+    logger.error(`Search index fetch failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  SEARCH_INDEX_KEY,
+  normalizeText,
+  decomposeHangul,
+  getChoseong,
+  tokenize,
+  buildSearchIndex,
+  searchIndex,
+  getSearchIndex,
+};
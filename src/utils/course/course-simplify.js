@@ -0,0 +1,172 @@
+const EARTH_RADIUS_M = 6371000;
+// Web Mercator 줌 레벨 0에서 적도 기준 1픽셀이 나타내는 거리 (m)
+const METERS_PER_PIXEL_AT_ZOOM_0 = 156543.03392;
+
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 22;
+const MAX_TOLERANCE_M = 1000;
+
+/**
+ * 지도 줌 레벨에서 1픽셀에 해당하는 거리를 허용 오차(m)로 사용합니다.
+ * 화면에서 구분되지 않는 굴곡만 제거되도록 하기 위함입니다.
+ * @param {number} zoom - 지도 줌 레벨 (0~22)
+ * @param {number} lat - 기준 위도
+ * @returns {number} 허용 오차 (m)
+ */
+const toleranceFromZoom = (zoom, lat) =>
+  (METERS_PER_PIXEL_AT_ZOOM_0 * Math.cos((lat * Math.PI) / 180)) / 2 ** zoom;
+
+/**
+ * [lon, lat] 좌표를 첫 좌표 기준 평면 좌표(m)로 투영합니다. 코스 규모에서는 오차가 무시할 만합니다.
+ */
+const projectToMeters = (coords) => {
+  const [lon0, lat0] = coords[0];
+  const cosLat0 = Math.cos((lat0 * Math.PI) / 180);
+  return coords.map(([lon, lat]) => [
+    (((lon - lon0) * Math.PI) / 180) * EARTH_RADIUS_M * cosLat0,
+    (((lat - lat0) * Math.PI) / 180) * EARTH_RADIUS_M,
+  ]);
+};
+
+const perpendicularDistance = (point, start, end) => {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const lengthSquared = dx * dx + dy * dy;
+
+  if (lengthSquared === 0) {
+    return Math.hypot(point[0] - start[0], point[1] - start[1]);
+  }
+
+  const t = Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared));
+  return Math.hypot(point[0] - (start[0] + t * dx), point[1] - (start[1] + t * dy));
+};
+
+/**
+ * Douglas–Peucker 알고리즘으로 선을 단순화합니다.
+ * 시작점/끝점과 keepIndices에 포함된 점은 항상 유지되며, 그 사이 구간을 각각 단순화합니다.
+ * @param {number[][]} coords - GeoJSON 순서의 [lon, lat, ele?] 좌표 목록
+ * @param {number} toleranceM - 허용 오차 (m)
+ * @param {Set<number>} keepIndices - 반드시 유지할 좌표 인덱스
+ * @returns {number[][]} 단순화된 좌표 목록
+ */
+const simplifyLine = (coords, toleranceM, keepIndices = new Set()) => {
+  if (coords.length <= 2) return coords;
+
+  const projected = projectToMeters(coords);
+  const keep = new Uint8Array(coords.length);
+  const anchors = [...new Set([0, coords.length - 1, ...keepIndices])].sort((a, b) => a - b);
+  anchors.forEach((index) => {
+    keep[index] = 1;
+  });
+
+  // 재귀 대신 스택을 사용하여 점이 많은 GPX에서도 호출 스택이 넘치지 않게 함
+  const stack = [];
+  for (let i = 0; i < anchors.length - 1; i++) {
+    stack.push([anchors[i], anchors[i + 1]]);
+  }
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = perpendicularDistance(projected[i], projected[first], projected[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex !== -1 && maxDistance > toleranceM) {
+      keep[maxIndex] = 1;
+      stack.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return coords.filter((_, i) => keep[i] === 1);
+};
+
+/**
+ * 웨이포인트마다 선 위에서 가장 가까운 좌표의 인덱스를 찾습니다.
+ */
+const findNearestIndices = (coords, waypoints) => {
+  const indices = new Set();
+  if (waypoints.length === 0) return indices;
+
+  const projected = projectToMeters([...coords, ...waypoints]);
+  const projectedWaypoints = projected.slice(coords.length);
+
+  for (const waypoint of projectedWaypoints) {
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    for (let i = 0; i < coords.length; i++) {
+      const distance = Math.hypot(projected[i][0] - waypoint[0], projected[i][1] - waypoint[1]);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = i;
+      }
+    }
+    indices.add(nearest);
+  }
+
+  return indices;
+};
+
+const countLinePoints = (geometry) => {
+  if (geometry.type === 'LineString') return geometry.coordinates.length;
+  if (geometry.type === 'MultiLineString') {
+    return geometry.coordinates.reduce((sum, line) => sum + line.length, 0);
+  }
+  return 0;
+};
+
+/**
+ * GeoJSON FeatureCollection의 선형 geometry를 단순화합니다.
+ * 웨이포인트(Point)는 그대로 두고, 선 위에서 웨이포인트와 가장 가까운 점은 유지합니다.
+ * @param {object} featureCollection - GeoJSON FeatureCollection
+ * @param {number} toleranceM - 허용 오차 (m)
+ * @returns {{featureCollection: object, originalCount: number, simplifiedCount: number}}
+ */
+const simplifyFeatureCollection = (featureCollection, toleranceM) => {
+  const waypoints = featureCollection.features
+    .filter(({ geometry }) => geometry && geometry.type === 'Point')
+    .map(({ geometry }) => geometry.coordinates);
+
+  const simplify = (line) => simplifyLine(line, toleranceM, findNearestIndices(line, waypoints));
+
+  let originalCount = 0;
+  let simplifiedCount = 0;
+
+  const features = featureCollection.features.map((feature) => {
+    const { geometry } = feature;
+    if (!geometry || (geometry.type !== 'LineString' && geometry.type !== 'MultiLineString')) {
+      return feature;
+    }
+
+    const simplifiedGeometry =
+      geometry.type === 'LineString'
+        ? { type: 'LineString', coordinates: simplify(geometry.coordinates) }
+        : { type: 'MultiLineString', coordinates: geometry.coordinates.map(simplify) };
+
+    originalCount += countLinePoints(geometry);
+    simplifiedCount += countLinePoints(simplifiedGeometry);
+
+    return { ...feature, geometry: simplifiedGeometry };
+  });
+
+  return {
+    featureCollection: { ...featureCollection, features },
+    originalCount,
+    simplifiedCount,
+  };
+};
+
+module.exports = {
+  MIN_ZOOM,
+  MAX_ZOOM,
+  MAX_TOLERANCE_M,
+  toleranceFromZoom,
+  simplifyLine,
+  simplifyFeatureCollection,
+};
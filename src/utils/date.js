@@ -0,0 +1,44 @@
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 한국 시간(KST) 기준 날짜 문자열을 반환합니다.
+ * @param {Date} [date]
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const toKstDateString = (date = new Date()) =>
+  new Date(date.getTime() + KST_OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * KST 기준 날짜 문자열에 일 수를 더합니다.
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {number} days - 음수이면 이전 날짜
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const addDays = (dateString, days) =>
+  new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * 날짜가 속한 주의 월요일 날짜를 반환합니다.
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const getWeekStart = (dateString) => {
+  const day = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  return addDays(dateString, -((day + 6) % 7));
+};
+
+/**
+ * 두 날짜 사이의 일 수를 반환합니다. (to - from)
+ */
+const diffDays = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+module.exports = {
+  KST_OFFSET_MS,
+  DAY_MS,
+  toKstDateString,
+  addDays,
+  getWeekStart,
+  diffDays,
+};
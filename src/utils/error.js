@@ -11,6 +11,15 @@ const ERROR_CODES = {
   INVALID_VERIFICATION_CODE: 'INVALID_VERIFICATION_CODE',
   VERIFICATION_CODE_EXPIRED: 'VERIFICATION_CODE_EXPIRED',
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  EMAIL_ALREADY_VERIFIED: 'EMAIL_ALREADY_VERIFIED',
+  UNSUPPORTED_SOCIAL_PROVIDER: 'UNSUPPORTED_SOCIAL_PROVIDER',
+  INVALID_SOCIAL_TOKEN: 'INVALID_SOCIAL_TOKEN',
+  SOCIAL_EMAIL_REQUIRED: 'SOCIAL_EMAIL_REQUIRED',
+  SOCIAL_ACCOUNT_CONFLICT: 'SOCIAL_ACCOUNT_CONFLICT',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  MFA_SESSION_EXPIRED: 'MFA_SESSION_EXPIRED',
+  INVALID_RECOVERY_CODE: 'INVALID_RECOVERY_CODE',
 
   // 요청 검증 관련 (VALIDATION_*)
   VALIDATION_FAILED: 'VALIDATION_FAILED',
@@ -18,21 +27,34 @@ const ERROR_CODES = {
   INVALID_INPUT: 'INVALID_INPUT',
   INVALID_QUERY_PARAMS: 'INVALID_QUERY_PARAMS',
   NO_FIELDS_TO_UPDATE: 'NO_FIELDS_TO_UPDATE',
+  INVALID_TRACK_FILE: 'INVALID_TRACK_FILE',
 
   // 리소스 관련 (RESOURCE_*)
   RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
   COURSE_NOT_FOUND: 'COURSE_NOT_FOUND',
   USER_NOT_FOUND_FOR_RESOURCE: 'USER_NOT_FOUND_FOR_RESOURCE',
+  WALK_NOT_FOUND: 'WALK_NOT_FOUND',
+  WALK_ALREADY_IN_PROGRESS: 'WALK_ALREADY_IN_PROGRESS',
+  INVALID_WALK_STATE: 'INVALID_WALK_STATE',
+  WALK_UPDATE_CONFLICT: 'WALK_UPDATE_CONFLICT',
+  GOAL_NOT_FOUND: 'GOAL_NOT_FOUND',
+  GOAL_ALREADY_EXISTS: 'GOAL_ALREADY_EXISTS',
+  DUPLICATE_WALK: 'DUPLICATE_WALK',
+  EXPORT_JOB_NOT_FOUND: 'EXPORT_JOB_NOT_FOUND',
+  WITHDRAWAL_NOT_PENDING: 'WITHDRAWAL_NOT_PENDING',
+  WITHDRAWAL_GRACE_PERIOD_EXPIRED: 'WITHDRAWAL_GRACE_PERIOD_EXPIRED',
 
   // 외부 API 관련 (EXTERNAL_*)
   WEATHER_API_ERROR: 'WEATHER_API_ERROR',
   AIRKOREA_API_ERROR: 'AIRKOREA_API_ERROR',
   MEDICAL_API_ERROR: 'MEDICAL_API_ERROR',
   KMA_API_ERROR: 'KMA_API_ERROR',
+  SOCIAL_PROVIDER_ERROR: 'SOCIAL_PROVIDER_ERROR',
 
   // 서버 오류 (SERVER_*)
   INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
   DATABASE_ERROR: 'DATABASE_ERROR',
+  SEARCH_INDEX_UNAVAILABLE: 'SEARCH_INDEX_UNAVAILABLE',
   UNEXPECTED_ERROR: 'UNEXPECTED_ERROR',
 };
 
@@ -49,6 +71,15 @@ const ERROR_MESSAGES = {
   [ERROR_CODES.INVALID_VERIFICATION_CODE]: '인증 코드가 일치하지 않습니다.',
   [ERROR_CODES.VERIFICATION_CODE_EXPIRED]: '인증 코드가 만료되었습니다.',
   [ERROR_CODES.RATE_LIMIT_EXCEEDED]: '요청 횟수 제한을 초과했습니다.',
+  [ERROR_CODES.EMAIL_NOT_VERIFIED]: '이메일 인증이 완료되지 않았습니다.',
+  [ERROR_CODES.EMAIL_ALREADY_VERIFIED]: '이미 인증이 완료된 이메일입니다.',
+  [ERROR_CODES.UNSUPPORTED_SOCIAL_PROVIDER]: '지원하지 않는 소셜 로그인입니다.',
+  [ERROR_CODES.INVALID_SOCIAL_TOKEN]: '소셜 로그인 인증 정보가 유효하지 않습니다.',
+  [ERROR_CODES.SOCIAL_EMAIL_REQUIRED]: '소셜 계정의 이메일 제공에 동의해야 합니다.',
+  [ERROR_CODES.SOCIAL_ACCOUNT_CONFLICT]: '같은 이메일로 가입된 계정이 있습니다. 이메일로 로그인해주세요.',
+  [ERROR_CODES.SESSION_NOT_FOUND]: '로그인된 기기를 찾을 수 없습니다.',
+  [ERROR_CODES.MFA_SESSION_EXPIRED]: '로그인 세션이 만료되었습니다. 다시 로그인해주세요.',
+  [ERROR_CODES.INVALID_RECOVERY_CODE]: '복구 코드가 올바르지 않습니다.',
 
   // 요청 검증 관련
   [ERROR_CODES.VALIDATION_FAILED]: '입력값이 유효하지 않습니다.',
@@ -56,21 +87,34 @@ const ERROR_MESSAGES = {
   [ERROR_CODES.INVALID_INPUT]: '입력값이 유효하지 않습니다.',
   [ERROR_CODES.INVALID_QUERY_PARAMS]: '쿼리 파라미터가 유효하지 않습니다.',
   [ERROR_CODES.NO_FIELDS_TO_UPDATE]: '업데이트할 필드가 제공되지 않았습니다.',
+  [ERROR_CODES.INVALID_TRACK_FILE]: '걷기 기록 파일을 읽을 수 없습니다.',
 
   // 리소스 관련
   [ERROR_CODES.RESOURCE_NOT_FOUND]: '요청한 리소스를 찾을 수 없습니다.',
   [ERROR_CODES.COURSE_NOT_FOUND]: '코스를 찾을 수 없습니다.',
   [ERROR_CODES.USER_NOT_FOUND_FOR_RESOURCE]: '사용자를 찾을 수 없습니다.',
+  [ERROR_CODES.WALK_NOT_FOUND]: '걷기 기록을 찾을 수 없습니다.',
+  [ERROR_CODES.WALK_ALREADY_IN_PROGRESS]: '이미 진행 중인 걷기가 있습니다.',
+  [ERROR_CODES.INVALID_WALK_STATE]: '현재 걷기 상태에서는 처리할 수 없는 요청입니다.',
+  [ERROR_CODES.WALK_UPDATE_CONFLICT]: '다른 요청이 먼저 처리되었습니다. 다시 시도해주세요.',
+  [ERROR_CODES.GOAL_NOT_FOUND]: '목표를 찾을 수 없습니다.',
+  [ERROR_CODES.GOAL_ALREADY_EXISTS]: '같은 기간에 같은 종류의 목표가 이미 있습니다.',
+  [ERROR_CODES.DUPLICATE_WALK]: '같은 시간대의 걷기 기록이 이미 있습니다.',
+  [ERROR_CODES.EXPORT_JOB_NOT_FOUND]: '내보내기 요청을 찾을 수 없습니다.',
+  [ERROR_CODES.WITHDRAWAL_NOT_PENDING]: '탈퇴 처리 중인 계정이 아닙니다.',
+  [ERROR_CODES.WITHDRAWAL_GRACE_PERIOD_EXPIRED]: '탈퇴 취소 가능 기간이 지났습니다.',
 
   // 외부 API 관련
   [ERROR_CODES.WEATHER_API_ERROR]: '날씨 데이터를 조회하는 중 오류가 발생했습니다.',
   [ERROR_CODES.AIRKOREA_API_ERROR]: '대기질 데이터를 조회하는 중 오류가 발생했습니다.',
   [ERROR_CODES.MEDICAL_API_ERROR]: '병원/약국 데이터를 조회하는 중 오류가 발생했습니다.',
   [ERROR_CODES.KMA_API_ERROR]: '기상청 API 호출 중 오류가 발생했습니다.',
+  [ERROR_CODES.SOCIAL_PROVIDER_ERROR]: '소셜 로그인 서비스 호출 중 오류가 발생했습니다.',
 
   // 서버 오류
   [ERROR_CODES.INTERNAL_SERVER_ERROR]: '서버 내부 오류가 발생했습니다.',
   [ERROR_CODES.DATABASE_ERROR]: '데이터베이스 처리 중 오류가 발생했습니다.',
+  [ERROR_CODES.SEARCH_INDEX_UNAVAILABLE]: '검색 인덱스가 아직 준비되지 않았습니다.',
   [ERROR_CODES.UNEXPECTED_ERROR]: '예상치 못한 오류가 발생했습니다.',
 };
 
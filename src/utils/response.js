@@ -13,6 +13,13 @@ const success = (data, statusCode = 200) => ({
   body: JSON.stringify(data),
 });
 
+// JSON 이외의 형식(GPX, KML 등)으로 응답할 때 사용
+const raw = (body, contentType, statusCode = 200) => ({
+  statusCode,
+  headers: { ...headers, 'Content-Type': contentType },
+  body,
+});
+
 const error = (err) => {
   if (ServerError.isServerError(err)) {
     return {
@@ -57,4 +64,4 @@ const unauthorized = () => {
   };
 };
 
-module.exports = { success, error, notFound, badRequest, unauthorized, headers };
+module.exports = { success, raw, error, notFound, badRequest, unauthorized, headers };
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ServerError, ERROR_CODES } = require('../error');
+const { logger } = require('../logger');
+const { requestProvider } = require('./request');
+
+// https://developer.apple.com/documentation/sign_in_with_apple/sign_in_with_apple_rest_api
+const APPLE_ISSUER = 'https://appleid.apple.com';
+const APPLE_KEYS_URL = `${APPLE_ISSUER}/auth/keys`;
+const APPLE_TOKEN_URL = `${APPLE_ISSUER}/auth/token`;
+
+// Apple 공개키는 자주 바뀌지 않으므로 컨테이너 재사용 시 메모리에 캐시
+const KEYS_CACHE_TTL_MS = 60 * 60 * 1000;
+const CLIENT_SECRET_TTL_S = 5 * 60;
+
+let keysCache = null;
+
+// 앱(번들 ID)과 웹(서비스 ID)에서 모두 로그인할 수 있도록 쉼표로 여러 개 설정 가능
+const getClientIds = () =>
+  (process.env.APPLE_CLIENT_ID || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+const getSigningKey = async (kid, { refresh = false } = {}) => {
+  if (refresh || !keysCache || Date.now() - keysCache.cachedAt > KEYS_CACHE_TTL_MS) {
+    const { keys } = await requestProvider('apple', { method: 'GET', url: APPLE_KEYS_URL });
+    keysCache = { keys, cachedAt: Date.now() };
+  }
+
+  const jwk = keysCache.keys.find((key) => key.kid === kid);
+  if (!jwk) {
+    // 키가 교체된 직후일 수 있으므로 한 번은 새로 받아 다시 찾음
+    if (!refresh) return getSigningKey(kid, { refresh: true });
+    return null;
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Apple identity token(JWT)의 서명, 발급자, 대상(client ID), 만료를 확인합니다.
+ */
+const verifyIdentityToken = async (identityToken) => {
+  const decoded = jwt.decode(identityToken, { complete: true });
+  const key = decoded && (await getSigningKey(decoded.header.kid));
+  if (!key) {
+    throw new ServerError(ERROR_CODES.INVALID_SOCIAL_TOKEN, 401);
+  }
+
+  try {
+    return jwt.verify(identityToken, key, {
+      algorithms: ['RS256'],
+      issuer: APPLE_ISSUER,
+      audience: getClientIds(),
+    });
+  } catch (err) {
+    logger.warn('Apple identity token verification failed', { error: err.message });
+    throw new ServerError(ERROR_CODES.INVALID_SOCIAL_TOKEN, 401);
+  }
+};
+
+/**
+ * authorization code 교환에 쓰는 client secret(ES256 JWT)을 만듭니다.
+ */
+const createClientSecret = (clientId) => {
+  const privateKey = (process.env.APPLE_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+  if (!privateKey || !process.env.APPLE_TEAM_ID || !process.env.APPLE_KEY_ID) {
+    throw new ServerError(ERROR_CODES.SOCIAL_PROVIDER_ERROR, 500, {
+      reason: 'Apple Sign in keys are not configured',
+    });
+  }
+
+  return jwt.sign({}, privateKey, {
+    algorithm: 'ES256',
+    keyid: process.env.APPLE_KEY_ID,
+    issuer: process.env.APPLE_TEAM_ID,
+    subject: clientId,
+    audience: APPLE_ISSUER,
+    expiresIn: CLIENT_SECRET_TTL_S,
+  });
+};
+
+const exchangeAuthorizationCode = async (authorizationCode) => {
+  const [clientId] = getClientIds();
+  const data = await requestProvider('apple', {
+    method: 'POST',
+    url: APPLE_TOKEN_URL,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    data: new URLSearchParams({
+      client_id: clientId,
+      client_secret: createClientSecret(clientId),
+      code: authorizationCode,
+      grant_type: 'authorization_code',
+    }).toString(),
+  });
+  return data.id_token;
+};
+
+/**
+ * Apple 로그인의 identity token 또는 authorization code로 사용자 정보를 확인합니다.
+ * Apple은 이름을 최초 로그인 때 앱에만 전달하므로 닉네임은 요청 본문으로 받습니다.
+ * @param {{identityToken?: string, authorizationCode?: string, nickname?: string}} body
+ */
+const getProfile = async (body) => {
+  if (getClientIds().length === 0) {
+    throw new ServerError(ERROR_CODES.SOCIAL_PROVIDER_ERROR, 500, {
+      reason: 'APPLE_CLIENT_ID environment variable is not configured',
+    });
+  }
+
+  let { identityToken } = body;
+  if (!identityToken && body.authorizationCode) {
+    identityToken = await exchangeAuthorizationCode(body.authorizationCode);
+  }
+  if (!identityToken) {
+    throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, {
+      message: 'identityToken 또는 authorizationCode가 필요합니다.',
+    });
+  }
+
+  const claims = await verifyIdentityToken(identityToken);
+  return {
+    providerUserId: claims.sub,
+    email: claims.email || null,
+    // 비공개 릴레이 이메일도 Apple이 인증한 주소임
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    nickname: body.nickname || null,
+  };
+};
+
+module.exports = { getProfile };
@@ -0,0 +1,40 @@
+const kakao = require('./kakao');
+const naver = require('./naver');
+const apple = require('./apple');
+
+const SOCIAL_PROVIDERS = ['kakao', 'naver', 'apple'];
+
+/**
+ * 소셜 로그인 제공자 어댑터
+ * 모든 어댑터는 getProfile(body) → {providerUserId, email, emailVerified, nickname}을 구현합니다.
+ * 테스트나 로컬 실행에서는 setSocialAdapter로 가짜 어댑터를 넣어 제공자 API를 호출하지 않을 수 있습니다.
+ */
+const adapters = new Map([
+  ['kakao', kakao],
+  ['naver', naver],
+  ['apple', apple],
+]);
+
+/**
+ * @param {string} provider
+ * @returns {{getProfile: Function}|null} 지원하지 않는 제공자이면 null
+ */
+const getSocialAdapter = (provider) => adapters.get(provider) || null;
+
+/**
+ * 제공자 어댑터를 바꿉니다. (테스트용 가짜 어댑터 등)
+ * @param {string} provider - SOCIAL_PROVIDERS 중 하나
+ * @param {{getProfile: Function}} adapter
+ */
+const setSocialAdapter = (provider, adapter) => {
+  if (!SOCIAL_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown social provider: ${provider}`);
+  }
+  adapters.set(provider, adapter);
+};
+
+module.exports = {
+  SOCIAL_PROVIDERS,
+  getSocialAdapter,
+  setSocialAdapter,
+};
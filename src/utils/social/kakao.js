@@ -0,0 +1,48 @@
+const { ServerError, ERROR_CODES } = require('../error');
+const { requestProvider, requireField } = require('./request');
+
+// https://developers.kakao.com/docs/latest/ko/kakaologin/rest-api
+const KAKAO_API_URL = 'https://kapi.kakao.com';
+
+/**
+ * 카카오 로그인 SDK가 발급한 액세스 토큰으로 사용자 정보를 조회합니다.
+ * 다른 앱에서 발급된 토큰으로 로그인할 수 없도록 토큰의 앱 ID가 KAKAO_APP_ID와 같은지 먼저 확인합니다.
+ * @param {{accessToken: string}} body
+ */
+const getProfile = async (body) => {
+  const appId = process.env.KAKAO_APP_ID;
+  if (!appId) {
+    throw new ServerError(ERROR_CODES.SOCIAL_PROVIDER_ERROR, 500, {
+      reason: 'KAKAO_APP_ID environment variable is not configured',
+    });
+  }
+
+  const accessToken = requireField(body, 'accessToken');
+  const headers = { Authorization: `Bearer ${accessToken}` };
+
+  const tokenInfo = await requestProvider('kakao', {
+    method: 'GET',
+    url: `${KAKAO_API_URL}/v1/user/access_token_info`,
+    headers,
+  });
+  if (String(tokenInfo.app_id) !== String(appId)) {
+    throw new ServerError(ERROR_CODES.INVALID_SOCIAL_TOKEN, 401);
+  }
+
+  const user = await requestProvider('kakao', {
+    method: 'GET',
+    url: `${KAKAO_API_URL}/v2/user/me`,
+    headers,
+  });
+  const account = user.kakao_account || {};
+
+  return {
+    providerUserId: String(user.id),
+    email: account.email || null,
+    // 인증되었고 현재 사용 가능한 이메일만 인증된 이메일로 취급
+    emailVerified: Boolean(account.is_email_verified && account.is_email_valid),
+    nickname: account.profile?.nickname || null,
+  };
+};
+
+module.exports = { getProfile };
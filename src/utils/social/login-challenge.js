@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../../config/dynamodb');
+
+// 소셜 로그인(또는 MFA 복구 코드) 확인 후 Cognito 세션을 발급받는 동안만 유효한 일회용 응답
+const CHALLENGE_SORT_KEY = 'SOCIAL_LOGIN_CHALLENGE';
+const CHALLENGE_TTL_MS = 2 * 60 * 1000;
+
+const hashAnswer = (answer) => crypto.createHash('sha256').update(answer).digest('hex');
+
+/**
+ * Cognito 커스텀 인증(CUSTOM_AUTH)에서 제출할 일회용 응답을 만들어 저장합니다.
+ * 원문은 저장하지 않고 해시만 AUTH_DATA_TABLE에 남깁니다.
+ * @param {string} userId - Cognito sub
+ * @returns {Promise<string>} 응답 원문
+ */
+const createLoginChallenge = async (userId) => {
+  const answer = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+
+  await docClient.send(
+    new PutCommand({
+      TableName: TABLES.AUTH_DATA,
+      Item: {
+        user_id: userId,
+        sort_key: CHALLENGE_SORT_KEY,
+        answer_hash: hashAnswer(answer),
+        expires_at: new Date(expiresAt).toISOString(),
+      },
+    })
+  );
+
+  return answer;
+};
+
+/**
+ * 제출된 응답이 저장된 일회용 응답과 같으면 삭제하고 true를 반환합니다. (VerifyAuthChallengeResponse 트리거)
+ * 조건부 삭제로 같은 응답을 두 번 쓸 수 없게 합니다.
+ * @param {string} userId - Cognito sub
+ * @param {string} answer
+ */
+const consumeLoginChallenge = async (userId, answer) => {
+  if (!userId || !answer) return false;
+
+  try {
+    await docClient.send(
+      new DeleteCommand({
+        TableName: TABLES.AUTH_DATA,
+        Key: { user_id: userId, sort_key: CHALLENGE_SORT_KEY },
+        ConditionExpression: 'answer_hash = :hash AND expires_at > :now',
+        ExpressionAttributeValues: { ':hash': hashAnswer(answer), ':now': new Date().toISOString() },
+      })
+    );
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return false;
+    throw err;
+  }
+};
+
+module.exports = {
+  createLoginChallenge,
+  consumeLoginChallenge,
+};
@@ -0,0 +1,34 @@
+const { ServerError, ERROR_CODES } = require('../error');
+const { requestProvider, requireField } = require('./request');
+
+// https://developers.naver.com/docs/login/profile/profile.md
+const NAVER_PROFILE_URL = 'https://openapi.naver.com/v1/nid/me';
+
+/**
+ * 네이버 로그인 SDK가 발급한 액세스 토큰으로 사용자 정보를 조회합니다.
+ * 네이버 API는 액세스 토큰이 어느 애플리케이션(Client ID)에서 발급되었는지 알려주지 않으므로,
+ * 다른 앱에서 받은 토큰일 수 있어 이메일을 인증된 이메일로 취급하지 않습니다. (기존 계정에 자동 연결하지 않음)
+ * @param {{accessToken: string}} body
+ */
+const getProfile = async (body) => {
+  const accessToken = requireField(body, 'accessToken');
+
+  const data = await requestProvider('naver', {
+    method: 'GET',
+    url: NAVER_PROFILE_URL,
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (data.resultcode !== '00' || !data.response) {
+    throw new ServerError(ERROR_CODES.INVALID_SOCIAL_TOKEN, 401);
+  }
+
+  const { id, email, nickname, name } = data.response;
+  return {
+    providerUserId: id,
+    email: email || null,
+    emailVerified: false,
+    nickname: nickname || name || null,
+  };
+};
+
+module.exports = { getProfile };
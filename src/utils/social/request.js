@@ -0,0 +1,41 @@
+const axios = require('axios');
+const { logger } = require('../logger');
+const { ServerError, ERROR_CODES } = require('../error');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * 소셜 로그인 제공자 API를 호출합니다.
+ * 토큰이 거부되면(400/401) INVALID_SOCIAL_TOKEN, 그 밖의 실패는 SOCIAL_PROVIDER_ERROR로 바꿉니다.
+ * @param {string} provider - 로그에 남길 제공자 이름
+ * @param {import('axios').AxiosRequestConfig} config
+ */
+const requestProvider = async (provider, config) => {
+  try {
+    const response = await axios.request({ timeout: REQUEST_TIMEOUT_MS, ...config });
+    return response.data;
+  } catch (err) {
+    const status = err.response?.status;
+    logger.warn('Social provider request failed', { provider, url: config.url, status, error: err.message });
+
+    if (status === 400 || status === 401) {
+      throw new ServerError(ERROR_CODES.INVALID_SOCIAL_TOKEN, 401);
+    }
+    throw new ServerError(ERROR_CODES.SOCIAL_PROVIDER_ERROR, 502, { provider });
+  }
+};
+
+/**
+ * 필요한 토큰이 요청에 없으면 VALIDATION_FAILED를 던집니다.
+ */
+const requireField = (body, field) => {
+  if (!body[field]) {
+    throw new ServerError(ERROR_CODES.VALIDATION_FAILED, 400, { message: `${field}가 필요합니다.` });
+  }
+  return body[field];
+};
+
+module.exports = {
+  requestProvider,
+  requireField,
+};
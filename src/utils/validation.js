@@ -6,7 +6,7 @@ const validateBody = (schema, body) => {
     return { success: true, data: schema.parse(body) };
   } catch (error) {
     if (error instanceof z.ZodError) {
-      const errors = error.errors.map((err) => ({
+      const errors = error.issues.map((err) => ({
         field: err.path.join('.'),
         message: err.message,
       }));
@@ -25,13 +25,41 @@ const registerSchema = z.object({
   nickname: z.string().min(1, '닉네임은 최소 1자 이상이어야 합니다.').optional(),
 });
 
+// 로그인 시 기기 정보 (기기 추적, "이 기기 기억하기")
+const deviceOptionsSchema = {
+  deviceKey: z.string().min(1).optional(),
+  deviceName: z.string().min(1).max(100, '기기 이름은 100자 이하여야 합니다.').optional(),
+  rememberDevice: z.boolean().optional(),
+};
+
 const loginSchema = z.object({
   email: z.string().email('유효한 이메일 주소를 입력해주세요.'),
   password: z.string().min(1, '비밀번호를 입력해주세요.'),
+  ...deviceOptionsSchema,
 });
 
 const refreshTokenSchema = z.object({
   refreshToken: z.string().min(1, '리프레시 토큰을 입력해주세요.'),
+  deviceKey: z.string().min(1).optional(),
+});
+
+// 로그인 MFA 챌린지 응답: 인증 앱 코드 또는 복구 코드 중 하나
+const loginChallengeSchema = z
+  .object({
+    email: z.string().email('유효한 이메일 주소를 입력해주세요.'),
+    session: z.string().min(1, '세션을 입력해주세요.'),
+    code: z.string().regex(/^\d{6}$/, '인증 코드는 6자리 숫자여야 합니다.').optional(),
+    recoveryCode: z.string().min(1, '복구 코드를 입력해주세요.').optional(),
+    ...deviceOptionsSchema,
+  })
+  .refine((body) => Boolean(body.code) !== Boolean(body.recoveryCode), {
+    message: '인증 코드와 복구 코드 중 하나만 입력해주세요.',
+    path: ['code'],
+  });
+
+const mfaVerifySchema = z.object({
+  code: z.string().regex(/^\d{6}$/, '인증 코드는 6자리 숫자여야 합니다.'),
+  deviceName: z.string().min(1).max(100, '기기 이름은 100자 이하여야 합니다.').optional(),
 });
 
 const forgotPasswordSchema = z.object({
@@ -49,6 +77,15 @@ const resetPasswordSchema = z.object({
   password: z.string().min(8, '비밀번호는 최소 8자 이상이어야 합니다.'),
 });
 
+// 제공자마다 필요한 토큰이 다름 (카카오/네이버: accessToken, Apple: identityToken 또는 authorizationCode)
+const socialLoginSchema = z.object({
+  accessToken: z.string().min(1).optional(),
+  identityToken: z.string().min(1).optional(),
+  authorizationCode: z.string().min(1).optional(),
+  nickname: z.string().min(1, '닉네임은 최소 1자 이상이어야 합니다.').optional(),
+  ...deviceOptionsSchema,
+});
+
 // ===== 사용자 관련 스키마 =====
 
 const updateProfileSchema = z.object({
@@ -85,11 +122,89 @@ const logWalkSchema = z.object({
       invalid_type_error: '걷기 거리는 숫자여야 합니다.',
     })
     .positive('걷기 거리는 양수여야 합니다.'),
+  duration_minutes: z
+    .number({ invalid_type_error: '걷기 시간은 숫자여야 합니다.' })
+    .positive('걷기 시간은 양수여야 합니다.')
+    .optional(),
+  course_id: z.string().min(1, '코스 ID는 비어 있을 수 없습니다.').optional(),
+  walked_at: z.string().datetime({ offset: true, message: '걸은 시각은 ISO 8601 형식이어야 합니다.' }).optional(),
+  elevation_gain_m: z.number().nonnegative('상승 고도는 0 이상이어야 합니다.').optional(),
+});
+
+// ===== 걷기 세션 관련 스키마 =====
+
+// 한 번에 전송할 수 있는 GPS 좌표 수
+const MAX_WALK_POINTS_PER_BATCH = 500;
+
+const timestampSchema = z.string().datetime({ offset: true, message: '시각은 ISO 8601 형식이어야 합니다.' });
+
+const startWalkSchema = z.object({
+  course_id: z.string().min(1, '코스 ID는 비어 있을 수 없습니다.').optional(),
+  started_at: timestampSchema.optional(),
+});
+
+const walkPointSchema = z.object({
+  lat: z.number({ required_error: '위도는 필수입니다.' }).min(-90).max(90),
+  lon: z.number({ required_error: '경도는 필수입니다.' }).min(-180).max(180),
+  timestamp: timestampSchema,
+  elevation: z.number().optional(),
+  accuracy: z.number().nonnegative('정확도는 0 이상이어야 합니다.').optional(),
+});
+
+const addWalkPointsSchema = z.object({
+  points: z
+    .array(walkPointSchema)
+    .min(1, '좌표를 하나 이상 전송해주세요.')
+    .max(MAX_WALK_POINTS_PER_BATCH, `좌표는 한 번에 최대 ${MAX_WALK_POINTS_PER_BATCH}개까지 전송할 수 있습니다.`),
+});
+
+const walkEventSchema = z.object({
+  timestamp: timestampSchema.optional(),
+});
+
+const finishWalkSchema = z.object({
+  ended_at: timestampSchema.optional(),
+});
+
+// ===== 코스 진행 관련 스키마 =====
+
+const courseProgressSchema = z.object({
+  lat: z.number({ required_error: '위도는 필수입니다.' }).min(-90).max(90),
+  lon: z.number({ required_error: '경도는 필수입니다.' }).min(-180).max(180),
+  accuracy: z.number().nonnegative('정확도는 0 이상이어야 합니다.').optional(),
+  last_distance_km: z.number().nonnegative('직전 진행 거리는 0 이상이어야 합니다.').optional(),
+});
+
+// ===== 목표 관련 스키마 =====
+
+const goalTargetSchema = z
+  .number({ required_error: '목표 값은 필수입니다.', invalid_type_error: '목표 값은 숫자여야 합니다.' })
+  .positive('목표 값은 양수여야 합니다.');
+
+const createGoalSchema = z
+  .object({
+    metric: z.enum(['distance', 'walk_count', 'course_count'], {
+      errorMap: () => ({ message: '목표 종류는 distance, walk_count, course_count 중 하나여야 합니다.' }),
+    }),
+    period: z.enum(['day', 'week', 'month'], {
+      errorMap: () => ({ message: '목표 기간은 day, week, month 중 하나여야 합니다.' }),
+    }),
+    target: goalTargetSchema,
+  })
+  .refine((goal) => goal.metric === 'distance' || Number.isInteger(goal.target), {
+    message: '횟수 목표는 정수여야 합니다.',
+    path: ['target'],
+  });
+
+const updateGoalSchema = z.object({
+  target: goalTargetSchema,
 });
 
 const updatePasswordSchema = z.object({
   currentPassword: z.string().min(1, '현재 비밀번호를 입력해주세요.'),
   newPassword: z.string().min(8, '새 비밀번호는 최소 8자 이상이어야 합니다.'),
+  signOutOtherDevices: z.boolean().optional(),
+  ...deviceOptionsSchema,
 });
 
 const saveCourseSchema = z.object({
@@ -101,12 +216,22 @@ module.exports = {
   registerSchema,
   loginSchema,
   refreshTokenSchema,
+  loginChallengeSchema,
+  mfaVerifySchema,
   forgotPasswordSchema,
   verifyCodeSchema,
   resetPasswordSchema,
+  socialLoginSchema,
   updateProfileSchema,
   updateLocationSchema,
   logWalkSchema,
+  startWalkSchema,
+  addWalkPointsSchema,
+  walkEventSchema,
+  finishWalkSchema,
+  courseProgressSchema,
+  createGoalSchema,
+  updateGoalSchema,
   updatePasswordSchema,
   saveCourseSchema,
 };
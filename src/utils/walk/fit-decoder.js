@@ -0,0 +1,183 @@
+// FIT(Flexible and Interoperable Data Transfer) 활동 파일에서 위치 기록(record 메시지)만 읽는 최소 디코더
+// 프로토콜 문서: https://developer.garmin.com/fit/protocol/
+
+const FIT_SIGNATURE = '.FIT';
+const RECORD_MESSAGE = 20;
+
+// record 메시지의 필드 번호
+const FIELD_POSITION_LAT = 0;
+const FIELD_POSITION_LONG = 1;
+const FIELD_ALTITUDE = 2;
+const FIELD_ENHANCED_ALTITUDE = 78;
+const FIELD_TIMESTAMP = 253;
+
+// FIT 시각은 1989-12-31T00:00:00Z부터의 초
+const FIT_EPOCH_MS = Date.UTC(1989, 11, 31);
+const SEMICIRCLE_TO_DEGREES = 180 / 2 ** 31;
+
+// 필드 값이 없음을 나타내는 값
+const INVALID_SINT32 = 0x7fffffff;
+const INVALID_UINT32 = 0xffffffff;
+const INVALID_UINT16 = 0xffff;
+
+const COMPRESSED_TIMESTAMP_MASK = 0x1f;
+
+const readUInt = (buffer, offset, size, littleEndian) => {
+  if (size === 1) return buffer.readUInt8(offset);
+  if (size === 2) return littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  if (size === 4) return littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  return null;
+};
+
+const readSInt32 = (buffer, offset, littleEndian) =>
+  littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+
+/**
+ * FIT 파일인지 헤더의 시그니처로 확인합니다.
+ * @param {Buffer} buffer
+ */
+const isFitFile = (buffer) =>
+  buffer.length >= 12 && buffer.toString('ascii', 8, 12) === FIT_SIGNATURE;
+
+/**
+ * record 메시지 하나의 필드 값에서 좌표를 꺼냅니다.
+ */
+const toTrackPoint = (fields, timestamp) => {
+  const lat = fields[FIELD_POSITION_LAT];
+  const lon = fields[FIELD_POSITION_LONG];
+  if (lat === undefined || lon === undefined || lat === INVALID_SINT32 || lon === INVALID_SINT32) return null;
+  if (timestamp === null) return null;
+
+  const enhancedAltitude = fields[FIELD_ENHANCED_ALTITUDE];
+  const altitude = fields[FIELD_ALTITUDE];
+  let elevation = null;
+  if (enhancedAltitude !== undefined && enhancedAltitude !== INVALID_UINT32) {
+    elevation = enhancedAltitude / 5 - 500;
+  } else if (altitude !== undefined && altitude !== INVALID_UINT16) {
+    elevation = altitude / 5 - 500;
+  }
+
+  return {
+    lat: lat * SEMICIRCLE_TO_DEGREES,
+    lon: lon * SEMICIRCLE_TO_DEGREES,
+    timestamp: new Date(FIT_EPOCH_MS + timestamp * 1000).toISOString(),
+    elevation,
+  };
+};
+
+/**
+ * 데이터 메시지를 읽어 record 메시지이면 좌표를 추가하고, 다음 메시지의 위치를 반환합니다.
+ */
+const readDataMessage = (buffer, offset, definition, timestamp, points) => {
+  if (!definition) {
+    throw new Error('정의되지 않은 FIT 메시지입니다.');
+  }
+
+  const messageSize = definition.fields.reduce((sum, field) => sum + field.size, 0) + definition.developerSize;
+  if (offset + messageSize > buffer.length) {
+    throw new Error('FIT 파일이 잘렸습니다.');
+  }
+
+  if (definition.globalMessage === RECORD_MESSAGE) {
+    const values = {};
+    let fieldOffset = offset;
+    for (const field of definition.fields) {
+      if (field.num === FIELD_POSITION_LAT || field.num === FIELD_POSITION_LONG) {
+        if (field.size === 4) values[field.num] = readSInt32(buffer, fieldOffset, definition.littleEndian);
+      } else if (field.num === FIELD_ALTITUDE || field.num === FIELD_ENHANCED_ALTITUDE) {
+        values[field.num] = readUInt(buffer, fieldOffset, field.size, definition.littleEndian);
+      }
+      fieldOffset += field.size;
+    }
+
+    const point = toTrackPoint(values, timestamp);
+    if (point) points.push(point);
+  }
+
+  return offset + messageSize;
+};
+
+/**
+ * FIT 파일의 record 메시지에서 위치가 있는 좌표를 순서대로 읽습니다.
+ * 여러 파일이 이어 붙은 경우 첫 번째 파일만 읽습니다.
+ * @param {Buffer} buffer
+ * @returns {{lat: number, lon: number, timestamp: string, elevation: number|null}[]}
+ * @throws {Error} FIT 파일이 아니거나 내용이 잘린 경우
+ */
+const decodeFitRecords = (buffer) => {
+  if (!isFitFile(buffer)) {
+    throw new Error('FIT 파일 시그니처가 없습니다.');
+  }
+
+  const headerSize = buffer.readUInt8(0);
+  const dataEnd = Math.min(buffer.length, headerSize + buffer.readUInt32LE(4));
+  const definitions = new Map();
+  const points = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < dataEnd) {
+    const header = buffer.readUInt8(offset++);
+
+    // 압축 타임스탬프 헤더: 직전 시각의 하위 5비트만 바꾼 데이터 메시지
+    if (header & 0x80) {
+      const localType = (header >> 5) & 0x03;
+      const timeOffset = header & COMPRESSED_TIMESTAMP_MASK;
+      if (lastTimestamp !== null) {
+        const base = lastTimestamp - (lastTimestamp & COMPRESSED_TIMESTAMP_MASK);
+        lastTimestamp =
+          timeOffset >= (lastTimestamp & COMPRESSED_TIMESTAMP_MASK) ? base + timeOffset : base + timeOffset + 0x20;
+      }
+      offset = readDataMessage(buffer, offset, definitions.get(localType), lastTimestamp, points);
+      continue;
+    }
+
+    const localType = header & 0x0f;
+
+    if (header & 0x40) {
+      const hasDeveloperFields = Boolean(header & 0x20);
+      const littleEndian = buffer.readUInt8(offset + 1) === 0;
+      const globalMessage = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer.readUInt8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ num: buffer.readUInt8(offset), size: buffer.readUInt8(offset + 1) });
+        offset += 3;
+      }
+
+      let developerSize = 0;
+      if (hasDeveloperFields) {
+        const developerCount = buffer.readUInt8(offset++);
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += buffer.readUInt8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions.set(localType, { globalMessage, littleEndian, fields, developerSize });
+      continue;
+    }
+
+    const definition = definitions.get(localType);
+    const timestampField = definition && definition.fields.find((field) => field.num === FIELD_TIMESTAMP);
+    if (timestampField) {
+      let fieldOffset = offset;
+      for (const field of definition.fields) {
+        if (field === timestampField) break;
+        fieldOffset += field.size;
+      }
+      const value = readUInt(buffer, fieldOffset, timestampField.size, definition.littleEndian);
+      if (value !== null && value !== INVALID_UINT32) lastTimestamp = value;
+    }
+    offset = readDataMessage(buffer, offset, definition, lastTimestamp, points);
+  }
+
+  return points;
+};
+
+module.exports = {
+  isFitFile,
+  decodeFitRecords,
+};
@@ -0,0 +1,33 @@
+// 서울시 25개 자치구
+const SEOUL_DISTRICTS = [
+  '종로구', '중구', '용산구', '성동구', '광진구', '동대문구', '중랑구', '성북구', '강북구', '도봉구',
+  '노원구', '은평구', '서대문구', '마포구', '양천구', '강서구', '구로구', '금천구', '영등포구', '동작구',
+  '관악구', '서초구', '강남구', '송파구', '강동구',
+];
+
+const SEOUL_DISTRICT_COUNT = SEOUL_DISTRICTS.length;
+
+// 다른 시에도 있는 구 이름(중구, 강서구 등)과 구분하기 위해 서울 표기가 있어야 서울 자치구로 봄
+const SEOUL_PATTERN = /^서울(특별시|시)?$/;
+
+/**
+ * 코스 소재지(location)에서 서울시 자치구를 찾습니다.
+ * 두루누비 코스는 "서울 종로구"처럼 시군구가, 서울둘레길 코스는 시작 지점 주소가 들어 있습니다.
+ * @param {string|null|undefined} location - 코스 소재지
+ * @returns {string|null} 자치구 이름. 서울이 아니거나 구를 알 수 없으면 null
+ */
+function findSeoulDistrict(location) {
+  if (typeof location !== 'string') return null;
+
+  const tokens = location.trim().split(/\s+/);
+  const cityIndex = tokens.findIndex((token) => SEOUL_PATTERN.test(token));
+  if (cityIndex === -1) return null;
+
+  return SEOUL_DISTRICTS.find((district) => tokens[cityIndex + 1] === district) || null;
+}
+
+module.exports = {
+  SEOUL_DISTRICTS,
+  SEOUL_DISTRICT_COUNT,
+  findSeoulDistrict,
+};
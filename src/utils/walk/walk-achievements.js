@@ -0,0 +1,74 @@
+const { SEOUL_DISTRICT_COUNT } = require('./seoul-districts');
+
+// 서울둘레길 코스 수 (seoultrail_1 ~ seoultrail_21)
+const SEOUL_TRAIL_COURSE_COUNT = 21;
+
+/**
+ * 업적 규칙. 각 규칙은 사용자 지표(metric)가 목표 값(target) 이상이면 달성됩니다.
+ * 지표 값은 achievementService의 gatherFacts에서 계산합니다.
+ * 새 업적은 여기에 규칙만 추가하면 되며, id는 저장 키로 쓰이므로 바꾸지 않습니다.
+ */
+const ACHIEVEMENT_RULES = [
+  { id: 'first_walk', name: '첫 걸음', description: '첫 걷기를 기록했어요.', metric: 'walk_count', target: 1 },
+  { id: 'walk_count_50', name: '꾸준한 산책가', description: '50번 걸었어요.', metric: 'walk_count', target: 50 },
+  { id: 'distance_10km', name: '10km 달성', description: '누적 10km를 걸었어요.', metric: 'total_distance_km', target: 10 },
+  { id: 'distance_100km', name: '100km 달성', description: '누적 100km를 걸었어요.', metric: 'total_distance_km', target: 100 },
+  { id: 'distance_500km', name: '500km 달성', description: '누적 500km를 걸었어요.', metric: 'total_distance_km', target: 500 },
+  { id: 'first_course', name: '첫 완주', description: '코스를 처음으로 완주했어요.', metric: 'completed_course_count', target: 1 },
+  {
+    id: 'seoultrail_all',
+    name: '서울둘레길 완주',
+    description: `서울둘레길 ${SEOUL_TRAIL_COURSE_COUNT}개 코스를 모두 완주했어요.`,
+    metric: 'seoultrail_completed_count',
+    target: SEOUL_TRAIL_COURSE_COUNT,
+  },
+  {
+    id: 'all_districts',
+    name: '서울 한 바퀴',
+    description: `서울 ${SEOUL_DISTRICT_COUNT}개 자치구에서 모두 코스를 완주했어요.`,
+    metric: 'visited_district_count',
+    target: SEOUL_DISTRICT_COUNT,
+  },
+  { id: 'streak_7', name: '일주일 연속', description: '7일 연속으로 걸었어요.', metric: 'longest_streak', target: 7 },
+  { id: 'streak_30', name: '한 달 연속', description: '30일 연속으로 걸었어요.', metric: 'longest_streak', target: 30 },
+];
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+/**
+ * 사용자 지표로 각 업적의 달성 여부와 진행률을 계산합니다.
+ * @param {object} facts - 지표 이름 -> 값
+ * @param {object[]} [rules] - 평가할 규칙 (기본: 전체 규칙)
+ * @returns {{rule: object, current: number, satisfied: boolean}[]}
+ */
+const evaluateRules = (facts, rules = ACHIEVEMENT_RULES) =>
+  rules.map((rule) => {
+    const current = facts[rule.metric] || 0;
+    return { rule, current, satisfied: current >= rule.target };
+  });
+
+/**
+ * 업적 응답 항목을 만듭니다. 진행률은 아직 달성하지 못한 업적에만 붙습니다.
+ * @param {{rule: object, current?: number}} evaluation - evaluateRules 결과 항목 (달성한 업적은 rule만 있어도 됨)
+ * @param {object|undefined} award - 저장된 달성 기록 (earned_at)
+ */
+const toAchievementResponse = ({ rule, current }, award) => ({
+  achievement_id: rule.id,
+  name: rule.name,
+  description: rule.description,
+  earned: Boolean(award),
+  earned_at: award ? award.earned_at : null,
+  progress: award
+    ? null
+    : {
+        current: round(Math.min(current, rule.target), 2),
+        target: rule.target,
+        percent: Math.min(100, round((current / rule.target) * 100, 1)),
+      },
+});
+
+module.exports = {
+  ACHIEVEMENT_RULES,
+  evaluateRules,
+  toAchievementResponse,
+};
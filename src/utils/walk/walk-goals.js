@@ -0,0 +1,75 @@
+const { addDays } = require('../date');
+
+// 목표 지표 -> 기간별 통계 항목(walk-stats)의 속성
+const GOAL_METRICS = {
+  distance: 'distance_km',
+  walk_count: 'walk_count',
+  course_count: 'courses_completed',
+};
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+/**
+ * 목표의 현재 구간 진행률을 계산합니다.
+ * @param {object} goal - 목표 항목 { metric, period, target }
+ * @param {object} periodStats - 현재 구간의 toPeriodStats 결과
+ */
+const computeGoalProgress = (goal, periodStats) => {
+  const current = periodStats[GOAL_METRICS[goal.metric]] || 0;
+  return {
+    period_start: periodStats.period_start,
+    period_end: periodStats.period_end,
+    current,
+    target: goal.target,
+    percent: Math.min(100, round((current / goal.target) * 100, 1)),
+    achieved: current >= goal.target,
+  };
+};
+
+// 연속 걷기 요약을 저장하는 항목 (USER_TABLE). 새로 걸은 날이 생기면 무효화되어 다음 조회 때 다시 계산함
+const STREAK_SORT_KEY = 'WALK_STREAK_ITEM';
+
+/**
+ * 걸은 날짜 목록을 연속 걷기 요약으로 줄입니다. 오늘 날짜와 무관하므로 저장해 두고 쓸 수 있습니다.
+ * @param {string[]} walkedDates - 걸은 날짜 ('YYYY-MM-DD'), 오름차순
+ * @returns {{last_run: number, longest: number, last_walk_date: string|null}} last_run은 마지막으로 걸은 날까지 이어진 일수
+ */
+const summarizeStreaks = (walkedDates) => {
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+
+  for (const date of walkedDates) {
+    run = prev && addDays(prev, 1) === date ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = date;
+  }
+
+  return { last_run: run, longest, last_walk_date: prev };
+};
+
+/**
+ * 연속 걷기 요약으로 오늘 기준 연속 걷기 일수를 계산합니다. (KST 날짜 기준)
+ * 오늘 아직 걷지 않았더라도 어제까지 이어졌다면 현재 연속 기록은 유지된 것으로 봅니다.
+ * @param {{last_run: number, longest: number, last_walk_date: string|null}} summary - summarizeStreaks 결과
+ * @param {string} today - 오늘 날짜 ('YYYY-MM-DD')
+ * @returns {{current: number, longest: number, last_walk_date: string|null}}
+ */
+const toStreaks = (summary, today) => {
+  const prev = summary.last_walk_date;
+  const isAlive = prev === today || prev === addDays(today, -1);
+  return {
+    current: isAlive ? summary.last_run : 0,
+    longest: summary.longest,
+    last_walk_date: prev,
+  };
+};
+
+
+module.exports = {
+  GOAL_METRICS,
+  STREAK_SORT_KEY,
+  computeGoalProgress,
+  summarizeStreaks,
+  toStreaks,
+};
@@ -0,0 +1,74 @@
+const { parseGpxToGeoJson, parseTcxToGeoJson } = require('../course/course-gpx');
+const { isFitFile, decodeFitRecords } = require('./fit-decoder');
+
+const IMPORT_FORMATS = ['gpx', 'tcx', 'fit'];
+
+const XML_PARSERS = { gpx: parseGpxToGeoJson, tcx: parseTcxToGeoJson };
+
+/**
+ * 파일 내용으로 형식을 추정합니다.
+ * @param {Buffer} buffer
+ * @returns {string|null} gpx, tcx, fit 중 하나. 알 수 없으면 null
+ */
+const detectFormat = (buffer) => {
+  if (isFitFile(buffer)) return 'fit';
+
+  const head = buffer.toString('utf8', 0, 1024);
+  if (/<gpx[\s>]/.test(head)) return 'gpx';
+  if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+  return null;
+};
+
+/**
+ * GPX/TCX를 course-gpx.js의 파서로 GeoJSON으로 바꾼 뒤,
+ * 선 좌표와 좌표별 시각(coordinateProperties.times)을 짝지어 좌표 목록으로 만듭니다.
+ */
+const parseXmlTrack = (buffer, format) => {
+  const geojson = XML_PARSERS[format](buffer.toString('utf8'));
+  const points = [];
+
+  const addLine = (coordinates, times) => {
+    coordinates.forEach(([lon, lat, elevation], i) => {
+      if (!times || !times[i]) return;
+      points.push({ lat, lon, timestamp: times[i], elevation });
+    });
+  };
+
+  for (const feature of geojson.features) {
+    const { geometry } = feature;
+    const times = feature.properties?.coordinateProperties?.times;
+    if (!geometry || !times) continue;
+
+    if (geometry.type === 'LineString') {
+      addLine(geometry.coordinates, times);
+    } else if (geometry.type === 'MultiLineString') {
+      geometry.coordinates.forEach((line, i) => addLine(line, times[i]));
+    }
+  }
+
+  return points;
+};
+
+/**
+ * 걷기 기록 파일(GPX, TCX, FIT)에서 시각이 있는 좌표를 읽습니다.
+ * 시각이 없는 좌표(경로만 그린 GPX 등)는 걷기 기록으로 쓸 수 없으므로 제외합니다.
+ * @param {Buffer} buffer - 업로드된 파일 내용
+ * @param {string} [format] - 지정하지 않으면 파일 내용으로 추정
+ * @returns {{format: string, points: {lat: number, lon: number, timestamp: string, elevation?: number}[]}}
+ * @throws {Error} 형식을 알 수 없거나 파일을 읽을 수 없는 경우
+ */
+const parseTrackFile = (buffer, format) => {
+  const resolvedFormat = format || detectFormat(buffer);
+  if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+    throw new Error('지원하지 않는 파일 형식입니다.');
+  }
+
+  const points = resolvedFormat === 'fit' ? decodeFitRecords(buffer) : parseXmlTrack(buffer, resolvedFormat);
+  return { format: resolvedFormat, points };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  parseTrackFile,
+};
@@ -0,0 +1,170 @@
+const { getDistance } = require('../course/course-helpers');
+
+// 걸은 경로에서 이 거리(m) 안에 있는 코스 구간을 걸은 것으로 봄 (GPS 오차 고려)
+const CORRIDOR_M = 50;
+// 코스 시작점/끝점에서 이 거리(m) 안까지 걸었으면 도달한 것으로 봄
+const ENDPOINT_RADIUS_M = 100;
+// 완주로 인정하는 최소 코스 커버리지 (%)
+const MIN_COVERAGE_PCT = 90;
+// 정방향 진행 비율이 이 값 이상이면 정방향으로 봄
+const MIN_FORWARD_RATIO = 0.6;
+// 이보다 긴 걸은 경로 선분(신호 끊김, 일시정지 전후 등)은 실제로 걸은 길로 보지 않음
+const MAX_WALK_SEGMENT_M = 500;
+
+const METERS_PER_DEG_LAT = 110540;
+const METERS_PER_DEG_LON_AT_EQUATOR = 111320;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+/**
+ * 코스 주변의 좁은 영역이므로 위경도를 기준점 중심의 평면 좌표(m)로 근사합니다.
+ */
+const createProjection = (origin) => {
+  const lonScale = METERS_PER_DEG_LON_AT_EQUATOR * Math.cos((origin.lat * Math.PI) / 180);
+  return (lat, lon) => ({
+    x: (lon - origin.lon) * lonScale,
+    y: (lat - origin.lat) * METERS_PER_DEG_LAT,
+  });
+};
+
+/**
+ * 격자 셀 단위 공간 색인. 셀 크기를 찾는 반경과 같게 두어 주변 9칸만 보면 되도록 합니다.
+ */
+const createGrid = (cellSize) => {
+  const cells = new Map();
+  const keyOf = (cx, cy) => `${cx}:${cy}`;
+
+  return {
+    insert(minX, minY, maxX, maxY, value) {
+      for (let cx = Math.floor(minX / cellSize); cx <= Math.floor(maxX / cellSize); cx++) {
+        for (let cy = Math.floor(minY / cellSize); cy <= Math.floor(maxY / cellSize); cy++) {
+          const key = keyOf(cx, cy);
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(value);
+        }
+      }
+    },
+    near(x, y) {
+      const cx = Math.floor(x / cellSize);
+      const cy = Math.floor(y / cellSize);
+      const found = [];
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          found.push(...(cells.get(keyOf(cx + dx, cy + dy)) || []));
+        }
+      }
+      return found;
+    },
+  };
+};
+
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * 걸은 경로의 각 점이 코스의 어느 지점(꼭짓점 순번)에 가장 가까운지로 진행 방향을 판정합니다.
+ * 순환 코스에서 끝에서 처음으로 넘어가는 큰 점프는 방향 판단에서 제외합니다.
+ */
+const detectDirection = (courseIndexes, courseLength) => {
+  let forward = 0;
+  let backward = 0;
+  for (let i = 1; i < courseIndexes.length; i++) {
+    const step = courseIndexes[i] - courseIndexes[i - 1];
+    if (Math.abs(step) > courseLength / 2) continue;
+    if (step > 0) forward += step;
+    if (step < 0) backward -= step;
+  }
+
+  const total = forward + backward;
+  if (total === 0) return 'unknown';
+  if (forward / total >= MIN_FORWARD_RATIO) return 'forward';
+  if (backward / total >= MIN_FORWARD_RATIO) return 'reverse';
+  return 'unknown';
+};
+
+/**
+ * 걸은 경로를 코스 경로와 비교하여 완주 여부를 판정합니다.
+ * - 커버리지: 걸은 경로에서 CORRIDOR_M 이내에 있는 코스 구간 길이의 비율
+ * - 방향: 걸으면서 코스를 따라 순서대로 진행했는지
+ * - 시작/끝: 코스 시작점(첫 구간의 처음)과 끝점(마지막 구간의 끝) 근처까지 갔는지
+ * 트랙 구간(trkseg) 사이의 빈 곳은 코스가 아니므로 커버리지 계산에서 제외합니다.
+ * @param {Array<number[]>[]} courseSegments - 코스 트랙 구간별 [lon, lat, ele?] 좌표 (getTrackSegments 결과)
+ * @param {Array<[number, number, number, number|null]>} walkPoints - 저장된 걷기 좌표 [lat, lon, t, ele]
+ * @returns {object|null} 비교할 좌표가 부족하면 null
+ */
+const matchWalkToCourse = (courseSegments, walkPoints) => {
+  // 구간을 순서대로 이어 붙인 꼭짓점 목록. joined가 false인 점은 앞 점과 이어지지 않음 (구간의 첫 점)
+  const coursePoints = (courseSegments || []).flatMap((segment) =>
+    segment.map(([lon, lat], i) => ({ lat, lon, joined: i > 0 }))
+  );
+  if (coursePoints.length < 2 || !walkPoints || walkPoints.length < 2) {
+    return null;
+  }
+
+  const project = createProjection(coursePoints[0]);
+  const course = coursePoints.map(({ lat, lon }) => project(lat, lon));
+  const walk = walkPoints.map(([lat, lon]) => project(lat, lon));
+
+  // 걸은 경로의 선분을 색인하여 코스 꼭짓점마다 가까운 선분만 검사
+  const walkGrid = createGrid(CORRIDOR_M);
+  for (let i = 1; i < walk.length; i++) {
+    const a = walk[i - 1];
+    const b = walk[i];
+    if (Math.hypot(b.x - a.x, b.y - a.y) > MAX_WALK_SEGMENT_M) continue;
+    walkGrid.insert(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.max(a.x, b.x), Math.max(a.y, b.y), i);
+  }
+
+  const covered = course.map((p) =>
+    walkGrid.near(p.x, p.y).some((i) => distanceToSegment(p, walk[i - 1], walk[i]) <= CORRIDOR_M)
+  );
+
+  let totalM = 0;
+  let coveredM = 0;
+  for (let i = 1; i < coursePoints.length; i++) {
+    if (!coursePoints[i].joined) continue;
+    const edgeM =
+      getDistance(coursePoints[i - 1].lat, coursePoints[i - 1].lon, coursePoints[i].lat, coursePoints[i].lon) * 1000;
+    totalM += edgeM;
+    if (covered[i - 1] && covered[i]) coveredM += edgeM;
+  }
+
+  // 걸은 점마다 CORRIDOR_M 이내에서 가장 가까운 코스 꼭짓점 순번
+  const courseGrid = createGrid(CORRIDOR_M);
+  course.forEach((p, i) => courseGrid.insert(p.x, p.y, p.x, p.y, i));
+  const courseIndexes = [];
+  for (const p of walk) {
+    let nearest = -1;
+    let nearestM = CORRIDOR_M;
+    for (const i of courseGrid.near(p.x, p.y)) {
+      const m = Math.hypot(p.x - course[i].x, p.y - course[i].y);
+      if (m <= nearestM) {
+        nearest = i;
+        nearestM = m;
+      }
+    }
+    if (nearest >= 0) courseIndexes.push(nearest);
+  }
+
+  const reaches = (target) => walk.some((p) => Math.hypot(p.x - target.x, p.y - target.y) <= ENDPOINT_RADIUS_M);
+  const startReached = reaches(course[0]);
+  const endReached = reaches(course[course.length - 1]);
+  const direction = detectDirection(courseIndexes, course.length);
+  const coveragePct = totalM > 0 ? round((coveredM / totalM) * 100, 1) : 0;
+
+  return {
+    coverage_pct: coveragePct,
+    direction,
+    start_reached: startReached,
+    end_reached: endReached,
+    completed: coveragePct >= MIN_COVERAGE_PCT && direction === 'forward' && startReached && endReached,
+  };
+};
+
+module.exports = {
+  matchWalkToCourse,
+};
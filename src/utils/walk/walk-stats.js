@@ -0,0 +1,88 @@
+const { addDays, getWeekStart, diffDays } = require('../date');
+
+const STAT_PERIODS = ['day', 'week', 'month'];
+
+// 기간을 지정하지 않았을 때 보여줄 구간 수 (오늘이 속한 구간 포함)
+const DEFAULT_BUCKET_COUNT = { day: 7, week: 8, month: 6 };
+// 한 번에 조회할 수 있는 최대 구간 수
+const MAX_BUCKET_COUNT = 366;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+const addMonths = (monthStart, months) => {
+  const [year, month] = monthStart.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * KST 날짜가 속한 집계 구간의 시작 날짜를 반환합니다. (주는 월요일 시작)
+ * @param {'day'|'week'|'month'} period
+ * @param {string} dateString - 'YYYY-MM-DD'
+ */
+const getPeriodStart = (period, dateString) => {
+  if (period === 'week') return getWeekStart(dateString);
+  if (period === 'month') return `${dateString.slice(0, 7)}-01`;
+  return dateString;
+};
+
+const getNextPeriodStart = (period, start) => {
+  if (period === 'week') return addDays(start, 7);
+  if (period === 'month') return addMonths(start, 1);
+  return addDays(start, 1);
+};
+
+/**
+ * 구간 집계 항목의 정렬 키. 날짜 문자열 순서가 시간 순서와 같아 범위 조회가 가능합니다.
+ */
+const getStatsSortKey = (period, start) => `STATS#${period.toUpperCase()}#${start}`;
+
+/**
+ * 조회 기간을 집계 구간 시작 날짜 목록으로 변환합니다.
+ * @param {'day'|'week'|'month'} period
+ * @param {{from?: string, to?: string, today: string}} range - KST 날짜 ('YYYY-MM-DD', 양 끝 포함)
+ * @returns {string[]|null} 구간 수가 너무 많으면 null
+ */
+const listPeriodStarts = (period, { from, to, today }) => {
+  const last = getPeriodStart(period, to || today);
+  let first;
+  if (from) {
+    first = getPeriodStart(period, from);
+  } else if (period === 'month') {
+    first = addMonths(last, -(DEFAULT_BUCKET_COUNT.month - 1));
+  } else {
+    const step = period === 'week' ? 7 : 1;
+    first = addDays(last, -(DEFAULT_BUCKET_COUNT[period] - 1) * step);
+  }
+
+  if (diffDays(first, last) / (period === 'day' ? 1 : 7) > MAX_BUCKET_COUNT) {
+    return null;
+  }
+
+  const starts = [];
+  for (let start = first; start <= last; start = getNextPeriodStart(period, start)) {
+    starts.push(start);
+  }
+  return starts;
+};
+
+/**
+ * 구간 집계 항목을 응답 형태로 변환합니다. 기록이 없는 구간은 0으로 채웁니다.
+ */
+const toPeriodStats = (period, start, item = {}) => ({
+  period_start: start,
+  period_end: addDays(getNextPeriodStart(period, start), -1),
+  distance_km: round(item.distance_km || 0, 3),
+  duration_minutes: round(item.duration_minutes || 0, 1),
+  walk_count: item.walk_count || 0,
+  courses_completed: item.courses_completed || 0,
+  elevation_gain_m: round(item.elevation_gain_m || 0, 1),
+});
+
+module.exports = {
+  STAT_PERIODS,
+  getPeriodStart,
+  getStatsSortKey,
+  listPeriodStarts,
+  toPeriodStats,
+};
@@ -0,0 +1,276 @@
+const { getDistance } = require('../course/course-helpers');
+const { escapeXml } = require('../course/course-export');
+
+// 정확도(m)가 이보다 나쁜 GPS 좌표는 버림
+const MAX_POINT_ACCURACY_M = 50;
+// 직전 좌표에서 이 속도(m/s, 약 25km/h)를 넘게 이동한 좌표는 GPS 튐으로 보고 버림
+const MAX_WALK_SPEED_MPS = 7;
+// 이 속도(m/s) 이상으로 이동한 구간만 이동 시간에 포함
+const MIN_MOVING_SPEED_MPS = 0.3;
+// 좌표 간격이 이보다 길면(초) 그 사이는 이동 시간으로 보지 않음 (신호 끊김 등)
+const MAX_MOVING_GAP_S = 60;
+// GPS 고도 노이즈로 상승 고도가 부풀려지지 않도록, 기준 고도에서 이 값(m) 이상 변했을 때만 반영
+const ELEVATION_NOISE_THRESHOLD_M = 3;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+/**
+ * 클라이언트가 보낸 GPS 좌표를 서버 계산용 형태로 정리합니다.
+ * 정확도가 나쁜 좌표를 제외하고 시간순으로 정렬합니다.
+ * @param {{lat: number, lon: number, timestamp: string|number, elevation?: number, accuracy?: number}[]} rawPoints
+ * @returns {{lat: number, lon: number, t: number, ele: number|null}[]} t는 epoch ms
+ */
+const normalizePoints = (rawPoints) =>
+  rawPoints
+    .filter((point) => point.accuracy === undefined || point.accuracy <= MAX_POINT_ACCURACY_M)
+    .map((point) => ({
+      lat: point.lat,
+      lon: point.lon,
+      t: new Date(point.timestamp).getTime(),
+      ele: Number.isFinite(point.elevation) ? point.elevation : null,
+    }))
+    .filter((point) => Number.isFinite(point.t))
+    .sort((a, b) => a.t - b.t);
+
+const isPaused = (t, pauses) =>
+  pauses.some(({ paused_at, resumed_at }) => {
+    const pausedAt = Date.parse(paused_at);
+    const resumedAt = resumed_at ? Date.parse(resumed_at) : Infinity;
+    return t >= pausedAt && t < resumedAt;
+  });
+
+/**
+ * 걷기 세션에 새 좌표들을 반영하여 누적 거리와 이동 시간을 갱신합니다.
+ * - 마지막으로 반영한 좌표보다 이전 시각의 좌표(재전송 등)는 무시합니다.
+ * - 일시정지 구간의 좌표는 무시하며, 재개 후 첫 좌표까지의 거리는 더하지 않습니다.
+ * - 비정상적으로 빠른 이동은 GPS 오류로 보고 해당 좌표를 버립니다.
+ * @param {object} state - { last_point, distance_m, moving_time_s, point_count, elevation_anchor_m, elevation_gain_m }
+ * @param {object[]} points - normalizePoints 결과
+ * @param {object[]} pauses - 걷기 세션의 일시정지 구간 [{ paused_at, resumed_at }]
+ * @returns {{state: object, accepted: object[]}}
+ */
+const accumulateTrack = (state, points, pauses = []) => {
+  let lastPoint = state.last_point || null;
+  let distanceM = state.distance_m || 0;
+  let movingTimeS = state.moving_time_s || 0;
+  let elevationAnchor = state.elevation_anchor_m ?? null;
+  let elevationGain = state.elevation_gain_m || 0;
+  const accepted = [];
+  let crossedPause = false;
+
+  for (const point of points) {
+    if (isPaused(point.t, pauses)) {
+      crossedPause = true;
+      continue;
+    }
+    if (lastPoint && point.t <= lastPoint.t) continue;
+
+    if (lastPoint && !crossedPause) {
+      const segmentM = getDistance(lastPoint.lat, lastPoint.lon, point.lat, point.lon) * 1000;
+      const segmentS = (point.t - lastPoint.t) / 1000;
+
+      if (segmentM / segmentS > MAX_WALK_SPEED_MPS) continue;
+
+      distanceM += segmentM;
+      if (segmentS <= MAX_MOVING_GAP_S && segmentM / segmentS >= MIN_MOVING_SPEED_MPS) {
+        movingTimeS += segmentS;
+      }
+    }
+
+    if (point.ele !== null) {
+      const climb = elevationAnchor === null ? 0 : point.ele - elevationAnchor;
+      if (elevationAnchor === null || Math.abs(climb) >= ELEVATION_NOISE_THRESHOLD_M) {
+        if (climb > 0) elevationGain += climb;
+        elevationAnchor = point.ele;
+      }
+    }
+
+    lastPoint = { lat: point.lat, lon: point.lon, t: point.t };
+    crossedPause = false;
+    accepted.push(point);
+  }
+
+  return {
+    state: {
+      last_point: lastPoint,
+      distance_m: round(distanceM, 1),
+      moving_time_s: Math.round(movingTimeS),
+      point_count: (state.point_count || 0) + accepted.length,
+      elevation_anchor_m: elevationAnchor,
+      elevation_gain_m: round(elevationGain, 1),
+    },
+    accepted,
+  };
+};
+
+/**
+ * 일시정지 구간의 총 길이(초)를 계산합니다. 재개되지 않은 구간은 endMs까지로 봅니다.
+ */
+const getPausedSeconds = (pauses, endMs) =>
+  pauses.reduce((sum, { paused_at, resumed_at }) => {
+    const end = resumed_at ? Date.parse(resumed_at) : endMs;
+    return sum + Math.max(0, (end - Date.parse(paused_at)) / 1000);
+  }, 0);
+
+/**
+ * 걷기 세션의 요약 지표를 계산합니다.
+ * @param {object} walk - 걷기 세션 항목
+ * @param {number} [endMs] - 종료 시각 (기본: ended_at 또는 현재)
+ */
+const summarizeWalk = (walk, endMs) => {
+  const end = endMs || (walk.ended_at ? Date.parse(walk.ended_at) : Date.now());
+  const pauses = walk.pauses || [];
+  const durationS = Math.max(
+    0,
+    Math.round((end - Date.parse(walk.started_at)) / 1000 - getPausedSeconds(pauses, end))
+  );
+  const distanceKm = (walk.distance_m || 0) / 1000;
+  const movingTimeS = walk.moving_time_s || 0;
+
+  return {
+    distance_km: round(distanceKm, 3),
+    duration_s: durationS,
+    moving_time_s: movingTimeS,
+    avg_pace_sec_per_km: distanceKm > 0 && movingTimeS > 0 ? Math.round(movingTimeS / distanceKm) : null,
+    avg_speed_kmh: movingTimeS > 0 ? round(distanceKm / (movingTimeS / 3600), 2) : null,
+    elevation_gain_m: walk.elevation_gain_m || 0,
+  };
+};
+
+/**
+ * 저장된 좌표([lat, lon, epoch ms, 고도])를 일시정지 구간 기준으로 나눕니다.
+ * 두 좌표 사이에 일시정지가 있으면 그 사이는 걸은 경로로 보지 않습니다.
+ * @param {Array<[number, number, number, number|null]>} points - 시간순 좌표
+ * @param {object[]} pauses - [{ paused_at, resumed_at }]
+ * @returns {Array<Array<[number, number, number, number|null]>>}
+ */
+const splitAtPauses = (points, pauses = []) => {
+  const segments = [];
+  let current = [];
+
+  points.forEach((point, i) => {
+    if (i > 0) {
+      const prevT = points[i - 1][2];
+      const pausedBetween = pauses.some(({ paused_at, resumed_at }) => {
+        const resumedAt = resumed_at ? Date.parse(resumed_at) : Infinity;
+        return Date.parse(paused_at) < point[2] && resumedAt > prevT;
+      });
+      if (pausedBetween && current.length > 0) {
+        segments.push(current);
+        current = [];
+      }
+    }
+    current.push(point);
+  });
+
+  if (current.length > 0) segments.push(current);
+  return segments;
+};
+
+/**
+ * 걷기 경로를 GeoJSON Feature로 변환합니다.
+ * 재생용 시각은 togeojson과 같은 형식(properties.coordinateProperties.times)으로 담습니다.
+ * @returns {object|null} 좌표가 없으면 null
+ */
+const toTrackGeoJson = (points, pauses = []) => {
+  const segments = splitAtPauses(points, pauses);
+  if (segments.length === 0) return null;
+
+  const toCoordinate = ([lat, lon, , ele]) => (ele === null || ele === undefined ? [lon, lat] : [lon, lat, ele]);
+  const toTimes = (segment) => segment.map(([, , t]) => new Date(t).toISOString());
+
+  if (segments.length === 1) {
+    return {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: segments[0].map(toCoordinate) },
+      properties: { coordinateProperties: { times: toTimes(segments[0]) } },
+    };
+  }
+
+  return {
+    type: 'Feature',
+    geometry: { type: 'MultiLineString', coordinates: segments.map((segment) => segment.map(toCoordinate)) },
+    properties: { coordinateProperties: { times: segments.map(toTimes) } },
+  };
+};
+
+/**
+ * 걷기 경로를 GPX 1.1 문서로 변환합니다. 일시정지로 나뉜 구간은 별도의 trkseg로 씁니다.
+ * @param {string} name - 트랙 이름
+ * @param {Array<[number, number, number, number|null]>} points - 시간순 좌표
+ * @param {object[]} pauses - [{ paused_at, resumed_at }]
+ * @returns {string} GPX 문서
+ */
+const toTrackGpx = (name, points, pauses = []) => {
+  const toTrackPoint = ([lat, lon, t, ele]) => {
+    const elevation = ele === null || ele === undefined ? '' : `<ele>${ele}</ele>`;
+    return `<trkpt lat="${lat}" lon="${lon}">${elevation}<time>${new Date(t).toISOString()}</time></trkpt>`;
+  };
+  const segments = splitAtPauses(points, pauses).map(
+    (segment) => `<trkseg>${segment.map(toTrackPoint).join('')}</trkseg>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="ku-swt" xmlns="http://www.topografix.com/GPX/1/1">',
+    `<trk><name>${escapeXml(name)}</name>`,
+    ...segments,
+    '</trk>',
+    '</gpx>',
+  ].join('\n');
+};
+
+/**
+ * 1km 단위 구간 기록을 계산합니다. 마지막 구간은 1km보다 짧을 수 있습니다.
+ * 구간 시간은 일시정지 시간을 제외하고, km 경계는 두 좌표 사이를 선형 보간하여 구합니다.
+ * @returns {{km: number, distance_km: number, duration_s: number, pace_sec_per_km: number|null}[]}
+ */
+const computeSplits = (points, pauses = []) => {
+  const splits = [];
+  let splitDistanceM = 0;
+  let splitTimeS = 0;
+
+  const pushSplit = () => {
+    splits.push({
+      km: splits.length + 1,
+      distance_km: round(splitDistanceM / 1000, 3),
+      duration_s: Math.round(splitTimeS),
+      pace_sec_per_km: splitDistanceM > 0 ? Math.round(splitTimeS / (splitDistanceM / 1000)) : null,
+    });
+    splitDistanceM = 0;
+    splitTimeS = 0;
+  };
+
+  for (const segment of splitAtPauses(points, pauses)) {
+    for (let i = 1; i < segment.length; i++) {
+      const [prevLat, prevLon, prevT] = segment[i - 1];
+      const [lat, lon, t] = segment[i];
+      let edgeM = getDistance(prevLat, prevLon, lat, lon) * 1000;
+      let edgeS = (t - prevT) / 1000;
+
+      while (splitDistanceM + edgeM >= 1000) {
+        const fraction = edgeM > 0 ? (1000 - splitDistanceM) / edgeM : 0;
+        splitTimeS += edgeS * fraction;
+        splitDistanceM = 1000;
+        edgeS *= 1 - fraction;
+        edgeM -= edgeM * fraction;
+        pushSplit();
+      }
+
+      splitDistanceM += edgeM;
+      splitTimeS += edgeS;
+    }
+  }
+
+  if (splitDistanceM >= 1) pushSplit();
+  return splits;
+};
+
+module.exports = {
+  normalizePoints,
+  accumulateTrack,
+  summarizeWalk,
+  toTrackGeoJson,
+  toTrackGpx,
+  computeSplits,
+};
@@ -27,11 +27,42 @@ export default $config({
     // ==========================================================================
     // Cognito User Pool
     // ==========================================================================
+
+    // 회원가입 이메일 인증 방식 (스테이지마다 .env에서 설정)
+    // auto: 가입 즉시 확인 처리, verify: Cognito가 보낸 인증 코드를 POST /auth/register/verify로 확인
+    const emailVerificationMode = process.env.EMAIL_VERIFICATION_MODE === "verify" ? "verify" : "auto";
+
     const userPool = new sst.aws.CognitoUserPool("UserPool", {
       usernames: ["email"],
+      // 소셜 로그인(POST /auth/social/{provider}) 세션 발급용 커스텀 인증 트리거
+      triggers: {
+        defineAuthChallenge: "src/functions/triggers/custom-auth.defineAuthChallenge",
+        createAuthChallenge: "src/functions/triggers/custom-auth.createAuthChallenge",
+        verifyAuthChallengeResponse: {
+          handler: "src/functions/triggers/custom-auth.verifyAuthChallengeResponse",
+          permissions: [
+            {
+              actions: ["dynamodb:DeleteItem"],
+              resources: [dynamoDbArns.authDataTable],
+            },
+          ],
+        },
+      },
       transform: {
         userPool: {
-          autoVerifiedAttributes: [],
+          // verify 모드에서만 가입 시 인증 코드 이메일 발송
+          autoVerifiedAttributes: emailVerificationMode === "verify" ? ["email"] : [],
+          // 사용자가 선택해서 켜는 TOTP MFA (POST /auth/mfa/totp/setup)
+          mfaConfiguration: "OPTIONAL",
+          softwareTokenMfaConfiguration: {
+            enabled: true,
+          },
+          // 기기 추적 (GET /auth/sessions). 모든 로그인 기기를 추적하고, 로그인 시 rememberDevice: true를 보낸 기기만
+          // UpdateDeviceStatus로 기억됨(remembered) 상태가 됨 (sessionService.trackDevice)
+          deviceConfiguration: {
+            challengeRequiredOnNewDevice: false,
+            deviceOnlyRememberedOnUserPrompt: true,
+          },
           // SES 이용하여 이메일 보내기 
           // https://www.pulumi.com/registry/packages/aws/api-docs/cognito/userpool/#userpoolemailconfiguration
           emailConfiguration: {
@@ -49,7 +80,10 @@ export default $config({
           explicitAuthFlows: [
             "ALLOW_USER_PASSWORD_AUTH",
             "ALLOW_REFRESH_TOKEN_AUTH",
+            "ALLOW_CUSTOM_AUTH",
           ],
+          // 로그인 해제한 기기의 리프레시 토큰으로 갱신을 요청하면 RevokeToken으로 폐기 (sessionService.checkRefreshedSession)
+          enableTokenRevocation: true,
         },
       },
     });
@@ -65,6 +99,24 @@ export default $config({
       ...commonEnv,
       COGNITO_USER_POOL_ID: userPool.id,
       COGNITO_CLIENT_ID: userPoolClient.id,
+      EMAIL_VERIFICATION_MODE: emailVerificationMode,
+    };
+
+    // 소셜 로그인 제공자 설정
+    const socialEnv = {
+      // 카카오 앱 ID (액세스 토큰이 우리 앱에서 발급된 것인지 확인, 없으면 카카오 로그인 불가)
+      KAKAO_APP_ID: process.env.KAKAO_APP_ID || "",
+      // Apple 번들 ID/서비스 ID (쉼표로 여러 개)
+      APPLE_CLIENT_ID: process.env.APPLE_CLIENT_ID || "",
+      // (선택) authorization code 교환용 Sign in with Apple 키
+      APPLE_TEAM_ID: process.env.APPLE_TEAM_ID || "",
+      APPLE_KEY_ID: process.env.APPLE_KEY_ID || "",
+      APPLE_PRIVATE_KEY: process.env.APPLE_PRIVATE_KEY || "",
+    };
+
+    // 회원탈퇴 후 계정과 데이터를 완전히 삭제하기까지의 유예 기간 (일, 기본 30일)
+    const withdrawalEnv = {
+      WITHDRAWAL_GRACE_DAYS: process.env.WITHDRAWAL_GRACE_DAYS || "30",
     };
 
     const weatherEnv = {
@@ -77,6 +129,8 @@ export default $config({
       ...commonEnv,
       DURUNUBI_SERVICE_KEY: process.env.DURUNUBI_SERVICE_KEY!,
       SEOUL_TRAIL_API_KEY: process.env.SEOUL_TRAIL_API_KEY!,
+      // 코스 추천 시 현재 날씨 반영
+      KMA_API_KEY: process.env.KMA_API_KEY!,
     };
 
     const medicalEnv = {
@@ -158,6 +212,32 @@ export default $config({
       ],
     };
 
+    // ==========================================================================
+    // S3 Bucket (개인 데이터 내보내기, POST /user/export)
+    // ==========================================================================
+    // 공개 코스 GPX 버킷과 분리한 비공개 버킷. 다운로드 기간(7일)이 지난 파일은 수명 주기 규칙으로 삭제
+    const userExportBucket = new sst.aws.Bucket("UserExportBucket");
+    new aws.s3.BucketLifecycleConfigurationV2("UserExportBucketLifecycle", {
+      bucket: userExportBucket.name,
+      rules: [
+        {
+          id: "expire-user-exports",
+          status: "Enabled",
+          filter: { prefix: "user_exports/" },
+          expiration: { days: 8 },
+        },
+      ],
+    });
+
+    const s3ExportPermissions = {
+      actions: ["s3:GetObject", "s3:PutObject", "s3:DeleteObject"],
+      resources: [$interpolate`${userExportBucket.arn}/*`],
+    };
+
+    const exportEnv = {
+      USER_EXPORT_BUCKET_NAME: userExportBucket.name,
+    };
+
     // Cognito Authorizer 설정
     const jwtAuth = api.addAuthorizer({
       name: "user-pool-authorizer",
@@ -177,7 +257,10 @@ export default $config({
       memory: "256 MB" as const,
       timeout: "10 seconds" as const,
       permissions: [dynamoDbPermissions, sesPermissions, cognitoPermissions],
-      environment: authEnv,
+      environment: {
+        ...authEnv,
+        ...socialEnv,
+      },
       nodejs: nodejsConfig,
     });
 
@@ -201,13 +284,36 @@ export default $config({
       nodejs: nodejsConfig,
     });
 
+    // 개인 데이터 내보내기 작업 큐: 사용자 데이터를 모아 ZIP을 만드는 작업은 API 요청과 분리하여 처리
+    const userExportQueue = new sst.aws.Queue("UserExportQueue", {
+      visibilityTimeout: "5 minutes",
+    });
+    userExportQueue.subscribe({
+      handler: "src/functions/jobs/export.handler",
+      memory: "1024 MB" as const,
+      timeout: "5 minutes" as const,
+      permissions: [dynamoDbPermissions, s3ExportPermissions],
+      environment: exportEnv,
+      nodejs: nodejsConfig,
+    });
+
     // User Function
     const userFunction = new sst.aws.Function("UserFunction", {
       handler: "src/functions/user/index.handler",
       memory: "256 MB" as const,
-      timeout: "10 seconds" as const,
-      permissions: [dynamoDbPermissions],
-      environment: authEnv,
+      timeout: "15 seconds" as const,
+      permissions: [
+        dynamoDbPermissions,
+        s3Permissions, // 걷기 종료 시 코스 완주 판정에 GPX 조회
+        s3ExportPermissions,
+        { actions: ["sqs:SendMessage"], resources: [userExportQueue.arn] },
+      ],
+      environment: {
+        ...authEnv,
+        ...withdrawalEnv,
+        ...exportEnv,
+        USER_EXPORT_QUEUE_URL: userExportQueue.url,
+      },
       nodejs: nodejsConfig,
     });
 
@@ -221,11 +327,56 @@ export default $config({
       nodejs: nodejsConfig,
     });
 
+    // ==========================================================================
+    // Scheduled Jobs
+    // ==========================================================================
+
+    // 코스 조회/저장 기록으로 7일/30일 인기도 집계 (GET /courses/trending, sortBy=popularity)
+    new sst.aws.Cron("CoursePopularityCron", {
+      schedule: "rate(1 hour)",
+      function: {
+        handler: "src/functions/scheduled/popularity.handler",
+        memory: "512 MB" as const,
+        timeout: "5 minutes" as const,
+        permissions: [dynamoDbPermissions],
+        nodejs: nodejsConfig,
+      },
+    });
+
+    // 탈퇴 유예 기간이 지난 사용자의 Cognito 계정, 테이블 항목, S3 파일 완전 삭제
+    new sst.aws.Cron("WithdrawnUserPurgeCron", {
+      schedule: "rate(1 day)",
+      function: {
+        handler: "src/functions/scheduled/withdrawal-purge.handler",
+        memory: "512 MB" as const,
+        timeout: "15 minutes" as const,
+        permissions: [
+          dynamoDbPermissions,
+          cognitoPermissions,
+          s3ExportPermissions,
+          {
+            actions: ["s3:ListBucket"],
+            resources: [userExportBucket.arn],
+          },
+        ],
+        environment: {
+          ...authEnv,
+          ...withdrawalEnv,
+          ...exportEnv,
+        },
+        nodejs: nodejsConfig,
+      },
+    });
+
     // ==========================================================================
     // Auth Routes
     // ==========================================================================
     api.route("POST /auth/register", authFunction.arn);
+    api.route("POST /auth/register/verify", authFunction.arn);
+    api.route("POST /auth/register/resend-code", authFunction.arn);
     api.route("POST /auth/login", authFunction.arn);
+    api.route("POST /auth/login/challenge", authFunction.arn);
+    api.route("POST /auth/social/{provider}", authFunction.arn);
     api.route("POST /auth/refresh-token", authFunction.arn);
     api.route("POST /auth/forgot-password/send", authFunction.arn);
     api.route("POST /auth/forgot-password/verify", authFunction.arn);
@@ -242,6 +393,54 @@ export default $config({
       }
     );
 
+    api.route(
+      "POST /auth/mfa/totp/setup",
+      authFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "POST /auth/mfa/totp/verify",
+      authFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "GET /auth/sessions",
+      authFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "DELETE /auth/sessions/{deviceKey}",
+      authFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
     // ==========================================================================
     // Weather Routes
     // ==========================================================================
@@ -308,6 +507,42 @@ export default $config({
       }
     );
 
+    api.route(
+      "GET /courses/recommendations",
+      coursesFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "GET /courses/trending",
+      coursesFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "GET /courses/search",
+      coursesFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
     api.route(
       "GET /courses/{courseId}",
       coursesFunction.arn,
@@ -320,6 +555,18 @@ export default $config({
       }
     );
 
+    api.route(
+      "GET /courses/{courseId}/elevation",
+      coursesFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
     api.route(
       "GET /courses/{courseId}/coordinates",
       coursesFunction.arn,
@@ -332,6 +579,18 @@ export default $config({
       }
     );
 
+    api.route(
+      "POST /courses/{courseId}/progress",
+      coursesFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
     // ==========================================================================
     // User Routes
     // ==========================================================================
@@ -383,6 +642,42 @@ export default $config({
       }
     );
 
+    api.route(
+      "POST /user/withdraw/cancel",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "POST /user/export",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "GET /user/export/{jobId}",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
     // ==========================================================================
     // User Coordinates & Stats Routes
     // ==========================================================================
@@ -422,6 +717,183 @@ export default $config({
       }
     );
 
+    // ==========================================================================
+    // User Walk Session Routes
+    // ==========================================================================
+    api.route(
+      "GET /user/walks",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "GET /user/walks/{walkId}",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "POST /user/walks",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "POST /user/walks/import",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "POST /user/walks/{walkId}/points",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "POST /user/walks/{walkId}/pause",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "POST /user/walks/{walkId}/resume",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "POST /user/walks/{walkId}/finish",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    // ==========================================================================
+    // User Goal Routes
+    // ==========================================================================
+    api.route(
+      "GET /user/goals",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "POST /user/goals",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "GET /user/goals/{goalId}",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "PATCH /user/goals/{goalId}",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    api.route(
+      "DELETE /user/goals/{goalId}",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
+    // ==========================================================================
+    // User Achievement Routes
+    // ==========================================================================
+    api.route(
+      "GET /user/achievements",
+      userFunction.arn,
+      {
+        auth: {
+          jwt: {
+            authorizer: jwtAuth.id,
+          },
+        },
+      }
+    );
+
     // ==========================================================================
     // User Saved Courses Routes
     // ==========================================================================